@@ -1,44 +1,89 @@
 const { ethers } = require("hardhat");
+const { computeAbiHash, getDeploymentPath, saveDeployment } = require("../../scripts/deployments");
+
+const CONTRACT_NAME = "PrivateArtInvestment";
 
 async function main() {
+  console.log("=".repeat(60));
+  console.log("Starting Contract Deployment Process");
+  console.log("=".repeat(60));
+
   const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const balance = await ethers.provider.getBalance(deployer.address);
 
-  console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("\n📋 Deployment Configuration");
+  console.log("-".repeat(60));
+  console.log(`Network:         ${hre.network.name}`);
+  console.log(`Deployer:        ${deployer.address}`);
+  console.log(`Balance:         ${ethers.formatEther(balance)} ETH`);
+  console.log(`Chain ID:        ${chainId}`);
 
-  const PrivateArtInvestment = await ethers.getContractFactory("PrivateArtInvestment");
-  const contract = await PrivateArtInvestment.deploy();
+  console.log(`\n🚀 Deploying ${CONTRACT_NAME} Contract...`);
+  console.log("-".repeat(60));
 
+  const startTime = Date.now();
+  const PrivateArtInvestment = await ethers.getContractFactory(CONTRACT_NAME);
+  const contract = await PrivateArtInvestment.deploy();
   await contract.waitForDeployment();
 
   const contractAddress = await contract.getAddress();
-  console.log("PrivateArtInvestment deployed to:", contractAddress);
-
-  // 验证合约部署
-  console.log("\nContract deployment verification:");
-  console.log("Owner:", await contract.owner());
-  console.log("Total artworks:", await contract.totalArtworks());
-  console.log("Total investors:", await contract.totalInvestors());
-
-  // 保存合约地址到文件
-  const fs = require("fs");
-  const contractData = {
-    address: contractAddress,
+  const receipt = await contract.deploymentTransaction().wait();
+  const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+  console.log("✅ Contract deployed successfully!");
+  console.log(`📍 Address:      ${contractAddress}`);
+  console.log(`⏱️  Deploy Time:  ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+
+  console.log("\n🔍 Verifying Deployment...");
+  console.log("-".repeat(60));
+  console.log(`Owner:           ${await contract.owner()}`);
+  console.log(`Total Artworks:  ${await contract.totalArtworks()}`);
+  console.log(`Total Investors: ${await contract.totalInvestors()}`);
+
+  // The in-process network disappears with this script; use --network localhost to keep a record
+  if (hre.network.name === "hardhat") {
+    console.log("\nIn-process hardhat network: deployment not saved to the registry");
+    return;
+  }
+
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const solidityConfig = hre.config.solidity.compilers[0];
+
+  saveDeployment(hre.network.name, {
     network: hre.network.name,
-    deploymentTime: new Date().toISOString()
-  };
+    contractName: CONTRACT_NAME,
+    contractAddress,
+    deployer: deployer.address,
+    deploymentBlock: receipt.blockNumber,
+    deploymentTime: new Date(block.timestamp * 1000).toISOString(),
+    deploymentTimestamp: block.timestamp,
+    chainId: Number(chainId),
+    compiler: {
+      version: solidityConfig.version,
+      optimizer: solidityConfig.settings.optimizer.enabled,
+      runs: solidityConfig.settings.optimizer.runs
+    },
+    transactionHash: receipt.hash,
+    abiHash: computeAbiHash(artifact.abi),
+    verified: false
+  });
 
-  fs.writeFileSync(
-    "./contract-address.json",
-    JSON.stringify(contractData, null, 2)
-  );
+  console.log(`\nDeployment saved to ${getDeploymentPath(hre.network.name)}`);
+  console.log("Frontend registry updated (public/deployments.json)");
+
+  if (hre.network.name === "sepolia") {
+    console.log(`Etherscan:       https://sepolia.etherscan.io/address/${contractAddress}`);
+  }
+}
 
-  console.log("\nContract address saved to contract-address.json");
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = main;
@@ -1,47 +1,36 @@
 import { useEffect, useState } from 'react';
 import { useAccount } from 'wagmi';
-import { createFHEVMClient, type FHEVMClient } from '@fhevm/sdk';
 import { Header } from './components/Header';
 import { StatsDisplay } from './components/StatsDisplay';
 import { InvestorRegistration } from './components/InvestorRegistration';
 import { InvestmentForm } from './components/InvestmentForm';
 import { ArtworkManagement } from './components/ArtworkManagement';
 import { ArtworkGallery } from './components/ArtworkGallery';
-import { useContract } from './hooks/useContract';
+import { Portfolio } from './components/Portfolio';
+import { DistributionHistory } from './components/DistributionHistory';
+import { DecryptionRequests } from './components/DecryptionRequests';
+import { Trade } from './components/Trade';
+import { WithdrawalBanner } from './components/WithdrawalBanner';
+import { Notifications } from './components/Notifications';
+import { NetworkGuard } from './components/NetworkGuard';
+import { useContract, fetchAllArtworks } from './hooks/useContract';
+import { fetchIndexedArtworks } from './hooks/useIndexer';
+import { useNetworkGuard } from './hooks/useNetwork';
 
 function App() {
   const { address, isConnected } = useAccount();
   const { contract } = useContract();
-  const [fhevmClient, setFhevmClient] = useState<FHEVMClient | null>(null);
-  const [isInitializing, setIsInitializing] = useState(false);
-  const [activeTab, setActiveTab] = useState<'register' | 'invest'>('register');
-  const [artworks, setArtworks] = useState<Array<{ id: number; name: string; sharePrice: bigint }>>([]);
+  const { isReady, isLoading: isResolvingNetwork } = useNetworkGuard();
+  const [activeTab, setActiveTab] = useState<'register' | 'invest' | 'trade'>('register');
+  const [artworks, setArtworks] = useState<Array<{
+    id: number;
+    name: string;
+    sharePrice: bigint;
+    isOpen: boolean;
+  }>>([]);
   const [refreshTrigger, setRefreshTrigger] = useState(0);
 
-  // Initialize FHEVM client when connected
-  useEffect(() => {
-    async function initFHEVM() {
-      if (!isConnected || fhevmClient) return;
-
-      setIsInitializing(true);
-      try {
-        const client = await createFHEVMClient({
-          chainId: Number(import.meta.env.VITE_CHAIN_ID || 11155111),
-          provider: import.meta.env.VITE_RPC_URL || '',
-          debug: true,
-        });
-        setFhevmClient(client);
-      } catch (error) {
-        console.error('Failed to initialize FHEVM client:', error);
-      } finally {
-        setIsInitializing(false);
-      }
-    }
-
-    initFHEVM();
-  }, [isConnected, fhevmClient]);
-
-  // Load artworks for the investment form
+  // Load unsold artworks for the trade and investment forms; only open ones take new investments
   useEffect(() => {
     loadArtworks();
   }, [contract, refreshTrigger]);
@@ -50,24 +39,26 @@ function App() {
     if (!contract) return;
 
     try {
-      const contractInstance = await contract;
-      const [totalArtworks] = await contractInstance.getTotalStats();
-
-      const artworksList = [];
-      for (let i = 0; i < Number(totalArtworks); i++) {
-        try {
-          const artworkInfo = await contractInstance.getArtworkInfo(i);
-          artworksList.push({
-            id: i,
-            name: artworkInfo.name,
-            sharePrice: artworkInfo.sharePrice,
-          });
-        } catch (error) {
-          console.error(`Failed to load artwork ${i}:`, error);
-        }
+      const indexed = await fetchIndexedArtworks();
+      if (indexed) {
+        setArtworks(indexed.map(artwork => ({
+          id: artwork.id,
+          name: artwork.name,
+          sharePrice: BigInt(artwork.sharePrice),
+          isOpen: !artwork.isPaused && !artwork.fundingClosed,
+        })));
+        return;
       }
 
-      setArtworks(artworksList);
+      const allArtworks = await fetchAllArtworks(await contract);
+      setArtworks(allArtworks
+        .filter(artwork => artwork.isActive)
+        .map(artwork => ({
+          id: artwork.id,
+          name: artwork.name,
+          sharePrice: artwork.sharePrice,
+          isOpen: !artwork.isPaused && !artwork.fundingClosed,
+        })));
     } catch (error) {
       console.error('Failed to load artworks:', error);
     }
@@ -97,15 +88,12 @@ function App() {
     );
   }
 
-  if (isInitializing) {
+  if (!isResolvingNetwork && !isReady) {
     return (
       <div className="app">
         <div className="container">
           <Header />
-          <div className="loading">
-            <div className="spinner"></div>
-            <p>Initializing FHEVM client...</p>
-          </div>
+          <NetworkGuard />
         </div>
       </div>
     );
@@ -113,6 +101,8 @@ function App() {
 
   return (
     <div className="app">
+      <Notifications />
+
       <div className="connection-status connected">
         Connected: {address?.substring(0, 6)}...{address?.substring(38)}
       </div>
@@ -120,6 +110,8 @@ function App() {
       <div className="container">
         <Header />
 
+        <WithdrawalBanner refreshTrigger={refreshTrigger} />
+
         <StatsDisplay />
 
         <div className="main-content">
@@ -139,6 +131,12 @@ function App() {
               >
                 Private Investment
               </div>
+              <div
+                className={`tab ${activeTab === 'trade' ? 'active' : ''}`}
+                onClick={() => setActiveTab('trade')}
+              >
+                Trade Shares
+              </div>
             </div>
 
             <div className={`tab-content ${activeTab === 'register' ? 'active' : ''}`}>
@@ -147,16 +145,29 @@ function App() {
 
             <div className={`tab-content ${activeTab === 'invest' ? 'active' : ''}`}>
               <InvestmentForm
-                fhevmClient={fhevmClient}
-                artworks={artworks}
+                artworks={artworks.filter(artwork => artwork.isOpen)}
                 onInvestmentComplete={handleDataUpdate}
               />
             </div>
+
+            <div className={`tab-content ${activeTab === 'trade' ? 'active' : ''}`}>
+              <Trade
+                artworks={artworks}
+                refreshTrigger={refreshTrigger}
+                onTradeComplete={handleDataUpdate}
+              />
+            </div>
           </div>
 
           <ArtworkManagement onArtworkListed={handleDataUpdate} />
         </div>
 
+        <Portfolio refreshTrigger={refreshTrigger} />
+
+        <DistributionHistory refreshTrigger={refreshTrigger} />
+
+        <DecryptionRequests refreshTrigger={refreshTrigger} onRefund={handleDataUpdate} />
+
         <ArtworkGallery
           onSelectArtwork={handleSelectArtwork}
           refreshTrigger={refreshTrigger}
@@ -0,0 +1,304 @@
+import { useEffect, useState } from 'react';
+import { useContract, fetchAllArtworks, type ArtworkRecord } from '../hooks/useContract';
+import { isValidCid, normalizeCid } from '@shared/cid.mjs';
+import { JURISDICTIONS, decodeJurisdictions, encodeJurisdictions } from '../hooks/useKyc';
+import { isWholeValueUnit } from '@shared/units.mjs';
+import { type PrivateArtInvestment } from '../typechain-types';
+import { ethers } from 'ethers';
+
+interface ArtworkAdminProps {
+  refreshTrigger?: number;
+  onArtworkUpdated?: () => void;
+}
+
+// Curator controls for listed artworks: pause, edit, reprice, close funding, eligibility and ownership caps
+export function ArtworkAdmin({ refreshTrigger, onArtworkUpdated }: ArtworkAdminProps) {
+  const { contract, contractWithSigner } = useContract();
+  const [artworks, setArtworks] = useState<ArtworkRecord[]>([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [edit, setEdit] = useState({ name: '', artist: '', ipfsHash: '', sharePrice: '', capPercent: '' });
+  const [rule, setRule] = useState<{ jurisdictions: string[]; requiresAccreditation: boolean }>({
+    jurisdictions: [],
+    requiresAccreditation: false,
+  });
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const selected = artworks.find(artwork => artwork.id.toString() === selectedId);
+
+  useEffect(() => {
+    loadArtworks();
+  }, [contract, refreshTrigger]);
+
+  // Prefill the edit fields with the selected artwork's current values
+  useEffect(() => {
+    if (selected) {
+      setEdit({
+        name: selected.name,
+        artist: selected.artist,
+        ipfsHash: selected.ipfsHash,
+        sharePrice: ethers.formatEther(selected.sharePrice),
+        capPercent: '',
+      });
+      loadRule(selected.id);
+      loadOwnershipCap(selected.id);
+    }
+  }, [selectedId, artworks]);
+
+  async function loadOwnershipCap(artworkId: number) {
+    if (!contract) return;
+
+    try {
+      const bps = await (await contract).maxOwnershipBps(artworkId);
+      setEdit(prev => ({ ...prev, capPercent: bps === 0n ? '' : (Number(bps) / 100).toString() }));
+    } catch (error) {
+      console.error('Failed to load ownership cap:', error);
+    }
+  }
+
+  async function loadRule(artworkId: number) {
+    if (!contract) return;
+
+    try {
+      const current = await (await contract).eligibilityRules(artworkId);
+      setRule({
+        jurisdictions: decodeJurisdictions(current.allowedJurisdictions),
+        requiresAccreditation: current.requiresAccreditation,
+      });
+    } catch (error) {
+      console.error('Failed to load eligibility rule:', error);
+    }
+  }
+
+  async function loadArtworks() {
+    if (!contract) return;
+
+    try {
+      const allArtworks = await fetchAllArtworks(await contract);
+      setArtworks(allArtworks.filter(artwork => artwork.isActive));
+    } catch (error) {
+      console.error('Failed to load artworks:', error);
+    }
+  }
+
+  async function runAdminAction(
+    pendingMessage: string,
+    successMessage: string,
+    send: (contract: PrivateArtInvestment, artworkId: number) => Promise<ethers.ContractTransactionResponse>
+  ) {
+    if (!contractWithSigner || !selected) {
+      setStatus({ message: 'Please connect your wallet and select an artwork', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: pendingMessage, type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = await send(contract, selected.id);
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({ message: successMessage, type: 'success' });
+
+      await loadArtworks();
+      if (onArtworkUpdated) {
+        onArtworkUpdated();
+      }
+    } catch (error: any) {
+      console.error('Artwork update failed:', error);
+      setStatus({ message: `Update failed: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  function handleTogglePause() {
+    if (!selected) return;
+    if (selected.isPaused) {
+      runAdminAction('Resuming investments...', 'Investments resumed', (contract, id) => contract.resumeArtwork(id));
+    } else {
+      runAdminAction('Pausing investments...', 'Investments paused', (contract, id) => contract.pauseArtwork(id));
+    }
+  }
+
+  function handleUpdateMetadata() {
+    const ipfsHash = normalizeCid(edit.ipfsHash);
+    if (!edit.name || !edit.artist || !isValidCid(ipfsHash)) {
+      setStatus({ message: 'Enter a name, an artist and a valid IPFS CID', type: 'error' });
+      return;
+    }
+
+    runAdminAction('Updating details...', 'Artwork details updated', (contract, id) =>
+      contract.updateArtworkMetadata(id, edit.name, edit.artist, ipfsHash)
+    );
+  }
+
+  function handleUpdatePrice() {
+    if (!edit.sharePrice || Number(edit.sharePrice) <= 0) {
+      setStatus({ message: 'Enter a share price above zero', type: 'error' });
+      return;
+    }
+    if (!isWholeValueUnit(ethers.parseEther(edit.sharePrice))) {
+      setStatus({ message: 'Share price must be a whole number of gwei (at most 9 decimals)', type: 'error' });
+      return;
+    }
+
+    runAdminAction('Updating share price...', 'Share price updated for unsold shares', (contract, id) =>
+      contract.updateSharePrice(id, ethers.parseEther(edit.sharePrice))
+    );
+  }
+
+  function handleCloseFunding() {
+    if (!window.confirm('Closing funding is permanent. Unsold shares will not be offered again. Continue?')) return;
+
+    runAdminAction('Closing funding...', 'Funding closed', (contract, id) => contract.closeFunding(id));
+  }
+
+  function toggleRuleJurisdiction(code: string) {
+    setRule(prev => ({
+      ...prev,
+      jurisdictions: prev.jurisdictions.includes(code)
+        ? prev.jurisdictions.filter(c => c !== code)
+        : [...prev.jurisdictions, code],
+    }));
+  }
+
+  function handleUpdateOwnershipCap() {
+    const percent = Number(edit.capPercent || 0);
+    if (percent < 0 || percent > 100) {
+      setStatus({ message: 'Enter a cap between 0 and 100%', type: 'error' });
+      return;
+    }
+
+    const bps = Math.round(percent * 100);
+    runAdminAction('Updating ownership cap...', bps === 0 ? 'Ownership cap removed' : `Holdings capped at ${percent}%`,
+      (contract, id) => contract.setOwnershipCap(id, bps)
+    );
+  }
+
+  function handleUpdateRule() {
+    runAdminAction('Updating eligibility...', 'Eligibility rule updated', (contract, id) =>
+      contract.setEligibilityRule(id, encodeJurisdictions(rule.jurisdictions), rule.requiresAccreditation)
+    );
+  }
+
+  return (
+    <div className="form-group">
+      <label>Manage Listed Artwork:</label>
+      <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)} disabled={isLoading}>
+        <option value="">Choose artwork...</option>
+        {artworks.map((artwork) => (
+          <option key={artwork.id} value={artwork.id}>
+            {artwork.name}{artwork.fundingClosed ? ' (funding closed)' : artwork.isPaused ? ' (paused)' : ''}
+          </option>
+        ))}
+      </select>
+
+      {selected && (
+        <>
+          <div className="order-row">
+            <span>{selected.availableShares.toString()} of {selected.totalShares.toString()} shares unsold</span>
+            <button className="btn" onClick={handleTogglePause} disabled={isLoading || selected.fundingClosed}>
+              {selected.isPaused ? 'Resume' : 'Pause'}
+            </button>
+          </div>
+
+          <input
+            type="text"
+            value={edit.name}
+            onChange={(e) => setEdit(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Artwork name"
+            disabled={isLoading}
+          />
+          <input
+            type="text"
+            value={edit.artist}
+            onChange={(e) => setEdit(prev => ({ ...prev, artist: e.target.value }))}
+            placeholder="Artist"
+            disabled={isLoading}
+          />
+          <input
+            type="text"
+            value={edit.ipfsHash}
+            onChange={(e) => setEdit(prev => ({ ...prev, ipfsHash: e.target.value }))}
+            placeholder="Metadata CID"
+            disabled={isLoading}
+          />
+          <button className="btn" onClick={handleUpdateMetadata} disabled={isLoading}>
+            Update Details
+          </button>
+
+          <input
+            type="number"
+            value={edit.sharePrice}
+            onChange={(e) => setEdit(prev => ({ ...prev, sharePrice: e.target.value }))}
+            placeholder="New share price (ETH)"
+            step="0.001"
+            disabled={isLoading || selected.fundingClosed}
+          />
+          <button className="btn" onClick={handleUpdatePrice} disabled={isLoading || selected.fundingClosed}>
+            Reprice Unsold Shares
+          </button>
+
+          <button className="btn" onClick={handleCloseFunding} disabled={isLoading || selected.fundingClosed}>
+            Close Funding
+          </button>
+
+          <input
+            type="number"
+            value={edit.capPercent}
+            onChange={(e) => setEdit(prev => ({ ...prev, capPercent: e.target.value }))}
+            placeholder="Max ownership per investor (% of shares, empty = no cap)"
+            step="0.01"
+            min="0"
+            max="100"
+            disabled={isLoading}
+          />
+          <button className="btn" onClick={handleUpdateOwnershipCap} disabled={isLoading}>
+            Set Ownership Cap
+          </button>
+
+          <label>Eligible Jurisdictions (none selected: any):</label>
+          <div className="order-row">
+            {Object.keys(JURISDICTIONS).map(code => (
+              <label key={code}>
+                <input
+                  type="checkbox"
+                  checked={rule.jurisdictions.includes(code)}
+                  onChange={() => toggleRuleJurisdiction(code)}
+                  disabled={isLoading}
+                />
+                {code}
+              </label>
+            ))}
+          </div>
+          <label>
+            <input
+              type="checkbox"
+              checked={rule.requiresAccreditation}
+              onChange={(e) => setRule(prev => ({ ...prev, requiresAccreditation: e.target.checked }))}
+              disabled={isLoading}
+            />
+            Accredited investors only
+          </label>
+          <button className="btn" onClick={handleUpdateRule} disabled={isLoading}>
+            Update Eligibility
+          </button>
+        </>
+      )}
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,8 @@
 import { useEffect, useState } from 'react';
-import { useContract, type ArtworkInfo } from '../hooks/useContract';
+import { useContract, fetchAllArtworks, type ArtworkInfo } from '../hooks/useContract';
+import { fetchIndexedArtworks, type SaleStatus } from '../hooks/useIndexer';
+import { useArtworkMetadata, ipfsGatewayUrl } from '../hooks/useMetadata';
+import { describeError } from '../hooks/useErrors';
 import { ethers } from 'ethers';
 
 interface ArtworkGalleryProps {
@@ -7,14 +10,44 @@ interface ArtworkGalleryProps {
   refreshTrigger?: number;
 }
 
+interface SaleDisplay {
+  salePrice: bigint;
+  status: SaleStatus;
+  payouts: Array<{ account: string; amount: bigint }>;
+}
+
 interface ArtworkDisplay extends ArtworkInfo {
   id: number;
+  isPaused: boolean;
+  fundingClosed: boolean;
+  sale?: SaleDisplay;
+}
+
+// Order of the contract's SaleStatus enum
+const SALE_STATUSES: Array<SaleStatus | null> = [null, 'awaiting_proceeds', 'settling', 'settled', 'refunded', 'cancelled'];
+
+const SALE_LABELS: Record<SaleStatus, string> = {
+  awaiting_proceeds: 'Sold – awaiting proceeds',
+  settling: 'Sold – settling',
+  settled: 'Sold – settled',
+  refunded: 'Sold – refunded',
+  cancelled: 'Sale cancelled',
+};
+
+function statusBadge(artwork: ArtworkDisplay): { label: string; className: string } {
+  if (artwork.sale) return { label: 'Sold', className: 'sold' };
+  if (artwork.fundingClosed) return { label: 'Funding closed', className: 'closed' };
+  if (artwork.isPaused) return { label: 'Paused', className: 'paused' };
+  return { label: 'Open', className: 'open' };
 }
 
 export function ArtworkGallery({ onSelectArtwork, refreshTrigger }: ArtworkGalleryProps) {
-  const { contract } = useContract();
+  const { contract, contractWithSigner, userAddress } = useContract();
   const [artworks, setArtworks] = useState<ArtworkDisplay[]>([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const metadata = useArtworkMetadata(artworks.map(artwork => artwork.ipfsHash));
 
   useEffect(() => {
     loadArtworks();
@@ -25,27 +58,56 @@ export function ArtworkGallery({ onSelectArtwork, refreshTrigger }: ArtworkGalle
 
     setIsLoading(true);
     try {
-      const contractInstance = await contract;
-      const [totalArtworks] = await contractInstance.getTotalStats();
+      const indexed = await fetchIndexedArtworks(true);
+      if (indexed) {
+        setArtworks(indexed.map(artwork => ({
+          id: artwork.id,
+          name: artwork.name,
+          artist: artwork.artist,
+          ipfsHash: artwork.ipfsHash,
+          totalValue: BigInt(artwork.totalValue),
+          sharePrice: BigInt(artwork.sharePrice),
+          totalShares: BigInt(artwork.totalShares),
+          availableShares: BigInt(artwork.availableShares),
+          investorCount: BigInt(artwork.investorCount),
+          isPaused: artwork.isPaused,
+          fundingClosed: artwork.fundingClosed,
+          // A cancelled sale reopened the artwork
+          sale: artwork.sale && artwork.sale.status !== 'cancelled' ? {
+            salePrice: BigInt(artwork.sale.salePrice),
+            status: artwork.sale.status,
+            payouts: artwork.sale.payouts.map(payout => ({ account: payout.account, amount: BigInt(payout.amount) })),
+          } : undefined,
+        })));
+        return;
+      }
 
+      const contractInstance = await contract;
       const artworksList: ArtworkDisplay[] = [];
 
-      for (let i = 0; i < Number(totalArtworks); i++) {
+      for (const artwork of await fetchAllArtworks(contractInstance)) {
+        if (artwork.isActive) {
+          artworksList.push(artwork);
+          continue;
+        }
+
+        // Inactive artworks are shown only once sold, with their settlement
         try {
-          const artworkInfo = await contractInstance.getArtworkInfo(i);
+          const sale = await contractInstance.artworkSales(artwork.id);
+          const saleStatus = SALE_STATUSES[Number(sale.status)];
+          if (!saleStatus) continue;
+
+          const [accounts, amounts] = await contractInstance.getSalePayouts(artwork.id);
           artworksList.push({
-            id: i,
-            name: artworkInfo.name,
-            artist: artworkInfo.artist,
-            ipfsHash: artworkInfo.ipfsHash,
-            totalValue: artworkInfo.totalValue,
-            sharePrice: artworkInfo.sharePrice,
-            totalShares: artworkInfo.totalShares,
-            availableShares: artworkInfo.availableShares,
-            investorCount: artworkInfo.investorCount,
+            ...artwork,
+            sale: {
+              salePrice: sale.salePrice,
+              status: saleStatus,
+              payouts: accounts.map((account, index) => ({ account, amount: amounts[index] })),
+            },
           });
         } catch (error) {
-          console.error(`Failed to load artwork ${i}:`, error);
+          console.error(`Failed to load sale of artwork ${artwork.id}:`, error);
         }
       }
 
@@ -57,6 +119,45 @@ export function ArtworkGallery({ onSelectArtwork, refreshTrigger }: ArtworkGalle
     }
   }
 
+  // Treasurers can cancel a sale awaiting its proceeds, anyone once the deposit window closes;
+  // holders claim their share of a refunded settlement into their encrypted balance
+  async function handleSaleAction(artworkId: number, action: 'cancel' | 'refund') {
+    if (!contractWithSigner) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    setIsSending(true);
+    setStatus({ message: action === 'cancel' ? 'Cancelling sale...' : 'Claiming sale refund...', type: 'info' });
+
+    try {
+      const contractInstance = await contractWithSigner;
+      if (!contractInstance) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = action === 'cancel'
+        ? await contractInstance.cancelSale(artworkId)
+        : await contractInstance.claimSaleRefund(artworkId);
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({
+        message: action === 'cancel'
+          ? 'Sale cancelled, the artwork is open again'
+          : 'Refund credited to your encrypted balance. Withdraw it with Claim Returns.',
+        type: 'success',
+      });
+      await loadArtworks();
+    } catch (error: any) {
+      console.error('Sale action failed:', error);
+      setStatus({ message: `Transaction failed: ${describeError(error)}`, type: 'error' });
+    } finally {
+      setIsSending(false);
+    }
+  }
+
   function handleInvestClick(artworkId: number) {
     if (onSelectArtwork) {
       onSelectArtwork(artworkId);
@@ -102,12 +203,45 @@ export function ArtworkGallery({ onSelectArtwork, refreshTrigger }: ArtworkGalle
             </div>
           </div>
         ) : (
-          artworks.map((artwork) => (
+          artworks.map((artwork) => {
+            const details = metadata[artwork.ipfsHash];
+            const facts = details && [details.year, details.medium, details.dimensions].filter(Boolean).join(' · ');
+            const badge = statusBadge(artwork);
+
+            return (
             <div key={artwork.id} className="artwork-card">
-              <div className="artwork-image">🎨</div>
+              <div className="artwork-image">
+                {details ? <img src={ipfsGatewayUrl(details.image)} alt={details.name} /> : '🎨'}
+              </div>
               <div className="artwork-info">
-                <div className="artwork-title">{artwork.name}</div>
+                <div className="artwork-title">
+                  {artwork.name}
+                  <span className={`status-badge ${badge.className}`}>{badge.label}</span>
+                </div>
                 <div className="artwork-artist">by {artwork.artist}</div>
+                {details && (
+                  <div className="artwork-details">
+                    {facts && <div className="artwork-facts">{facts}</div>}
+                    <p>{details.description}</p>
+                    {details.provenance && details.provenance.length > 0 && (
+                      <div className="artwork-provenance">
+                        Provenance: {details.provenance.map(entry =>
+                          [entry.owner, [entry.from, entry.to].filter(Boolean).join('–')].filter(Boolean).join(', ')
+                        ).join('; ')}
+                      </div>
+                    )}
+                    {details.appraisals?.map((appraisal, index) => (
+                      <div key={index} className="artwork-appraisal">
+                        Appraised by {appraisal.appraiser}
+                        {appraisal.value && ` at ${appraisal.value} ${appraisal.currency || ''}`}
+                        {appraisal.date && ` (${appraisal.date})`}
+                        {appraisal.document && (
+                          <> – <a href={ipfsGatewayUrl(appraisal.document)} target="_blank" rel="noreferrer">report</a></>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
                 <div className="artwork-stats">
                   <div className="stat">
                     <div className="stat-value">{ethers.formatEther(artwork.totalValue)} ETH</div>
@@ -122,17 +256,55 @@ export function ArtworkGallery({ onSelectArtwork, refreshTrigger }: ArtworkGalle
                     <div className="stat-label">Investors</div>
                   </div>
                 </div>
-                <button
-                  className="invest-btn"
-                  onClick={() => handleInvestClick(artwork.id)}
-                >
-                  Invest ({ethers.formatEther(artwork.sharePrice)} ETH/share)
-                </button>
+                {artwork.sale ? (
+                  <div className="sale-settlement">
+                    <div className="sale-status">
+                      {SALE_LABELS[artwork.sale.status]} for {ethers.formatEther(artwork.sale.salePrice)} ETH
+                    </div>
+                    {artwork.sale.payouts
+                      .filter(payout => payout.amount > 0n)
+                      .map(payout => (
+                        <div key={payout.account} className="order-row">
+                          <span>
+                            {payout.account.toLowerCase() === userAddress?.toLowerCase()
+                              ? 'You'
+                              : `${payout.account.slice(0, 6)}...${payout.account.slice(-4)}`}
+                          </span>
+                          <span>{ethers.formatEther(payout.amount)} ETH</span>
+                        </div>
+                      ))}
+                    {artwork.sale.status === 'awaiting_proceeds' && (
+                      <button className="btn" onClick={() => handleSaleAction(artwork.id, 'cancel')} disabled={isSending}>
+                        Cancel Sale
+                      </button>
+                    )}
+                    {artwork.sale.status === 'refunded' && (
+                      <button className="btn" onClick={() => handleSaleAction(artwork.id, 'refund')} disabled={isSending}>
+                        Claim My Refund
+                      </button>
+                    )}
+                  </div>
+                ) : (
+                  <button
+                    className="invest-btn"
+                    onClick={() => handleInvestClick(artwork.id)}
+                    disabled={artwork.isPaused || artwork.fundingClosed}
+                  >
+                    Invest ({ethers.formatEther(artwork.sharePrice)} ETH/share)
+                  </button>
+                )}
               </div>
             </div>
-          ))
+            );
+          })
         )}
       </div>
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,79 +1,164 @@
 import { useState } from 'react';
 import { useContract } from '../hooks/useContract';
+import { useRoles } from '../hooks/useRoles';
+import { isWholeValueUnit } from '@shared/units.mjs';
+import { useTransactions } from '../hooks/useTransactions';
+import { describeError } from '../hooks/useErrors';
+import { ArtworkAdmin } from './ArtworkAdmin';
+import { TreasuryControls } from './TreasuryControls';
+import { GuardianControls } from './GuardianControls';
+import { RoleManagement } from './RoleManagement';
+import { isValidCid, normalizeCid } from '@shared/cid.mjs';
+import { METADATA_SCHEMA_VERSION, type ArtworkMetadata } from '@shared/metadata.mjs';
+import { getPinningClient, pinMetadata } from '../hooks/useMetadata';
 import { ethers } from 'ethers';
 
 interface ArtworkManagementProps {
   onArtworkListed?: () => void;
 }
 
+const EMPTY_FORM = {
+  name: '',
+  artist: '',
+  ipfsHash: '',
+  description: '',
+  year: '',
+  medium: '',
+  dimensions: '',
+  provenance: '',
+  appraiser: '',
+  appraisalValue: '',
+  appraisalCurrency: 'USD',
+  appraisalDate: '',
+  totalValue: '',
+  sharePrice: '',
+  totalShares: '',
+};
+
+// One provenance entry per line: "owner, from, to"
+function parseProvenance(text: string) {
+  return text
+    .split('\n')
+    .map(line => line.split(',').map(part => part.trim()))
+    .filter(([owner]) => owner)
+    .map(([owner, from, to]) => ({ owner, ...(from && { from }), ...(to && { to }) }));
+}
+
 export function ArtworkManagement({ onArtworkListed }: ArtworkManagementProps) {
   const { contractWithSigner } = useContract();
-  const [formData, setFormData] = useState({
-    name: '',
-    artist: '',
-    ipfsHash: '',
-    totalValue: '',
-    sharePrice: '',
-    totalShares: '',
-  });
+  const { send } = useTransactions();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [imageFile, setImageFile] = useState<File | null>(null);
+  const [appraisalFile, setAppraisalFile] = useState<File | null>(null);
   const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [listedCount, setListedCount] = useState(0);
+  const [rolesVersion, setRolesVersion] = useState(0);
+  // Controls are shown per role the wallet holds on-chain
+  const roles = useRoles(rolesVersion);
+  const hasAnyRole = Object.values(roles).some(Boolean);
 
   function handleInputChange(field: string, value: string) {
     setFormData(prev => ({ ...prev, [field]: value }));
   }
 
+  // Pin the image, appraisal report and metadata document; resolves to the metadata CID
+  async function uploadMetadata(): Promise<string> {
+    const client = getPinningClient();
+    if (!client) {
+      throw new Error('No IPFS API configured; set VITE_IPFS_API_URL or enter a metadata CID');
+    }
+
+    setStatus({ message: 'Uploading image to IPFS...', type: 'info' });
+    const imageCid = await client.add(imageFile!, imageFile!.name);
+
+    const metadata: ArtworkMetadata = {
+      schemaVersion: METADATA_SCHEMA_VERSION,
+      name: formData.name,
+      artist: formData.artist,
+      description: formData.description,
+      image: `ipfs://${imageCid}`,
+    };
+    if (formData.year) metadata.year = Number(formData.year);
+    if (formData.medium) metadata.medium = formData.medium;
+    if (formData.dimensions) metadata.dimensions = formData.dimensions;
+
+    const provenance = parseProvenance(formData.provenance);
+    if (provenance.length > 0) metadata.provenance = provenance;
+
+    if (formData.appraiser) {
+      const documentCid = appraisalFile && await client.add(appraisalFile, appraisalFile.name);
+      metadata.appraisals = [{
+        appraiser: formData.appraiser,
+        ...(formData.appraisalValue && { value: formData.appraisalValue, currency: formData.appraisalCurrency }),
+        ...(formData.appraisalDate && { date: formData.appraisalDate }),
+        ...(documentCid && { document: `ipfs://${documentCid}` }),
+      }];
+    }
+
+    setStatus({ message: 'Pinning artwork metadata...', type: 'info' });
+    return pinMetadata(client, metadata);
+  }
+
   async function handleListArtwork() {
     if (!contractWithSigner) {
       setStatus({ message: 'Please connect your wallet first', type: 'error' });
       return;
     }
 
-    const { name, artist, ipfsHash, totalValue, sharePrice, totalShares } = formData;
+    const { name, artist, totalValue, sharePrice, totalShares } = formData;
+    const existingCid = normalizeCid(formData.ipfsHash);
 
-    if (!name || !artist || !ipfsHash || !totalValue || !sharePrice || !totalShares) {
-      setStatus({ message: 'Please fill all fields', type: 'error' });
+    if (!name || !artist || !totalValue || !sharePrice || !totalShares) {
+      setStatus({ message: 'Please fill all required fields', type: 'error' });
       return;
     }
 
-    setIsLoading(true);
-    setStatus({ message: 'Listing artwork...', type: 'info' });
+    // Encrypted values are kept in gwei, so the contract only accepts whole-gwei prices
+    if (!isWholeValueUnit(ethers.parseEther(sharePrice))) {
+      setStatus({ message: 'Share price must be a whole number of gwei (at most 9 decimals)', type: 'error' });
+      return;
+    }
 
-    try {
-      const contract = await contractWithSigner;
-      const totalValueWei = ethers.parseEther(totalValue);
-      const sharePriceWei = ethers.parseEther(sharePrice);
+    // Either an already pinned metadata document or the fields to build one
+    if (existingCid && !isValidCid(existingCid)) {
+      setStatus({ message: `Invalid IPFS CID: ${formData.ipfsHash}`, type: 'error' });
+      return;
+    }
+    if (!existingCid && (!formData.description || !imageFile)) {
+      setStatus({ message: 'Add a description and image, or enter an existing metadata CID', type: 'error' });
+      return;
+    }
 
-      const tx = await contract.listArtwork(
-        name,
-        artist,
-        ipfsHash,
-        totalValueWei,
-        sharePriceWei,
-        totalShares
-      );
+    setIsLoading(true);
 
-      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+    try {
+      const ipfsHash = existingCid || await uploadMetadata();
+      if (!isValidCid(ipfsHash)) {
+        throw new Error(`Pinning service returned an invalid CID: ${ipfsHash}`);
+      }
+      setStatus(null);
 
-      await tx.wait();
-      setStatus({ message: 'Artwork listed successfully!', type: 'success' });
+      const receipt = await send({
+        label: 'Listing',
+        successMessage: `${name} listed successfully!`,
+        method: contract => contract.listArtwork,
+        args: [name, artist, ipfsHash, ethers.parseEther(totalValue), ethers.parseEther(sharePrice), totalShares],
+      });
+      if (!receipt) return;
 
       // Clear form
-      setFormData({
-        name: '',
-        artist: '',
-        ipfsHash: '',
-        totalValue: '',
-        sharePrice: '',
-        totalShares: '',
-      });
+      setFormData(EMPTY_FORM);
+      setImageFile(null);
+      setAppraisalFile(null);
+      setListedCount(prev => prev + 1);
 
       if (onArtworkListed) {
         onArtworkListed();
       }
     } catch (error: any) {
-      console.error('Listing failed:', error);
-      setStatus({ message: `Listing failed: ${error.message}`, type: 'error' });
+      console.error('Metadata upload failed:', error);
+      setStatus({ message: `Metadata upload failed: ${describeError(error)}`, type: 'error' });
     } finally {
       setIsLoading(false);
     }
@@ -83,86 +168,194 @@ export function ArtworkManagement({ onArtworkListed }: ArtworkManagementProps) {
     <div className="card">
       <h3>Artwork Management</h3>
 
-      <div className="form-group">
-        <label>Artwork Name:</label>
-        <input
-          type="text"
-          value={formData.name}
-          onChange={(e) => handleInputChange('name', e.target.value)}
-          placeholder="Enter artwork name"
-          disabled={isLoading}
-        />
-      </div>
-
-      <div className="form-group">
-        <label>Artist:</label>
-        <input
-          type="text"
-          value={formData.artist}
-          onChange={(e) => handleInputChange('artist', e.target.value)}
-          placeholder="Enter artist name"
-          disabled={isLoading}
-        />
-      </div>
-
-      <div className="form-group">
-        <label>IPFS Hash:</label>
-        <input
-          type="text"
-          value={formData.ipfsHash}
-          onChange={(e) => handleInputChange('ipfsHash', e.target.value)}
-          placeholder="Enter artwork IPFS hash"
-          disabled={isLoading}
-        />
-      </div>
-
-      <div className="form-group">
-        <label>Total Value (ETH):</label>
-        <input
-          type="number"
-          value={formData.totalValue}
-          onChange={(e) => handleInputChange('totalValue', e.target.value)}
-          placeholder="0.0"
-          step="0.001"
-          disabled={isLoading}
-        />
-      </div>
-
-      <div className="form-group">
-        <label>Share Price (ETH):</label>
-        <input
-          type="number"
-          value={formData.sharePrice}
-          onChange={(e) => handleInputChange('sharePrice', e.target.value)}
-          placeholder="0.0"
-          step="0.001"
-          disabled={isLoading}
-        />
-      </div>
-
-      <div className="form-group">
-        <label>Total Shares:</label>
-        <input
-          type="number"
-          value={formData.totalShares}
-          onChange={(e) => handleInputChange('totalShares', e.target.value)}
-          placeholder="100"
-          min="1"
-          disabled={isLoading}
-        />
-      </div>
-
-      <div className="form-group">
-        <button className="btn" onClick={handleListArtwork} disabled={isLoading}>
-          {isLoading ? 'Listing...' : 'List Artwork'}
-        </button>
-      </div>
-
-      {status && (
-        <div className={`status ${status.type}`}>
-          {status.message}
-        </div>
+      {roles.isCurator && (
+        <>
+          <div className="form-group">
+            <label>Artwork Name:</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => handleInputChange('name', e.target.value)}
+              placeholder="Enter artwork name"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Artist:</label>
+            <input
+              type="text"
+              value={formData.artist}
+              onChange={(e) => handleInputChange('artist', e.target.value)}
+              placeholder="Enter artist name"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Description:</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => handleInputChange('description', e.target.value)}
+              placeholder="Describe the artwork"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Image:</label>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setImageFile(e.target.files?.[0] ?? null)}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Year, Medium, Dimensions (optional):</label>
+            <input
+              type="number"
+              value={formData.year}
+              onChange={(e) => handleInputChange('year', e.target.value)}
+              placeholder="1889"
+              disabled={isLoading}
+            />
+            <input
+              type="text"
+              value={formData.medium}
+              onChange={(e) => handleInputChange('medium', e.target.value)}
+              placeholder="Oil on canvas"
+              disabled={isLoading}
+            />
+            <input
+              type="text"
+              value={formData.dimensions}
+              onChange={(e) => handleInputChange('dimensions', e.target.value)}
+              placeholder="73.7 x 92.1 cm"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Provenance (optional, one "owner, from, to" per line):</label>
+            <textarea
+              value={formData.provenance}
+              onChange={(e) => handleInputChange('provenance', e.target.value)}
+              placeholder="Private collection, 1950, 2010"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Appraisal (optional):</label>
+            <input
+              type="text"
+              value={formData.appraiser}
+              onChange={(e) => handleInputChange('appraiser', e.target.value)}
+              placeholder="Appraiser"
+              disabled={isLoading}
+            />
+            <input
+              type="text"
+              value={formData.appraisalValue}
+              onChange={(e) => handleInputChange('appraisalValue', e.target.value)}
+              placeholder="Appraised value"
+              disabled={isLoading}
+            />
+            <input
+              type="text"
+              value={formData.appraisalCurrency}
+              onChange={(e) => handleInputChange('appraisalCurrency', e.target.value)}
+              placeholder="USD"
+              disabled={isLoading}
+            />
+            <input
+              type="date"
+              value={formData.appraisalDate}
+              onChange={(e) => handleInputChange('appraisalDate', e.target.value)}
+              disabled={isLoading}
+            />
+            <input
+              type="file"
+              accept="application/pdf,image/*"
+              onChange={(e) => setAppraisalFile(e.target.files?.[0] ?? null)}
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Metadata CID (optional):</label>
+            <input
+              type="text"
+              value={formData.ipfsHash}
+              onChange={(e) => handleInputChange('ipfsHash', e.target.value)}
+              placeholder="Leave empty to upload the details above"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Total Value (ETH):</label>
+            <input
+              type="number"
+              value={formData.totalValue}
+              onChange={(e) => handleInputChange('totalValue', e.target.value)}
+              placeholder="0.0"
+              step="0.001"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Share Price (ETH):</label>
+            <input
+              type="number"
+              value={formData.sharePrice}
+              onChange={(e) => handleInputChange('sharePrice', e.target.value)}
+              placeholder="0.0"
+              step="0.001"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Total Shares:</label>
+            <input
+              type="number"
+              value={formData.totalShares}
+              onChange={(e) => handleInputChange('totalShares', e.target.value)}
+              placeholder="100"
+              min="1"
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <button className="btn" onClick={handleListArtwork} disabled={isLoading}>
+              {isLoading ? 'Listing...' : 'List Artwork'}
+            </button>
+          </div>
+
+          {status && (
+            <div className={`status ${status.type}`}>
+              {status.message}
+            </div>
+          )}
+
+          <ArtworkAdmin refreshTrigger={listedCount} onArtworkUpdated={onArtworkListed} />
+        </>
       )}
+
+      {roles.isTreasurer && <TreasuryControls refreshTrigger={listedCount} onTreasuryAction={onArtworkListed} />}
+
+      {roles.isGuardian && <GuardianControls refreshTrigger={listedCount} onGuardianAction={onArtworkListed} />}
+
+      {(roles.isAdmin || roles.isOwner || roles.isPendingOwner) && (
+        <RoleManagement roles={roles} onRolesChanged={() => setRolesVersion(prev => prev + 1)} />
+      )}
+
+      {!hasAnyRole && <p>The connected wallet holds no management roles.</p>}
     </div>
   );
 }
@@ -0,0 +1,122 @@
+import { useEffect, useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import { ethers } from 'ethers';
+
+interface ClaimsProps {
+  refreshTrigger?: number;
+  onClaimComplete?: () => void;
+}
+
+interface PendingClaim {
+  artworkId: number;
+  artworkName: string;
+  requestId: bigint;
+  amount: bigint;
+}
+
+// Sale proceeds and refunds are credited by the contract in plaintext and withdrawn here;
+// returns accrue to the encrypted balance in ConfidentialReturns
+export function Claims({ refreshTrigger, onClaimComplete }: ClaimsProps) {
+  const { contract, contractWithSigner, userAddress } = useContract();
+  const [claims, setClaims] = useState<PendingClaim[]>([]);
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadClaims();
+  }, [contract, userAddress, refreshTrigger]);
+
+  async function loadClaims() {
+    if (!contract || !userAddress) return;
+
+    try {
+      const contractInstance = await contract;
+      const credits = await contractInstance.getPendingClaims(userAddress);
+
+      const names = new Map<number, string>();
+      const pending: PendingClaim[] = [];
+      for (const credit of credits) {
+        const artworkId = Number(credit.artworkId);
+        if (!names.has(artworkId)) {
+          names.set(artworkId, (await contractInstance.artworks(artworkId)).name);
+        }
+        pending.push({
+          artworkId,
+          artworkName: names.get(artworkId)!,
+          requestId: credit.requestId,
+          amount: credit.amount,
+        });
+      }
+
+      setClaims(pending);
+    } catch (error) {
+      console.error('Failed to load pending claims:', error);
+    }
+  }
+
+  async function handleClaim() {
+    if (!contractWithSigner || !userAddress) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: 'Claiming payouts...', type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = await contract.claim();
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({ message: 'Payouts claimed and sent to your wallet!', type: 'success' });
+
+      await loadClaims();
+      if (onClaimComplete) {
+        onClaimComplete();
+      }
+    } catch (error: any) {
+      console.error('Claim failed:', error);
+      setStatus({ message: `Claim failed: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  const total = claims.reduce((sum, claim) => sum + claim.amount, 0n);
+
+  return (
+    <div className="form-group">
+      <label>Sale Payouts and Refunds:</label>
+      {claims.length === 0 ? (
+        <p>Nothing waiting to be claimed</p>
+      ) : (
+        claims.map((claim, index) => (
+          <div key={index} className="order-row">
+            <span>{claim.artworkName} (request #{claim.requestId.toString()})</span>
+            <span>{ethers.formatEther(claim.amount)} ETH</span>
+          </div>
+        ))
+      )}
+
+      <button
+        className="btn"
+        onClick={handleClaim}
+        disabled={isLoading || total === 0n}
+      >
+        {isLoading ? 'Claiming...' : `Claim Payouts${total > 0n ? ` (${ethers.formatEther(total)} ETH)` : ''}`}
+      </button>
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
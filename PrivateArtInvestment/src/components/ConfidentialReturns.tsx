@@ -0,0 +1,136 @@
+import { useEffect, useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import { useDecrypt } from '../hooks/useLocalFhe';
+import { ethers } from 'ethers';
+import { formatValueUnits, fromValueUnits, isWholeValueUnit } from '@shared/units.mjs';
+
+interface ConfidentialReturnsProps {
+  refreshTrigger?: number;
+  onClaimComplete?: () => void;
+}
+
+// Returns accrue to an encrypted balance only this wallet can decrypt. A claim debits it
+// under encryption and the Gateway callback sends the ETH, so only the claimed amount is public.
+export function ConfidentialReturns({ refreshTrigger, onClaimComplete }: ConfidentialReturnsProps) {
+  const { contract, contractWithSigner, userAddress } = useContract();
+  const { decrypt, isDecrypting } = useDecrypt();
+  const [balance, setBalance] = useState<bigint | null>(null);
+  const [amount, setAmount] = useState('');
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // The decrypted balance belongs to one wallet and goes stale after any distribution or claim
+  useEffect(() => {
+    setBalance(null);
+    setAmount('');
+  }, [userAddress, refreshTrigger]);
+
+  useEffect(() => {
+    setStatus(null);
+  }, [userAddress]);
+
+  async function handleDecrypt() {
+    if (!contract || !userAddress) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    try {
+      const encrypted = await (await contract).getEncryptedClaimable(userAddress);
+      // Never credited: the handle is still empty
+      const units = encrypted.handle === ethers.ZeroHash ? 0n : BigInt(await decrypt(encrypted.handle));
+
+      setBalance(units);
+      setAmount(ethers.formatEther(fromValueUnits(units)));
+      setStatus({ message: 'Balance decrypted locally. It is not stored or shared.', type: 'success' });
+    } catch (error: any) {
+      console.error('Decryption failed:', error);
+      setStatus({ message: `Decryption failed: ${error.message}`, type: 'error' });
+    }
+  }
+
+  async function handleClaim() {
+    if (!contractWithSigner || !userAddress) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    let wei: bigint;
+    try {
+      wei = ethers.parseEther(amount);
+    } catch {
+      setStatus({ message: 'Enter the amount to claim in ETH', type: 'error' });
+      return;
+    }
+
+    if (wei === 0n || !isWholeValueUnit(wei)) {
+      setStatus({ message: 'The amount must be a positive whole number of gwei', type: 'error' });
+      return;
+    }
+
+    if (balance !== null && wei > fromValueUnits(balance)) {
+      setStatus({ message: 'The amount is above your balance, so the claim would pay nothing', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: 'Requesting claim...', type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = await contract.requestConfidentialClaim(wei);
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({
+        message: 'Claim requested. The ETH arrives once the Gateway confirms your balance covers it.',
+        type: 'success',
+      });
+
+      if (onClaimComplete) {
+        onClaimComplete();
+      }
+    } catch (error: any) {
+      console.error('Confidential claim failed:', error);
+      setStatus({ message: `Claim failed: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  return (
+    <div className="form-group">
+      <label>Returns Balance:</label>
+      <input
+        type="text"
+        value={balance === null ? '🔐 Encrypted' : formatValueUnits(balance)}
+        readOnly
+      />
+      <button className="btn" onClick={handleDecrypt} disabled={isDecrypting}>
+        {isDecrypting ? 'Decrypting...' : 'Decrypt My Returns'}
+      </button>
+
+      <input
+        type="number"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        placeholder="Amount to claim (ETH)"
+        disabled={isLoading}
+      />
+      <button className="btn" onClick={handleClaim} disabled={isLoading || amount === ''}>
+        {isLoading ? 'Claiming...' : 'Claim Returns'}
+      </button>
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
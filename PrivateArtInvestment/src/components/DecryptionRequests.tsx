@@ -0,0 +1,199 @@
+import { useEffect, useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import {
+  fetchDecryptionRequests,
+  formatDuration,
+  refundOptions,
+  type DecryptionRequestKind,
+  type DecryptionRequestRecord,
+} from '@shared/decryption-requests.mjs';
+import { useRoles } from '../hooks/useRoles';
+import { type PrivateArtInvestment } from '../typechain-types';
+import { ethers } from 'ethers';
+
+interface DecryptionRequestsProps {
+  refreshTrigger?: number;
+  onRefund?: () => void;
+}
+
+const KIND_LABELS: Record<DecryptionRequestKind, string> = {
+  sale: 'Sale settlement',
+  returns: 'Returns round total',
+};
+
+function formatDeadline(timestamp: bigint, now: bigint): string {
+  const date = new Date(Number(timestamp) * 1000).toLocaleString();
+  return timestamp > now ? `in ${formatDuration(timestamp - now)} (${date})` : `passed ${date}`;
+}
+
+// Operations view of every Gateway decryption request: live countdowns to the callback
+// timeout and the end of the emergency refund window, one-click refunds, and who got what
+export function DecryptionRequests({ refreshTrigger, onRefund }: DecryptionRequestsProps) {
+  const { contract, contractWithSigner, deployment, userAddress } = useContract();
+  const { isGuardian } = useRoles(refreshTrigger);
+  const [requests, setRequests] = useState<DecryptionRequestRecord[]>([]);
+  // Chain time minus wall-clock time, so countdowns follow block timestamps
+  const [clockOffset, setClockOffset] = useState(0n);
+  const [now, setNow] = useState(BigInt(Math.floor(Date.now() / 1000)));
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadRequests();
+  }, [contract, refreshTrigger]);
+
+  useEffect(() => {
+    const tick = () => setNow(BigInt(Math.floor(Date.now() / 1000)) + clockOffset);
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [clockOffset]);
+
+  async function loadRequests() {
+    if (!contract) return;
+
+    try {
+      const contractInstance = await contract;
+      const [records, block] = await Promise.all([
+        fetchDecryptionRequests(contractInstance, { fromBlock: deployment?.deploymentBlock ?? 0 }),
+        contractInstance.runner?.provider?.getBlock('latest'),
+      ]);
+
+      setRequests(records);
+      if (block) {
+        setClockOffset(BigInt(block.timestamp) - BigInt(Math.floor(Date.now() / 1000)));
+      }
+    } catch (error) {
+      console.error('Failed to load decryption requests:', error);
+    }
+  }
+
+  async function runRefund(
+    request: DecryptionRequestRecord,
+    send: (contract: PrivateArtInvestment) => Promise<ethers.ContractTransactionResponse>
+  ) {
+    if (!contractWithSigner) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: request.kind === 'sale' ? 'Refunding request...' : 'Expiring round...', type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = await send(contract);
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({
+        message: request.kind === 'sale'
+          ? 'Sale proceeds refunded: holders claim their pro-rata share from the gallery'
+          : 'Round expired: holders keep their payouts and the rest went back to the treasury',
+        type: 'success',
+      });
+
+      await loadRequests();
+      if (onRefund) {
+        onRefund();
+      }
+    } catch (error: any) {
+      console.error('Refund failed:', error);
+      setStatus({ message: `Refund failed: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  function renderOutcome(request: DecryptionRequestRecord) {
+    if (request.status === 'processed') {
+      return <div className="round-date">✅ Processed by the Gateway callback</div>;
+    }
+
+    if (request.status === 'refunded') {
+      return (
+        <>
+          <div className="round-date">↩️ Refunded: {request.failureReason}</div>
+          {request.refunds.map((refund) => (
+            <div key={refund.investor} className="order-row">
+              <span>
+                {refund.investor.substring(0, 6)}...{refund.investor.substring(38)}
+                {userAddress && refund.investor.toLowerCase() === userAddress.toLowerCase() && ' (you)'}
+              </span>
+              <span>{ethers.formatEther(refund.amount)} ETH</span>
+            </div>
+          ))}
+        </>
+      );
+    }
+
+    const available = refundOptions(request, now);
+    return (
+      <>
+        <div className="order-row">
+          <span>Callback timeout</span>
+          <span>{formatDeadline(request.timeoutAt, now)}</span>
+        </div>
+        <div className="order-row">
+          <span>Emergency refund window</span>
+          <span>{formatDeadline(request.refundWindowEndsAt, now)}</span>
+        </div>
+        {request.kind === 'returns' && (
+          <div className="round-date">A refund expires the round: holders keep their payouts</div>
+        )}
+        <div className="order-row">
+          <button
+            className="btn"
+            onClick={() => runRefund(request, contract => contract.requestRefundForFailedDecryption(request.requestId))}
+            disabled={isLoading || !available.refund}
+          >
+            Refund
+          </button>
+          {isGuardian && (
+            <button
+              className="btn"
+              onClick={() => runRefund(request, contract => contract.emergencyRefund(request.requestId))}
+              disabled={isLoading || !available.emergencyRefund}
+            >
+              Emergency Refund
+            </button>
+          )}
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="card decryption-requests">
+      <h3>Decryption Requests</h3>
+
+      {requests.length === 0 ? (
+        <p>No decryption requests yet</p>
+      ) : (
+        requests.map((request) => (
+          <div key={request.requestId.toString()} className="sale-settlement">
+            <div className="sale-status">
+              #{request.requestId.toString()}: {KIND_LABELS[request.kind]} for artwork {request.artworkId}
+              {' '}– {ethers.formatEther(request.amount)} ETH
+            </div>
+            <div className="round-date">
+              Requested {new Date(Number(request.requestedAt) * 1000).toLocaleString()}
+            </div>
+            {renderOutcome(request)}
+          </div>
+        ))
+      )}
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
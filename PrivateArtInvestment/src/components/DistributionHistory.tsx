@@ -0,0 +1,178 @@
+import { useEffect, useState } from 'react';
+import { useDecrypt } from '../hooks/useLocalFhe';
+import {
+  useContract,
+  fetchAllArtworks,
+  fetchDistributionRounds,
+  type ArtworkRecord,
+  type DistributionRoundRecord,
+  type RoundStatus,
+} from '../hooks/useContract';
+import { formatValueUnits } from '@shared/units.mjs';
+import { ethers } from 'ethers';
+
+interface DistributionHistoryProps {
+  refreshTrigger?: number;
+}
+
+const ROUND_LABELS: Record<RoundStatus, string> = {
+  crediting: 'Crediting holders',
+  pending: 'Credited – total not yet decrypted',
+  distributed: 'Distributed',
+  expired: 'Expired – total never decrypted',
+};
+
+// Every returns distribution round of an artwork. Payouts are encrypted, so each holder
+// can only decrypt their own; everyone sees the per-share amount and the round total.
+export function DistributionHistory({ refreshTrigger }: DistributionHistoryProps) {
+  const { contract, contractWithSigner, userAddress } = useContract();
+  const { decrypt, isDecrypting } = useDecrypt();
+  const [artworks, setArtworks] = useState<ArtworkRecord[]>([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [rounds, setRounds] = useState<DistributionRoundRecord[]>([]);
+  const [payouts, setPayouts] = useState<Record<number, bigint>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCrediting, setIsCrediting] = useState(false);
+
+  // Decrypted payouts belong to one wallet and one artwork
+  useEffect(() => {
+    setPayouts({});
+  }, [userAddress, selectedId]);
+
+  useEffect(() => {
+    loadArtworks();
+  }, [contract, refreshTrigger]);
+
+  useEffect(() => {
+    loadRounds();
+  }, [contract, selectedId, refreshTrigger]);
+
+  async function loadArtworks() {
+    if (!contract) return;
+
+    try {
+      setArtworks(await fetchAllArtworks(await contract));
+    } catch (error) {
+      console.error('Failed to load artworks:', error);
+    }
+  }
+
+  async function loadRounds() {
+    if (!contract || selectedId === '') {
+      setRounds([]);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      setRounds(await fetchDistributionRounds(await contract, Number(selectedId)));
+    } catch (error) {
+      console.error('Failed to load distribution rounds:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  // Large rounds credit their holders in batches; anyone may send the next one
+  async function handleContinueRound(roundId: number) {
+    if (!contractWithSigner) return;
+
+    setIsCrediting(true);
+    try {
+      const contractInstance = await contractWithSigner;
+      if (!contractInstance) return;
+
+      await (await contractInstance.continueReturnsDistribution(roundId)).wait();
+      await loadRounds();
+    } catch (error) {
+      console.error('Failed to credit the next batch:', error);
+    } finally {
+      setIsCrediting(false);
+    }
+  }
+
+  async function handleDecryptPayouts() {
+    if (!contract || !userAddress) return;
+
+    try {
+      const contractInstance = await contract;
+      const results: Record<number, bigint> = {};
+      for (const round of rounds) {
+        const payout = await contractInstance.getRoundPayout(round.id, userAddress);
+        // Rounds opened before this wallet held shares have no payout for it
+        results[round.id] = payout.handle === ethers.ZeroHash ? 0n : BigInt(await decrypt(payout.handle));
+      }
+      setPayouts(results);
+    } catch (error) {
+      console.error('Failed to decrypt payouts:', error);
+    }
+  }
+
+  return (
+    <div className="card distribution-history">
+      <h3>Distribution History</h3>
+      <div className="form-group">
+        <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+          <option value="">Choose artwork...</option>
+          {artworks.map((artwork) => (
+            <option key={artwork.id} value={artwork.id}>{artwork.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading rounds...</p>
+        </div>
+      ) : selectedId !== '' && rounds.length === 0 ? (
+        <p>No returns have been distributed for this artwork yet</p>
+      ) : (
+        rounds.map((round) => (
+          <div key={round.id} className="sale-settlement">
+            <div className="sale-status">
+              Round #{round.id}: {ethers.formatEther(round.amount)} ETH – {ROUND_LABELS[round.status]}
+            </div>
+            <div className="round-date">
+              Requested {new Date(Number(round.createdAt) * 1000).toLocaleString()}
+              {round.settledAt > 0n && `, settled ${new Date(Number(round.settledAt) * 1000).toLocaleString()}`}
+            </div>
+            <div className="order-row">
+              <span>Per share</span>
+              <span>{ethers.formatEther(round.perShare)} ETH</span>
+            </div>
+            {round.status === 'crediting' && (
+              <div className="order-row">
+                <span>Holders credited so far</span>
+                <span>
+                  {round.creditedHolders.toString()}{' '}
+                  <button className="btn" onClick={() => handleContinueRound(round.id)} disabled={isCrediting || !contractWithSigner}>
+                    {isCrediting ? 'Crediting...' : 'Credit Next Batch'}
+                  </button>
+                </span>
+              </div>
+            )}
+            <div className="order-row">
+              <span>Credited to holders</span>
+              <span>
+                {round.status === 'distributed' && `${ethers.formatEther(round.distributed)} ETH`}
+                {round.status === 'expired' && `at most ${ethers.formatEther(round.distributed)} ETH`}
+                {(round.status === 'pending' || round.status === 'crediting') && '🔐'}
+              </span>
+            </div>
+            <div className="order-row">
+              <span>You</span>
+              <span>{round.id in payouts ? formatValueUnits(payouts[round.id]) : '🔐'}</span>
+            </div>
+          </div>
+        ))
+      )}
+
+      {rounds.length > 0 && (
+        <button className="btn" onClick={handleDecryptPayouts} disabled={isDecrypting}>
+          {isDecrypting ? 'Decrypting...' : 'Decrypt My Payouts'}
+        </button>
+      )}
+    </div>
+  );
+}
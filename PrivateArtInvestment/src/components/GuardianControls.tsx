@@ -0,0 +1,159 @@
+import { useEffect, useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import { type PrivateArtInvestment } from '../typechain-types';
+import { ethers } from 'ethers';
+
+interface GuardianControlsProps {
+  refreshTrigger?: number;
+  onGuardianAction?: () => void;
+}
+
+// Guardian controls: refunds for stuck sale settlements and returns rounds, and timelocked withdrawals
+export function GuardianControls({ refreshTrigger, onGuardianAction }: GuardianControlsProps) {
+  const { contract, contractWithSigner } = useContract();
+  const [requestId, setRequestId] = useState('');
+  const [freeBalance, setFreeBalance] = useState<bigint | null>(null);
+  const [withdrawalAmount, setWithdrawalAmount] = useState('');
+  const [withdrawalId, setWithdrawalId] = useState('');
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadFreeBalance();
+  }, [contract, refreshTrigger]);
+
+  async function loadFreeBalance() {
+    if (!contract) return;
+
+    try {
+      setFreeBalance(await (await contract).freeBalance());
+    } catch (error) {
+      console.error('Failed to load free balance:', error);
+    }
+  }
+
+  async function runGuardianAction(
+    pendingMessage: string,
+    successMessage: string,
+    send: (contract: PrivateArtInvestment) => Promise<ethers.ContractTransactionResponse>
+  ) {
+    if (!contractWithSigner) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: pendingMessage, type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = await send(contract);
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({ message: successMessage, type: 'success' });
+
+      await loadFreeBalance();
+      if (onGuardianAction) {
+        onGuardianAction();
+      }
+    } catch (error: any) {
+      console.error('Guardian action failed:', error);
+      setStatus({ message: `Transaction failed: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  function handleEmergencyRefund() {
+    if (!/^\d+$/.test(requestId)) {
+      setStatus({ message: 'Enter a decryption request ID', type: 'error' });
+      return;
+    }
+
+    runGuardianAction(
+      'Refunding request...',
+      'Request refunded. Holders of a refunded sale claim their pro-rata share from the gallery.',
+      contract => contract.emergencyRefund(requestId)
+    );
+  }
+
+  function handleQueueWithdrawal() {
+    if (!withdrawalAmount || Number(withdrawalAmount) <= 0) {
+      setStatus({ message: 'Enter the amount to withdraw', type: 'error' });
+      return;
+    }
+
+    runGuardianAction(
+      'Queueing withdrawal...',
+      'Withdrawal queued. Investors are notified and it can be executed after the timelock.',
+      contract => contract.queueWithdrawal(ethers.parseEther(withdrawalAmount))
+    );
+  }
+
+  function handleWithdrawal(execute: boolean) {
+    if (!/^\d+$/.test(withdrawalId)) {
+      setStatus({ message: 'Enter a withdrawal ID', type: 'error' });
+      return;
+    }
+
+    runGuardianAction(
+      execute ? 'Executing withdrawal...' : 'Cancelling withdrawal...',
+      execute ? 'Withdrawal sent to the owner' : 'Withdrawal cancelled',
+      contract => execute ? contract.executeWithdrawal(withdrawalId) : contract.cancelWithdrawal(withdrawalId)
+    );
+  }
+
+  return (
+    <div className="form-group">
+      <label>Emergency Controls:</label>
+      <input
+        type="text"
+        value={requestId}
+        onChange={(e) => setRequestId(e.target.value.trim())}
+        placeholder="Decryption request ID"
+        disabled={isLoading}
+      />
+      <button className="btn" onClick={handleEmergencyRefund} disabled={isLoading}>
+        Emergency Refund
+      </button>
+
+      <label>Withdrawals:</label>
+      <input
+        type="number"
+        value={withdrawalAmount}
+        onChange={(e) => setWithdrawalAmount(e.target.value)}
+        placeholder={freeBalance === null ? 'Amount (ETH)' : `Amount (ETH, up to ${ethers.formatEther(freeBalance)})`}
+        step="0.001"
+        disabled={isLoading}
+      />
+      <button className="btn" onClick={handleQueueWithdrawal} disabled={isLoading}>
+        Queue Withdrawal
+      </button>
+      <input
+        type="text"
+        value={withdrawalId}
+        onChange={(e) => setWithdrawalId(e.target.value.trim())}
+        placeholder="Withdrawal ID"
+        disabled={isLoading}
+      />
+      <button className="btn" onClick={() => handleWithdrawal(true)} disabled={isLoading}>
+        Execute Withdrawal
+      </button>
+      <button className="btn" onClick={() => handleWithdrawal(false)} disabled={isLoading}>
+        Cancel Withdrawal
+      </button>
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
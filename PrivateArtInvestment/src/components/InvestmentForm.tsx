@@ -1,11 +1,18 @@
 import { useState, useEffect } from 'react';
 import { useContract } from '../hooks/useContract';
 import { ethers } from 'ethers';
-import type { FHEVMClient } from '@fhevm/sdk';
-import { useEncrypt } from '@fhevm/sdk';
+import { useDecrypt, useEncrypt } from '../hooks/useLocalFhe';
+import { VALUE_UNIT, formatValueUnits, sharesToValueUnits, toValueUnits } from '@shared/units.mjs';
+import { useTransactions } from '../hooks/useTransactions';
+import { describeError } from '../hooks/useErrors';
+
+// Holding limits for the selected artwork; null means no limit
+interface HoldingLimits {
+  capShares: bigint | null;
+  maxExposure: bigint | null;
+}
 
 interface InvestmentFormProps {
-  fhevmClient: FHEVMClient | null;
   artworks: Array<{
     id: number;
     name: string;
@@ -14,26 +21,118 @@ interface InvestmentFormProps {
   onInvestmentComplete?: () => void;
 }
 
-export function InvestmentForm({ fhevmClient, artworks, onInvestmentComplete }: InvestmentFormProps) {
-  const { contractWithSigner, userAddress, contractAddress } = useContract();
-  const { encrypt, isEncrypting } = useEncrypt(fhevmClient, contractAddress, userAddress || '');
+// Shares that still fit under both limits, mirroring the contract's check on ciphertexts
+function remainingAllowance(limits: HoldingLimits, held: bigint, totalInvested: bigint, sharePrice: bigint): bigint | null {
+  const candidates: bigint[] = [];
+  if (limits.capShares !== null) {
+    candidates.push(limits.capShares - held);
+  }
+  if (limits.maxExposure !== null) {
+    candidates.push((limits.maxExposure / VALUE_UNIT - totalInvested) / toValueUnits(sharePrice));
+  }
+  if (candidates.length === 0) return null;
+
+  const smallest = candidates.reduce((a, b) => (a < b ? a : b));
+  return smallest > 0n ? smallest : 0n;
+}
+
+export function InvestmentForm({ artworks, onInvestmentComplete }: InvestmentFormProps) {
+  const { contract: readContract, contractWithSigner, userAddress } = useContract();
+  const { encrypt, isEncrypting, isReady: canEncrypt } = useEncrypt();
+  const { decrypt, isDecrypting } = useDecrypt();
+  const { send } = useTransactions();
   const [selectedArtwork, setSelectedArtwork] = useState('');
   const [shareAmount, setShareAmount] = useState('');
+  const [extraShares, setExtraShares] = useState('');
   const [investmentAmount, setInvestmentAmount] = useState('');
   const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [isTopUp, setIsTopUp] = useState(false);
+  const [limits, setLimits] = useState<HoldingLimits | null>(null);
+  const [allowance, setAllowance] = useState<bigint | null>(null);
 
   useEffect(() => {
     calculateInvestmentAmount();
-  }, [selectedArtwork, shareAmount, artworks]);
+  }, [selectedArtwork, shareAmount, extraShares, artworks]);
+
+  useEffect(() => {
+    checkExistingPosition();
+    loadLimits();
+  }, [readContract, selectedArtwork, userAddress]);
+
+  async function loadLimits() {
+    setAllowance(null);
+    if (!readContract || !selectedArtwork) {
+      setLimits(null);
+      return;
+    }
+
+    try {
+      const contract = await readContract;
+      const [bps, capShares, maxExposure] = await Promise.all([
+        contract.maxOwnershipBps(selectedArtwork),
+        contract.maxSharesPerInvestor(selectedArtwork),
+        contract.maxInvestorExposure(),
+      ]);
+      setLimits({
+        capShares: bps > 0n ? capShares : null,
+        maxExposure: maxExposure > 0n ? maxExposure : null,
+      });
+    } catch (error) {
+      console.error('Failed to load holding limits:', error);
+      setLimits(null);
+    }
+  }
+
+  // Decrypts the wallet's own holding and total in the browser; nothing is revealed on-chain
+  async function handleCheckAllowance() {
+    if (!readContract || !userAddress || !limits) return;
+
+    const artwork = artworks.find(a => a.id.toString() === selectedArtwork);
+    if (!artwork) return;
+
+    try {
+      const contract = await readContract;
+      const summary = await contract.getEncryptedInvestmentSummary(userAddress);
+      const totalInvested = BigInt(await decrypt(summary.encryptedTotalInvested.handle));
+      const held = isTopUp
+        ? BigInt(await decrypt((await contract.getEncryptedShares(userAddress, selectedArtwork)).handle))
+        : 0n;
+
+      setAllowance(remainingAllowance(limits, held, totalInvested, artwork.sharePrice));
+      setStatus(null);
+    } catch (error: any) {
+      console.error('Decryption failed:', error);
+      setStatus({ message: `Decryption failed: ${error.message}`, type: 'error' });
+    }
+  }
+
+  // A repeat purchase adds to the encrypted position instead of opening a new one
+  async function checkExistingPosition() {
+    if (!readContract || !userAddress || !selectedArtwork) {
+      setIsTopUp(false);
+      return;
+    }
+
+    try {
+      const [hasInvested] = await readContract.getInvestmentStatus(userAddress, selectedArtwork);
+      setIsTopUp(hasInvested);
+    } catch (error) {
+      console.error('Failed to check existing position:', error);
+      setIsTopUp(false);
+    }
+  }
+
+  // Shares the payment covers: the encrypted amount plus any padding that hides it
+  function paidShares(): bigint {
+    return BigInt(shareAmount) + BigInt(extraShares || '0');
+  }
 
   function calculateInvestmentAmount() {
     if (selectedArtwork && shareAmount) {
       const artwork = artworks.find(a => a.id.toString() === selectedArtwork);
       if (artwork) {
-        const totalAmount = artwork.sharePrice * BigInt(shareAmount);
-        const formattedAmount = ethers.formatEther(totalAmount);
-        setInvestmentAmount(formattedAmount + ' ETH');
+        setInvestmentAmount(formatValueUnits(sharesToValueUnits(paidShares(), artwork.sharePrice)));
       }
     } else {
       setInvestmentAmount('');
@@ -51,51 +150,49 @@ export function InvestmentForm({ fhevmClient, artworks, onInvestmentComplete }:
       return;
     }
 
+    // The contract would credit nothing and refund the payment to the encrypted balance
+    if (allowance !== null && BigInt(shareAmount) > allowance) {
+      setStatus({ message: `Only ${allowance} more shares fit within your holding limits`, type: 'error' });
+      return;
+    }
+
+    const artwork = artworks.find(a => a.id.toString() === selectedArtwork);
+    if (!artwork) {
+      setStatus({ message: 'Artwork not found', type: 'error' });
+      return;
+    }
+
     setIsLoading(true);
-    setStatus({ message: 'Processing investment...', type: 'info' });
 
     try {
-      const contract = await contractWithSigner;
-
-      // Check if registered
-      const isRegistered = await contract.isInvestorRegistered(userAddress);
-      if (!isRegistered) {
-        setStatus({ message: 'Please register as investor first', type: 'error' });
-        setIsLoading(false);
-        return;
-      }
+      const investmentValue = artwork.sharePrice * paidShares();
 
-      const artwork = artworks.find(a => a.id.toString() === selectedArtwork);
-      if (!artwork) {
-        setStatus({ message: 'Artwork not found', type: 'error' });
-        setIsLoading(false);
-        return;
-      }
-
-      const investmentValue = artwork.sharePrice * BigInt(shareAmount);
+      // Encrypt the share amount in the browser; only the handle and its proof go on-chain
+      setStatus({ message: 'Encrypting share amount...', type: 'info' });
+      const encrypted = await encrypt(Number(shareAmount));
+      setStatus(null);
 
-      // In a full FHEVM implementation, we would encrypt the share amount here
-      // For now, we'll use the regular contract call
-      const tx = await contract.makePrivateInvestment(selectedArtwork, shareAmount, {
-        value: investmentValue
+      // Registration, pauses and available shares are checked when the call is simulated
+      const receipt = await send({
+        label: isTopUp ? 'Top-up' : 'Investment',
+        successMessage: isTopUp ? 'Top-up successful! Shares added to your position.' : 'Investment successful!',
+        method: contract => contract.makeConfidentialInvestment,
+        args: [selectedArtwork, encrypted.handle, encrypted.inputProof, { value: investmentValue }],
       });
-
-      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
-
-      await tx.wait();
-      setStatus({ message: 'Investment successful!', type: 'success' });
+      if (!receipt) return;
 
       // Clear form
       setSelectedArtwork('');
       setShareAmount('');
+      setExtraShares('');
       setInvestmentAmount('');
 
       if (onInvestmentComplete) {
         onInvestmentComplete();
       }
     } catch (error: any) {
-      console.error('Investment failed:', error);
-      setStatus({ message: `Investment failed: ${error.message}`, type: 'error' });
+      console.error('Encryption failed:', error);
+      setStatus({ message: `Encryption failed: ${describeError(error)}`, type: 'error' });
     } finally {
       setIsLoading(false);
     }
@@ -105,7 +202,9 @@ export function InvestmentForm({ fhevmClient, artworks, onInvestmentComplete }:
     <div>
       <div className="privacy-badge">
         <strong>Privacy Protected Investment</strong>
-        Your investment amount and share quantities will be fully encrypted using FHE technology, ensuring investment privacy.
+        Your share quantity is encrypted in your browser with FHE before it is submitted. The ETH payment is public and
+        shows the most you could be buying: pay for extra shares to hide the exact amount. The extra payment is refunded
+        to your encrypted balance, which you withdraw under Confidential Returns.
       </div>
 
       <div className="form-group">
@@ -124,6 +223,28 @@ export function InvestmentForm({ fhevmClient, artworks, onInvestmentComplete }:
         </select>
       </div>
 
+      {isTopUp && (
+        <div className="status info">
+          You already hold shares in this artwork. This purchase is a top-up and will be added to your encrypted position.
+        </div>
+      )}
+
+      {limits && (limits.capShares !== null || limits.maxExposure !== null) && (
+        <div className="status info">
+          Holding limits apply
+          {limits.capShares !== null && <> &middot; at most {limits.capShares.toString()} shares of this artwork</>}
+          {limits.maxExposure !== null && <> &middot; at most {ethers.formatEther(limits.maxExposure)} ETH invested in total</>}
+          . Shares past a limit are not credited; their payment is refunded to your encrypted balance.
+          {allowance !== null ? (
+            <div>You can buy up to {allowance.toString()} more shares.</div>
+          ) : (
+            <button className="btn" onClick={handleCheckAllowance} disabled={isLoading || isDecrypting}>
+              {isDecrypting ? 'Decrypting...' : 'Show My Remaining Allowance'}
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="form-group">
         <label>Investment Shares:</label>
         <input
@@ -136,6 +257,18 @@ export function InvestmentForm({ fhevmClient, artworks, onInvestmentComplete }:
         />
       </div>
 
+      <div className="form-group">
+        <label>Extra Shares to Pay For (optional):</label>
+        <input
+          type="number"
+          value={extraShares}
+          onChange={(e) => setExtraShares(e.target.value)}
+          placeholder="Padding that hides your share amount, refunded under encryption"
+          min="0"
+          disabled={isLoading}
+        />
+      </div>
+
       <div className="form-group">
         <label>Investment Amount (ETH):</label>
         <input
@@ -150,9 +283,9 @@ export function InvestmentForm({ fhevmClient, artworks, onInvestmentComplete }:
         <button
           className="btn"
           onClick={handleInvest}
-          disabled={isLoading || !selectedArtwork || !shareAmount}
+          disabled={isLoading || !canEncrypt || !selectedArtwork || !shareAmount}
         >
-          {isLoading ? 'Processing...' : 'Make Private Investment'}
+          {isEncrypting ? 'Encrypting...' : isLoading ? 'Processing...' : isTopUp ? 'Top Up Investment' : 'Make Private Investment'}
         </button>
       </div>
 
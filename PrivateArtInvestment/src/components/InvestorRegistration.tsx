@@ -1,56 +1,99 @@
 import { useState } from 'react';
 import { useContract } from '../hooks/useContract';
+import { JURISDICTIONS, decodeJurisdictions, requestAttestation } from '../hooks/useKyc';
+import { useTransactions } from '../hooks/useTransactions';
+import { describeError } from '../hooks/useErrors';
 
 interface InvestorRegistrationProps {
   onRegistrationComplete?: () => void;
 }
 
 export function InvestorRegistration({ onRegistrationComplete }: InvestorRegistrationProps) {
-  const { contractWithSigner, userAddress } = useContract();
+  const { contractWithSigner, contractAddress, chainId, userAddress } = useContract();
+  const { send } = useTransactions();
+  const [jurisdictions, setJurisdictions] = useState<string[]>(['US']);
+  const [accredited, setAccredited] = useState(false);
   const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
   const [isLoading, setIsLoading] = useState(false);
 
   async function handleRegister() {
-    if (!contractWithSigner || !userAddress) {
+    if (!contractWithSigner || !userAddress || !contractAddress) {
       setStatus({ message: 'Please connect your wallet first', type: 'error' });
       return;
     }
+    if (jurisdictions.length === 0) {
+      setStatus({ message: 'Select at least one jurisdiction', type: 'error' });
+      return;
+    }
 
     setIsLoading(true);
-    setStatus({ message: 'Registering investor...', type: 'info' });
+    setStatus({ message: 'Requesting KYC attestation...', type: 'info' });
 
     try {
       const contract = await contractWithSigner;
-
-      // Check if already registered
-      const isRegistered = await contract.isInvestorRegistered(userAddress);
-      if (isRegistered) {
-        setStatus({ message: 'You are already a registered investor', type: 'info' });
-        setIsLoading(false);
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
         return;
       }
 
-      const tx = await contract.registerInvestor();
-      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+      // Registered investors submit a fresh attestation to renew their KYC instead
+      const isRegistered = await contract.isInvestorRegistered(userAddress);
+
+      const { attestation, signature } = await requestAttestation({
+        investor: userAddress,
+        contractAddress,
+        chainId,
+        jurisdictions,
+        accredited,
+      });
+      setStatus(null);
 
-      await tx.wait();
-      setStatus({ message: 'Investor registration successful!', type: 'success' });
+      const expires = new Date(attestation.expiresAt * 1000).toLocaleDateString();
+      const receipt = await send({
+        label: isRegistered ? 'KYC renewal' : 'Registration',
+        successMessage: `${isRegistered ? 'KYC renewed' : 'Investor registration successful'}: ` +
+          `${decodeJurisdictions(attestation.jurisdictions).join(', ')}${attestation.accredited ? ', accredited' : ''} until ${expires}`,
+        method: contract => (isRegistered ? contract.renewAttestation : contract.registerInvestor),
+        args: [attestation, signature],
+      });
 
-      if (onRegistrationComplete) {
+      if (receipt && onRegistrationComplete) {
         onRegistrationComplete();
       }
     } catch (error: any) {
-      console.error('Registration failed:', error);
-      setStatus({ message: `Registration failed: ${error.message}`, type: 'error' });
+      console.error('KYC attestation failed:', error);
+      setStatus({ message: `KYC attestation failed: ${describeError(error)}`, type: 'error' });
     } finally {
       setIsLoading(false);
     }
   }
 
+  function toggleJurisdiction(code: string) {
+    setJurisdictions(prev => (prev.includes(code) ? prev.filter(c => c !== code) : [...prev, code]));
+  }
+
   return (
     <div className="form-group">
+      <label>Jurisdictions:</label>
+      <div className="order-row">
+        {Object.keys(JURISDICTIONS).map(code => (
+          <label key={code}>
+            <input
+              type="checkbox"
+              checked={jurisdictions.includes(code)}
+              onChange={() => toggleJurisdiction(code)}
+              disabled={isLoading}
+            />
+            {code}
+          </label>
+        ))}
+      </div>
+      <label>
+        <input type="checkbox" checked={accredited} onChange={(e) => setAccredited(e.target.checked)} disabled={isLoading} />
+        Accredited investor
+      </label>
       <button className="btn" onClick={handleRegister} disabled={isLoading}>
-        {isLoading ? 'Registering...' : 'Register as Investor'}
+        {isLoading ? 'Registering...' : 'Register or Renew KYC'}
       </button>
       {status && (
         <div className={`status ${status.type}`}>
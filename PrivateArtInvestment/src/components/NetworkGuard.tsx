@@ -0,0 +1,40 @@
+import { getNetwork, useNetworkGuard } from '../hooks/useNetwork';
+
+// Shown instead of the app while the wallet is on a network without the contract
+export function NetworkGuard() {
+  const { chainId, deployedNetworks, switchTo, isSwitching, switchError } = useNetworkGuard();
+  const network = getNetwork(chainId);
+
+  return (
+    <div className="card network-guard">
+      <h3>⚠️ Wrong Network</h3>
+      <p>
+        {network
+          ? `PrivateArtInvestment is not deployed on ${network.chain.name}.`
+          : `Your wallet is on an unsupported network (chain ${chainId}).`}
+        {' '}Switch networks to continue.
+      </p>
+
+      {deployedNetworks.length === 0 ? (
+        <div className="status error">No deployments found. Deploy the contract with scripts/deploy.js first.</div>
+      ) : (
+        <div className="network-options">
+          {deployedNetworks.map(target => (
+            <button
+              key={target.chain.id}
+              className="btn"
+              onClick={() => switchTo(target.chain.id)}
+              disabled={isSwitching}
+            >
+              {isSwitching ? 'Switching...' : `Switch to ${target.chain.name}`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {switchError && (
+        <div className="status error">Network switch failed: {switchError.message}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { useTransactions } from '../hooks/useTransactions';
+
+// Global queue of transaction progress, results and errors, newest last
+export function Notifications() {
+  const { notifications, dismiss } = useTransactions();
+
+  if (notifications.length === 0) return null;
+
+  return (
+    <div className="notifications">
+      {notifications.map((notification) => (
+        <div key={notification.id} className={`status ${notification.type}`}>
+          <span>{notification.message}</span>
+          <button className="notification-close" onClick={() => dismiss(notification.id)} aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
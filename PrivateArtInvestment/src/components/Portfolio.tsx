@@ -0,0 +1,209 @@
+import { useEffect, useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import { useDecrypt } from '../hooks/useLocalFhe';
+import { Claims } from './Claims';
+import { ConfidentialReturns } from './ConfidentialReturns';
+import { formatValueUnits } from '@shared/units.mjs';
+
+interface PortfolioProps {
+  refreshTrigger?: number;
+}
+
+interface Holding {
+  artworkId: number;
+  name: string;
+  totalShares: bigint;
+  investedAt: bigint;
+  sharesHandle: string;
+  valueHandle: string;
+}
+
+interface DecryptedHolding {
+  shares: bigint;
+  value: bigint;
+}
+
+export function Portfolio({ refreshTrigger }: PortfolioProps) {
+  const { contract, userAddress } = useContract();
+  const { decrypt, isDecrypting } = useDecrypt();
+  const [holdings, setHoldings] = useState<Holding[]>([]);
+  const [decrypted, setDecrypted] = useState<Record<number, DecryptedHolding>>({});
+  const [totalInvested, setTotalInvested] = useState<bigint | null>(null);
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Decrypted values belong to one wallet; drop them whenever the account changes
+  useEffect(() => {
+    setDecrypted({});
+    setTotalInvested(null);
+    setStatus(null);
+  }, [userAddress]);
+
+  useEffect(() => {
+    loadHoldings();
+  }, [contract, userAddress, refreshTrigger]);
+
+  async function loadHoldings() {
+    if (!contract || !userAddress) return;
+
+    setIsLoading(true);
+    try {
+      const contractInstance = await contract;
+      const artworkIds = await contractInstance.getInvestorArtworks(userAddress);
+
+      const holdingsList: Holding[] = [];
+      for (const artworkId of artworkIds) {
+        const i = Number(artworkId);
+        try {
+          // Read the raw records so sold artworks stay visible in the portfolio
+          const artwork = await contractInstance.artworks(i);
+          const investment = await contractInstance.artworkInvestments(i, userAddress);
+          holdingsList.push({
+            artworkId: i,
+            name: artwork.name,
+            totalShares: artwork.totalShares,
+            investedAt: investment.timestamp,
+            sharesHandle: investment.encryptedShares.handle,
+            valueHandle: investment.encryptedValue.handle,
+          });
+        } catch (error) {
+          console.error(`Failed to load investment in artwork ${i}:`, error);
+        }
+      }
+
+      setHoldings(holdingsList);
+    } catch (error) {
+      console.error('Failed to load portfolio:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  async function handleDecrypt() {
+    if (!contract || !userAddress) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    try {
+      const contractInstance = await contract;
+      const summary = await contractInstance.getEncryptedInvestmentSummary(userAddress);
+
+      const total = BigInt(await decrypt(summary.encryptedTotalInvested.handle));
+
+      const results: Record<number, DecryptedHolding> = {};
+      for (const holding of holdings) {
+        results[holding.artworkId] = {
+          shares: BigInt(await decrypt(holding.sharesHandle)),
+          value: BigInt(await decrypt(holding.valueHandle)),
+        };
+      }
+
+      setTotalInvested(total);
+      setDecrypted(results);
+      setStatus({ message: 'Holdings decrypted locally. They are not stored or shared.', type: 'success' });
+    } catch (error: any) {
+      console.error('Decryption failed:', error);
+      setStatus({ message: `Decryption failed: ${error.message}`, type: 'error' });
+    }
+  }
+
+  function formatOwnership(shares: bigint, totalShares: bigint) {
+    if (totalShares === 0n) return '-';
+    // Two decimal places without going through floating point
+    const basisPoints = (shares * 10000n) / totalShares;
+    return `${(Number(basisPoints) / 100).toFixed(2)}%`;
+  }
+
+  if (isLoading) {
+    return (
+      <div className="card portfolio">
+        <h3>My Portfolio</h3>
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading portfolio...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card portfolio">
+      <h3>My Portfolio</h3>
+
+      <div className="privacy-badge">
+        <strong>Only Visible To You</strong>
+        Share amounts, values and returns are decrypted in your browser after you sign the request with your wallet.
+      </div>
+
+      <div className="form-group">
+        <label>Total Invested:</label>
+        <input
+          type="text"
+          value={totalInvested === null ? '🔐 Encrypted' : formatValueUnits(totalInvested)}
+          readOnly
+        />
+      </div>
+
+      <div className="artworks-grid">
+        {holdings.length === 0 ? (
+          <div className="artwork-card">
+            <div className="artwork-info">
+              <div className="artwork-title">No Investments Yet</div>
+              <div className="artwork-artist">Your private investments will appear here</div>
+            </div>
+          </div>
+        ) : (
+          holdings.map((holding) => {
+            const values = decrypted[holding.artworkId];
+            return (
+              <div key={holding.artworkId} className="artwork-card">
+                <div className="artwork-info">
+                  <div className="artwork-title">{holding.name}</div>
+                  <div className="artwork-artist">
+                    Invested {new Date(Number(holding.investedAt) * 1000).toLocaleDateString()}
+                  </div>
+                  <div className="artwork-stats">
+                    <div className="stat">
+                      <div className="stat-value">{values ? values.shares.toString() : '🔐'}</div>
+                      <div className="stat-label">My Shares</div>
+                    </div>
+                    <div className="stat">
+                      <div className="stat-value">{values ? formatValueUnits(values.value) : '🔐'}</div>
+                      <div className="stat-label">Invested</div>
+                    </div>
+                    <div className="stat">
+                      <div className="stat-value">
+                        {values ? formatOwnership(values.shares, holding.totalShares) : '🔐'}
+                      </div>
+                      <div className="stat-label">Ownership</div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <div className="form-group">
+        <button
+          className="btn"
+          onClick={handleDecrypt}
+          disabled={isDecrypting || holdings.length === 0}
+        >
+          {isDecrypting ? 'Decrypting...' : 'Decrypt My Holdings'}
+        </button>
+      </div>
+
+      <ConfidentialReturns refreshTrigger={refreshTrigger} />
+      <Claims refreshTrigger={refreshTrigger} />
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import { type Roles } from '../hooks/useRoles';
+import { type PrivateArtInvestment } from '../typechain-types';
+import { ethers } from 'ethers';
+
+interface RoleManagementProps {
+  roles: Roles;
+  onRolesChanged?: () => void;
+}
+
+const ROLE_NAMES = {
+  ADMIN_ROLE: 'Admin',
+  CURATOR_ROLE: 'Curator',
+  TREASURER_ROLE: 'Treasurer',
+  GUARDIAN_ROLE: 'Guardian',
+} as const;
+
+type RoleName = keyof typeof ROLE_NAMES;
+
+// Admins grant and revoke roles and set the exposure limit; the owner hands the contract over in two steps
+export function RoleManagement({ roles, onRolesChanged }: RoleManagementProps) {
+  const { contractWithSigner } = useContract();
+  const [account, setAccount] = useState('');
+  const [role, setRole] = useState<RoleName>('CURATOR_ROLE');
+  const [newOwner, setNewOwner] = useState('');
+  const [exposureLimit, setExposureLimit] = useState('');
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  async function runRoleAction(
+    pendingMessage: string,
+    successMessage: string,
+    send: (contract: PrivateArtInvestment) => Promise<ethers.ContractTransactionResponse>
+  ) {
+    if (!contractWithSigner) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: pendingMessage, type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = await send(contract);
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({ message: successMessage, type: 'success' });
+
+      if (onRolesChanged) {
+        onRolesChanged();
+      }
+    } catch (error: any) {
+      console.error('Role update failed:', error);
+      setStatus({ message: `Transaction failed: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  function handleRoleChange(grant: boolean) {
+    if (!ethers.isAddress(account)) {
+      setStatus({ message: 'Enter a valid account address', type: 'error' });
+      return;
+    }
+
+    const roleId = ethers.id(role);
+    runRoleAction(
+      grant ? 'Granting role...' : 'Revoking role...',
+      `${ROLE_NAMES[role]} role ${grant ? 'granted to' : 'revoked from'} ${account}`,
+      contract => grant ? contract.grantRole(roleId, account) : contract.revokeRole(roleId, account)
+    );
+  }
+
+  function handleSetExposureLimit() {
+    if (exposureLimit === '' || Number(exposureLimit) < 0) {
+      setStatus({ message: 'Enter a limit in ETH, or 0 to remove it', type: 'error' });
+      return;
+    }
+
+    const limit = ethers.parseEther(exposureLimit);
+    runRoleAction(
+      'Updating exposure limit...',
+      limit === 0n ? 'Exposure limit removed' : `Investors are now limited to ${exposureLimit} ETH in total`,
+      contract => contract.setExposureLimit(limit)
+    );
+  }
+
+  function handleTransferOwnership() {
+    if (!ethers.isAddress(newOwner)) {
+      setStatus({ message: 'Enter a valid address for the new owner', type: 'error' });
+      return;
+    }
+
+    runRoleAction(
+      'Starting ownership transfer...',
+      `Ownership transfer started; ${newOwner} must accept it`,
+      contract => contract.transferOwnership(newOwner)
+    );
+  }
+
+  function handleAcceptOwnership() {
+    runRoleAction('Accepting ownership...', 'You are now the owner', contract => contract.acceptOwnership());
+  }
+
+  return (
+    <div className="form-group">
+      {roles.isAdmin && (
+        <>
+          <label>Roles:</label>
+          <input
+            type="text"
+            value={account}
+            onChange={(e) => setAccount(e.target.value.trim())}
+            placeholder="Account address (0x...)"
+            disabled={isLoading}
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value as RoleName)} disabled={isLoading}>
+            {Object.entries(ROLE_NAMES).map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+          <button className="btn" onClick={() => handleRoleChange(true)} disabled={isLoading}>
+            Grant Role
+          </button>
+          <button className="btn" onClick={() => handleRoleChange(false)} disabled={isLoading}>
+            Revoke Role
+          </button>
+
+          <label>Investor Exposure Limit:</label>
+          <input
+            type="number"
+            value={exposureLimit}
+            onChange={(e) => setExposureLimit(e.target.value)}
+            placeholder="Max total investment per investor (ETH, 0 = none)"
+            step="0.1"
+            min="0"
+            disabled={isLoading}
+          />
+          <button className="btn" onClick={handleSetExposureLimit} disabled={isLoading}>
+            Set Exposure Limit
+          </button>
+        </>
+      )}
+
+      {roles.isOwner && (
+        <>
+          <label>Transfer Ownership:</label>
+          <input
+            type="text"
+            value={newOwner}
+            onChange={(e) => setNewOwner(e.target.value.trim())}
+            placeholder="New owner address (0x...)"
+            disabled={isLoading}
+          />
+          <button className="btn" onClick={handleTransferOwnership} disabled={isLoading}>
+            Start Transfer
+          </button>
+        </>
+      )}
+
+      {roles.isPendingOwner && (
+        <button className="btn" onClick={handleAcceptOwnership} disabled={isLoading}>
+          Accept Ownership
+        </button>
+      )}
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { useContract } from '../hooks/useContract';
+import { fetchIndexer, type IndexedStats } from '../hooks/useIndexer';
 
 interface Stats {
   totalArtworks: string;
@@ -26,7 +27,10 @@ export function StatsDisplay() {
 
     try {
       const contractInstance = await contract;
-      const [totalArtworks, totalInvestors] = await contractInstance.getTotalStats();
+      const indexed = await fetchIndexer<IndexedStats>('/stats');
+      const [totalArtworks, totalInvestors] = indexed
+        ? [indexed.totalArtworks, indexed.totalInvestors]
+        : await contractInstance.getTotalStats();
 
       let portfolioDisplay = '0';
       if (userAddress) {
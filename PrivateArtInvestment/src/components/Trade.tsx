@@ -0,0 +1,332 @@
+import { useEffect, useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import { fetchIndexer } from '../hooks/useIndexer';
+import { ethers } from 'ethers';
+import { useDecrypt, useEncrypt } from '../hooks/useLocalFhe';
+
+interface TradeProps {
+  artworks: Array<{
+    id: number;
+    name: string;
+    sharePrice: bigint;
+  }>;
+  refreshTrigger?: number;
+  onTradeComplete?: () => void;
+}
+
+interface OpenOrder {
+  orderId: bigint;
+  artworkId: number;
+  seller: string;
+  price: bigint;
+}
+
+interface IndexedOrder {
+  orderId: string;
+  artworkId: number;
+  seller: string;
+  price: string;
+}
+
+type Status = { message: string; type: 'success' | 'error' | 'info' } | null;
+
+export function Trade({ artworks, refreshTrigger, onTradeComplete }: TradeProps) {
+  const { contract, contractWithSigner, userAddress } = useContract();
+  const { encrypt, isEncrypting, isReady: canEncrypt } = useEncrypt();
+  const { decrypt, isDecrypting } = useDecrypt();
+  const [orders, setOrders] = useState<OpenOrder[]>([]);
+  // Lot sizes this wallet has decrypted, by order id
+  const [revealed, setRevealed] = useState<Record<string, bigint>>({});
+  const [sellArtwork, setSellArtwork] = useState('');
+  const [sellShares, setSellShares] = useState('');
+  const [sellPrice, setSellPrice] = useState('');
+  const [transferArtwork, setTransferArtwork] = useState('');
+  const [transferTo, setTransferTo] = useState('');
+  const [transferShares, setTransferShares] = useState('');
+  const [status, setStatus] = useState<Status>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadOrders();
+  }, [contract, refreshTrigger]);
+
+  async function loadOrders() {
+    if (!contract) return;
+
+    try {
+      const indexed = await fetchIndexer<IndexedOrder[]>('/orders?status=open');
+      if (indexed) {
+        setOrders(indexed.map(order => ({
+          orderId: BigInt(order.orderId),
+          artworkId: order.artworkId,
+          seller: order.seller,
+          price: BigInt(order.price),
+        })));
+        return;
+      }
+
+      const contractInstance = await contract;
+      const totalOrders = await contractInstance.totalShareOrders();
+
+      const openOrders: OpenOrder[] = [];
+      for (let i = 0n; i < totalOrders; i++) {
+        const order = await contractInstance.shareOrders(i);
+        if (!order.isActive) continue;
+        openOrders.push({
+          orderId: i,
+          artworkId: Number(order.artworkId),
+          seller: order.seller,
+          price: order.price,
+        });
+      }
+
+      setOrders(openOrders);
+    } catch (error) {
+      console.error('Failed to load share orders:', error);
+    }
+  }
+
+  // Shared wrapper: wallet checks, status messages and refresh after each trade action
+  async function runTrade(pendingMessage: string, successMessage: string, action: (contract: any) => Promise<any>) {
+    if (!contractWithSigner || !userAddress) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return false;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: pendingMessage, type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return false;
+      }
+
+      const tx = await action(contract);
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({ message: successMessage, type: 'success' });
+
+      await loadOrders();
+      if (onTradeComplete) {
+        onTradeComplete();
+      }
+      return true;
+    } catch (error: any) {
+      console.error('Trade failed:', error);
+      setStatus({ message: `Trade failed: ${error.message}`, type: 'error' });
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  async function encryptShares(shares: string) {
+    return encrypt(Number(shares));
+  }
+
+  async function handleCreateOrder() {
+    if (!sellArtwork || !sellShares || !sellPrice) {
+      setStatus({ message: 'Please select artwork, shares and price', type: 'error' });
+      return;
+    }
+
+    const done = await runTrade(
+      'Encrypting share amount...',
+      'Order created! Your shares are held in escrow until it is filled or cancelled.',
+      async (contract) => {
+        const encrypted = await encryptShares(sellShares);
+        return contract.createShareOrder(
+          sellArtwork,
+          encrypted.handle,
+          encrypted.inputProof,
+          ethers.parseEther(sellPrice)
+        );
+      }
+    );
+
+    if (done) {
+      setSellShares('');
+      setSellPrice('');
+    }
+  }
+
+  async function handleTransfer() {
+    if (!transferArtwork || !transferShares || !ethers.isAddress(transferTo)) {
+      setStatus({ message: 'Please select artwork, shares and a valid recipient address', type: 'error' });
+      return;
+    }
+
+    const done = await runTrade(
+      'Encrypting share amount...',
+      'Transfer complete!',
+      async (contract) => {
+        const encrypted = await encryptShares(transferShares);
+        return contract.transferShares(transferArtwork, transferTo, encrypted.handle, encrypted.inputProof);
+      }
+    );
+
+    if (done) {
+      setTransferTo('');
+      setTransferShares('');
+    }
+  }
+
+  // Grants this wallet access to the escrowed amount on-chain, then decrypts it locally
+  async function handleReveal(order: OpenOrder) {
+    if (!contract) {
+      setStatus({ message: 'Please connect your wallet first', type: 'error' });
+      return;
+    }
+
+    const done = await runTrade('Requesting access to the lot...', 'Access granted, decrypting the lot...', (contract) =>
+      contract.revealShareOrder(order.orderId)
+    );
+    if (!done) return;
+
+    try {
+      const { encryptedShares } = await (await contract).shareOrders(order.orderId);
+      const shares = BigInt(await decrypt(encryptedShares.handle));
+      setRevealed(previous => ({ ...previous, [order.orderId.toString()]: shares }));
+      setStatus(shares === 0n
+        ? { message: 'This lot is empty: the seller listed more shares than they hold.', type: 'error' }
+        : { message: `This lot holds ${shares} shares.`, type: 'success' });
+    } catch (error: any) {
+      console.error('Decryption failed:', error);
+      setStatus({ message: `Decryption failed: ${error.message}`, type: 'error' });
+    }
+  }
+
+  function handleFill(order: OpenOrder) {
+    runTrade(
+      'Buying shares...',
+      'Order filled! The seller is paid only if the shares reached your portfolio; otherwise the price is refunded to your encrypted balance.',
+      (contract) => contract.fillShareOrder(order.orderId, { value: order.price })
+    );
+  }
+
+  function handleCancel(order: OpenOrder) {
+    runTrade('Cancelling order...', 'Order cancelled, escrowed shares returned.', (contract) =>
+      contract.cancelShareOrder(order.orderId)
+    );
+  }
+
+  function artworkName(artworkId: number) {
+    return artworks.find(a => a.id === artworkId)?.name ?? `Artwork #${artworkId}`;
+  }
+
+  const isBusy = isLoading || isEncrypting || isDecrypting;
+
+  return (
+    <div>
+      <div className="privacy-badge">
+        <strong>Encrypted Share Trading</strong>
+        Share amounts in orders and transfers stay encrypted. Order prices are public: reveal a lot to decrypt its amount
+        before buying. Sellers are paid into their encrypted balance, and the price of an empty lot is refunded to yours.
+      </div>
+
+      <div className="form-group">
+        <label>Open Orders:</label>
+        {orders.length === 0 ? (
+          <p>No open orders</p>
+        ) : (
+          orders.map((order) => {
+            const isOwn = userAddress?.toLowerCase() === order.seller.toLowerCase();
+            const lot = revealed[order.orderId.toString()];
+            return (
+              <div key={order.orderId.toString()} className="order-row">
+                <span>
+                  #{order.orderId.toString()} {artworkName(order.artworkId)} - {lot === undefined ? '🔐' : lot.toString()} shares for {ethers.formatEther(order.price)} ETH
+                </span>
+                {!isOwn && lot === undefined && (
+                  <button className="btn" onClick={() => handleReveal(order)} disabled={isBusy}>
+                    Reveal
+                  </button>
+                )}
+                <button
+                  className="btn"
+                  onClick={() => (isOwn ? handleCancel(order) : handleFill(order))}
+                  disabled={isBusy}
+                >
+                  {isOwn ? 'Cancel' : 'Buy'}
+                </button>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <div className="form-group">
+        <label>Sell Shares:</label>
+        <select value={sellArtwork} onChange={(e) => setSellArtwork(e.target.value)} disabled={isBusy}>
+          <option value="">Choose artwork...</option>
+          {artworks.map((artwork) => (
+            <option key={artwork.id} value={artwork.id}>{artwork.name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          value={sellShares}
+          onChange={(e) => setSellShares(e.target.value)}
+          placeholder="Shares to sell (will be encrypted)"
+          min="1"
+          disabled={isBusy}
+        />
+        <input
+          type="text"
+          value={sellPrice}
+          onChange={(e) => setSellPrice(e.target.value)}
+          placeholder="Price for the whole lot (ETH, whole gwei)"
+          disabled={isBusy}
+        />
+        <button
+          className="btn"
+          onClick={handleCreateOrder}
+          disabled={isBusy || !canEncrypt || !sellArtwork || !sellShares || !sellPrice}
+        >
+          {isEncrypting ? 'Encrypting...' : 'Create Sell Order'}
+        </button>
+      </div>
+
+      <div className="form-group">
+        <label>Transfer Shares:</label>
+        <select value={transferArtwork} onChange={(e) => setTransferArtwork(e.target.value)} disabled={isBusy}>
+          <option value="">Choose artwork...</option>
+          {artworks.map((artwork) => (
+            <option key={artwork.id} value={artwork.id}>{artwork.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={transferTo}
+          onChange={(e) => setTransferTo(e.target.value)}
+          placeholder="Recipient address (registered investor)"
+          disabled={isBusy}
+        />
+        <input
+          type="number"
+          value={transferShares}
+          onChange={(e) => setTransferShares(e.target.value)}
+          placeholder="Shares to transfer (will be encrypted)"
+          min="1"
+          disabled={isBusy}
+        />
+        <button
+          className="btn"
+          onClick={handleTransfer}
+          disabled={isBusy || !canEncrypt || !transferArtwork || !transferTo || !transferShares}
+        >
+          {isEncrypting ? 'Encrypting...' : 'Transfer Shares'}
+        </button>
+      </div>
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
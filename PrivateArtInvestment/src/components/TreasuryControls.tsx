@@ -0,0 +1,163 @@
+import { useEffect, useState } from 'react';
+import { useContract, fetchAllArtworks, type ArtworkRecord } from '../hooks/useContract';
+import { type PrivateArtInvestment } from '../typechain-types';
+import { ethers } from 'ethers';
+
+interface TreasuryControlsProps {
+  refreshTrigger?: number;
+  onTreasuryAction?: () => void;
+}
+
+// Treasurer controls: returns distributions and artwork sales
+export function TreasuryControls({ refreshTrigger, onTreasuryAction }: TreasuryControlsProps) {
+  const { contract, contractWithSigner } = useContract();
+  const [artworks, setArtworks] = useState<ArtworkRecord[]>([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [returnsAmount, setReturnsAmount] = useState('');
+  const [salePrice, setSalePrice] = useState('');
+  const [depositProceeds, setDepositProceeds] = useState(true);
+  const [status, setStatus] = useState<{ message: string; type: 'success' | 'error' | 'info' } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadArtworks();
+  }, [contract, refreshTrigger]);
+
+  async function loadArtworks() {
+    if (!contract) return;
+
+    try {
+      const allArtworks = await fetchAllArtworks(await contract);
+      setArtworks(allArtworks.filter(artwork => artwork.isActive));
+    } catch (error) {
+      console.error('Failed to load artworks:', error);
+    }
+  }
+
+  async function runTreasuryAction(
+    pendingMessage: string,
+    successMessage: string,
+    send: (contract: PrivateArtInvestment, artworkId: number) => Promise<ethers.ContractTransactionResponse>
+  ) {
+    if (!contractWithSigner || !selectedId) {
+      setStatus({ message: 'Please connect your wallet and select an artwork', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setStatus({ message: pendingMessage, type: 'info' });
+
+    try {
+      const contract = await contractWithSigner;
+      if (!contract) {
+        setStatus({ message: 'Contract is not deployed on this network', type: 'error' });
+        return;
+      }
+
+      const tx = await send(contract, Number(selectedId));
+      setStatus({ message: `Transaction submitted: ${tx.hash}`, type: 'info' });
+
+      await tx.wait();
+      setStatus({ message: successMessage, type: 'success' });
+
+      await loadArtworks();
+      if (onTreasuryAction) {
+        onTreasuryAction();
+      }
+    } catch (error: any) {
+      console.error('Treasury action failed:', error);
+      setStatus({ message: `Transaction failed: ${error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  function handleDistributeReturns() {
+    if (!returnsAmount || Number(returnsAmount) <= 0) {
+      setStatus({ message: 'Enter the returns to distribute', type: 'error' });
+      return;
+    }
+
+    runTreasuryAction(
+      'Requesting returns distribution...',
+      'Distribution requested. Holders are credited under encryption; only the round total is decrypted.',
+      (contract, id) => contract.requestReturnsDistribution(id, { value: ethers.parseEther(returnsAmount) })
+    );
+  }
+
+  // Anyone may release; treasurers do it to free confidential investment payments
+  function handleReleaseShares() {
+    runTreasuryAction(
+      'Requesting release of unallocated shares...',
+      'Release requested. Refunded shares return to sale once the Gateway decrypts the pool.',
+      (contract, id) => contract.releaseUnallocatedShares(id)
+    );
+  }
+
+  function handleSellArtwork() {
+    if (!salePrice || Number(salePrice) <= 0) {
+      setStatus({ message: 'Enter the sale price', type: 'error' });
+      return;
+    }
+
+    const price = ethers.parseEther(salePrice);
+    runTreasuryAction(
+      'Recording sale...',
+      depositProceeds ? 'Artwork sold, settlement requested' : 'Artwork sold, waiting for the buyer to deposit the proceeds',
+      (contract, id) => contract.sellArtwork(id, price, { value: depositProceeds ? price : 0n })
+    );
+  }
+
+  return (
+    <div className="form-group">
+      <label>Treasury:</label>
+      <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)} disabled={isLoading}>
+        <option value="">Choose artwork...</option>
+        {artworks.map((artwork) => (
+          <option key={artwork.id} value={artwork.id}>{artwork.name}</option>
+        ))}
+      </select>
+
+      <input
+        type="number"
+        value={returnsAmount}
+        onChange={(e) => setReturnsAmount(e.target.value)}
+        placeholder="Returns to distribute (ETH)"
+        step="0.001"
+        disabled={isLoading}
+      />
+      <button className="btn" onClick={handleDistributeReturns} disabled={isLoading || !selectedId}>
+        Distribute Returns
+      </button>
+      <button className="btn" onClick={handleReleaseShares} disabled={isLoading || !selectedId}>
+        Release Unallocated Shares
+      </button>
+
+      <input
+        type="number"
+        value={salePrice}
+        onChange={(e) => setSalePrice(e.target.value)}
+        placeholder="Sale price (ETH)"
+        step="0.001"
+        disabled={isLoading}
+      />
+      <select
+        value={depositProceeds ? 'now' : 'buyer'}
+        onChange={(e) => setDepositProceeds(e.target.value === 'now')}
+        disabled={isLoading}
+      >
+        <option value="now">Send the proceeds with the sale</option>
+        <option value="buyer">Buyer deposits the proceeds later</option>
+      </select>
+      <button className="btn" onClick={handleSellArtwork} disabled={isLoading || !selectedId}>
+        Sell Artwork
+      </button>
+
+      {status && (
+        <div className={`status ${status.type}`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+}
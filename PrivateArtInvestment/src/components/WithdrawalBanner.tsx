@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react';
+import { useContract } from '../hooks/useContract';
+import { ethers } from 'ethers';
+
+interface PendingWithdrawal {
+  id: bigint;
+  amount: bigint;
+  requestedBy: string;
+  executableAt: bigint;
+}
+
+interface WithdrawalBannerProps {
+  refreshTrigger?: number;
+}
+
+// Warns every visitor about queued withdrawals while their timelock runs
+export function WithdrawalBanner({ refreshTrigger }: WithdrawalBannerProps) {
+  const { contract } = useContract();
+  const [withdrawals, setWithdrawals] = useState<PendingWithdrawal[]>([]);
+
+  useEffect(() => {
+    loadWithdrawals();
+    const interval = setInterval(loadWithdrawals, 30000);
+    return () => clearInterval(interval);
+  }, [contract, refreshTrigger]);
+
+  async function loadWithdrawals() {
+    if (!contract) return;
+
+    try {
+      const [ids, pending] = await (await contract).getPendingWithdrawals();
+      setWithdrawals(ids.map((id, i) => ({
+        id,
+        amount: pending[i].amount,
+        requestedBy: pending[i].requestedBy,
+        executableAt: pending[i].executableAt,
+      })));
+    } catch (error) {
+      console.error('Failed to load pending withdrawals:', error);
+    }
+  }
+
+  if (withdrawals.length === 0) return null;
+
+  return (
+    <div className="withdrawal-banner">
+      <strong>⏳ Pending platform withdrawals</strong>
+      {withdrawals.map((withdrawal) => {
+        const executableAt = new Date(Number(withdrawal.executableAt) * 1000);
+        return (
+          <div key={withdrawal.id.toString()}>
+            #{withdrawal.id.toString()}: {ethers.formatEther(withdrawal.amount)} ETH to the owner,
+            {executableAt > new Date() ? ` executable from ${executableAt.toLocaleString()}` : ' executable now'}
+            {' '}(queued by {withdrawal.requestedBy.substring(0, 6)}...{withdrawal.requestedBy.substring(38)})
+          </div>
+        );
+      })}
+      <div>Funds reserved for distributions, refunds and unclaimed payouts cannot be withdrawn.</div>
+    </div>
+  );
+}
@@ -1,24 +1,11 @@
 import { useMemo } from 'react';
 import { useAccount, usePublicClient, useWalletClient } from 'wagmi';
 import { ethers } from 'ethers';
+import { useDeployment } from './useDeployment';
+import { PrivateArtInvestment__factory, type PrivateArtInvestment } from '../typechain-types';
 
-const CONTRACT_ADDRESS = "0xa0eE56B7697846877d0E90FA654377dcDD68Aaa8";
-
-const CONTRACT_ABI = [
-  "function registerInvestor() external",
-  "function listArtwork(string memory _name, string memory _artist, string memory _ipfsHash, uint256 _totalValue, uint256 _sharePrice, uint256 _totalShares) external",
-  "function makePrivateInvestment(uint256 artworkId, uint32 shareAmount) external payable",
-  "function requestReturnsDistribution(uint256 artworkId) external payable",
-  "function getArtworkInfo(uint256 artworkId) external view returns (string memory name, string memory artist, string memory ipfsHash, uint256 totalValue, uint256 sharePrice, uint256 totalShares, uint256 availableShares, uint256 investorCount)",
-  "function getTotalStats() external view returns (uint256 totalArtworksListed, uint256 totalRegisteredInvestors)",
-  "function isInvestorRegistered(address investor) external view returns (bool)",
-  "function getInvestmentStatus(address investor, uint256 artworkId) external view returns (bool hasInvested, uint256 timestamp)",
-  "function owner() external view returns (address)",
-  "event ArtworkListed(uint256 indexed artworkId, string name, uint256 totalValue, uint256 sharePrice)",
-  "event PrivateInvestmentMade(address indexed investor, uint256 indexed artworkId, uint256 timestamp)",
-  "event InvestorRegistered(address indexed investor, uint256 timestamp)",
-  "event ReturnsDistributed(uint256 indexed artworkId, uint256 totalReturns)"
-];
+// Generated from the Hardhat artifacts by `npm run compile` in the repository root
+export const CONTRACT_ABI = PrivateArtInvestment__factory.abi;
 
 export interface ArtworkInfo {
   name: string;
@@ -31,38 +18,118 @@ export interface ArtworkInfo {
   investorCount: bigint;
 }
 
+export interface ArtworkRecord extends ArtworkInfo {
+  id: number;
+  isActive: boolean;
+  isPaused: boolean;
+  fundingClosed: boolean;
+  creator: string;
+  createdAt: bigint;
+}
+
+// Artworks per getArtworks call; the contract caps pages at MAX_PAGE_SIZE (100)
+const ARTWORK_PAGE_SIZE = 50;
+
+// Every listed artwork, sold ones included, with one getArtworks call per page
+export async function fetchAllArtworks(contract: PrivateArtInvestment): Promise<ArtworkRecord[]> {
+  const artworks: ArtworkRecord[] = [];
+
+  for (let offset = 0; ; offset += ARTWORK_PAGE_SIZE) {
+    const [page, total] = await contract.getArtworks(offset, ARTWORK_PAGE_SIZE);
+    artworks.push(...page.map(artwork => ({
+      id: Number(artwork.id),
+      name: artwork.name,
+      artist: artwork.artist,
+      ipfsHash: artwork.ipfsHash,
+      totalValue: artwork.totalValue,
+      sharePrice: artwork.sharePrice,
+      totalShares: artwork.totalShares,
+      availableShares: artwork.availableShares,
+      investorCount: artwork.investorCount,
+      isActive: artwork.isActive,
+      isPaused: artwork.isPaused,
+      fundingClosed: artwork.fundingClosed,
+      creator: artwork.creator,
+      createdAt: artwork.createdAt,
+    })));
+
+    if (offset + ARTWORK_PAGE_SIZE >= Number(total)) break;
+  }
+
+  return artworks;
+}
+
+export type RoundStatus = 'pending' | 'distributed' | 'crediting' | 'expired';
+
+export interface DistributionRoundRecord {
+  id: number;
+  requestId: bigint;
+  amount: bigint;
+  perShare: bigint;
+  distributed: bigint;
+  status: RoundStatus;
+  createdAt: bigint;
+  settledAt: bigint;
+  creditedHolders: bigint;
+}
+
+// Order of the contract's RoundStatus enum
+const ROUND_STATUSES: RoundStatus[] = ['pending', 'distributed', 'crediting', 'expired'];
+
+// Every returns distribution round of an artwork, oldest first. Payouts are encrypted per
+// holder; `distributed` is the round total, known once the Gateway has decrypted it.
+export async function fetchDistributionRounds(
+  contract: PrivateArtInvestment,
+  artworkId: number
+): Promise<DistributionRoundRecord[]> {
+  const rounds: DistributionRoundRecord[] = [];
+
+  for (const roundId of await contract.getArtworkRounds(artworkId)) {
+    const round = await contract.distributionRounds(roundId);
+    rounds.push({
+      id: Number(roundId),
+      requestId: round.requestId,
+      amount: round.amount,
+      perShare: round.perShare,
+      distributed: round.distributed,
+      status: ROUND_STATUSES[Number(round.status)],
+      createdAt: round.createdAt,
+      settledAt: round.settledAt,
+      creditedHolders: round.creditedHolders,
+    });
+  }
+
+  return rounds;
+}
+
 export function useContract() {
   const { address } = useAccount();
   const publicClient = usePublicClient();
   const { data: walletClient } = useWalletClient();
+  const { deployment, chainId } = useDeployment();
+  const contractAddress = deployment?.contractAddress;
 
-  const contract = useMemo(() => {
-    if (!walletClient) return null;
+  const contract = useMemo((): PrivateArtInvestment | null => {
+    if (!walletClient || !contractAddress) return null;
 
     const provider = new ethers.BrowserProvider(walletClient as any);
-    return new ethers.Contract(
-      CONTRACT_ADDRESS,
-      CONTRACT_ABI,
-      provider
-    );
-  }, [walletClient]);
+    return PrivateArtInvestment__factory.connect(contractAddress, provider);
+  }, [walletClient, contractAddress]);
 
-  const contractWithSigner = useMemo(async () => {
-    if (!contract || !walletClient) return null;
+  const contractWithSigner = useMemo(async (): Promise<PrivateArtInvestment | null> => {
+    if (!contract || !walletClient || !contractAddress) return null;
 
     const provider = new ethers.BrowserProvider(walletClient as any);
     const signer = await provider.getSigner();
-    return new ethers.Contract(
-      CONTRACT_ADDRESS,
-      CONTRACT_ABI,
-      signer
-    );
-  }, [contract, walletClient]);
+    return PrivateArtInvestment__factory.connect(contractAddress, signer);
+  }, [contract, walletClient, contractAddress]);
 
   return {
     contract,
     contractWithSigner,
-    contractAddress: CONTRACT_ADDRESS,
+    contractAddress,
+    deployment,
+    chainId,
     userAddress: address,
   };
 }
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { useAccount, useChainId } from 'wagmi';
+
+// Shape of public/deployments.json, published by scripts/deploy.js
+export interface Deployment {
+  network: string;
+  contractName: string;
+  contractAddress: string;
+  abiHash: string;
+  deploymentBlock: number;
+}
+
+type DeploymentRegistry = Record<string, Deployment>;
+
+let registryPromise: Promise<DeploymentRegistry> | null = null;
+
+export function loadDeploymentRegistry(): Promise<DeploymentRegistry> {
+  if (!registryPromise) {
+    registryPromise = fetch(`${import.meta.env.BASE_URL}deployments.json`)
+      .then(response => (response.ok ? response.json() : {}))
+      .catch(error => {
+        console.error('Failed to load deployment registry:', error);
+        return {};
+      });
+  }
+  return registryPromise;
+}
+
+// VITE_CONTRACT_ADDRESS still works for a chain that has no registry entry
+function getEnvDeployment(chainId: number): Deployment | null {
+  const address = import.meta.env.VITE_CONTRACT_ADDRESS;
+  if (!address || Number(import.meta.env.VITE_CHAIN_ID) !== chainId) return null;
+
+  return {
+    network: `chain-${chainId}`,
+    contractName: 'PrivateArtInvestment',
+    contractAddress: address,
+    abiHash: '',
+    deploymentBlock: 0,
+  };
+}
+
+export function getDeployment(registry: DeploymentRegistry, chainId: number): Deployment | null {
+  return registry[chainId] ?? getEnvDeployment(chainId);
+}
+
+export function useDeployment() {
+  // useChainId only reports chains wagmi is configured for; the connected wallet may be elsewhere
+  const { chainId: walletChainId } = useAccount();
+  const configChainId = useChainId();
+  const chainId = walletChainId ?? configChainId;
+  const [deployment, setDeployment] = useState<Deployment | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    loadDeploymentRegistry().then(registry => {
+      if (cancelled) return;
+      setDeployment(getDeployment(registry, chainId));
+      setIsLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId]);
+
+  return { deployment, isLoading, chainId };
+}
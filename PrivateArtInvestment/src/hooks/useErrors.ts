@@ -0,0 +1,70 @@
+// Turns wallet, RPC and contract errors into messages an investor can act on.
+// Contract reverts are matched on their require() reason string.
+
+const REVERT_MESSAGES: Record<string, string> = {
+  // Registration and KYC
+  'Already registered': 'This wallet is already registered. Submitting again renews your KYC instead.',
+  'Not registered investor': 'Register as an investor before continuing.',
+  'KYC expired': 'Your KYC attestation has expired. Renew it under Register Investor.',
+  'Accreditation required': 'This artwork is only open to accredited investors.',
+  'Attestation expired': 'The KYC attestation expired before it reached the chain. Please try again.',
+  'Attestation not for sender': 'The KYC attestation was issued for a different wallet.',
+  'Attestation not newer': 'Your KYC is already up to date.',
+  'Invalid attestation signature': "The KYC attestation was not signed by the platform's verifier.",
+
+  // Investing and trading
+  'Insufficient shares available': 'Not enough shares are left in this artwork. Lower the amount and try again.',
+  'Insufficient payment': 'The payment does not cover the shares. Refresh the artwork price and try again.',
+  'Incorrect payment': 'The payment must equal the order price.',
+  'Price not whole gwei': 'The order price must be a whole number of gwei (at most 9 decimals).',
+  'Artwork not active': 'This artwork is no longer open for investment.',
+  'Artwork paused': 'Investments in this artwork are paused.',
+  'Funding closed': 'Funding for this artwork has closed.',
+  'Invalid share amount': 'Enter a positive number of shares.',
+  'No shares in this artwork': 'You hold no shares in this artwork.',
+  'Recipient not registered': 'The recipient is not a registered investor.',
+  'Distribution in progress': 'A sale settlement or returns round of this artwork is still in progress. Try again once it is credited.',
+  'Open share orders': 'Fill or cancel the open share orders of this artwork first.',
+  'Nothing to release': 'No confidential investments are waiting to be released for this artwork.',
+
+  // Listing artworks
+  'Value calculation mismatch': 'Total value must equal the share price times the number of shares.',
+  'Share price not whole gwei': 'Share price must be a whole number of gwei (at most 9 decimals).',
+  'Total value too large': 'Total value is too large to keep in encrypted form.',
+  'Too many shares': 'An artwork can have at most 4,294,967,295 shares.',
+
+  // Claims, refunds and withdrawals
+  'Nothing to claim': 'You have nothing to claim.',
+  'Amount not whole gwei': 'The amount must be a whole number of gwei.',
+  'Callback timeout not reached': 'The Gateway still has time to answer. The refund opens once the callback timeout has passed.',
+  'Deposit window still open': 'Only a treasurer can cancel the sale until the deposit window closes.',
+  'Round already credited': 'Every holder of this round has already been credited.',
+  'Refund already claimed': 'You have already claimed your refund of this sale.',
+  'Refund window expired': 'The emergency refund window has closed. Anyone can still use the timeout refund.',
+  'Request already processed': 'This request has already been processed.',
+  'Exceeds free balance': 'The amount is more than the free balance. Funds reserved for investors cannot be withdrawn.',
+  'Withdrawal timelocked': 'This withdrawal is still timelocked.',
+
+  'Not authorized': 'The connected wallet does not hold the role this action needs.',
+};
+
+// The require() reason of a reverted call, if the error carries one
+export function revertReason(error: any): string | null {
+  return error?.reason ?? error?.revert?.args?.[0] ?? null;
+}
+
+export function describeError(error: any): string {
+  if (error?.code === 'ACTION_REJECTED') {
+    return 'You rejected the request in your wallet.';
+  }
+  if (error?.code === 'INSUFFICIENT_FUNDS') {
+    return 'Your wallet does not hold enough ETH for the payment and gas.';
+  }
+
+  const reason = revertReason(error);
+  if (reason) {
+    return REVERT_MESSAGES[reason] ?? `The contract rejected the transaction: ${reason}`;
+  }
+
+  return error?.shortMessage ?? error?.message ?? String(error);
+}
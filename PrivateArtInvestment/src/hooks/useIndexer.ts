@@ -0,0 +1,53 @@
+// Client for the event indexer API (scripts/indexer). Optional: when
+// VITE_INDEXER_URL is unset or the indexer is unreachable, callers fall back
+// to reading the contract directly.
+
+export interface IndexedArtwork {
+  id: number;
+  name: string;
+  artist: string;
+  ipfsHash: string;
+  totalValue: string;
+  sharePrice: string;
+  totalShares: string;
+  availableShares: string;
+  investorCount: number;
+  isActive: boolean;
+  isPaused: boolean;
+  fundingClosed: boolean;
+  sale: IndexedSale | null;
+}
+
+export type SaleStatus = 'awaiting_proceeds' | 'settling' | 'settled' | 'refunded' | 'cancelled';
+
+export interface IndexedSale {
+  salePrice: string;
+  soldAt: number;
+  status: SaleStatus;
+  payouts: Array<{ account: string; amount: string }>;
+}
+
+export interface IndexedStats {
+  totalArtworks: number;
+  totalInvestors: number;
+}
+
+export async function fetchIndexer<T>(path: string): Promise<T | null> {
+  const baseUrl = import.meta.env.VITE_INDEXER_URL;
+  if (!baseUrl) return null;
+
+  try {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`);
+    if (!response.ok) return null;
+    return (await response.json()) as T;
+  } catch (error) {
+    console.warn(`Indexer request ${path} failed, falling back to RPC:`, error);
+    return null;
+  }
+}
+
+// Sold artworks are inactive; the gallery asks for them to show their settlement
+export async function fetchIndexedArtworks(includeSold = false): Promise<IndexedArtwork[] | null> {
+  const artworks = await fetchIndexer<IndexedArtwork[]>('/artworks');
+  return artworks && artworks.filter(artwork => artwork.isActive || (includeSold && artwork.sale));
+}
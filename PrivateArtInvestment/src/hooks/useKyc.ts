@@ -0,0 +1,52 @@
+// Client for the KYC signer API (scripts/kyc). The signer returns an EIP-712
+// attestation that registerInvestor verifies against the contract's kycVerifier.
+
+// Must match JURISDICTIONS in scripts/kyc/attestation.js
+export const JURISDICTIONS: Record<string, number> = {
+  US: 1 << 0,
+  EU: 1 << 1,
+  UK: 1 << 2,
+  CH: 1 << 3,
+  SG: 1 << 4,
+};
+
+export interface KycAttestation {
+  investor: string;
+  jurisdictions: number;
+  accredited: boolean;
+  issuedAt: number;
+  expiresAt: number;
+}
+
+export interface AttestationRequest {
+  investor: string;
+  contractAddress: string;
+  chainId: number;
+  jurisdictions: string[];
+  accredited: boolean;
+}
+
+export function encodeJurisdictions(codes: string[]): number {
+  return codes.reduce((flags, code) => flags | (JURISDICTIONS[code] ?? 0), 0);
+}
+
+export function decodeJurisdictions(flags: number | bigint): string[] {
+  return Object.keys(JURISDICTIONS).filter(code => (Number(flags) & JURISDICTIONS[code]) !== 0);
+}
+
+export async function requestAttestation(
+  request: AttestationRequest
+): Promise<{ attestation: KycAttestation; signature: string }> {
+  const baseUrl = (import.meta.env.VITE_KYC_SIGNER_URL || 'http://127.0.0.1:4100').replace(/\/$/, '');
+
+  const response = await fetch(`${baseUrl}/attestations`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`KYC signer refused the request: ${body.error || response.status}`);
+  }
+  return body;
+}
@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { decryptHandle, encryptUint32 } from '@shared/local-fhe.mjs';
+import { useContract } from './useContract';
+
+// Encrypted inputs and decryption against contracts/LocalFHE.sol, the FHE backend the
+// contract runs on in every supported network. Encoding is shared with the scripts
+// (shared/local-fhe.mjs), so the contract's fromExternal accepts what the app submits.
+
+// Encrypts share amounts for the connected wallet, the deployed contract and the current chain
+export function useEncrypt() {
+  const { contractAddress, userAddress, chainId } = useContract();
+  const [isEncrypting, setIsEncrypting] = useState(false);
+
+  async function encrypt(value: number | bigint) {
+    if (!contractAddress || !userAddress || !chainId) {
+      throw new Error('Connect your wallet to a network with a deployment first');
+    }
+
+    setIsEncrypting(true);
+    try {
+      return await encryptUint32(contractAddress, userAddress, chainId, value);
+    } finally {
+      setIsEncrypting(false);
+    }
+  }
+
+  return { encrypt, isEncrypting, isReady: Boolean(contractAddress && userAddress && chainId) };
+}
+
+// LocalFHE handles carry their cleartext, so decrypting needs no Gateway or wallet signature
+export function useDecrypt() {
+  const [isDecrypting, setIsDecrypting] = useState(false);
+
+  async function decrypt(handle: string): Promise<bigint> {
+    setIsDecrypting(true);
+    try {
+      return decryptHandle(handle).value;
+    } finally {
+      setIsDecrypting(false);
+    }
+  }
+
+  return { decrypt, isDecrypting };
+}
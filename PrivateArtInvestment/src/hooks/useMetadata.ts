@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react';
+import { isValidCid, normalizeCid, verifyCid } from '@shared/cid.mjs';
+import { validateMetadata, type ArtworkMetadata } from '@shared/metadata.mjs';
+
+// Artwork metadata on IPFS: a pluggable pinning client and a cached resolver.
+// The schema and CID checks are shared with the scripts (see shared/metadata.mjs).
+
+// ============ Pinning ============
+
+export interface PinningClient {
+  // Pin content and resolve to its CID
+  add(content: Blob, filename: string): Promise<string>;
+}
+
+// Anything serving the Kubo RPC API: a local node, scripts/ipfs or a hosted pinning service
+export function createKuboPinningClient(apiUrl: string, headers: Record<string, string> = {}): PinningClient {
+  const baseUrl = apiUrl.replace(/\/$/, '');
+
+  return {
+    async add(content, filename) {
+      const form = new FormData();
+      form.append('file', content, filename);
+
+      const response = await fetch(`${baseUrl}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, {
+        method: 'POST',
+        headers,
+        body: form,
+      });
+      if (!response.ok) {
+        throw new Error(`IPFS upload failed: ${response.status} ${await response.text()}`);
+      }
+
+      const lines = (await response.text()).trim().split('\n');
+      return JSON.parse(lines[lines.length - 1]).Hash;
+    },
+  };
+}
+
+// Configured from VITE_IPFS_API_URL; null when uploads are not set up
+export function getPinningClient(): PinningClient | null {
+  const apiUrl = import.meta.env.VITE_IPFS_API_URL;
+  if (!apiUrl) return null;
+
+  const token = import.meta.env.VITE_IPFS_API_TOKEN;
+  return createKuboPinningClient(apiUrl, token ? { Authorization: `Bearer ${token}` } : {});
+}
+
+export function ipfsGatewayUrl(uri: string): string {
+  const gateway = (import.meta.env.VITE_IPFS_GATEWAY_URL || 'https://ipfs.io').replace(/\/$/, '');
+  return `${gateway}/ipfs/${normalizeCid(uri)}`;
+}
+
+export async function pinMetadata(client: PinningClient, metadata: ArtworkMetadata): Promise<string> {
+  const errors = validateMetadata(metadata);
+  if (errors.length > 0) {
+    throw new Error(`Invalid artwork metadata: ${errors.join('; ')}`);
+  }
+  return client.add(new Blob([JSON.stringify(metadata)], { type: 'application/json' }), 'metadata.json');
+}
+
+// ============ Resolving ============
+
+// Content behind a CID never changes, so resolved documents are cached for good
+const CACHE_PREFIX = 'artwork-metadata:';
+const pending = new Map<string, Promise<ArtworkMetadata | null>>();
+
+async function loadMetadata(cid: string): Promise<ArtworkMetadata | null> {
+  const cached = localStorage.getItem(CACHE_PREFIX + cid);
+  if (cached) return JSON.parse(cached);
+
+  const response = await fetch(ipfsGatewayUrl(cid));
+  if (!response.ok) throw new Error(`Gateway returned ${response.status}`);
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  // Only raw-codec CIDs can be checked against the bytes a gateway returns
+  if (verifyCid(cid, bytes) === false) throw new Error('Content does not match its CID');
+
+  const metadata = JSON.parse(new TextDecoder().decode(bytes));
+  const errors = validateMetadata(metadata);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+
+  localStorage.setItem(CACHE_PREFIX + cid, JSON.stringify(metadata));
+  return metadata;
+}
+
+// Null for malformed hashes and for documents that fail to load or validate
+export function resolveMetadata(ipfsHash: string): Promise<ArtworkMetadata | null> {
+  const cid = normalizeCid(ipfsHash);
+  if (!isValidCid(cid)) return Promise.resolve(null);
+
+  if (!pending.has(cid)) {
+    pending.set(cid, loadMetadata(cid).catch(error => {
+      console.warn(`Failed to resolve metadata ${cid}:`, error);
+      pending.delete(cid);
+      return null;
+    }));
+  }
+  return pending.get(cid)!;
+}
+
+// Resolved metadata keyed by IPFS hash; entries appear as they load
+export function useArtworkMetadata(ipfsHashes: string[]) {
+  const [metadata, setMetadata] = useState<Record<string, ArtworkMetadata>>({});
+  const key = ipfsHashes.join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    for (const ipfsHash of ipfsHashes) {
+      resolveMetadata(ipfsHash).then(resolved => {
+        if (resolved && !cancelled) {
+          setMetadata(prev => ({ ...prev, [ipfsHash]: resolved }));
+        }
+      });
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return metadata;
+}
@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import { useSwitchChain } from 'wagmi';
+import { hardhat, sepolia } from 'wagmi/chains';
+import { defineChain, type Chain } from 'viem';
+import { getDeployment, loadDeploymentRegistry, useDeployment } from './useDeployment';
+
+// The `zama` network of hardhat.config.js
+export const zamaDevnet = defineChain({
+  id: 8009,
+  name: 'Zama Devnet',
+  nativeCurrency: { name: 'Zama', symbol: 'ZAMA', decimals: 18 },
+  rpcUrls: {
+    default: { http: ['https://devnet.zama.ai'] },
+  },
+});
+
+export interface NetworkConfig {
+  chain: Chain;
+  rpcUrl: string;
+}
+
+// Every network hardhat.config.js deploys to; the wallet must be on one of them
+export const SUPPORTED_NETWORKS: NetworkConfig[] = [
+  {
+    chain: hardhat,
+    rpcUrl: import.meta.env.VITE_HARDHAT_RPC_URL || hardhat.rpcUrls.default.http[0],
+  },
+  {
+    chain: sepolia,
+    // VITE_RPC_URL is the Sepolia RPC of single-network setups
+    rpcUrl: import.meta.env.VITE_SEPOLIA_RPC_URL || import.meta.env.VITE_RPC_URL || sepolia.rpcUrls.default.http[0],
+  },
+  {
+    chain: zamaDevnet,
+    rpcUrl: import.meta.env.VITE_ZAMA_RPC_URL || zamaDevnet.rpcUrls.default.http[0],
+  },
+];
+
+export const SUPPORTED_CHAINS = SUPPORTED_NETWORKS.map(network => network.chain) as [Chain, ...Chain[]];
+
+export function getNetwork(chainId: number | undefined): NetworkConfig | null {
+  return SUPPORTED_NETWORKS.find(network => network.chain.id === chainId) ?? null;
+}
+
+// Whether the wallet's chain is one the app supports and has a deployment on, and the
+// networks it can switch to instead
+export function useNetworkGuard() {
+  const { deployment, isLoading, chainId } = useDeployment();
+  const { switchChain, isPending, error } = useSwitchChain();
+  const [deployedNetworks, setDeployedNetworks] = useState<NetworkConfig[]>([]);
+
+  useEffect(() => {
+    loadDeploymentRegistry().then(registry => {
+      setDeployedNetworks(SUPPORTED_NETWORKS.filter(network => getDeployment(registry, network.chain.id)));
+    });
+  }, []);
+
+  const network = getNetwork(chainId);
+
+  return {
+    chainId,
+    network,
+    deployedNetworks,
+    isLoading,
+    isReady: network !== null && deployment !== null,
+    switchTo: (targetChainId: number) => switchChain({ chainId: targetChainId }),
+    isSwitching: isPending,
+    switchError: error,
+  };
+}
@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import { useContract } from './useContract';
+
+export interface Roles {
+  isOwner: boolean;
+  isPendingOwner: boolean;
+  isAdmin: boolean;
+  isCurator: boolean;
+  isTreasurer: boolean;
+  isGuardian: boolean;
+}
+
+const NO_ROLES: Roles = {
+  isOwner: false,
+  isPendingOwner: false,
+  isAdmin: false,
+  isCurator: false,
+  isTreasurer: false,
+  isGuardian: false,
+};
+
+// Roles of the connected wallet, read from the contract's hasRole
+export function useRoles(refreshTrigger?: number) {
+  const { contract, userAddress } = useContract();
+  const [roles, setRoles] = useState<Roles>(NO_ROLES);
+
+  useEffect(() => {
+    loadRoles();
+  }, [contract, userAddress, refreshTrigger]);
+
+  async function loadRoles() {
+    if (!contract || !userAddress) {
+      setRoles(NO_ROLES);
+      return;
+    }
+
+    try {
+      const contractInstance = await contract;
+      const [owner, pendingOwner, adminRole, curatorRole, treasurerRole, guardianRole] = await Promise.all([
+        contractInstance.owner(),
+        contractInstance.pendingOwner(),
+        contractInstance.ADMIN_ROLE(),
+        contractInstance.CURATOR_ROLE(),
+        contractInstance.TREASURER_ROLE(),
+        contractInstance.GUARDIAN_ROLE(),
+      ]);
+      const [isAdmin, isCurator, isTreasurer, isGuardian] = await Promise.all(
+        [adminRole, curatorRole, treasurerRole, guardianRole].map(role => contractInstance.hasRole(role, userAddress))
+      );
+
+      setRoles({
+        isOwner: owner.toLowerCase() === userAddress.toLowerCase(),
+        isPendingOwner: pendingOwner.toLowerCase() === userAddress.toLowerCase(),
+        isAdmin,
+        isCurator,
+        isTreasurer,
+        isGuardian,
+      });
+    } catch (error) {
+      console.error('Failed to load roles:', error);
+      setRoles(NO_ROLES);
+    }
+  }
+
+  return roles;
+}
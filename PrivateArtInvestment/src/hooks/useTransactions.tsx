@@ -0,0 +1,227 @@
+import { createContext, useContext, useEffect, useRef, useState, type ReactNode } from 'react';
+import { ethers } from 'ethers';
+import { useContract } from './useContract';
+import { describeError } from './useErrors';
+import { type PrivateArtInvestment } from '../typechain-types';
+import { type ContractMethodArgs, type TypedContractMethod } from '../typechain-types/common';
+
+export type NotificationType = 'success' | 'error' | 'info';
+
+export interface Notification {
+  id: number;
+  message: string;
+  type: NotificationType;
+}
+
+// Enough to pick a transaction up again after the page reloads
+interface PendingTransaction {
+  hash: string;
+  from: string;
+  nonce: number;
+  chainId: number;
+  contractAddress: string;
+  startBlock: number; // Latest block before it was sent; replacements are searched from there
+  label: string;
+  successMessage: string;
+}
+
+type SendingMutability = 'nonpayable' | 'payable';
+
+export interface TransactionRequest<A extends Array<any>, S extends SendingMutability> {
+  label: string; // Names the action in notifications, e.g. 'Investment'
+  successMessage: string;
+  method: (contract: PrivateArtInvestment) => TypedContractMethod<A, any, S>;
+  args: ContractMethodArgs<A, S>;
+}
+
+interface TransactionManager {
+  notifications: Notification[];
+  notify: (message: string, type: NotificationType, id?: number) => number;
+  dismiss: (id: number) => void;
+  send: <A extends Array<any>, S extends SendingMutability>(
+    request: TransactionRequest<A, S>
+  ) => Promise<ethers.TransactionReceipt | null>;
+}
+
+const STORAGE_KEY = 'privateArtInvestment.pendingTransactions';
+// Successes close themselves; errors stay until dismissed and progress messages until replaced
+const SUCCESS_TIMEOUT_MS = 8000;
+
+function loadPending(): PendingTransaction[] {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+function savePending(transactions: PendingTransaction[]) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
+}
+
+function forgetPending(hash: string) {
+  savePending(loadPending().filter(transaction => transaction.hash !== hash));
+}
+
+function shortHash(hash: string) {
+  return `${hash.substring(0, 10)}...`;
+}
+
+const TransactionContext = createContext<TransactionManager | null>(null);
+
+// Sends contract transactions for every component and reports them in one notification queue.
+// Each call is simulated before the wallet is asked to sign, so reverts show their reason
+// without spending gas. Pending transactions are kept in localStorage and watched again after
+// a reload, including the case where the wallet sped up, replaced or cancelled them.
+export function TransactionProvider({ children }: { children: ReactNode }) {
+  const { contract, contractWithSigner, contractAddress, chainId, userAddress } = useContract();
+  const [notifications, setNotifications] = useState<Notification[]>([]);
+  const nextId = useRef(1);
+  const watching = useRef(new Set<string>());
+
+  useEffect(() => {
+    resumePending();
+  }, [contract, userAddress, chainId]);
+
+  function notify(message: string, type: NotificationType, id?: number): number {
+    const notificationId = id ?? nextId.current++;
+    setNotifications(prev => [
+      ...prev.filter(notification => notification.id !== notificationId),
+      { id: notificationId, message, type },
+    ]);
+
+    if (type === 'success') {
+      setTimeout(() => dismiss(notificationId), SUCCESS_TIMEOUT_MS);
+    }
+    return notificationId;
+  }
+
+  function dismiss(id: number) {
+    setNotifications(prev => prev.filter(notification => notification.id !== id));
+  }
+
+  async function watch(tx: ethers.TransactionResponse, pending: PendingTransaction, id: number) {
+    try {
+      const receipt = await tx.wait();
+      notify(pending.successMessage, 'success', id);
+      return receipt;
+    } catch (error: any) {
+      if (error.code !== 'TRANSACTION_REPLACED') {
+        console.error(`${pending.label} failed:`, error);
+        notify(`${pending.label} failed: ${describeError(error)}`, 'error', id);
+        return null;
+      }
+
+      // Sped up in the wallet: the same call under a new hash
+      if (error.reason === 'repriced') {
+        notify(`${pending.successMessage} (sped up in your wallet)`, 'success', id);
+        return error.receipt as ethers.TransactionReceipt;
+      }
+
+      notify(`${pending.label} was ${error.reason === 'cancelled' ? 'cancelled' : 'replaced'} in your wallet`, 'error', id);
+      return null;
+    } finally {
+      forgetPending(pending.hash);
+      watching.current.delete(pending.hash);
+    }
+  }
+
+  async function resumePending() {
+    const provider = contract?.runner?.provider;
+    if (!provider || !userAddress || !contractAddress) return;
+
+    const own = loadPending().filter(pending =>
+      pending.chainId === chainId &&
+      pending.contractAddress === contractAddress &&
+      pending.from.toLowerCase() === userAddress.toLowerCase() &&
+      !watching.current.has(pending.hash)
+    );
+
+    for (const pending of own) {
+      watching.current.add(pending.hash);
+      const id = notify(`${pending.label}: still waiting for ${shortHash(pending.hash)}...`, 'info');
+
+      try {
+        const tx = await provider.getTransaction(pending.hash);
+        if (tx) {
+          watch(tx.replaceableTransaction(pending.startBlock), pending, id);
+          continue;
+        }
+
+        // The node no longer knows it: either another transaction took its nonce or it was dropped
+        const minedNonces = await provider.getTransactionCount(pending.from);
+        notify(
+          minedNonces > pending.nonce
+            ? `${pending.label} was replaced or cancelled in your wallet`
+            : `${pending.label} was dropped by the network. Please submit it again.`,
+          'error',
+          id
+        );
+      } catch (error) {
+        console.error(`Failed to resume ${pending.label}:`, error);
+        notify(`${pending.label}: could not check ${shortHash(pending.hash)}. Look it up in your wallet.`, 'error', id);
+      }
+
+      forgetPending(pending.hash);
+      watching.current.delete(pending.hash);
+    }
+  }
+
+  async function send<A extends Array<any>, S extends SendingMutability>(
+    request: TransactionRequest<A, S>
+  ): Promise<ethers.TransactionReceipt | null> {
+    const id = notify(`${request.label}: checking the transaction...`, 'info');
+
+    try {
+      const signerContract = await contractWithSigner;
+      const provider = signerContract?.runner?.provider;
+      if (!signerContract || !provider || !contractAddress) {
+        notify('Contract is not deployed on this network', 'error', id);
+        return null;
+      }
+
+      // Estimating gas executes the call against the latest block, so a revert
+      // shows its reason here instead of after the wallet prompt
+      const method = request.method(signerContract);
+      await method.estimateGas(...request.args);
+      const startBlock = await provider.getBlockNumber();
+
+      notify(`${request.label}: confirm in your wallet...`, 'info', id);
+      const tx = await method(...request.args);
+
+      const pending: PendingTransaction = {
+        hash: tx.hash,
+        from: tx.from,
+        nonce: tx.nonce,
+        chainId,
+        contractAddress,
+        startBlock,
+        label: request.label,
+        successMessage: request.successMessage,
+      };
+      savePending([...loadPending(), pending]);
+      watching.current.add(tx.hash);
+
+      notify(`${request.label}: submitted ${shortHash(tx.hash)}, waiting for confirmation...`, 'info', id);
+      return await watch(tx, pending, id);
+    } catch (error: any) {
+      console.error(`${request.label} failed:`, error);
+      notify(`${request.label} failed: ${describeError(error)}`, 'error', id);
+      return null;
+    }
+  }
+
+  return (
+    <TransactionContext.Provider value={{ notifications, notify, dismiss, send }}>
+      {children}
+    </TransactionContext.Provider>
+  );
+}
+
+export function useTransactions(): TransactionManager {
+  const manager = useContext(TransactionContext);
+  if (!manager) {
+    throw new Error('useTransactions must be used inside a TransactionProvider');
+  }
+  return manager;
+}
@@ -3,18 +3,17 @@ import ReactDOM from 'react-dom/client';
 import App from './App';
 import './styles/App.css';
 import { WagmiProvider, createConfig, http } from 'wagmi';
-import { sepolia } from 'wagmi/chains';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ConnectKitProvider, getDefaultConfig } from 'connectkit';
+import { TransactionProvider } from './hooks/useTransactions';
+import { SUPPORTED_CHAINS, SUPPORTED_NETWORKS } from './hooks/useNetwork';
 
 const config = createConfig(
   getDefaultConfig({
     appName: 'Private Art Investment Platform',
     walletConnectProjectId: import.meta.env.VITE_WALLETCONNECT_PROJECT_ID || '',
-    chains: [sepolia],
-    transports: {
-      [sepolia.id]: http(import.meta.env.VITE_RPC_URL),
-    },
+    chains: SUPPORTED_CHAINS,
+    transports: Object.fromEntries(SUPPORTED_NETWORKS.map(network => [network.chain.id, http(network.rpcUrl)])),
   })
 );
 
@@ -25,7 +24,9 @@ ReactDOM.createRoot(document.getElementById('root')!).render(
     <WagmiProvider config={config}>
       <QueryClientProvider client={queryClient}>
         <ConnectKitProvider>
-          <App />
+          <TransactionProvider>
+            <App />
+          </TransactionProvider>
         </ConnectKitProvider>
       </QueryClientProvider>
     </WagmiProvider>
@@ -1,10 +1,18 @@
 /// <reference types="vite/client" />
 
 interface ImportMetaEnv {
-  readonly VITE_CHAIN_ID: string;
-  readonly VITE_RPC_URL: string;
+  readonly VITE_CHAIN_ID?: string;
+  readonly VITE_RPC_URL?: string;
+  readonly VITE_HARDHAT_RPC_URL?: string;
+  readonly VITE_SEPOLIA_RPC_URL?: string;
+  readonly VITE_ZAMA_RPC_URL?: string;
   readonly VITE_WALLETCONNECT_PROJECT_ID: string;
-  readonly VITE_CONTRACT_ADDRESS: string;
+  readonly VITE_CONTRACT_ADDRESS?: string;
+  readonly VITE_INDEXER_URL?: string;
+  readonly VITE_IPFS_API_URL?: string;
+  readonly VITE_IPFS_API_TOKEN?: string;
+  readonly VITE_IPFS_GATEWAY_URL?: string;
+  readonly VITE_KYC_SIGNER_URL?: string;
 }
 
 interface ImportMeta {
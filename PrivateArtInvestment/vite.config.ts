@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react';
 import path from 'path';
 
@@ -7,13 +7,16 @@ export default defineConfig({
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),
-      '@fhevm/sdk': path.resolve(__dirname, '../../packages/fhevm-sdk/src'),
+      // Modules shared with the scripts, e.g. units.mjs
+      '@shared': path.resolve(__dirname, '../shared'),
     },
-  },
-  optimizeDeps: {
-    exclude: ['fhevmjs'],
+    // Resolve imports of the shared modules from this app's node_modules
+    dedupe: ['ethers'],
   },
   server: {
     port: 3002,
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), path.resolve(__dirname, '../shared')],
+    },
   },
 });
@@ -0,0 +1,294 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title LocalFHE
+ * @notice Plaintext-backed stand-in for the Zama FHE library, used to run the full
+ * investment and returns lifecycle on the Hardhat network (chainId 31337).
+ *
+ * @dev NOT PRIVATE. Every handle carries its cleartext in the low 8 bytes so that the
+ * local Gateway relayer (scripts/gateway-relayer.js) can "decrypt" it without a KMS.
+ *
+ * HANDLE LAYOUT (32 bytes):
+ * - bytes 0..22  : pseudo-random tag, unique per handle
+ * - byte  23     : FHE type id (0 = ebool, 4 = euint32, 5 = euint64)
+ * - bytes 24..31 : cleartext value
+ *
+ * ENCRYPTED INPUTS:
+ * Clients build the handle themselves and obtain an input proof: an EIP-191 signature by
+ * the local input signer over keccak256(abi.encode(handle, user, contract, chainId)).
+ * fromExternal checks the proof, binding the input to one user and one contract.
+ *
+ * DECRYPTION FLOW:
+ * 1. Contract calls requestDecryption(handles, callbackSelector)
+ * 2. Library emits DecryptionOracleRequest with the handles
+ * 3. Relayer decrypts, signs the cleartexts with the local KMS key and calls back
+ * 4. Callback calls checkSignatures, which consumes the request
+ *
+ * State lives in a namespaced storage slot of the calling contract, so the library
+ * needs no deployment of its own.
+ */
+
+/// @notice Keys the local coprocessor trusts
+struct FHEVMConfigStruct {
+    address kmsSigner;      // Signs decryption results delivered by the Gateway relayer
+    address inputSigner;    // Signs input proofs for client-side encrypted values
+}
+
+library FHE {
+
+    struct ebool {
+        bytes32 handle;
+    }
+
+    struct euint32 {
+        bytes32 handle;
+    }
+
+    struct euint64 {
+        bytes32 handle;
+    }
+
+    /// @notice Handle of a client-side encrypted input, not usable until checked by fromExternal
+    type externalEuint32 is bytes32;
+
+    uint8 internal constant TYPE_EBOOL = 0;
+    uint8 internal constant TYPE_EUINT32 = 4;
+    uint8 internal constant TYPE_EUINT64 = 5;
+
+    bytes32 private constant STORAGE_SLOT = keccak256("localfhe.storage");
+
+    struct LocalFHEStorage {
+        FHEVMConfigStruct config;
+        uint256 handleNonce;
+        uint256 requestCounter;
+        mapping(bytes32 => mapping(address => bool)) acl;
+        mapping(uint256 => bytes32) pendingRequests;    // requestId => hash of requested handles
+    }
+
+    event DecryptionOracleRequest(uint256 indexed requestId, bytes32[] handles, bytes4 callbackSelector);
+
+    // ============ Configuration ============
+
+    function setCoprocessor(FHEVMConfigStruct memory config) internal {
+        require(config.kmsSigner != address(0), "FHE: invalid KMS signer");
+        require(config.inputSigner != address(0), "FHE: invalid input signer");
+        _storage().config = config;
+    }
+
+    // ============ Encryption & arithmetic ============
+
+    function asEuint32(uint32 value) internal returns (euint32 memory) {
+        return euint32(_newHandle(TYPE_EUINT32, value));
+    }
+
+    /**
+     * @notice Verifies a client-side encrypted input and returns it as a usable ciphertext
+     * @dev The proof must be signed for msg.sender and this contract on this chain
+     */
+    function fromExternal(externalEuint32 input, bytes memory inputProof) internal view returns (euint32 memory) {
+        bytes32 handle = externalEuint32.unwrap(input);
+        require(uint8(uint256(handle) >> 64) == TYPE_EUINT32, "FHE: invalid input type");
+        require(_valueOf(handle) <= type(uint32).max, "FHE: input out of range");
+
+        bytes32 digest = keccak256(abi.encode(handle, msg.sender, address(this), block.chainid));
+        require(_recover(digest, inputProof) == _storage().config.inputSigner, "FHE: invalid input proof");
+
+        return euint32(handle);
+    }
+
+    /// @dev Wraps on overflow, matching FHE integer semantics
+    function add(euint32 memory a, euint32 memory b) internal returns (euint32 memory) {
+        uint32 result;
+        unchecked {
+            result = uint32(_valueOf(a.handle)) + uint32(_valueOf(b.handle));
+        }
+        return asEuint32(result);
+    }
+
+    /// @dev Wraps on underflow, matching FHE integer semantics
+    function sub(euint32 memory a, euint32 memory b) internal returns (euint32 memory) {
+        uint32 result;
+        unchecked {
+            result = uint32(_valueOf(a.handle)) - uint32(_valueOf(b.handle));
+        }
+        return asEuint32(result);
+    }
+
+    function min(euint32 memory a, uint32 b) internal returns (euint32 memory) {
+        uint32 value = uint32(_valueOf(a.handle));
+        return asEuint32(value < b ? value : b);
+    }
+
+    function asEuint64(uint64 value) internal returns (euint64 memory) {
+        return euint64(_newHandle(TYPE_EUINT64, value));
+    }
+
+    /// @notice Widens an euint32 ciphertext
+    function asEuint64(euint32 memory value) internal returns (euint64 memory) {
+        return asEuint64(_valueOf(value.handle));
+    }
+
+    /// @dev Wraps on overflow, matching FHE integer semantics
+    function add(euint64 memory a, euint64 memory b) internal returns (euint64 memory) {
+        uint64 result;
+        unchecked {
+            result = _valueOf(a.handle) + _valueOf(b.handle);
+        }
+        return asEuint64(result);
+    }
+
+    /// @dev Wraps on underflow, matching FHE integer semantics
+    function sub(euint64 memory a, euint64 memory b) internal returns (euint64 memory) {
+        uint64 result;
+        unchecked {
+            result = _valueOf(a.handle) - _valueOf(b.handle);
+        }
+        return asEuint64(result);
+    }
+
+    /// @dev Wraps on overflow, matching FHE integer semantics
+    function mul(euint64 memory a, uint64 b) internal returns (euint64 memory) {
+        uint64 result;
+        unchecked {
+            result = _valueOf(a.handle) * b;
+        }
+        return asEuint64(result);
+    }
+
+    // ============ Comparison & selection ============
+
+    function le(euint32 memory a, euint32 memory b) internal returns (ebool memory) {
+        return ebool(_newHandle(TYPE_EBOOL, _valueOf(a.handle) <= _valueOf(b.handle) ? 1 : 0));
+    }
+
+    function le(euint64 memory a, euint64 memory b) internal returns (ebool memory) {
+        return ebool(_newHandle(TYPE_EBOOL, _valueOf(a.handle) <= _valueOf(b.handle) ? 1 : 0));
+    }
+
+    /// @notice Encrypted ternary: ifTrue when condition holds, ifFalse otherwise
+    function select(ebool memory condition, euint32 memory ifTrue, euint32 memory ifFalse) internal returns (euint32 memory) {
+        return asEuint32(uint32(_valueOf(_valueOf(condition.handle) != 0 ? ifTrue.handle : ifFalse.handle)));
+    }
+
+    function select(ebool memory condition, euint64 memory ifTrue, euint64 memory ifFalse) internal returns (euint64 memory) {
+        return asEuint64(_valueOf(_valueOf(condition.handle) != 0 ? ifTrue.handle : ifFalse.handle));
+    }
+
+    function toBytes32(euint32 memory value) internal pure returns (bytes32) {
+        return value.handle;
+    }
+
+    function toBytes32(euint64 memory value) internal pure returns (bytes32) {
+        return value.handle;
+    }
+
+    function isInitialized(euint32 memory value) internal pure returns (bool) {
+        return value.handle != bytes32(0);
+    }
+
+    function isInitialized(euint64 memory value) internal pure returns (bool) {
+        return value.handle != bytes32(0);
+    }
+
+    // ============ Access control ============
+
+    function allow(euint32 memory value, address account) internal {
+        _storage().acl[value.handle][account] = true;
+    }
+
+    function allowThis(euint32 memory value) internal {
+        allow(value, address(this));
+    }
+
+    function allow(euint64 memory value, address account) internal {
+        _storage().acl[value.handle][account] = true;
+    }
+
+    function allowThis(euint64 memory value) internal {
+        allow(value, address(this));
+    }
+
+    // ============ Gateway decryption ============
+
+    function requestDecryption(bytes32[] memory handles, bytes4 callbackSelector) internal returns (uint256 requestId) {
+        LocalFHEStorage storage s = _storage();
+
+        for (uint i = 0; i < handles.length; i++) {
+            require(s.acl[handles[i]][address(this)], "FHE: handle not allowed");
+        }
+
+        requestId = ++s.requestCounter;
+        s.pendingRequests[requestId] = keccak256(abi.encodePacked(handles));
+
+        emit DecryptionOracleRequest(requestId, handles, callbackSelector);
+    }
+
+    /**
+     * @notice Verifies the relayer's signature over the cleartexts and consumes the request
+     * @dev decryptionProof is a 65-byte EIP-191 signature by the configured KMS signer over
+     * keccak256(abi.encode(contract, chainId, requestId, handlesHash, keccak256(cleartexts)))
+     */
+    function checkSignatures(uint256 requestId, bytes memory cleartexts, bytes memory decryptionProof) internal {
+        LocalFHEStorage storage s = _storage();
+        bytes32 handlesHash = s.pendingRequests[requestId];
+        require(handlesHash != bytes32(0), "FHE: unknown decryption request");
+
+        bytes32 digest = keccak256(
+            abi.encode(address(this), block.chainid, requestId, handlesHash, keccak256(cleartexts))
+        );
+        require(_recover(digest, decryptionProof) == s.config.kmsSigner, "FHE: invalid KMS signature");
+
+        delete s.pendingRequests[requestId];
+    }
+
+    // ============ Internals ============
+
+    function _newHandle(uint8 fheType, uint64 value) private returns (bytes32) {
+        LocalFHEStorage storage s = _storage();
+        uint256 tag = uint256(keccak256(abi.encode(address(this), block.chainid, s.handleNonce++)));
+        return bytes32((tag & ~uint256(type(uint72).max)) | (uint256(fheType) << 64) | uint256(value));
+    }
+
+    function _valueOf(bytes32 handle) private pure returns (uint64) {
+        return uint64(uint256(handle));
+    }
+
+    function _recover(bytes32 digest, bytes memory signature) private pure returns (address) {
+        require(signature.length == 65, "FHE: invalid signature length");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 0x20))
+            s := mload(add(signature, 0x40))
+            v := byte(0, mload(add(signature, 0x60)))
+        }
+
+        bytes32 ethSignedDigest = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", digest));
+        return ecrecover(ethSignedDigest, v, r, s);
+    }
+
+    function _storage() private pure returns (LocalFHEStorage storage s) {
+        bytes32 slot = STORAGE_SLOT;
+        assembly {
+            s.slot := slot
+        }
+    }
+}
+
+/**
+ * @notice Configures the local coprocessor with the well-known development key
+ * @dev Keeps the SepoliaConfig name so contracts compile unchanged against the Zama library.
+ * The matching private keys live in scripts/gateway-relayer.js and shared/local-fhe.mjs
+ * and are public by design.
+ */
+abstract contract SepoliaConfig {
+    address internal constant LOCAL_KMS_SIGNER = 0xefA7077095f6Aaa72C2a52c8b0056d733E687Ec8;
+    address internal constant LOCAL_INPUT_SIGNER = 0xbD02175b4a4eFcb34226CF2dd3629AAE1629c37B;
+
+    constructor() {
+        FHE.setCoprocessor(FHEVMConfigStruct({kmsSigner: LOCAL_KMS_SIGNER, inputSigner: LOCAL_INPUT_SIGNER}));
+    }
+}
@@ -2,6 +2,12 @@
 pragma solidity ^0.8.24;
 
 import { FHE, FHEVMConfigStruct, SepoliaConfig } from "./LocalFHE.sol";
+import { PrivateArtInvestmentStorage } from "./PrivateArtInvestmentStorage.sol";
+import { PrimaryOffering } from "./modules/PrimaryOffering.sol";
+import { ShareMarket } from "./modules/ShareMarket.sol";
+import { ReturnsDistribution } from "./modules/ReturnsDistribution.sol";
+import { SaleSettlement } from "./modules/SaleSettlement.sol";
+import { WithdrawalQueue } from "./modules/WithdrawalQueue.sol";
 
 /**
  * @title PrivateArtInvestment
@@ -17,20 +23,29 @@ import { FHE, FHEVMConfigStruct, SepoliaConfig } from "./LocalFHE.sol";
  *
  * SECURITY FEATURES:
  * - Input Validation: All parameters checked for valid ranges and types
- * - Access Control: Role-based permissions with modifiers
+ * - Access Control: Curator, treasurer and guardian roles managed by admins; two-step ownership transfer
+ * - KYC Gating: Registration needs an EIP-712 attestation from kycVerifier; artworks set eligibility rules
+ * - Holding Limits: Per-artwork ownership caps and an exposure limit, checked on ciphertexts
  * - Overflow Protection: Explicit checks on arithmetic operations
  * - Reentrancy Guard: Safe external calls with state updates first
+ * - Pull Payments: Callbacks credit balances that investors withdraw with claim() or requestConfidentialClaim()
  *
  * PRIVACY INNOVATIONS:
- * 1. Division Privacy: Random multipliers protect against price leakage
- * 2. Price Obfuscation: Fuzzy calculation techniques hide exact amounts
+ * 1. Confidential Payouts: Returns are computed on encrypted shares; only each round's total is decrypted
+ * 2. Encrypted Balances: Returns accrue to balances only their investor can decrypt
  * 3. Async Processing: Gateway callback mode for decryption
  * 4. HCU Optimization: Efficient homomorphic computation unit usage
  *
+ * MODULES:
+ * Investments, the secondary market, returns rounds and confidential claims, sale settlement and
+ * the withdrawal queue run in contracts/modules by delegatecall, keeping this contract under the
+ * 24 KB code size limit. They share this contract's storage through PrivateArtInvestmentStorage.
+ *
  * FAILURE HANDLING:
  * - Refund Mechanism: Automatic refunds on decryption failures
  * - Timeout Protection: Prevents permanent fund locking (24h timeout)
- * - Emergency Controls: Owner can trigger refunds within 7 days
+ * - Emergency Controls: Guardians can trigger refunds within 7 days
+ * - Timelocked Withdrawals: Only free balance can leave, after a public 2-day delay
  *
  * @custom:security-considerations
  * - Audited: Input validation on all public functions
@@ -39,109 +54,190 @@ import { FHE, FHEVMConfigStruct, SepoliaConfig } from "./LocalFHE.sol";
  * - Audited: Reentrancy protection via checks-effects-interactions pattern
  * - Audited: Timeout mechanisms prevent permanent lockups
  */
-contract PrivateArtInvestment is SepoliaConfig {
-
-    address public owner;
-    uint256 public totalArtworks;
-    uint256 public totalInvestors;
-
-    // Gateway callback timeout protection
-    uint256 public constant CALLBACK_TIMEOUT = 24 hours;
-    uint256 public constant MAX_REFUND_WINDOW = 7 days;
-
-    struct ArtworkInfo {
-        string name;
-        string artist;
-        string ipfsHash;
-        uint256 totalValue;
-        uint256 sharePrice;
-        uint256 totalShares;
-        uint256 availableShares;
-        bool isActive;
-        address creator;
-        uint256 createdAt;
-    }
-
-    struct PrivateInvestment {
-        FHE.euint32 encryptedShares;       // FHE encrypted share amount
-        FHE.euint32 encryptedValue;        // FHE encrypted investment value
-        bool hasInvested;
-        uint256 timestamp;
-    }
-
-    struct InvestorProfile {
-        FHE.euint32 encryptedTotalInvestment;    // FHE encrypted total investment
-        FHE.euint32 encryptedPortfolioCount;     // FHE encrypted portfolio count
-        bool isRegistered;
-        uint256 registeredAt;
-    }
-
-    // Gateway callback tracking structure
-    struct DecryptionRequest {
-        uint256 artworkId;
-        uint256 requestedAt;
-        bool isProcessed;
-        bool hasFailed;
-        uint256 totalReturns;
-    }
-
-    mapping(uint256 => ArtworkInfo) public artworks;
-    mapping(uint256 => mapping(address => PrivateInvestment)) public artworkInvestments;
-    mapping(address => InvestorProfile) public investorProfiles;
-    mapping(uint256 => address[]) public artworkInvestors;
-
-    // Gateway callback tracking
-    mapping(uint256 => DecryptionRequest) public decryptionRequests;
-    mapping(uint256 => uint256) public requestIdToArtworkId;
-    mapping(uint256 => bool) public hasClaimedReturn;
-    mapping(uint256 => mapping(address => bool)) public hasClaimed;
-
-    event ArtworkListed(
-        uint256 indexed artworkId,
-        string name,
-        uint256 totalValue,
-        uint256 sharePrice
-    );
-    event PrivateInvestmentMade(
-        address indexed investor,
-        uint256 indexed artworkId,
-        uint256 timestamp
-    );
-    event InvestorRegistered(address indexed investor, uint256 timestamp);
-    event ReturnsDistributed(uint256 indexed artworkId, uint256 totalReturns);
-    event ArtworkSold(uint256 indexed artworkId, uint256 salePrice);
-    event DecryptionRequested(uint256 indexed requestId, uint256 indexed artworkId, uint256 timestamp);
-    event DecryptionFailed(uint256 indexed requestId, uint256 indexed artworkId, string reason);
-    event RefundIssued(address indexed investor, uint256 indexed artworkId, uint256 amount);
-    event CallbackProcessed(uint256 indexed requestId, uint256 indexed artworkId, bool success);
+contract PrivateArtInvestment is SepoliaConfig, PrivateArtInvestmentStorage {
+
+    // Modules running investments, the secondary market, returns rounds and confidential claims,
+    // sale settlement and the withdrawal queue against this contract's storage; see contracts/modules
+    address public immutable primaryOffering;
+    address public immutable shareMarket;
+    address public immutable returnsDistribution;
+    address public immutable saleSettlement;
+    address public immutable withdrawalQueue;
+
+    constructor(
+        address _primaryOffering,
+        address _shareMarket,
+        address _returnsDistribution,
+        address _saleSettlement,
+        address _withdrawalQueue
+    ) {
+        require(
+            _primaryOffering.code.length > 0 && _shareMarket.code.length > 0 && _returnsDistribution.code.length > 0
+                && _saleSettlement.code.length > 0 && _withdrawalQueue.code.length > 0,
+            "Invalid module"
+        );
+        primaryOffering = _primaryOffering;
+        shareMarket = _shareMarket;
+        returnsDistribution = _returnsDistribution;
+        saleSettlement = _saleSettlement;
+        withdrawalQueue = _withdrawalQueue;
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
-        _;
+        owner = msg.sender;
+        kycVerifier = msg.sender;
+        totalArtworks = 0;
+        totalInvestors = 0;
     }
 
-    modifier onlyRegisteredInvestor() {
-        require(investorProfiles[msg.sender].isRegistered, "Not registered investor");
-        _;
+    // ============ Access Control ============
+
+    function grantRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        require(_isRole(role), "Unknown role");
+        require(account != address(0), "Invalid account");
+        if (!roleMembers[role][account]) {
+            roleMembers[role][account] = true;
+            emit RoleGranted(role, account, msg.sender);
+        }
     }
 
-    modifier validArtwork(uint256 artworkId) {
-        require(artworkId < totalArtworks, "Invalid artwork ID");
-        require(artworks[artworkId].isActive, "Artwork not active");
-        _;
+    /// @dev The owner's implicit roles cannot be revoked; transfer ownership instead
+    function revokeRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        _revokeRole(role, account);
     }
 
-    constructor() {
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+
+    function _revokeRole(bytes32 role, address account) private {
+        if (roleMembers[role][account]) {
+            roleMembers[role][account] = false;
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    function _isRole(bytes32 role) private pure returns (bool) {
+        return role == ADMIN_ROLE || role == CURATOR_ROLE || role == TREASURER_ROLE || role == GUARDIAN_ROLE;
+    }
+
+    /// @notice Start handing the contract over; takes effect when `newOwner` calls acceptOwnership
+    function transferOwnership(address newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        emit OwnershipTransferred(owner, msg.sender);
         owner = msg.sender;
-        totalArtworks = 0;
-        totalInvestors = 0;
+        pendingOwner = address(0);
+    }
+
+    // ============ KYC ============
+
+    function setKycVerifier(address newVerifier) external onlyRole(ADMIN_ROLE) {
+        require(newVerifier != address(0), "Invalid account");
+        emit KycVerifierUpdated(kycVerifier, newVerifier);
+        kycVerifier = newVerifier;
+    }
+
+    /// @notice Replace the caller's attestation with a newer one, e.g. before it expires
+    function renewAttestation(KycAttestation calldata attestation, bytes calldata signature) external onlyRegisteredInvestor {
+        require(attestation.issuedAt > kycAttestations[msg.sender].issuedAt, "Attestation not newer");
+        _acceptAttestation(attestation, signature);
+    }
+
+    /// @notice Stop an investor from buying shares until they submit an attestation issued later
+    function revokeAttestation(address investor) external onlyRole(ADMIN_ROLE) {
+        kycAttestations[investor].expiresAt = 0;
+        emit KycRevoked(investor);
+    }
+
+    function setEligibilityRule(
+        uint256 artworkId,
+        uint32 allowedJurisdictions,
+        bool requiresAccreditation
+    ) external onlyRole(CURATOR_ROLE) validArtwork(artworkId) {
+        eligibilityRules[artworkId] = EligibilityRule({
+            allowedJurisdictions: allowedJurisdictions,
+            requiresAccreditation: requiresAccreditation
+        });
+        emit EligibilityRuleUpdated(artworkId, allowedJurisdictions, requiresAccreditation);
+    }
+
+    /// @notice Whether an investor's current attestation lets them buy shares of an artwork
+    function isEligible(address investor, uint256 artworkId) public view returns (bool) {
+        KycAttestation storage kyc = kycAttestations[investor];
+        EligibilityRule storage rule = eligibilityRules[artworkId];
+        return kyc.expiresAt > block.timestamp
+            && (rule.allowedJurisdictions == 0 || kyc.jurisdictions & rule.allowedJurisdictions != 0)
+            && (!rule.requiresAccreditation || kyc.accredited);
     }
 
-    function registerInvestor() external {
+    function _acceptAttestation(KycAttestation calldata attestation, bytes calldata signature) private {
+        require(attestation.investor == msg.sender, "Attestation not for sender");
+        require(attestation.expiresAt > block.timestamp, "Attestation expired");
+
+        bytes32 structHash = keccak256(abi.encode(
+            KYC_ATTESTATION_TYPEHASH,
+            attestation.investor,
+            attestation.jurisdictions,
+            attestation.accredited,
+            attestation.issuedAt,
+            attestation.expiresAt
+        ));
+        bytes32 domainSeparator = keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256("PrivateArtInvestment"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+        require(_recoverSigner(digest, signature) == kycVerifier, "Invalid attestation signature");
+
+        kycAttestations[msg.sender] = attestation;
+        emit KycAttested(msg.sender, attestation.jurisdictions, attestation.accredited, attestation.expiresAt);
+    }
+
+    function _recoverSigner(bytes32 digest, bytes calldata signature) private pure returns (address signer) {
+        require(signature.length == 65, "Invalid signature length");
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        // Reject malleable signatures (upper-half s), as ecrecover alone does not
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid signature");
+
+        signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+    }
+
+    // ============ Holding Limits ============
+
+    /// @notice Cap any one investor's holding in an artwork at `bps` of its totalShares (0 removes the cap)
+    function setOwnershipCap(uint256 artworkId, uint256 bps) external onlyRole(CURATOR_ROLE) validArtwork(artworkId) {
+        require(bps <= MAX_BPS, "Invalid ownership cap");
+        maxOwnershipBps[artworkId] = bps;
+        emit OwnershipCapUpdated(artworkId, bps);
+    }
+
+    /// @notice Cap each investor's total investment across artworks at `maxExposure` wei (0 removes the limit)
+    function setExposureLimit(uint256 maxExposure) external onlyRole(ADMIN_ROLE) {
+        maxInvestorExposure = maxExposure;
+        emit ExposureLimitUpdated(maxExposure);
+    }
+
+    /**
+     * @notice Register with a KYC attestation for the caller signed by kycVerifier
+     * @param attestation Fields signed as the EIP-712 KycAttestation type
+     * @param signature kycVerifier's EIP-712 signature over the attestation
+     */
+    function registerInvestor(KycAttestation calldata attestation, bytes calldata signature) external {
         require(!investorProfiles[msg.sender].isRegistered, "Already registered");
+        _acceptAttestation(attestation, signature);
 
         // Initialize with encrypted zeros using FHE
-        FHE.euint32 memory zeroInvestment = FHE.asEuint32(0);
+        FHE.euint64 memory zeroInvestment = FHE.asEuint64(0);
         FHE.euint32 memory zeroPortfolio = FHE.asEuint32(0);
 
         investorProfiles[msg.sender] = InvestorProfile({
@@ -158,6 +254,7 @@ contract PrivateArtInvestment is SepoliaConfig {
         FHE.allow(zeroPortfolio, msg.sender);
 
         totalInvestors++;
+        registeredInvestors.push(msg.sender);
         emit InvestorRegistered(msg.sender, block.timestamp);
     }
 
@@ -168,11 +265,14 @@ contract PrivateArtInvestment is SepoliaConfig {
         uint256 _totalValue,
         uint256 _sharePrice,
         uint256 _totalShares
-    ) external onlyOwner {
+    ) external onlyRole(CURATOR_ROLE) {
         require(_totalValue > 0, "Invalid total value");
         require(_sharePrice > 0, "Invalid share price");
         require(_totalShares > 0, "Invalid total shares");
+        // Holdings are euint32, so no position or cap can exceed this
+        require(_totalShares <= type(uint32).max, "Too many shares");
         require(_totalValue == _sharePrice * _totalShares, "Value calculation mismatch");
+        _requireValueUnits(_sharePrice, _totalShares);
 
         artworks[totalArtworks] = ArtworkInfo({
             name: _name,
@@ -184,160 +284,218 @@ contract PrivateArtInvestment is SepoliaConfig {
             availableShares: _totalShares,
             isActive: true,
             creator: msg.sender,
-            createdAt: block.timestamp
+            createdAt: block.timestamp,
+            isPaused: false,
+            fundingClosed: false
         });
 
         emit ArtworkListed(totalArtworks, _name, _totalValue, _sharePrice);
         totalArtworks++;
     }
 
-    function makePrivateInvestment(
-        uint256 artworkId,
-        uint32 shareAmount
-    ) external payable onlyRegisteredInvestor validArtwork(artworkId) {
-        // Input validation - security feature
-        require(shareAmount > 0 && shareAmount <= type(uint32).max, "Invalid share amount");
-        require(artworks[artworkId].availableShares >= shareAmount, "Insufficient shares available");
-        require(
-            !artworkInvestments[artworkId][msg.sender].hasInvested,
-            "Already invested in this artwork"
-        );
+    // ============ Artwork Administration ============
 
-        uint256 requiredPayment = artworks[artworkId].sharePrice * shareAmount;
-        require(msg.value >= requiredPayment, "Insufficient payment");
+    /// @notice Stop new primary investments; holdings, the secondary market and distributions carry on
+    function pauseArtwork(uint256 artworkId) external onlyRole(CURATOR_ROLE) validArtwork(artworkId) {
+        require(!artworks[artworkId].isPaused, "Artwork paused");
+        artworks[artworkId].isPaused = true;
+        emit ArtworkPaused(artworkId);
+    }
 
-        // Overflow protection
-        require(requiredPayment / artworks[artworkId].sharePrice == shareAmount, "Overflow detected");
+    function resumeArtwork(uint256 artworkId) external onlyRole(CURATOR_ROLE) validArtwork(artworkId) {
+        require(artworks[artworkId].isPaused, "Artwork not paused");
+        artworks[artworkId].isPaused = false;
+        emit ArtworkResumed(artworkId);
+    }
 
-        // Encrypt the investment data using FHE
-        FHE.euint32 memory encryptedShares = FHE.asEuint32(shareAmount);
-        FHE.euint32 memory encryptedValue = FHE.asEuint32(uint32(msg.value / 1e14)); // Scale down for euint32
+    /// @notice Correct the descriptive fields of an artwork; shares and prices are left alone
+    function updateArtworkMetadata(
+        uint256 artworkId,
+        string memory _name,
+        string memory _artist,
+        string memory _ipfsHash
+    ) external onlyRole(CURATOR_ROLE) validArtwork(artworkId) {
+        ArtworkInfo storage artwork = artworks[artworkId];
+        artwork.name = _name;
+        artwork.artist = _artist;
+        artwork.ipfsHash = _ipfsHash;
+        emit ArtworkMetadataUpdated(artworkId, _name, _artist, _ipfsHash);
+    }
 
-        artworkInvestments[artworkId][msg.sender] = PrivateInvestment({
-            encryptedShares: encryptedShares,
-            encryptedValue: encryptedValue,
-            hasInvested: true,
-            timestamp: block.timestamp
-        });
+    /**
+     * @notice End the primary offering for good
+     * @dev Unsold shares stay unsold: they are never credited to anyone, so a later sale pays
+     * their part to the owner. The artwork remains active for distributions and the secondary market.
+     */
+    function closeFunding(uint256 artworkId) external onlyRole(CURATOR_ROLE) validArtwork(artworkId) {
+        ArtworkInfo storage artwork = artworks[artworkId];
+        require(!artwork.fundingClosed, "Funding closed");
+        artwork.fundingClosed = true;
+        emit FundingClosed(artworkId, artwork.availableShares);
+    }
 
-        artworkInvestors[artworkId].push(msg.sender);
-        artworks[artworkId].availableShares -= shareAmount;
+    /**
+     * @notice Change the price of the shares still for sale
+     * @dev Shares already sold keep the price they were bought at, so totalValue only moves by
+     * the unsold shares. Encrypted holding values keep their purchase price as well.
+     */
+    function updateSharePrice(uint256 artworkId, uint256 newSharePrice) external onlyRole(CURATOR_ROLE) validArtwork(artworkId) {
+        ArtworkInfo storage artwork = artworks[artworkId];
+        require(newSharePrice > 0, "Invalid share price");
+        require(!artwork.fundingClosed, "Funding closed");
+        _requireValueUnits(newSharePrice, artwork.totalShares);
 
-        // Update investor profile with FHE operations
-        FHE.euint32 memory currentTotal = investorProfiles[msg.sender].encryptedTotalInvestment;
-        FHE.euint32 memory currentPortfolio = investorProfiles[msg.sender].encryptedPortfolioCount;
+        uint256 oldSharePrice = artwork.sharePrice;
+        artwork.totalValue = artwork.totalValue - artwork.availableShares * oldSharePrice
+            + artwork.availableShares * newSharePrice;
+        artwork.sharePrice = newSharePrice;
 
-        investorProfiles[msg.sender].encryptedTotalInvestment = FHE.add(currentTotal, encryptedValue);
-        investorProfiles[msg.sender].encryptedPortfolioCount = FHE.add(currentPortfolio, FHE.asEuint32(1));
+        emit SharePriceUpdated(artworkId, oldSharePrice, newSharePrice);
+    }
 
-        // Grant ACL permissions
-        FHE.allowThis(encryptedShares);
-        FHE.allowThis(encryptedValue);
-        FHE.allowThis(investorProfiles[msg.sender].encryptedTotalInvestment);
-        FHE.allowThis(investorProfiles[msg.sender].encryptedPortfolioCount);
-        FHE.allow(encryptedShares, msg.sender);
-        FHE.allow(encryptedValue, msg.sender);
-        FHE.allow(investorProfiles[msg.sender].encryptedTotalInvestment, msg.sender);
-        FHE.allow(investorProfiles[msg.sender].encryptedPortfolioCount, msg.sender);
-
-        // Return excess payment
-        if (msg.value > requiredPayment) {
-            payable(msg.sender).transfer(msg.value - requiredPayment);
-        }
+    // ============ Primary Offering ============
+    // Investments and unallocated shares, implemented and documented in contracts/modules/PrimaryOffering.sol
 
-        emit PrivateInvestmentMade(msg.sender, artworkId, block.timestamp);
+    function makePrivateInvestment(uint256 artworkId, uint32 shareAmount) external payable {
+        _delegate(primaryOffering, abi.encodeCall(PrimaryOffering.makePrivateInvestment, (artworkId, shareAmount)));
     }
 
-    // Gateway callback mode: Request returns distribution with decryption
-    function requestReturnsDistribution(uint256 artworkId) external payable onlyOwner validArtwork(artworkId) {
-        require(msg.value > 0, "No returns to distribute");
-        require(artworkInvestors[artworkId].length > 0, "No investors for this artwork");
+    function makeConfidentialInvestment(
+        uint256 artworkId,
+        FHE.externalEuint32 encryptedShareAmount,
+        bytes calldata inputProof
+    ) external payable {
+        _delegate(primaryOffering, abi.encodeCall(
+            PrimaryOffering.makeConfidentialInvestment,
+            (artworkId, encryptedShareAmount, inputProof)
+        ));
+    }
 
-        // Prepare encrypted shares for Gateway decryption
-        address[] memory investors = artworkInvestors[artworkId];
-        bytes32[] memory cts = new bytes32[](investors.length);
+    function releaseUnallocatedShares(uint256 artworkId) external returns (uint256 requestId) {
+        bytes memory result = _delegate(primaryOffering, abi.encodeCall(PrimaryOffering.releaseUnallocatedShares, (artworkId)));
+        return abi.decode(result, (uint256));
+    }
 
-        for (uint i = 0; i < investors.length; i++) {
-            cts[i] = FHE.toBytes32(artworkInvestments[artworkId][investors[i]].encryptedShares);
-        }
+    // Gateway callback of releaseUnallocatedShares
+    function processShareRelease(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes calldata decryptionProof
+    ) external {
+        _delegate(primaryOffering, abi.encodeCall(
+            PrimaryOffering.processShareRelease,
+            (requestId, cleartexts, decryptionProof)
+        ));
+    }
 
-        // Gateway callback mode: User submits encrypted request → Contract records → Gateway decrypts → Callback completes transaction
-        uint256 requestId = FHE.requestDecryption(cts, this.processReturnsDistribution.selector);
+    function cancelShareRelease(uint256 requestId) external {
+        _delegate(primaryOffering, abi.encodeCall(PrimaryOffering.cancelShareRelease, (requestId)));
+    }
 
-        // Track the decryption request with timeout protection
-        decryptionRequests[requestId] = DecryptionRequest({
-            artworkId: artworkId,
-            requestedAt: block.timestamp,
-            isProcessed: false,
-            hasFailed: false,
-            totalReturns: msg.value
-        });
+    // ============ Secondary Market ============
+    // Implemented and documented in contracts/modules/ShareMarket.sol
 
-        requestIdToArtworkId[requestId] = artworkId;
+    function createShareOrder(
+        uint256 artworkId,
+        FHE.externalEuint32 encryptedShareAmount,
+        bytes calldata inputProof,
+        uint256 price
+    ) external returns (uint256 orderId) {
+        bytes memory result = _delegate(shareMarket, abi.encodeCall(
+            ShareMarket.createShareOrder,
+            (artworkId, encryptedShareAmount, inputProof, price)
+        ));
+        return abi.decode(result, (uint256));
+    }
 
-        emit DecryptionRequested(requestId, artworkId, block.timestamp);
+    function cancelShareOrder(uint256 orderId) external {
+        _delegate(shareMarket, abi.encodeCall(ShareMarket.cancelShareOrder, (orderId)));
     }
 
-    // Gateway callback: Process returns distribution after decryption
-    function processReturnsDistribution(
-        uint256 requestId,
-        bytes memory cleartexts,
-        bytes memory decryptionProof
+    function revealShareOrder(uint256 orderId) external {
+        _delegate(shareMarket, abi.encodeCall(ShareMarket.revealShareOrder, (orderId)));
+    }
+
+    function fillShareOrder(uint256 orderId) external payable {
+        _delegate(shareMarket, abi.encodeCall(ShareMarket.fillShareOrder, (orderId)));
+    }
+
+    function transferShares(
+        uint256 artworkId,
+        address to,
+        FHE.externalEuint32 encryptedShareAmount,
+        bytes calldata inputProof
     ) external {
-        DecryptionRequest storage request = decryptionRequests[requestId];
-        require(!request.isProcessed, "Request already processed");
-        require(!request.hasFailed, "Request has failed");
+        _delegate(shareMarket, abi.encodeCall(
+            ShareMarket.transferShares,
+            (artworkId, to, encryptedShareAmount, inputProof)
+        ));
+    }
 
-        // Verify cryptographic signatures against the request and cleartexts
-        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+    // ============ Encrypted Holdings ============
 
-        uint256 artworkId = requestIdToArtworkId[requestId];
-        address[] memory investors = artworkInvestors[artworkId];
+    /**
+     * @dev Prices must be whole VALUE_UNITs so encrypted values are exact, and the whole supply
+     * at that price must fit in euint64 so no single position's value can wrap.
+     */
+    function _requireValueUnits(uint256 sharePrice, uint256 totalShares) private pure {
+        require(sharePrice % VALUE_UNIT == 0, "Share price not whole gwei");
+        require(sharePrice * totalShares / VALUE_UNIT <= type(uint64).max, "Total value too large");
+    }
 
-        // Decode decrypted shares
-        uint32[] memory decryptedShares = abi.decode(cleartexts, (uint32[]));
-        require(decryptedShares.length == investors.length, "Shares count mismatch");
+    // ============ Returns Distribution ============
+    // Implemented and documented in contracts/modules/ReturnsDistribution.sol
 
-        // Calculate total shares with overflow protection
-        uint256 totalShares = 0;
-        for (uint i = 0; i < decryptedShares.length; i++) {
-            totalShares += decryptedShares[i];
-        }
+    function requestReturnsDistribution(uint256 artworkId) external payable returns (uint256 roundId) {
+        bytes memory result = _delegate(returnsDistribution, abi.encodeCall(
+            ReturnsDistribution.requestReturnsDistribution,
+            (artworkId)
+        ));
+        return abi.decode(result, (uint256));
+    }
 
-        require(totalShares > 0, "No shares to distribute");
+    function continueReturnsDistribution(uint256 roundId) external {
+        _delegate(returnsDistribution, abi.encodeCall(ReturnsDistribution.continueReturnsDistribution, (roundId)));
+    }
 
-        // Privacy protection: Use random multiplier to obscure individual returns
-        uint256 randomMultiplier = _generateObfuscationMultiplier(artworkId);
-        uint256 obfuscatedReturns = request.totalReturns * randomMultiplier;
+    // Gateway callback of each round's total payout
+    function processReturnsDistribution(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes calldata decryptionProof
+    ) external {
+        _delegate(returnsDistribution, abi.encodeCall(
+            ReturnsDistribution.processReturnsDistribution,
+            (requestId, cleartexts, decryptionProof)
+        ));
+    }
 
-        // Distribute returns proportionally with price obfuscation
-        for (uint i = 0; i < investors.length; i++) {
-            if (decryptedShares[i] > 0 && !hasClaimed[artworkId][investors[i]]) {
-                // Division problem solution: Use random multiplier for privacy protection
-                uint256 investorReturn = (obfuscatedReturns * decryptedShares[i]) / (totalShares * randomMultiplier);
-
-                if (investorReturn > 0) {
-                    hasClaimed[artworkId][investors[i]] = true;
-                    (bool sent, ) = payable(investors[i]).call{value: investorReturn}("");
-                    require(sent, "Failed to send returns");
-                }
-            }
-        }
+    function requestConfidentialClaim(uint256 amount) external returns (uint256 requestId) {
+        bytes memory result = _delegate(returnsDistribution, abi.encodeCall(
+            ReturnsDistribution.requestConfidentialClaim,
+            (amount)
+        ));
+        return abi.decode(result, (uint256));
+    }
 
-        // Mark request as processed
-        request.isProcessed = true;
-        emit CallbackProcessed(requestId, artworkId, true);
-        emit ReturnsDistributed(artworkId, request.totalReturns);
+    // Gateway callback of requestConfidentialClaim
+    function processConfidentialClaim(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes calldata decryptionProof
+    ) external {
+        _delegate(returnsDistribution, abi.encodeCall(
+            ReturnsDistribution.processConfidentialClaim,
+            (requestId, cleartexts, decryptionProof)
+        ));
     }
 
-    // Privacy protection: Generate obfuscation multiplier for division operations
-    function _generateObfuscationMultiplier(uint256 seed) private view returns (uint256) {
-        // Use block data to create pseudo-random multiplier (1000-10000 range)
-        // This prevents exact price leakage through division operations
-        uint256 random = uint256(keccak256(abi.encodePacked(block.timestamp, block.prevrandao, seed)));
-        return 1000 + (random % 9000);
+    function cancelConfidentialClaim(uint256 requestId) external {
+        _delegate(returnsDistribution, abi.encodeCall(ReturnsDistribution.cancelConfidentialClaim, (requestId)));
     }
 
+    // ============ Decryption Requests ============
+
     // Refund mechanism: Handle decryption failures with timeout protection
     function requestRefundForFailedDecryption(uint256 requestId) external {
         DecryptionRequest storage request = decryptionRequests[requestId];
@@ -350,31 +508,14 @@ contract PrivateArtInvestment is SepoliaConfig {
             "Callback timeout not reached"
         );
 
-        uint256 artworkId = request.artworkId;
-        address[] memory investors = artworkInvestors[artworkId];
-        uint256 refundPerInvestor = request.totalReturns / investors.length;
-
-        // Mark as failed to prevent re-processing
-        request.hasFailed = true;
-        request.isProcessed = true;
-
-        // Issue equal refunds to all investors
-        for (uint i = 0; i < investors.length; i++) {
-            if (!hasClaimed[artworkId][investors[i]]) {
-                hasClaimed[artworkId][investors[i]] = true;
-                (bool sent, ) = payable(investors[i]).call{value: refundPerInvestor}("");
-                if (sent) {
-                    emit RefundIssued(investors[i], artworkId, refundPerInvestor);
-                }
-            }
-        }
+        _refund(requestId, request);
 
-        emit DecryptionFailed(requestId, artworkId, "Callback timeout exceeded");
-        emit CallbackProcessed(requestId, artworkId, false);
+        emit DecryptionFailed(requestId, request.artworkId, "Callback timeout exceeded");
+        emit CallbackProcessed(requestId, request.artworkId, false);
     }
 
     // Emergency refund: Owner can trigger refund within MAX_REFUND_WINDOW
-    function emergencyRefund(uint256 requestId) external onlyOwner {
+    function emergencyRefund(uint256 requestId) external onlyRole(GUARDIAN_ROLE) {
         DecryptionRequest storage request = decryptionRequests[requestId];
         require(request.requestedAt > 0, "Request not found");
         require(!request.isProcessed, "Request already processed");
@@ -383,30 +524,153 @@ contract PrivateArtInvestment is SepoliaConfig {
             "Refund window expired"
         );
 
+        _refund(requestId, request);
+
+        emit DecryptionFailed(requestId, request.artworkId, "Emergency refund by guardian");
+    }
+
+    function _refund(uint256 requestId, DecryptionRequest storage request) private {
+        if (request.isSaleSettlement) {
+            _refundSale(requestId, request);
+        } else {
+            _expireRound(requestId, request);
+        }
+    }
+
+    /**
+     * @dev Refunds the proceeds not yet paid out pro-rata, without decrypting any more holdings.
+     * Holders paid by earlier batches keep their payouts. The part for unsold shares, plus
+     * rounding, is refunded to the owner at once; the rest stays reserved while the unpaid
+     * holders claim their encrypted shares times refundPerShare with claimSaleRefund.
+     */
+    function _refundSale(uint256 requestId, DecryptionRequest storage request) private {
         uint256 artworkId = request.artworkId;
-        address[] memory investors = artworkInvestors[artworkId];
-        uint256 refundPerInvestor = request.totalReturns / investors.length;
+        ArtworkInfo storage artwork = artworks[artworkId];
+        ArtworkSale storage sale = artworkSales[artworkId];
+        uint256 refundPerShare = (sale.salePrice / VALUE_UNIT / artwork.totalShares) * VALUE_UNIT;
+        uint256 heldRefunds = refundPerShare * (artwork.totalShares - artwork.availableShares - sale.settledShares);
+
+        // Mark as failed to prevent re-processing
+        request.hasFailed = true;
+        request.isProcessed = true;
+        pendingDistributions[artworkId]--;
+        totalPendingDecryption -= request.totalReturns;
+        totalConfidentialReserved += heldRefunds;
+
+        sale.status = SaleStatus.Refunded;
+        sale.refundPerShare = refundPerShare;
+
+        uint256 ownerRefund = request.totalReturns - heldRefunds;
+        if (ownerRefund > 0) {
+            salePayouts[artworkId][owner] += ownerRefund;
+            _creditClaim(owner, artworkId, requestId, ownerRefund);
+            emit RefundIssued(owner, artworkId, ownerRefund);
+        }
+    }
+
+    /**
+     * @dev Expires a returns round whose total the Gateway never decrypted. Holders were
+     * credited when the round opened and keep their encrypted payouts, so the most they can
+     * have been credited, perShare times the shares sold at the time, stays reserved. The rest
+     * of the round's amount goes back to the free balance at once.
+     */
+    function _expireRound(uint256 requestId, DecryptionRequest storage request) private {
+        uint256 roundId = requestIdToRound[requestId];
+        DistributionRound storage round = distributionRounds[roundId];
+        uint256 credited = round.perShare * round.soldShares;
+        uint256 released = request.totalReturns - credited;
 
+        // Mark as failed to prevent re-processing
         request.hasFailed = true;
         request.isProcessed = true;
+        totalConfidentialReserved -= released;
+
+        round.status = RoundStatus.Expired;
+        round.distributed = credited;
+        round.settledAt = block.timestamp;
+
+        emit DistributionRoundExpired(roundId, request.artworkId, released);
+    }
+
+    /// @notice Every distribution round of an artwork, oldest first
+    function getArtworkRounds(uint256 artworkId) external view returns (uint256[] memory) {
+        return artworkRounds[artworkId];
+    }
+
+    /// @notice An investor's encrypted payout from a round, in VALUE_UNITs; only they may decrypt it
+    function getRoundPayout(uint256 roundId, address investor) external view returns (FHE.euint64 memory) {
+        require(roundId < totalDistributionRounds, "Round not found");
+        return roundPayouts[roundId][investor];
+    }
+
+    // ============ Sale Settlement ============
+    // Implemented and documented in contracts/modules/SaleSettlement.sol
+
+    function sellArtwork(uint256 artworkId, uint256 salePrice) external payable {
+        _delegate(saleSettlement, abi.encodeCall(SaleSettlement.sellArtwork, (artworkId, salePrice)));
+    }
+
+    function depositSaleProceeds(uint256 artworkId) external payable {
+        _delegate(saleSettlement, abi.encodeCall(SaleSettlement.depositSaleProceeds, (artworkId)));
+    }
+
+    function cancelSale(uint256 artworkId) external {
+        _delegate(saleSettlement, abi.encodeCall(SaleSettlement.cancelSale, (artworkId)));
+    }
+
+    // Gateway callback for each settlement batch
+    function processSaleSettlement(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes calldata decryptionProof
+    ) external {
+        _delegate(saleSettlement, abi.encodeCall(
+            SaleSettlement.processSaleSettlement,
+            (requestId, cleartexts, decryptionProof)
+        ));
+    }
 
+    function claimSaleRefund(uint256 artworkId) external {
+        _delegate(saleSettlement, abi.encodeCall(SaleSettlement.claimSaleRefund, (artworkId)));
+    }
+
+    /// @notice Sale proceeds (or refunds) credited to each investor of a sold artwork
+    function getSalePayouts(uint256 artworkId) external view returns (
+        address[] memory investors,
+        uint256[] memory amounts
+    ) {
+        investors = artworkInvestors[artworkId];
+        amounts = new uint256[](investors.length);
         for (uint i = 0; i < investors.length; i++) {
-            if (!hasClaimed[artworkId][investors[i]]) {
-                hasClaimed[artworkId][investors[i]] = true;
-                (bool sent, ) = payable(investors[i]).call{value: refundPerInvestor}("");
-                if (sent) {
-                    emit RefundIssued(investors[i], artworkId, refundPerInvestor);
-                }
-            }
+            amounts[i] = salePayouts[artworkId][investors[i]];
         }
+    }
+
+    // ============ Claims ============
 
-        emit DecryptionFailed(requestId, artworkId, "Emergency refund by owner");
+    /// @notice Withdraw every sale payout and refund credited to the caller
+    function claim() external {
+        uint256 amount = claimableBalance[msg.sender];
+        require(amount > 0, "Nothing to claim");
+
+        claimableBalance[msg.sender] = 0;
+        totalClaimable -= amount;
+        delete pendingClaims[msg.sender];
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Failed to send claim");
+
+        emit ReturnsClaimed(msg.sender, amount);
     }
 
-    function sellArtwork(uint256 artworkId, uint256 salePrice) external onlyOwner validArtwork(artworkId) {
-        require(salePrice > 0, "Invalid sale price");
-        artworks[artworkId].isActive = false;
-        emit ArtworkSold(artworkId, salePrice);
+    /// @notice Unclaimed credits of an investor, one entry per sale payout or refund
+    function getPendingClaims(address investor) external view returns (ClaimCredit[] memory) {
+        return pendingClaims[investor];
+    }
+
+    /// @notice An investor's encrypted returns balance, in VALUE_UNITs; only they may decrypt it
+    function getEncryptedClaimable(address investor) external view returns (FHE.euint64 memory) {
+        return encryptedClaimable[investor];
     }
 
     function getArtworkInfo(uint256 artworkId) external view validArtwork(artworkId) returns (
@@ -433,6 +697,84 @@ contract PrivateArtInvestment is SepoliaConfig {
         );
     }
 
+    // ============ Batch Reads ============
+
+    /**
+     * @notice Page through every listed artwork, sold ones included
+     * @return page Up to `limit` artworks starting at id `offset`
+     * @return total Number of artworks, for computing the next offset
+     */
+    function getArtworks(uint256 offset, uint256 limit) external view returns (
+        ArtworkView[] memory page,
+        uint256 total
+    ) {
+        total = totalArtworks;
+        (uint256 start, uint256 end) = _pageBounds(total, offset, limit);
+
+        page = new ArtworkView[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            ArtworkInfo storage artwork = artworks[i];
+            page[i - start] = ArtworkView({
+                id: i,
+                name: artwork.name,
+                artist: artwork.artist,
+                ipfsHash: artwork.ipfsHash,
+                totalValue: artwork.totalValue,
+                sharePrice: artwork.sharePrice,
+                totalShares: artwork.totalShares,
+                availableShares: artwork.availableShares,
+                investorCount: artworkInvestors[i].length,
+                isActive: artwork.isActive,
+                creator: artwork.creator,
+                createdAt: artwork.createdAt,
+                isPaused: artwork.isPaused,
+                fundingClosed: artwork.fundingClosed
+            });
+        }
+    }
+
+    /// @notice Ids of the artworks an investor holds or has held a position in
+    function getInvestorArtworks(address investor) external view returns (uint256[] memory) {
+        return investorArtworks[investor];
+    }
+
+    /// @notice Page through the holders of an artwork, in the order they joined
+    function getArtworkInvestorsPage(uint256 artworkId, uint256 offset, uint256 limit) external view returns (
+        address[] memory page,
+        uint256 total
+    ) {
+        require(artworkId < totalArtworks, "Invalid artwork ID");
+        return _pageOf(artworkInvestors[artworkId], offset, limit);
+    }
+
+    /// @notice Page through registered investors, in registration order
+    function getRegisteredInvestors(uint256 offset, uint256 limit) external view returns (
+        address[] memory page,
+        uint256 total
+    ) {
+        return _pageOf(registeredInvestors, offset, limit);
+    }
+
+    function _pageOf(address[] storage list, uint256 offset, uint256 limit) private view returns (
+        address[] memory page,
+        uint256 total
+    ) {
+        total = list.length;
+        (uint256 start, uint256 end) = _pageBounds(total, offset, limit);
+
+        page = new address[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            page[i - start] = list[i];
+        }
+    }
+
+    // Clamp [offset, offset + limit) to [0, total); an offset past the end gives an empty page
+    function _pageBounds(uint256 total, uint256 offset, uint256 limit) private pure returns (uint256 start, uint256 end) {
+        require(limit <= MAX_PAGE_SIZE, "Page size too large");
+        start = offset < total ? offset : total;
+        end = limit < total - start ? start + limit : total;
+    }
+
     function getInvestmentStatus(address investor, uint256 artworkId) external view returns (
         bool hasInvested,
         uint256 timestamp
@@ -458,7 +800,7 @@ contract PrivateArtInvestment is SepoliaConfig {
 
     // FHE-specific function to get encrypted investment summary
     function getEncryptedInvestmentSummary(address user) external view returns (
-        FHE.euint32 memory encryptedTotalInvested,
+        FHE.euint64 memory encryptedTotalInvested,
         FHE.euint32 memory encryptedPortfolioCount,
         bool isRegistered
     ) {
@@ -475,8 +817,54 @@ contract PrivateArtInvestment is SepoliaConfig {
         return artworkInvestments[artworkId][investor].encryptedShares;
     }
 
-    function emergencyWithdraw() external onlyOwner {
-        payable(owner).transfer(address(this).balance);
+    // ============ Withdrawals ============
+    // Implemented and documented in contracts/modules/WithdrawalQueue.sol
+
+    function queueWithdrawal(uint256 amount) external returns (uint256 withdrawalId) {
+        bytes memory result = _delegate(withdrawalQueue, abi.encodeCall(WithdrawalQueue.queueWithdrawal, (amount)));
+        return abi.decode(result, (uint256));
+    }
+
+    function executeWithdrawal(uint256 withdrawalId) external {
+        _delegate(withdrawalQueue, abi.encodeCall(WithdrawalQueue.executeWithdrawal, (withdrawalId)));
+    }
+
+    function cancelWithdrawal(uint256 withdrawalId) external {
+        _delegate(withdrawalQueue, abi.encodeCall(WithdrawalQueue.cancelWithdrawal, (withdrawalId)));
+    }
+
+    /// @notice Queued withdrawals not yet executed or cancelled, for investors to review
+    function getPendingWithdrawals() external view returns (uint256[] memory ids, Withdrawal[] memory pending) {
+        uint256 open = 0;
+        for (uint256 i = 0; i < totalWithdrawals; i++) {
+            if (_isPendingWithdrawal(withdrawals[i])) open++;
+        }
+
+        ids = new uint256[](open);
+        pending = new Withdrawal[](open);
+        uint256 next = 0;
+        for (uint256 i = 0; i < totalWithdrawals; i++) {
+            if (_isPendingWithdrawal(withdrawals[i])) {
+                ids[next] = i;
+                pending[next++] = withdrawals[i];
+            }
+        }
+    }
+
+    // ============ Modules ============
+
+    /**
+     * @dev Runs `data` in `module` against this contract's storage, with the caller's msg.sender
+     * and msg.value, and returns its result. Reverts with the module's revert reason.
+     */
+    function _delegate(address module, bytes memory data) private returns (bytes memory result) {
+        bool success;
+        (success, result) = module.delegatecall(data);
+        if (!success) {
+            assembly ("memory-safe") {
+                revert(add(result, 32), mload(result))
+            }
+        }
     }
 
     receive() external payable {}
@@ -0,0 +1,593 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "./LocalFHE.sol";
+
+/**
+ * @title PrivateArtInvestmentStorage
+ * @notice State, events and shared internals of PrivateArtInvestment
+ * @dev PrivateArtInvestment and its modules (contracts/modules) all inherit this contract and
+ * declare no state of their own, so module code run through delegatecall reads and writes the
+ * platform's storage at the same slots. Add new state variables at the end only.
+ */
+abstract contract PrivateArtInvestmentStorage {
+
+    address public owner;
+    address public pendingOwner;
+    uint256 public totalArtworks;
+    uint256 public totalInvestors;
+
+    // Gateway callback timeout protection
+    uint256 public constant CALLBACK_TIMEOUT = 24 hours;
+    uint256 public constant MAX_REFUND_WINDOW = 7 days;
+    uint256 public constant WITHDRAWAL_DELAY = 2 days;
+
+    // Time the buyer has to deposit sale proceeds before anyone may cancel the sale
+    uint256 public constant SALE_DEPOSIT_WINDOW = 30 days;
+
+    // Encrypted amounts (encryptedValue, encryptedTotalInvestment) are euint64 counts of this many wei
+    uint256 public constant VALUE_UNIT = 1 gwei;
+
+    // Ownership caps are set in basis points of an artwork's totalShares
+    uint256 public constant MAX_BPS = 10_000;
+
+    // Upper bound on items returned by one paginated read
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // Holders credited per transaction by a returns round or sale settlement callback, bounding its FHE operations
+    uint256 public constant DISTRIBUTION_BATCH_SIZE = 10;
+
+    // Roles. The owner holds every role; admins grant and revoke them.
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE");       // Listing and artwork lifecycle
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");   // Distributions and sales
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");     // Emergency refunds and withdrawals
+
+    bytes32 public constant KYC_ATTESTATION_TYPEHASH = keccak256(
+        "KycAttestation(address investor,uint32 jurisdictions,bool accredited,uint64 issuedAt,uint64 expiresAt)"
+    );
+    bytes32 internal constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    struct ArtworkInfo {
+        string name;
+        string artist;
+        string ipfsHash;
+        uint256 totalValue;
+        uint256 sharePrice;
+        uint256 totalShares;
+        uint256 availableShares;
+        bool isActive;
+        address creator;
+        uint256 createdAt;
+        bool isPaused;                     // No new primary investments until resumed
+        bool fundingClosed;                // Primary offering ended for good
+    }
+
+    struct PrivateInvestment {
+        FHE.euint32 encryptedShares;       // FHE encrypted share amount
+        FHE.euint64 encryptedValue;        // FHE encrypted investment value, in VALUE_UNITs
+        bool hasInvested;
+        uint256 timestamp;
+    }
+
+    struct InvestorProfile {
+        FHE.euint64 encryptedTotalInvestment;    // FHE encrypted total investment, in VALUE_UNITs
+        FHE.euint32 encryptedPortfolioCount;     // FHE encrypted portfolio count
+        bool isRegistered;
+        uint256 registeredAt;
+    }
+
+    // Secondary market: encrypted shares escrowed by the seller, sold as one lot
+    struct ShareOrder {
+        address seller;
+        uint256 artworkId;
+        FHE.euint32 encryptedShares;
+        uint256 price;                     // Price in wei for the whole lot
+        bool isActive;
+        uint256 createdAt;
+    }
+
+    // Gateway callback tracking structure
+    struct DecryptionRequest {
+        uint256 artworkId;
+        uint256 requestedAt;
+        bool isProcessed;
+        bool hasFailed;
+        uint256 totalReturns;
+        bool isSaleSettlement;             // Sale proceeds rather than periodic returns
+    }
+
+    // Flattened artwork record returned by the paginated getters
+    struct ArtworkView {
+        uint256 id;
+        string name;
+        string artist;
+        string ipfsHash;
+        uint256 totalValue;
+        uint256 sharePrice;
+        uint256 totalShares;
+        uint256 availableShares;
+        uint256 investorCount;
+        bool isActive;
+        address creator;
+        uint256 createdAt;
+        bool isPaused;
+        bool fundingClosed;
+    }
+
+    // One unclaimed payment: returns, a refund or sale proceeds
+    struct ClaimCredit {
+        uint256 artworkId;
+        uint256 requestId;
+        uint256 amount;
+    }
+
+    // Guardian withdrawal of free balance to the owner, executable after WITHDRAWAL_DELAY
+    struct Withdrawal {
+        uint256 amount;
+        address requestedBy;
+        uint256 executableAt;
+        bool isExecuted;
+        bool isCancelled;
+    }
+
+    // Signed off-chain by kycVerifier; see scripts/kyc/attestation.js
+    struct KycAttestation {
+        address investor;
+        uint32 jurisdictions;              // Bit set of jurisdictions the investor may invest from
+        bool accredited;
+        uint64 issuedAt;
+        uint64 expiresAt;
+    }
+
+    // Who may buy shares of an artwork; the zero rule admits every attested investor
+    struct EligibilityRule {
+        uint32 allowedJurisdictions;       // Bit set; 0 means any jurisdiction
+        bool requiresAccreditation;
+    }
+
+    enum SaleStatus { None, AwaitingProceeds, Settling, Settled, Refunded, Cancelled }
+
+    struct ArtworkSale {
+        uint256 salePrice;
+        SaleStatus status;
+        uint256 requestId;                 // Decryption request of the batch being settled
+        uint256 soldAt;
+        uint256 refundPerShare;            // Refunded per share held once settlement fails, in whole VALUE_UNITs
+        uint256 settledHolders;            // Holders paid so far, in artworkInvestors order
+        uint256 settledShares;             // Shares those holders held
+        uint256 paidToInvestors;           // Proceeds credited to those holders
+    }
+
+    // Crediting until every holder has been credited, then Pending until the Gateway decrypts the total.
+    // Expired when the Gateway never answered and the round was refunded instead.
+    enum RoundStatus { Pending, Distributed, Crediting, Expired }
+
+    // One requestReturnsDistribution call; an artwork can have any number of rounds
+    struct DistributionRound {
+        uint256 artworkId;
+        uint256 requestId;                 // Decryption of the round's total payout, 0 while crediting
+        uint256 amount;                    // ETH sent for the round
+        uint256 perShare;                  // ETH credited per share held, in whole VALUE_UNITs
+        uint256 distributed;               // Total credited to holders, known once the Gateway decrypts it; an upper bound if Expired
+        RoundStatus status;
+        uint256 createdAt;
+        uint256 settledAt;
+        uint256 creditedHolders;           // Holders credited so far, in artworkInvestors order
+        uint256 soldShares;                // Shares sold when the round opened
+    }
+
+    // Withdrawal from an encrypted claimable balance, paid by the Gateway callback
+    struct ConfidentialClaim {
+        address investor;
+        FHE.euint64 debited;               // Requested amount, or zero if the balance did not cover it
+        uint256 requestedAt;
+        bool isProcessed;
+    }
+
+    // Decryption of an artwork's pooled unallocated shares and their refunds; the callback puts
+    // the shares back on sale and frees the part of the payments that bought credited shares
+    struct ShareRelease {
+        uint256 artworkId;
+        FHE.euint64 shares;
+        FHE.euint64 refunds;               // In VALUE_UNITs
+        uint256 payments;                  // Investment payments held for the pool when it was released
+        uint256 requestedAt;
+        bool isProcessed;
+    }
+
+    mapping(uint256 => ArtworkInfo) public artworks;
+    mapping(uint256 => mapping(address => PrivateInvestment)) public artworkInvestments;
+    mapping(address => InvestorProfile) public investorProfiles;
+    mapping(uint256 => address[]) public artworkInvestors;
+    mapping(address => uint256[]) internal investorArtworks;
+    address[] internal registeredInvestors;
+
+    // Gateway callback tracking
+    mapping(uint256 => DecryptionRequest) public decryptionRequests;
+    mapping(uint256 => uint256) public requestIdToArtworkId;
+
+    // Returns distribution rounds and what each holder was credited in each
+    mapping(uint256 => DistributionRound) public distributionRounds;
+    uint256 public totalDistributionRounds;
+    mapping(uint256 => uint256[]) internal artworkRounds;
+    mapping(uint256 => uint256) public requestIdToRound;
+    mapping(uint256 => mapping(address => FHE.euint64)) internal roundPayouts;    // In VALUE_UNITs
+    mapping(uint256 => FHE.euint64) internal roundTotals;    // Running total of a crediting round
+
+    // Open sale settlements and crediting returns rounds per artwork; investments and share
+    // transfers wait until they finish, so every holding is counted exactly once
+    mapping(uint256 => uint256) public pendingDistributions;
+
+    // Secondary market
+    mapping(uint256 => ShareOrder) public shareOrders;
+    uint256 public totalShareOrders;
+    mapping(uint256 => uint256) public openShareOrders;
+
+    // Sale settlement
+    mapping(uint256 => ArtworkSale) public artworkSales;
+    mapping(uint256 => mapping(address => uint256)) public salePayouts;
+    mapping(uint256 => mapping(address => bool)) public saleRefundClaimed;
+    mapping(uint256 => mapping(address => bool)) public saleHolderSettled;    // Paid by a settlement batch
+
+    // Pull payments: credited by callbacks and refunds, withdrawn with claim()
+    mapping(address => uint256) public claimableBalance;
+    mapping(address => ClaimCredit[]) internal pendingClaims;
+    uint256 public totalClaimable;
+
+    // Returns, refunds and share order payments credited under encryption, in VALUE_UNITs; only
+    // the investor may decrypt theirs
+    mapping(address => FHE.euint64) internal encryptedClaimable;
+    mapping(uint256 => ConfidentialClaim) public confidentialClaims;
+    uint256 public totalConfidentialReserved;    // ETH backing encrypted balances and unsettled rounds
+
+    // ETH held for decryption requests that are still awaiting their callback or refund
+    uint256 public totalPendingDecryption;
+
+    // Shares paid for but not credited, and the refunds credited for them, pooled per artwork
+    // until the next release. The payments behind the pool stay in totalConfidentialReserved.
+    mapping(uint256 => FHE.euint64) internal unallocatedShares;
+    mapping(uint256 => FHE.euint64) internal unallocatedRefunds;
+    mapping(uint256 => uint256) public unreleasedPayments;
+    mapping(uint256 => ShareRelease) public shareReleases;
+
+    mapping(uint256 => Withdrawal) public withdrawals;
+    uint256 public totalWithdrawals;
+    uint256 public totalQueuedWithdrawals;
+
+    mapping(bytes32 => mapping(address => bool)) internal roleMembers;
+
+    // KYC: the latest attestation accepted for each investor
+    address public kycVerifier;
+    mapping(address => KycAttestation) public kycAttestations;
+    mapping(uint256 => EligibilityRule) public eligibilityRules;
+
+    // Holding limits, 0 = no limit: max share of an artwork one investor may hold (basis points)
+    // and max total investment per investor across artworks (wei)
+    mapping(uint256 => uint256) public maxOwnershipBps;
+    uint256 public maxInvestorExposure;
+
+    event ArtworkListed(
+        uint256 indexed artworkId,
+        string name,
+        uint256 totalValue,
+        uint256 sharePrice
+    );
+    event PrivateInvestmentMade(
+        address indexed investor,
+        uint256 indexed artworkId,
+        uint256 timestamp
+    );
+    event InvestorRegistered(address indexed investor, uint256 timestamp);
+    event ReturnsDistributed(uint256 indexed artworkId, uint256 totalReturns);
+    event ArtworkSold(uint256 indexed artworkId, uint256 salePrice);
+    event DecryptionRequested(uint256 indexed requestId, uint256 indexed artworkId, uint256 timestamp);
+    event DecryptionFailed(uint256 indexed requestId, uint256 indexed artworkId, string reason);
+    event RefundIssued(address indexed investor, uint256 indexed artworkId, uint256 amount);
+    event CallbackProcessed(uint256 indexed requestId, uint256 indexed artworkId, bool success);
+    event ShareOrderCreated(uint256 indexed orderId, address indexed seller, uint256 indexed artworkId, uint256 price);
+    event ShareOrderCancelled(uint256 indexed orderId);
+    event ShareOrderRevealed(uint256 indexed orderId, address indexed buyer);
+    event ShareOrderFilled(uint256 indexed orderId, address indexed buyer, uint256 price);
+    event SharesTransferred(address indexed from, address indexed to, uint256 indexed artworkId);
+    event SaleSettled(uint256 indexed artworkId, uint256 salePrice);
+    event SalePayout(uint256 indexed artworkId, address indexed investor, uint256 amount);
+    event SaleCancelled(uint256 indexed artworkId, address indexed cancelledBy);
+    event SaleBatchSettled(uint256 indexed artworkId, uint256 settledHolders, uint256 totalHolders);
+    event SaleRefundClaimed(uint256 indexed artworkId, address indexed investor);
+    event DistributionRoundOpened(uint256 indexed roundId, uint256 indexed artworkId, uint256 indexed requestId, uint256 amount);
+    event DistributionBatchCredited(uint256 indexed roundId, uint256 creditedHolders, uint256 totalHolders);
+    event DistributionRoundSettled(uint256 indexed roundId, uint256 indexed artworkId, uint256 distributed);
+    event DistributionRoundExpired(uint256 indexed roundId, uint256 indexed artworkId, uint256 released);
+    event ReturnsCredited(address indexed investor, uint256 indexed artworkId, uint256 indexed requestId, uint256 amount);
+    event ReturnsClaimed(address indexed investor, uint256 amount);
+    event ConfidentialClaimRequested(uint256 indexed requestId, address indexed investor, uint256 amount);
+    event ConfidentialClaimProcessed(uint256 indexed requestId, address indexed investor, uint256 amount);
+    event ShareReleaseRequested(uint256 indexed requestId, uint256 indexed artworkId, uint256 payments);
+    event SharesReleased(uint256 indexed requestId, uint256 indexed artworkId, uint256 shares, uint256 freed);
+    event ArtworkPaused(uint256 indexed artworkId);
+    event ArtworkResumed(uint256 indexed artworkId);
+    event ArtworkMetadataUpdated(uint256 indexed artworkId, string name, string artist, string ipfsHash);
+    event FundingClosed(uint256 indexed artworkId, uint256 unsoldShares);
+    event SharePriceUpdated(uint256 indexed artworkId, uint256 oldSharePrice, uint256 newSharePrice);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event WithdrawalQueued(uint256 indexed withdrawalId, address indexed requestedBy, uint256 amount, uint256 executableAt);
+    event WithdrawalExecuted(uint256 indexed withdrawalId, address indexed recipient, uint256 amount);
+    event WithdrawalCancelled(uint256 indexed withdrawalId, address indexed cancelledBy);
+    event KycVerifierUpdated(address indexed previousVerifier, address indexed newVerifier);
+    event KycAttested(address indexed investor, uint32 jurisdictions, bool accredited, uint64 expiresAt);
+    event KycRevoked(address indexed investor);
+    event EligibilityRuleUpdated(uint256 indexed artworkId, uint32 allowedJurisdictions, bool requiresAccreditation);
+    event OwnershipCapUpdated(uint256 indexed artworkId, uint256 maxOwnershipBps);
+    event ExposureLimitUpdated(uint256 maxInvestorExposure);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        require(hasRole(role, msg.sender), "Not authorized");
+        _;
+    }
+
+    modifier onlyRegisteredInvestor() {
+        require(investorProfiles[msg.sender].isRegistered, "Not registered investor");
+        _;
+    }
+
+    modifier validArtwork(uint256 artworkId) {
+        require(artworkId < totalArtworks, "Invalid artwork ID");
+        require(artworks[artworkId].isActive, "Artwork not active");
+        _;
+    }
+
+    modifier openForInvestment(uint256 artworkId) {
+        require(!artworks[artworkId].isPaused, "Artwork paused");
+        require(!artworks[artworkId].fundingClosed, "Funding closed");
+        _;
+    }
+
+    modifier noPendingDistribution(uint256 artworkId) {
+        require(pendingDistributions[artworkId] == 0, "Distribution in progress");
+        _;
+    }
+
+    // ============ Access Control ============
+
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return account == owner || roleMembers[role][account];
+    }
+
+    // ============ KYC ============
+
+    // Reverts with the first rule the account fails
+    function _requireEligible(uint256 artworkId, address account) internal view {
+        KycAttestation storage kyc = kycAttestations[account];
+        EligibilityRule storage rule = eligibilityRules[artworkId];
+        require(kyc.expiresAt > block.timestamp, "KYC expired");
+        require(
+            rule.allowedJurisdictions == 0 || kyc.jurisdictions & rule.allowedJurisdictions != 0,
+            "Jurisdiction not eligible"
+        );
+        require(!rule.requiresAccreditation || kyc.accredited, "Accreditation required");
+    }
+
+    // ============ Holding Limits ============
+
+    /// @notice Most shares of an artwork one investor may hold; totalShares when uncapped
+    function maxSharesPerInvestor(uint256 artworkId) public view returns (uint256) {
+        uint256 bps = maxOwnershipBps[artworkId];
+        uint256 totalShares = artworks[artworkId].totalShares;
+        return bps == 0 ? totalShares : totalShares * bps / MAX_BPS;
+    }
+
+    /**
+     * @dev Returns `amount` if crediting it keeps the holder within both limits, otherwise an
+     * encrypted zero. The comparison runs on ciphertexts and the call never reverts on it, so
+     * hitting a limit reveals nothing about the holder's position. The cap is compared in
+     * euint64, where the sum of two euint32 values cannot wrap.
+     */
+    function _withinLimits(
+        uint256 artworkId,
+        address holder,
+        FHE.euint32 memory amount
+    ) internal returns (FHE.euint32 memory) {
+        FHE.euint32 memory zero = FHE.asEuint32(0);
+
+        if (maxOwnershipBps[artworkId] > 0) {
+            PrivateInvestment storage investment = artworkInvestments[artworkId][holder];
+            FHE.euint64 memory held = FHE.asEuint64(investment.hasInvested ? investment.encryptedShares : zero);
+            // listArtwork bounds totalShares, and with it the cap, to uint32
+            FHE.euint64 memory capShares = FHE.asEuint64(uint64(maxSharesPerInvestor(artworkId)));
+            amount = FHE.select(FHE.le(FHE.add(held, FHE.asEuint64(amount)), capShares), amount, zero);
+        }
+
+        if (maxInvestorExposure > 0) {
+            uint256 limitUnits = maxInvestorExposure / VALUE_UNIT;
+            FHE.euint64 memory exposureLimit = FHE.asEuint64(
+                limitUnits > type(uint64).max ? type(uint64).max : uint64(limitUnits)
+            );
+            FHE.euint64 memory exposure = _addChecked(
+                investorProfiles[holder].encryptedTotalInvestment,
+                _sharesValue(artworkId, amount)
+            );
+            amount = FHE.select(FHE.le(exposure, exposureLimit), amount, zero);
+        }
+
+        return amount;
+    }
+
+    // ============ Encrypted Holdings ============
+
+    // Value of one share in VALUE_UNITs; exact, as share prices are whole units
+    function _shareValueUnit(uint256 artworkId) internal view returns (uint64) {
+        return uint64(artworks[artworkId].sharePrice / VALUE_UNIT);
+    }
+
+    // Encrypted value of `shares` at the current share price
+    function _sharesValue(uint256 artworkId, FHE.euint32 memory shares) internal returns (FHE.euint64 memory) {
+        return FHE.mul(FHE.asEuint64(shares), _shareValueUnit(artworkId));
+    }
+
+    // Select-on-overflow: a sum that would wrap saturates at the euint64 maximum instead
+    function _addChecked(FHE.euint64 memory a, FHE.euint64 memory b) internal returns (FHE.euint64 memory) {
+        FHE.euint64 memory sum = FHE.add(a, b);
+        return FHE.select(FHE.le(a, sum), sum, FHE.asEuint64(type(uint64).max));
+    }
+
+    /**
+     * @dev Removes `amount` if the holder has that many shares, otherwise nothing.
+     * Returns the encrypted amount actually removed.
+     */
+    function _debitShares(
+        uint256 artworkId,
+        address holder,
+        FHE.euint32 memory amount
+    ) internal returns (FHE.euint32 memory debited) {
+        PrivateInvestment storage investment = artworkInvestments[artworkId][holder];
+        InvestorProfile storage profile = investorProfiles[holder];
+
+        debited = FHE.select(FHE.le(amount, investment.encryptedShares), amount, FHE.asEuint32(0));
+        FHE.euint64 memory debitedValue = _sharesValue(artworkId, debited);
+        // Shares bought before a price increase are worth less than the current price
+        debitedValue = FHE.select(FHE.le(debitedValue, investment.encryptedValue), debitedValue, investment.encryptedValue);
+
+        investment.encryptedShares = FHE.sub(investment.encryptedShares, debited);
+        investment.encryptedValue = FHE.sub(investment.encryptedValue, debitedValue);
+        profile.encryptedTotalInvestment = FHE.sub(profile.encryptedTotalInvestment, debitedValue);
+
+        _allowHolding(artworkId, holder);
+    }
+
+    /**
+     * @dev Adds `amount` to the holder's position. Used for purchases, top-ups and incoming
+     * transfers; only the first position in an artwork joins the investor list and counts
+     * towards the portfolio.
+     */
+    function _creditShares(uint256 artworkId, address holder, FHE.euint32 memory amount) internal {
+        PrivateInvestment storage investment = artworkInvestments[artworkId][holder];
+        InvestorProfile storage profile = investorProfiles[holder];
+
+        // First shares in this artwork: join the investor list used for distributions
+        if (!investment.hasInvested) {
+            investment.encryptedShares = FHE.asEuint32(0);
+            investment.encryptedValue = FHE.asEuint64(0);
+            investment.hasInvested = true;
+            investment.timestamp = block.timestamp;
+            artworkInvestors[artworkId].push(holder);
+            investorArtworks[holder].push(artworkId);
+            profile.encryptedPortfolioCount = FHE.add(profile.encryptedPortfolioCount, FHE.asEuint32(1));
+        }
+
+        FHE.euint64 memory creditedValue = _sharesValue(artworkId, amount);
+
+        investment.encryptedShares = FHE.add(investment.encryptedShares, amount);
+        investment.encryptedValue = _addChecked(investment.encryptedValue, creditedValue);
+        profile.encryptedTotalInvestment = _addChecked(profile.encryptedTotalInvestment, creditedValue);
+
+        _allowHolding(artworkId, holder);
+    }
+
+    // Grant the contract and the holder access to the holder's current ciphertexts
+    function _allowHolding(uint256 artworkId, address holder) internal {
+        PrivateInvestment storage investment = artworkInvestments[artworkId][holder];
+        InvestorProfile storage profile = investorProfiles[holder];
+
+        FHE.allowThis(investment.encryptedShares);
+        FHE.allowThis(investment.encryptedValue);
+        FHE.allowThis(profile.encryptedTotalInvestment);
+        FHE.allowThis(profile.encryptedPortfolioCount);
+        FHE.allow(investment.encryptedShares, holder);
+        FHE.allow(investment.encryptedValue, holder);
+        FHE.allow(profile.encryptedTotalInvestment, holder);
+        FHE.allow(profile.encryptedPortfolioCount, holder);
+    }
+
+    // ============ Decryption Requests ============
+
+    // Record a decryption request for an artwork so its callback can be checked and timed out
+    function _trackDecryption(uint256 requestId, uint256 artworkId, uint256 amount, bool isSaleSettlement) internal {
+        decryptionRequests[requestId] = DecryptionRequest({
+            artworkId: artworkId,
+            requestedAt: block.timestamp,
+            isProcessed: false,
+            hasFailed: false,
+            totalReturns: amount,
+            isSaleSettlement: isSaleSettlement
+        });
+        requestIdToArtworkId[requestId] = artworkId;
+
+        emit DecryptionRequested(requestId, artworkId, block.timestamp);
+    }
+
+    // Verifies a Gateway callback for a tracked request and marks the request processed
+    function _consumeDecryption(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof,
+        bool isSaleSettlement
+    ) internal returns (DecryptionRequest storage request) {
+        request = decryptionRequests[requestId];
+        require(request.requestedAt > 0, "Request not found");
+        require(!request.isProcessed, "Request already processed");
+        require(!request.hasFailed, "Request has failed");
+        require(request.isSaleSettlement == isSaleSettlement, "Wrong callback for request");
+
+        // Verify cryptographic signatures against the request and cleartexts
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        request.isProcessed = true;
+    }
+
+    // ============ Claims ============
+
+    /**
+     * @dev Credits are plaintext: they are computed from shares the Gateway has already
+     * decrypted in public callback calldata, so encrypting them would hide nothing.
+     */
+    function _creditClaim(address investor, uint256 artworkId, uint256 requestId, uint256 amount) internal {
+        claimableBalance[investor] += amount;
+        totalClaimable += amount;
+        pendingClaims[investor].push(ClaimCredit({
+            artworkId: artworkId,
+            requestId: requestId,
+            amount: amount
+        }));
+
+        emit ReturnsCredited(investor, artworkId, requestId, amount);
+    }
+
+    function _creditEncryptedClaimable(address investor, FHE.euint64 memory amount) internal {
+        FHE.euint64 memory balance = encryptedClaimable[investor];
+        encryptedClaimable[investor] = FHE.isInitialized(balance) ? _addChecked(balance, amount) : amount;
+        _allowEncryptedClaimable(investor);
+    }
+
+    function _allowEncryptedClaimable(address investor) internal {
+        FHE.allowThis(encryptedClaimable[investor]);
+        FHE.allow(encryptedClaimable[investor], investor);
+    }
+
+    // ============ Withdrawals ============
+
+    /// @notice ETH that belongs to investors: unclaimed credits, encrypted balances and funds of in-flight requests
+    function reservedBalance() public view returns (uint256) {
+        return totalClaimable + totalPendingDecryption + totalConfidentialReserved;
+    }
+
+    /// @notice ETH a guardian could still queue for withdrawal
+    function freeBalance() public view returns (uint256) {
+        uint256 committed = reservedBalance() + totalQueuedWithdrawals;
+        return address(this).balance > committed ? address(this).balance - committed : 0;
+    }
+
+    function _isPendingWithdrawal(Withdrawal storage withdrawal) internal view returns (bool) {
+        return !withdrawal.isExecuted && !withdrawal.isCancelled;
+    }
+}
@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "../LocalFHE.sol";
+import { PrivateArtInvestmentModule } from "./PrivateArtInvestmentModule.sol";
+
+/**
+ * @title PrimaryOffering
+ * @notice Primary offering of PrivateArtInvestment: investments and the pool of shares paid for but not credited
+ * @dev Runs only through PrivateArtInvestment, which forwards these functions to it
+ */
+contract PrimaryOffering is PrivateArtInvestmentModule {
+
+    /**
+     * @notice Buy a public number of shares; the position itself is stored encrypted
+     * @dev A purchase that would break a holding limit credits zero shares. Its payment is
+     * refunded to the investor's encrypted claimable balance and the shares are pooled until
+     * releaseUnallocatedShares puts them back on sale, as with confidential investments, so
+     * nobody can tell that the limit was hit. Check the remaining allowance (decrypted
+     * client-side) before buying.
+     */
+    function makePrivateInvestment(
+        uint256 artworkId,
+        uint32 shareAmount
+    ) external payable onlyDelegated onlyRegisteredInvestor validArtwork(artworkId) openForInvestment(artworkId) noPendingDistribution(artworkId) {
+        _requireEligible(artworkId, msg.sender);
+
+        // Input validation - security feature
+        require(shareAmount > 0, "Invalid share amount");
+        require(artworks[artworkId].availableShares >= shareAmount, "Insufficient shares available");
+
+        uint256 requiredPayment = artworks[artworkId].sharePrice * shareAmount;
+        require(msg.value >= requiredPayment, "Insufficient payment");
+
+        // Overflow protection
+        require(requiredPayment / artworks[artworkId].sharePrice == shareAmount, "Overflow detected");
+
+        // Encrypt the share amount and add it to any existing position
+        artworks[artworkId].availableShares -= shareAmount;
+        FHE.euint32 memory requested = FHE.asEuint32(shareAmount);
+        FHE.euint32 memory credited = _withinLimits(artworkId, msg.sender, requested);
+        _creditShares(artworkId, msg.sender, credited);
+
+        // Without limits every share is credited and the payment is free at once
+        if (maxOwnershipBps[artworkId] > 0 || maxInvestorExposure > 0) {
+            _refundUnallocated(artworkId, msg.sender, FHE.sub(requested, credited), requiredPayment);
+        }
+
+        // Return excess payment
+        if (msg.value > requiredPayment) {
+            payable(msg.sender).transfer(msg.value - requiredPayment);
+        }
+
+        emit PrivateInvestmentMade(msg.sender, artworkId, block.timestamp);
+    }
+
+    /**
+     * @notice Invest with a share amount encrypted in the browser
+     * @dev The payment is public and only bounds the amount: pay for more shares than you buy
+     * to hide how many you bought. The encrypted amount is capped at msg.value / sharePrice
+     * shares, which are all reserved from availableShares. Paid shares that are not credited,
+     * because the amount was lower or a holding limit refused them, are refunded to the
+     * investor's encrypted claimable balance and pooled until releaseUnallocatedShares puts them
+     * back on sale. Any remainder below one share price is refunded at once.
+     * @param encryptedShareAmount Input handle produced by the FHEVM client
+     * @param inputProof Proof binding the handle to msg.sender and this contract
+     */
+    function makeConfidentialInvestment(
+        uint256 artworkId,
+        FHE.externalEuint32 encryptedShareAmount,
+        bytes calldata inputProof
+    ) external payable onlyDelegated onlyRegisteredInvestor validArtwork(artworkId) openForInvestment(artworkId) noPendingDistribution(artworkId) {
+        _requireEligible(artworkId, msg.sender);
+
+        uint256 sharePrice = artworks[artworkId].sharePrice;
+        uint256 paidShares = msg.value / sharePrice;
+        require(paidShares > 0, "Insufficient payment");
+        require(paidShares <= type(uint32).max, "Invalid share amount");
+        require(artworks[artworkId].availableShares >= paidShares, "Insufficient shares available");
+
+        // Verify the client-side ciphertext, then cap it at what the payment covers
+        FHE.euint32 memory requestedShares = FHE.fromExternal(encryptedShareAmount, inputProof);
+        FHE.euint32 memory credited = _withinLimits(
+            artworkId,
+            msg.sender,
+            FHE.min(requestedShares, uint32(paidShares))
+        );
+
+        uint256 requiredPayment = paidShares * sharePrice;
+        artworks[artworkId].availableShares -= paidShares;
+        _creditShares(artworkId, msg.sender, credited);
+        _refundUnallocated(artworkId, msg.sender, FHE.sub(FHE.asEuint32(uint32(paidShares)), credited), requiredPayment);
+
+        // Return payment not covering a whole share
+        if (msg.value > requiredPayment) {
+            payable(msg.sender).transfer(msg.value - requiredPayment);
+        }
+
+        emit PrivateInvestmentMade(msg.sender, artworkId, block.timestamp);
+    }
+
+    /**
+     * @dev Refunds `shares` of a purchase to the investor's encrypted claimable balance and adds
+     * them to the artwork's pool. The whole `payment` is reserved, as nobody can tell yet which
+     * part of it bought shares; the release callback frees that part.
+     */
+    function _refundUnallocated(uint256 artworkId, address investor, FHE.euint32 memory shares, uint256 payment) private {
+        FHE.euint64 memory refund = _sharesValue(artworkId, shares);
+        _creditEncryptedClaimable(investor, refund);
+        _poolUnallocated(artworkId, FHE.asEuint64(shares), refund);
+
+        unreleasedPayments[artworkId] += payment;
+        totalConfidentialReserved += payment;
+    }
+
+    // Pooled shares never exceed totalShares and their refunds its value, so the sums cannot wrap
+    function _poolUnallocated(uint256 artworkId, FHE.euint64 memory shares, FHE.euint64 memory refunds) private {
+        if (FHE.isInitialized(unallocatedShares[artworkId])) {
+            shares = FHE.add(unallocatedShares[artworkId], shares);
+            refunds = FHE.add(unallocatedRefunds[artworkId], refunds);
+        }
+
+        unallocatedShares[artworkId] = shares;
+        unallocatedRefunds[artworkId] = refunds;
+        FHE.allowThis(shares);
+        FHE.allowThis(refunds);
+    }
+
+    /**
+     * @notice Put an artwork's unallocated shares back on sale and free the payments for the shares that were credited
+     * @dev Anyone may call. The Gateway decrypts the pool's totals over every investment since
+     * the last release, so a release covering a single investment reveals how many shares that
+     * investor was refunded; wait for several investments when you can.
+     */
+    function releaseUnallocatedShares(uint256 artworkId) external onlyDelegated returns (uint256 requestId) {
+        uint256 payments = unreleasedPayments[artworkId];
+        require(payments > 0, "Nothing to release");
+
+        FHE.euint64 memory shares = unallocatedShares[artworkId];
+        FHE.euint64 memory refunds = unallocatedRefunds[artworkId];
+        delete unallocatedShares[artworkId];
+        delete unallocatedRefunds[artworkId];
+        unreleasedPayments[artworkId] = 0;
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(shares);
+        cts[1] = FHE.toBytes32(refunds);
+        requestId = FHE.requestDecryption(cts, this.processShareRelease.selector);
+
+        shareReleases[requestId] = ShareRelease({
+            artworkId: artworkId,
+            shares: shares,
+            refunds: refunds,
+            payments: payments,
+            requestedAt: block.timestamp,
+            isProcessed: false
+        });
+
+        emit ShareReleaseRequested(requestId, artworkId, payments);
+    }
+
+    // Gateway callback: return the released shares to sale; refunds stay reserved behind encrypted balances
+    function processShareRelease(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external onlyDelegated {
+        ShareRelease storage release = _openShareRelease(requestId);
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+        release.isProcessed = true;
+
+        uint64[] memory totals = abi.decode(cleartexts, (uint64[]));
+        uint256 freed = release.payments - uint256(totals[1]) * VALUE_UNIT;
+
+        artworks[release.artworkId].availableShares += totals[0];
+        totalConfidentialReserved -= freed;
+
+        // Nobody can claim the refund of pooled shares from a refunded sale
+        ArtworkSale storage sale = artworkSales[release.artworkId];
+        if (sale.status == SaleStatus.Refunded) {
+            totalConfidentialReserved -= uint256(totals[0]) * sale.refundPerShare;
+        }
+
+        emit SharesReleased(requestId, release.artworkId, totals[0], freed);
+    }
+
+    // Timeout protection: anyone can return a release the Gateway never answered to the pool
+    function cancelShareRelease(uint256 requestId) external onlyDelegated {
+        ShareRelease storage release = _openShareRelease(requestId);
+        require(block.timestamp >= release.requestedAt + CALLBACK_TIMEOUT, "Callback timeout not reached");
+
+        release.isProcessed = true;
+        _poolUnallocated(release.artworkId, release.shares, release.refunds);
+        unreleasedPayments[release.artworkId] += release.payments;
+
+        emit SharesReleased(requestId, release.artworkId, 0, 0);
+    }
+
+    function _openShareRelease(uint256 requestId) private view returns (ShareRelease storage release) {
+        release = shareReleases[requestId];
+        require(release.requestedAt > 0, "Release not found");
+        require(!release.isProcessed, "Release already processed");
+    }
+}
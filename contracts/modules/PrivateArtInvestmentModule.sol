@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PrivateArtInvestmentStorage } from "../PrivateArtInvestmentStorage.sol";
+
+/**
+ * @title PrivateArtInvestmentModule
+ * @notice Base of the contracts PrivateArtInvestment delegates part of its functions to
+ * @dev A module is deployed once and runs only as code of PrivateArtInvestment, which forwards
+ * calls to it with delegatecall: msg.sender, msg.value, address(this) and storage are the
+ * platform's. The module's own storage is empty, so its entry points refuse direct calls.
+ */
+abstract contract PrivateArtInvestmentModule is PrivateArtInvestmentStorage {
+
+    address private immutable self = address(this);
+
+    modifier onlyDelegated() {
+        require(address(this) != self, "Call through PrivateArtInvestment");
+        _;
+    }
+}
@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "../LocalFHE.sol";
+import { PrivateArtInvestmentModule } from "./PrivateArtInvestmentModule.sol";
+
+/**
+ * @title ReturnsDistribution
+ * @notice Returns distribution rounds of PrivateArtInvestment and confidential claims of the encrypted returns they credit
+ * @dev Runs only through PrivateArtInvestment, which forwards these functions to it
+ */
+contract ReturnsDistribution is PrivateArtInvestmentModule {
+
+    /**
+     * @notice Open a returns distribution round for an artwork's current holders
+     * @dev Each call is a new round, so an artwork can distribute returns any number of times.
+     * No holding is decrypted: every holder is credited their encrypted shares times the round's
+     * public per-share amount (msg.value over the shares sold, rounded down to whole VALUE_UNITs)
+     * in an encrypted balance only they can read. Holders are credited DISTRIBUTION_BATCH_SIZE
+     * at a time: this call credits the first batch and continueReturnsDistribution the rest,
+     * while investments and trades of the artwork wait. Once all are credited, only the round's
+     * total payout goes to the Gateway; the callback settles the round and frees what no holder
+     * was owed, i.e. the part of shares held back by limits or escrowed in orders, plus rounding
+     * dust. requestId in DistributionRoundOpened is 0 when batches remain.
+     */
+    function requestReturnsDistribution(
+        uint256 artworkId
+    ) external payable onlyDelegated onlyRole(TREASURER_ROLE) validArtwork(artworkId) noPendingDistribution(artworkId) returns (uint256 roundId) {
+        require(msg.value > 0, "No returns to distribute");
+        require(msg.value / VALUE_UNIT <= type(uint64).max, "Returns too large");
+        require(artworkInvestors[artworkId].length > 0, "No investors for this artwork");
+
+        ArtworkInfo storage artwork = artworks[artworkId];
+        uint256 soldShares = artwork.totalShares - artwork.availableShares;
+        require(soldShares > 0, "No shares sold");
+        uint64 perShareUnits = uint64(msg.value / VALUE_UNIT / soldShares);
+        require(perShareUnits > 0, "Returns below 1 gwei per share");
+
+        roundId = totalDistributionRounds++;
+        distributionRounds[roundId] = DistributionRound({
+            artworkId: artworkId,
+            requestId: 0,
+            amount: msg.value,
+            perShare: uint256(perShareUnits) * VALUE_UNIT,
+            distributed: 0,
+            status: RoundStatus.Crediting,
+            createdAt: block.timestamp,
+            settledAt: 0,
+            creditedHolders: 0,
+            soldShares: soldShares
+        });
+        artworkRounds[artworkId].push(roundId);
+        pendingDistributions[artworkId]++;
+
+        // Held in full until the callback reveals how much of it holders were credited
+        totalConfidentialReserved += msg.value;
+
+        _creditRoundBatch(roundId);
+        emit DistributionRoundOpened(roundId, artworkId, distributionRounds[roundId].requestId, msg.value);
+    }
+
+    /// @notice Credit the next batch of a round's holders; anyone may call until the round is credited
+    function continueReturnsDistribution(uint256 roundId) external onlyDelegated {
+        require(roundId < totalDistributionRounds, "Round not found");
+        require(distributionRounds[roundId].status == RoundStatus.Crediting, "Round already credited");
+
+        _creditRoundBatch(roundId);
+    }
+
+    /**
+     * @dev Credits the next DISTRIBUTION_BATCH_SIZE holders and carries the encrypted total.
+     * The last batch sends the total to the Gateway and lets the artwork trade again.
+     */
+    function _creditRoundBatch(uint256 roundId) private {
+        DistributionRound storage round = distributionRounds[roundId];
+        uint256 artworkId = round.artworkId;
+        address[] storage investors = artworkInvestors[artworkId];
+        uint64 perShareUnits = uint64(round.perShare / VALUE_UNIT);
+
+        uint256 start = round.creditedHolders;
+        uint256 end = start + DISTRIBUTION_BATCH_SIZE;
+        if (end > investors.length) {
+            end = investors.length;
+        }
+
+        // Payouts add up to at most the round's amount in VALUE_UNITs, so the total cannot wrap
+        FHE.euint64 memory totalPayout = start == 0 ? FHE.asEuint64(0) : roundTotals[roundId];
+        for (uint i = start; i < end; i++) {
+            FHE.euint64 memory payout = FHE.mul(
+                FHE.asEuint64(artworkInvestments[artworkId][investors[i]].encryptedShares),
+                perShareUnits
+            );
+            totalPayout = FHE.add(totalPayout, payout);
+
+            roundPayouts[roundId][investors[i]] = payout;
+            FHE.allowThis(payout);
+            FHE.allow(payout, investors[i]);
+            _creditEncryptedClaimable(investors[i], payout);
+        }
+
+        round.creditedHolders = end;
+        FHE.allowThis(totalPayout);
+        emit DistributionBatchCredited(roundId, end, investors.length);
+
+        if (end < investors.length) {
+            roundTotals[roundId] = totalPayout;
+            return;
+        }
+
+        delete roundTotals[roundId];
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(totalPayout);
+        uint256 requestId = FHE.requestDecryption(cts, this.processReturnsDistribution.selector);
+        _trackDecryption(requestId, artworkId, round.amount, false);
+
+        round.requestId = requestId;
+        round.status = RoundStatus.Pending;
+        requestIdToRound[requestId] = roundId;
+        pendingDistributions[artworkId]--;
+    }
+
+    // Gateway callback: settle a round with its decrypted total payout
+    function processReturnsDistribution(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external onlyDelegated {
+        DecryptionRequest storage request = _consumeDecryption(requestId, cleartexts, decryptionProof, false);
+        uint256 artworkId = request.artworkId;
+        uint256 distributed = uint256(abi.decode(cleartexts, (uint64[]))[0]) * VALUE_UNIT;
+
+        // Holders were credited when the round opened; the rest becomes free balance
+        totalConfidentialReserved -= request.totalReturns - distributed;
+
+        uint256 roundId = requestIdToRound[requestId];
+        DistributionRound storage round = distributionRounds[roundId];
+        round.status = RoundStatus.Distributed;
+        round.distributed = distributed;
+        round.settledAt = block.timestamp;
+
+        emit DistributionRoundSettled(roundId, artworkId, distributed);
+        emit CallbackProcessed(requestId, artworkId, true);
+        emit ReturnsDistributed(artworkId, request.totalReturns);
+    }
+
+    /**
+     * @notice Withdraw `amount` wei of the caller's encrypted returns
+     * @dev The amount is debited under encryption only if the balance covers it, otherwise
+     * nothing is. The Gateway then decrypts just the debited amount and the callback pays it,
+     * so the balance itself is never revealed. Decrypt the balance client-side first: a request
+     * above it pays nothing.
+     */
+    function requestConfidentialClaim(uint256 amount) external onlyDelegated returns (uint256 requestId) {
+        require(amount > 0 && amount % VALUE_UNIT == 0, "Amount not whole gwei");
+        require(amount / VALUE_UNIT <= type(uint64).max, "Amount too large");
+
+        FHE.euint64 memory balance = encryptedClaimable[msg.sender];
+        require(FHE.isInitialized(balance), "Nothing to claim");
+
+        FHE.euint64 memory requested = FHE.asEuint64(uint64(amount / VALUE_UNIT));
+        FHE.euint64 memory debited = FHE.select(FHE.le(requested, balance), requested, FHE.asEuint64(0));
+        encryptedClaimable[msg.sender] = FHE.sub(balance, debited);
+        _allowEncryptedClaimable(msg.sender);
+        FHE.allowThis(debited);
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(debited);
+        requestId = FHE.requestDecryption(cts, this.processConfidentialClaim.selector);
+
+        confidentialClaims[requestId] = ConfidentialClaim({
+            investor: msg.sender,
+            debited: debited,
+            requestedAt: block.timestamp,
+            isProcessed: false
+        });
+
+        emit ConfidentialClaimRequested(requestId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Gateway callback: pay the amount a confidential claim debited
+     * @dev A wallet that rejects ETH gets the amount back in its encrypted balance, so the
+     * callback never reverts on the investor's account.
+     */
+    function processConfidentialClaim(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external onlyDelegated {
+        ConfidentialClaim storage claimRequest = _openConfidentialClaim(requestId);
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+        claimRequest.isProcessed = true;
+
+        address investor = claimRequest.investor;
+        uint256 amount = uint256(abi.decode(cleartexts, (uint64[]))[0]) * VALUE_UNIT;
+
+        if (amount > 0) {
+            totalConfidentialReserved -= amount;
+            (bool sent, ) = payable(investor).call{value: amount}("");
+            if (!sent) {
+                totalConfidentialReserved += amount;
+                _creditEncryptedClaimable(investor, claimRequest.debited);
+                amount = 0;
+            }
+        }
+
+        emit ConfidentialClaimProcessed(requestId, investor, amount);
+    }
+
+    // Timeout protection: the investor takes back the debited amount if the Gateway never answers
+    function cancelConfidentialClaim(uint256 requestId) external onlyDelegated {
+        ConfidentialClaim storage claimRequest = _openConfidentialClaim(requestId);
+        require(claimRequest.investor == msg.sender, "Not claim owner");
+        require(block.timestamp >= claimRequest.requestedAt + CALLBACK_TIMEOUT, "Callback timeout not reached");
+
+        claimRequest.isProcessed = true;
+        _creditEncryptedClaimable(msg.sender, claimRequest.debited);
+
+        emit ConfidentialClaimProcessed(requestId, msg.sender, 0);
+    }
+
+    function _openConfidentialClaim(uint256 requestId) private view returns (ConfidentialClaim storage claimRequest) {
+        claimRequest = confidentialClaims[requestId];
+        require(claimRequest.investor != address(0), "Claim not found");
+        require(!claimRequest.isProcessed, "Claim already processed");
+    }
+}
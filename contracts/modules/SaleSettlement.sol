@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "../LocalFHE.sol";
+import { PrivateArtInvestmentModule } from "./PrivateArtInvestmentModule.sol";
+
+/**
+ * @title SaleSettlement
+ * @notice Sale of a PrivateArtInvestment artwork and the payout of its proceeds to the holders
+ * @dev Runs only through PrivateArtInvestment, which forwards these functions to it
+ */
+contract SaleSettlement is PrivateArtInvestmentModule {
+
+    /**
+     * @notice Sell an artwork and pay the proceeds out to its shareholders
+     * @dev Send the proceeds with this call, or send nothing and let the buyer deposit them
+     * through depositSaleProceeds. Settlement decrypts the holdings through the Gateway
+     * DISTRIBUTION_BATCH_SIZE holders at a time, each callback requesting the next batch, and
+     * credits salePrice * shares / totalShares to each investor; after the last batch the part
+     * for shares that were never sold, plus rounding, goes to the owner. Investments and trades
+     * of the artwork wait until then. Everyone withdraws with claim().
+     * A sale whose proceeds never arrive can be called off with cancelSale.
+     */
+    function sellArtwork(uint256 artworkId, uint256 salePrice) external payable onlyDelegated onlyRole(TREASURER_ROLE) validArtwork(artworkId) {
+        require(salePrice > 0, "Invalid sale price");
+        require(salePrice / VALUE_UNIT <= type(uint64).max, "Sale price too large");
+        require(msg.value == 0 || msg.value == salePrice, "Deposit must equal sale price");
+        require(openShareOrders[artworkId] == 0, "Open share orders");
+        require(pendingDistributions[artworkId] == 0, "Distribution in progress");
+
+        artworks[artworkId].isActive = false;
+        artworkSales[artworkId] = ArtworkSale({
+            salePrice: salePrice,
+            status: SaleStatus.AwaitingProceeds,
+            requestId: 0,
+            soldAt: block.timestamp,
+            refundPerShare: 0,
+            settledHolders: 0,
+            settledShares: 0,
+            paidToInvestors: 0
+        });
+
+        emit ArtworkSold(artworkId, salePrice);
+
+        if (msg.value > 0) {
+            _settleSale(artworkId);
+        }
+    }
+
+    /// @notice Pay the agreed sale price for an artwork the owner has sold
+    function depositSaleProceeds(uint256 artworkId) external payable onlyDelegated {
+        ArtworkSale storage sale = artworkSales[artworkId];
+        require(sale.status == SaleStatus.AwaitingProceeds, "Sale not awaiting proceeds");
+        require(block.timestamp < sale.soldAt + SALE_DEPOSIT_WINDOW, "Deposit window closed");
+        require(msg.value == sale.salePrice, "Deposit must equal sale price");
+
+        _settleSale(artworkId);
+    }
+
+    /**
+     * @notice Call off a sale whose proceeds have not been deposited and reopen the artwork
+     * @dev Treasurers may cancel at any time; anyone may once SALE_DEPOSIT_WINDOW has passed
+     */
+    function cancelSale(uint256 artworkId) external onlyDelegated {
+        ArtworkSale storage sale = artworkSales[artworkId];
+        require(sale.status == SaleStatus.AwaitingProceeds, "Sale not awaiting proceeds");
+        require(
+            hasRole(TREASURER_ROLE, msg.sender) || block.timestamp >= sale.soldAt + SALE_DEPOSIT_WINDOW,
+            "Deposit window still open"
+        );
+
+        sale.status = SaleStatus.Cancelled;
+        artworks[artworkId].isActive = true;
+
+        emit SaleCancelled(artworkId, msg.sender);
+    }
+
+    // Gateway callback: credit a batch of holders their sale proceeds, then request the next batch
+    function processSaleSettlement(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external onlyDelegated {
+        DecryptionRequest storage request = _consumeDecryption(requestId, cleartexts, decryptionProof, true);
+        uint256 artworkId = request.artworkId;
+        ArtworkSale storage sale = artworkSales[artworkId];
+        address[] storage investors = artworkInvestors[artworkId];
+        uint256 totalShares = artworks[artworkId].totalShares;
+
+        // Decode decrypted shares of the batch, in artworkInvestors order
+        uint32[] memory decryptedShares = abi.decode(cleartexts, (uint32[]));
+        uint256 start = sale.settledHolders;
+        require(decryptedShares.length == _saleBatchEnd(artworkId) - start, "Shares count mismatch");
+
+        totalPendingDecryption -= request.totalReturns;
+
+        uint256 settledShares = sale.settledShares;
+        uint256 paidToInvestors = sale.paidToInvestors;
+        for (uint i = 0; i < decryptedShares.length; i++) {
+            address holder = investors[start + i];
+            uint256 payout = (sale.salePrice * decryptedShares[i]) / totalShares;
+            saleHolderSettled[artworkId][holder] = true;
+            settledShares += decryptedShares[i];
+            if (payout > 0) {
+                paidToInvestors += payout;
+                _creditSaleProceeds(artworkId, requestId, holder, payout);
+            }
+        }
+
+        uint256 end = start + decryptedShares.length;
+        sale.settledHolders = end;
+        sale.settledShares = settledShares;
+        sale.paidToInvestors = paidToInvestors;
+        emit SaleBatchSettled(artworkId, end, investors.length);
+        emit CallbackProcessed(requestId, artworkId, true);
+
+        if (end < investors.length) {
+            _requestSaleBatch(artworkId);
+            return;
+        }
+
+        sale.status = SaleStatus.Settled;
+        pendingDistributions[artworkId]--;
+
+        if (sale.salePrice > paidToInvestors) {
+            _creditSaleProceeds(artworkId, requestId, owner, sale.salePrice - paidToInvestors);
+        }
+
+        emit SaleSettled(artworkId, sale.salePrice);
+    }
+
+    function _settleSale(uint256 artworkId) private {
+        ArtworkSale storage sale = artworkSales[artworkId];
+
+        // Nobody holds shares: the proceeds belong to the owner
+        if (artworkInvestors[artworkId].length == 0) {
+            sale.status = SaleStatus.Settled;
+            _creditSaleProceeds(artworkId, 0, owner, sale.salePrice);
+            emit SaleSettled(artworkId, sale.salePrice);
+            return;
+        }
+
+        sale.status = SaleStatus.Settling;
+        pendingDistributions[artworkId]++;
+        _requestSaleBatch(artworkId);
+    }
+
+    /**
+     * @dev Sends the encrypted shares of the sale's next DISTRIBUTION_BATCH_SIZE holders to the
+     * Gateway and tracks the request with timeout protection. The proceeds not paid out yet stay
+     * reserved for the request, so a refund covers exactly the holders left.
+     */
+    function _requestSaleBatch(uint256 artworkId) private {
+        ArtworkSale storage sale = artworkSales[artworkId];
+        address[] storage investors = artworkInvestors[artworkId];
+        uint256 start = sale.settledHolders;
+        uint256 end = _saleBatchEnd(artworkId);
+
+        bytes32[] memory cts = new bytes32[](end - start);
+        for (uint i = start; i < end; i++) {
+            cts[i - start] = FHE.toBytes32(artworkInvestments[artworkId][investors[i]].encryptedShares);
+        }
+
+        // Gateway callback mode: Contract records → Gateway decrypts → Callback credits the batch
+        uint256 amount = sale.salePrice - sale.paidToInvestors;
+        uint256 requestId = FHE.requestDecryption(cts, this.processSaleSettlement.selector);
+        _trackDecryption(requestId, artworkId, amount, true);
+
+        sale.requestId = requestId;
+        totalPendingDecryption += amount;
+    }
+
+    function _saleBatchEnd(uint256 artworkId) private view returns (uint256 end) {
+        end = artworkSales[artworkId].settledHolders + DISTRIBUTION_BATCH_SIZE;
+        if (end > artworkInvestors[artworkId].length) {
+            end = artworkInvestors[artworkId].length;
+        }
+    }
+
+    function _creditSaleProceeds(uint256 artworkId, uint256 requestId, address recipient, uint256 amount) private {
+        salePayouts[artworkId][recipient] += amount;
+        _creditClaim(recipient, artworkId, requestId, amount);
+        emit SalePayout(artworkId, recipient, amount);
+    }
+
+    /**
+     * @notice Claim your refund of a sale whose settlement failed
+     * @dev Credits the caller's encrypted shares times the sale's refundPerShare to their
+     * encrypted claimable balance, so holders who sold or gave away every share get nothing.
+     * Holders already paid by a settlement batch have nothing to claim.
+     */
+    function claimSaleRefund(uint256 artworkId) external onlyDelegated {
+        ArtworkSale storage sale = artworkSales[artworkId];
+        require(sale.status == SaleStatus.Refunded, "Sale not refunded");
+        PrivateInvestment storage investment = artworkInvestments[artworkId][msg.sender];
+        require(investment.hasInvested, "No shares in this artwork");
+        require(!saleHolderSettled[artworkId][msg.sender], "Paid by settlement");
+        require(!saleRefundClaimed[artworkId][msg.sender], "Refund already claimed");
+
+        saleRefundClaimed[artworkId][msg.sender] = true;
+        _creditEncryptedClaimable(
+            msg.sender,
+            FHE.mul(FHE.asEuint64(investment.encryptedShares), uint64(sale.refundPerShare / VALUE_UNIT))
+        );
+
+        emit SaleRefundClaimed(artworkId, msg.sender);
+    }
+}
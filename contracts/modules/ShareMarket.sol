@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "../LocalFHE.sol";
+import { PrivateArtInvestmentModule } from "./PrivateArtInvestmentModule.sol";
+
+/**
+ * @title ShareMarket
+ * @notice Secondary market of PrivateArtInvestment: share orders and transfers between investors
+ * @dev Runs only through PrivateArtInvestment, which forwards these functions to it
+ */
+contract ShareMarket is PrivateArtInvestmentModule {
+
+    /**
+     * @notice Escrow an encrypted number of shares and offer them as one lot for `price` wei
+     * @dev An amount above the seller's holding escrows zero shares instead of reverting, so a
+     * failed order does not reveal the balance. Buyers check the lot with revealShareOrder
+     * before paying, and fillShareOrder pays the seller only for a lot that changes hands.
+     * The price must be whole gwei, as it is credited under encryption.
+     */
+    function createShareOrder(
+        uint256 artworkId,
+        FHE.externalEuint32 encryptedShareAmount,
+        bytes calldata inputProof,
+        uint256 price
+    ) external onlyDelegated onlyRegisteredInvestor validArtwork(artworkId) noPendingDistribution(artworkId) returns (uint256 orderId) {
+        require(artworkInvestments[artworkId][msg.sender].hasInvested, "No shares in this artwork");
+        require(price > 0, "Invalid price");
+        require(price % VALUE_UNIT == 0, "Price not whole gwei");
+        require(price / VALUE_UNIT <= type(uint64).max, "Price too large");
+
+        FHE.euint32 memory requested = FHE.fromExternal(encryptedShareAmount, inputProof);
+        FHE.euint32 memory escrowed = _debitShares(artworkId, msg.sender, requested);
+        FHE.allowThis(escrowed);
+        FHE.allow(escrowed, msg.sender);
+
+        orderId = totalShareOrders++;
+        openShareOrders[artworkId]++;
+        shareOrders[orderId] = ShareOrder({
+            seller: msg.sender,
+            artworkId: artworkId,
+            encryptedShares: escrowed,
+            price: price,
+            isActive: true,
+            createdAt: block.timestamp
+        });
+
+        emit ShareOrderCreated(orderId, msg.sender, artworkId, price);
+    }
+
+    /// @notice Return escrowed shares to the seller. Treasurers may also cancel, to clear the book before a sale.
+    function cancelShareOrder(uint256 orderId) external onlyDelegated {
+        ShareOrder storage order = shareOrders[orderId];
+        require(order.isActive, "Order not active");
+        require(order.seller == msg.sender || hasRole(TREASURER_ROLE, msg.sender), "Not order seller");
+        require(pendingDistributions[order.artworkId] == 0, "Distribution in progress");
+
+        order.isActive = false;
+        openShareOrders[order.artworkId]--;
+        _creditShares(order.artworkId, order.seller, order.encryptedShares);
+
+        emit ShareOrderCancelled(orderId);
+    }
+
+    /// @notice Let the caller decrypt an open order's lot, so they can check it before paying
+    function revealShareOrder(uint256 orderId) external onlyDelegated onlyRegisteredInvestor {
+        ShareOrder storage order = shareOrders[orderId];
+        require(order.isActive, "Order not active");
+
+        FHE.allow(order.encryptedShares, msg.sender);
+        emit ShareOrderRevealed(orderId, msg.sender);
+    }
+
+    /**
+     * @notice Buy an order's lot for its price
+     * @dev The contract holds the payment and credits it under encryption: to the seller's
+     * claimable balance when the buyer receives shares, back to the buyer's when the lot is empty
+     * or their holding limits refuse it, in which case the lot returns to the seller. Neither
+     * outcome is public, and both sides withdraw with requestConfidentialClaim.
+     */
+    function fillShareOrder(uint256 orderId) external payable onlyDelegated onlyRegisteredInvestor {
+        ShareOrder storage order = shareOrders[orderId];
+        require(order.isActive, "Order not active");
+        require(order.seller != msg.sender, "Cannot fill own order");
+        require(msg.value == order.price, "Incorrect payment");
+
+        uint256 artworkId = order.artworkId;
+        require(artworks[artworkId].isActive, "Artwork not active");
+        require(pendingDistributions[artworkId] == 0, "Distribution in progress");
+        _requireEligible(artworkId, msg.sender);
+
+        order.isActive = false;
+        openShareOrders[artworkId]--;
+        // A lot that would break the buyer's limits goes back to the seller
+        FHE.euint32 memory bought = _withinLimits(artworkId, msg.sender, order.encryptedShares);
+        _creditShares(artworkId, msg.sender, bought);
+        _creditShares(artworkId, order.seller, FHE.sub(order.encryptedShares, bought));
+        FHE.allow(order.encryptedShares, msg.sender);
+
+        FHE.euint64 memory price = FHE.asEuint64(uint64(msg.value / VALUE_UNIT));
+        FHE.euint64 memory paid = FHE.select(FHE.le(FHE.asEuint32(1), bought), price, FHE.asEuint64(0));
+        _creditEncryptedClaimable(order.seller, paid);
+        _creditEncryptedClaimable(msg.sender, FHE.sub(price, paid));
+        totalConfidentialReserved += msg.value;
+
+        emit ShareOrderFilled(orderId, msg.sender, msg.value);
+        emit SharesTransferred(order.seller, msg.sender, artworkId);
+    }
+
+    /**
+     * @notice Give an encrypted number of shares to another registered investor
+     * @dev Moves zero shares when the amount exceeds the sender's holding or the recipient's limits
+     */
+    function transferShares(
+        uint256 artworkId,
+        address to,
+        FHE.externalEuint32 encryptedShareAmount,
+        bytes calldata inputProof
+    ) external onlyDelegated onlyRegisteredInvestor validArtwork(artworkId) noPendingDistribution(artworkId) {
+        require(to != msg.sender, "Cannot transfer to self");
+        require(investorProfiles[to].isRegistered, "Recipient not registered");
+        _requireEligible(artworkId, to);
+        require(artworkInvestments[artworkId][msg.sender].hasInvested, "No shares in this artwork");
+
+        FHE.euint32 memory requested = FHE.fromExternal(encryptedShareAmount, inputProof);
+        FHE.euint32 memory transferred = _debitShares(artworkId, msg.sender, requested);
+        FHE.euint32 memory accepted = _withinLimits(artworkId, to, transferred);
+        _creditShares(artworkId, to, accepted);
+        // Whatever the recipient's limits refused stays with the sender
+        _creditShares(artworkId, msg.sender, FHE.sub(transferred, accepted));
+
+        emit SharesTransferred(msg.sender, to, artworkId);
+    }
+}
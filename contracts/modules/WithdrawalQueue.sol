@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PrivateArtInvestmentModule } from "./PrivateArtInvestmentModule.sol";
+
+/**
+ * @title WithdrawalQueue
+ * @notice Timelocked withdrawals of PrivateArtInvestment's free balance to the owner
+ * @dev Runs only through PrivateArtInvestment, which forwards these functions to it
+ */
+contract WithdrawalQueue is PrivateArtInvestmentModule {
+
+    /**
+     * @notice Queue a withdrawal of free balance to the owner
+     * @dev The amount is set aside at once so later queues cannot count it twice, and anyone
+     * can watch WithdrawalQueued during the delay. Reserved funds can never be queued.
+     */
+    function queueWithdrawal(uint256 amount) external onlyDelegated onlyRole(GUARDIAN_ROLE) returns (uint256 withdrawalId) {
+        require(amount > 0 && amount <= freeBalance(), "Exceeds free balance");
+
+        withdrawalId = totalWithdrawals++;
+        totalQueuedWithdrawals += amount;
+        withdrawals[withdrawalId] = Withdrawal({
+            amount: amount,
+            requestedBy: msg.sender,
+            executableAt: block.timestamp + WITHDRAWAL_DELAY,
+            isExecuted: false,
+            isCancelled: false
+        });
+
+        emit WithdrawalQueued(withdrawalId, msg.sender, amount, block.timestamp + WITHDRAWAL_DELAY);
+    }
+
+    function executeWithdrawal(uint256 withdrawalId) external onlyDelegated onlyRole(GUARDIAN_ROLE) {
+        Withdrawal storage withdrawal = _openWithdrawal(withdrawalId);
+        require(block.timestamp >= withdrawal.executableAt, "Withdrawal timelocked");
+
+        // Reserved funds stay put even if the balance moved since the withdrawal was queued
+        require(withdrawal.amount + reservedBalance() <= address(this).balance, "Exceeds free balance");
+
+        withdrawal.isExecuted = true;
+        totalQueuedWithdrawals -= withdrawal.amount;
+
+        (bool sent, ) = payable(owner).call{value: withdrawal.amount}("");
+        require(sent, "Failed to send withdrawal");
+
+        emit WithdrawalExecuted(withdrawalId, owner, withdrawal.amount);
+    }
+
+    function cancelWithdrawal(uint256 withdrawalId) external onlyDelegated onlyRole(GUARDIAN_ROLE) {
+        Withdrawal storage withdrawal = _openWithdrawal(withdrawalId);
+
+        withdrawal.isCancelled = true;
+        totalQueuedWithdrawals -= withdrawal.amount;
+
+        emit WithdrawalCancelled(withdrawalId, msg.sender);
+    }
+
+    function _openWithdrawal(uint256 withdrawalId) private view returns (Withdrawal storage withdrawal) {
+        withdrawal = withdrawals[withdrawalId];
+        require(withdrawal.amount > 0, "Withdrawal not found");
+        require(_isPendingWithdrawal(withdrawal), "Withdrawal not pending");
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IPrivateArtInvestment {
+    struct KycAttestation {
+        address investor;
+        uint32 jurisdictions;
+        bool accredited;
+        uint64 issuedAt;
+        uint64 expiresAt;
+    }
+
+    function registerInvestor(KycAttestation calldata attestation, bytes calldata signature) external;
+    function claim() external;
+    function requestConfidentialClaim(uint256 amount) external returns (uint256 requestId);
+}
+
+/// @dev Test helper: a registered investor whose address reverts on every ETH transfer
+contract RejectingInvestor {
+    IPrivateArtInvestment public immutable platform;
+
+    constructor(address platformAddress) {
+        platform = IPrivateArtInvestment(platformAddress);
+    }
+
+    /// @param attestation Must name this contract as the investor
+    function register(IPrivateArtInvestment.KycAttestation calldata attestation, bytes calldata signature) external {
+        platform.registerInvestor(attestation, signature);
+    }
+
+    function claim() external {
+        platform.claim();
+    }
+
+    function requestConfidentialClaim(uint256 amount) external {
+        platform.requestConfidentialClaim(amount);
+    }
+
+    receive() external payable {
+        revert("ETH rejected");
+    }
+}
@@ -1,4 +1,17 @@
 // Basic Hardhat configuration without toolbox
+require("@nomicfoundation/hardhat-ethers");
+require("@nomicfoundation/hardhat-chai-matchers");
+require("@typechain/hardhat");
+
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+
+// Keep the static page's ABI in step with the compiled contract
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  await require("./scripts/export-abi").exportAbis(hre);
+  return result;
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -31,5 +44,9 @@ module.exports = {
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
+  },
+  typechain: {
+    outDir: "PrivateArtInvestment/src/typechain-types",
+    target: "ethers-v6"
   }
 };
\ No newline at end of file
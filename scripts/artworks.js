@@ -0,0 +1,78 @@
+/**
+ * Batch reads shared by the scripts: one getArtworks call per page instead
+ * of one getArtworkInfo call per artwork.
+ */
+
+// Artworks per getArtworks call; the contract caps pages at MAX_PAGE_SIZE (100)
+const ARTWORK_PAGE_SIZE = 50;
+
+/**
+ * Every listed artwork, sold ones included, as plain objects.
+ *
+ * @param {ethers.Contract} contract PrivateArtInvestment instance
+ */
+async function fetchAllArtworks(contract) {
+  const artworks = [];
+
+  for (let offset = 0; ; offset += ARTWORK_PAGE_SIZE) {
+    const [page, total] = await contract.getArtworks(offset, ARTWORK_PAGE_SIZE);
+    artworks.push(...page.map((artwork) => ({
+      id: Number(artwork.id),
+      name: artwork.name,
+      artist: artwork.artist,
+      ipfsHash: artwork.ipfsHash,
+      totalValue: artwork.totalValue,
+      sharePrice: artwork.sharePrice,
+      totalShares: artwork.totalShares,
+      availableShares: artwork.availableShares,
+      investorCount: artwork.investorCount,
+      isActive: artwork.isActive,
+      creator: artwork.creator,
+      createdAt: artwork.createdAt
+    })));
+
+    if (offset + ARTWORK_PAGE_SIZE >= Number(total)) break;
+  }
+
+  return artworks;
+}
+
+// Order of the contract's RoundStatus enum
+const ROUND_STATUSES = ["pending", "distributed", "crediting", "expired"];
+
+/**
+ * Every returns distribution round of an artwork, oldest first. Payouts are
+ * encrypted per holder, so a round only shows its per-share amount and, once
+ * the Gateway has decrypted it, the total credited. A "crediting" round has
+ * holders left to credit with continueReturnsDistribution.
+ *
+ * @param {ethers.Contract} contract PrivateArtInvestment instance
+ * @param {number|bigint} artworkId
+ */
+async function fetchDistributionRounds(contract, artworkId) {
+  const rounds = [];
+
+  for (const roundId of await contract.getArtworkRounds(artworkId)) {
+    const round = await contract.distributionRounds(roundId);
+    rounds.push({
+      id: Number(roundId),
+      requestId: round.requestId,
+      amount: round.amount,
+      perShare: round.perShare,
+      distributed: round.distributed,
+      status: ROUND_STATUSES[Number(round.status)],
+      createdAt: round.createdAt,
+      settledAt: round.settledAt,
+      creditedHolders: round.creditedHolders
+    });
+  }
+
+  return rounds;
+}
+
+module.exports = {
+  ARTWORK_PAGE_SIZE,
+  ROUND_STATUSES,
+  fetchAllArtworks,
+  fetchDistributionRounds
+};
@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+/**
+ * Build CommonJS copies of the ES modules in shared/.
+ *
+ * The React app imports shared/*.mjs directly. The scripts and tests
+ * require() the generated .cjs files instead, because Node only loads ES
+ * modules from CommonJS since 20.19. Run `npm run build:shared` after
+ * editing a shared module; test/units.test.js fails while a copy is stale.
+ */
+
+const SHARED_DIR = path.join(__dirname, "..", "shared");
+
+function sharedModules() {
+  return fs.readdirSync(SHARED_DIR).filter((file) => file.endsWith(".mjs"));
+}
+
+function transpileShared(file) {
+  const source = fs.readFileSync(path.join(SHARED_DIR, file), "utf8");
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 },
+    // A .mjs name would keep the ES module syntax
+    fileName: file.replace(/\.mjs$/, ".js")
+  });
+  // Shared modules import each other by their .mjs names
+  const code = outputText.replace(/\r\n/g, "\n").replace(/require\("(\.\/[^"]+)\.mjs"\)/g, 'require("$1.cjs")');
+  return `// Generated from ${file} by scripts/build-shared.js. Do not edit.\n${code}`;
+}
+
+function commonJsPath(file) {
+  return path.join(SHARED_DIR, file.replace(/\.mjs$/, ".cjs"));
+}
+
+function buildShared() {
+  const built = [];
+  for (const file of sharedModules()) {
+    fs.writeFileSync(commonJsPath(file), transpileShared(file));
+    built.push(path.basename(commonJsPath(file)));
+  }
+  return built;
+}
+
+if (require.main === module) {
+  for (const file of buildShared()) {
+    console.log(`✅ shared/${file}`);
+  }
+}
+
+module.exports = { SHARED_DIR, sharedModules, transpileShared, commonJsPath, buildShared };
@@ -0,0 +1,49 @@
+/**
+ * Command-line parsing for scripts/cli.
+ *
+ * `<command> [positional...] [--option value | --option=value] [--flag]`.
+ * Options listed in BOOLEAN_OPTIONS never take a value; every other option
+ * needs one.
+ */
+
+const BOOLEAN_OPTIONS = ["json", "dry-run", "accredited", "deposit", "help"];
+
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf("=");
+    const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    if (name === "") {
+      throw new Error(`Invalid option "${arg}"`);
+    }
+
+    if (BOOLEAN_OPTIONS.includes(name)) {
+      if (separator !== -1) {
+        throw new Error(`--${name} does not take a value`);
+      }
+      options[name] = true;
+    } else if (separator !== -1) {
+      options[name] = arg.slice(separator + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`--${name} needs a value`);
+    }
+  }
+
+  const [command, ...rest] = positionals;
+  return { command, positionals: rest, options };
+}
+
+module.exports = {
+  BOOLEAN_OPTIONS,
+  parseArgs
+};
@@ -0,0 +1,530 @@
+const { ethers } = require("ethers");
+const { fetchAllArtworks, fetchDistributionRounds } = require("../artworks");
+const { fetchDecryptionRequests, refundOptions } = require("../../shared/decryption-requests.cjs");
+const { isValidCid, normalizeCid } = require("../../shared/cid.cjs");
+const { decodeJurisdictions } = require("../kyc/attestation");
+const { DEFAULT_KYC_SIGNER_URL, requestAttestation } = require("../kyc/client");
+const { isWholeValueUnit } = require("../../shared/units.cjs");
+
+/**
+ * Subcommands of the non-interactive CLI (scripts/cli/index.js).
+ *
+ * Each command takes a context ({ contract, signer, dryRun, fromBlock }) and the parsed
+ * arguments, and returns a plain result object that index.js prints as text
+ * or JSON. ETH amounts are decimal strings in keys ending in "Eth". Commands
+ * marked `sends` submit their transaction through send(), which only
+ * estimates gas in dry-run mode.
+ */
+
+function eth(wei) {
+  return ethers.formatEther(wei);
+}
+
+function requireOption(options, name) {
+  if (options[name] === undefined) {
+    throw new Error(`--${name} is required`);
+  }
+  return options[name];
+}
+
+function parseId(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return BigInt(value);
+}
+
+function parseEth(value, name) {
+  try {
+    return ethers.parseEther(String(value));
+  } catch {
+    throw new Error(`--${name} must be an amount in ETH, e.g. 0.5`);
+  }
+}
+
+function parseAddress(value, name) {
+  if (!ethers.isAddress(value)) {
+    throw new Error(`--${name} must be an address`);
+  }
+  return value;
+}
+
+function findEvent(contract, receipt, eventName) {
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === eventName) {
+      return parsed.args;
+    }
+  }
+  return null;
+}
+
+/**
+ * Send `method(...args)` from the context's signer, or estimate its gas in dry-run mode.
+ * `describe(receipt)` adds fields from the mined receipt, such as the ids of created records.
+ */
+async function send(ctx, method, args, overrides = {}, describe = () => ({})) {
+  const { contract, signer, dryRun } = ctx;
+  const tx = await contract.connect(signer)[method].populateTransaction(...args, overrides);
+  const valueEth = eth(tx.value ?? 0n);
+
+  if (dryRun) {
+    const [gasEstimate, feeData] = await Promise.all([signer.estimateGas(tx), signer.provider.getFeeData()]);
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    return {
+      dryRun: true,
+      method,
+      valueEth,
+      gasEstimate,
+      gasPriceGwei: ethers.formatUnits(gasPrice, "gwei"),
+      maxFeeEth: eth(gasEstimate * gasPrice)
+    };
+  }
+
+  const response = await signer.sendTransaction(tx);
+  const receipt = await response.wait();
+  return {
+    method,
+    valueEth,
+    transaction: receipt.hash,
+    block: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    ...describe(receipt)
+  };
+}
+
+async function stats({ contract, signer }) {
+  const contractAddress = await contract.getAddress();
+  const [[totalArtworks, totalInvestors], balance, reserved, free] = await Promise.all([
+    contract.getTotalStats(),
+    signer.provider.getBalance(contractAddress),
+    contract.reservedBalance(),
+    contract.freeBalance()
+  ]);
+
+  return {
+    contract: contractAddress,
+    totalArtworks,
+    totalInvestors,
+    balanceEth: eth(balance),
+    reservedEth: eth(reserved),
+    freeEth: eth(free)
+  };
+}
+
+async function artworks({ contract }, { options }) {
+  const all = await fetchAllArtworks(contract);
+  const rows = all.map((artwork) => ({
+    id: artwork.id,
+    name: artwork.name,
+    artist: artwork.artist,
+    ipfsHash: artwork.ipfsHash,
+    sharePriceEth: eth(artwork.sharePrice),
+    totalShares: artwork.totalShares,
+    availableShares: artwork.availableShares,
+    investorCount: artwork.investorCount,
+    isActive: artwork.isActive
+  }));
+
+  if (options.id === undefined) {
+    return { artworks: rows };
+  }
+
+  const id = Number(parseId(options.id, "id"));
+  const artwork = rows.find((row) => row.id === id);
+  if (!artwork) {
+    throw new Error(`Artwork ${id} does not exist`);
+  }
+  return artwork;
+}
+
+async function rounds({ contract }, { options }) {
+  const artworkId = parseId(requireOption(options, "artwork"), "artwork");
+  const history = await fetchDistributionRounds(contract, artworkId);
+
+  return {
+    rounds: history.map((round) => ({
+      id: round.id,
+      status: round.status,
+      amountEth: eth(round.amount),
+      perShareEth: eth(round.perShare),
+      // Known once the Gateway has decrypted the round's total
+      distributedEth: round.status === "distributed" ? eth(round.distributed) : null,
+      requestId: round.requestId,
+      createdAt: new Date(Number(round.createdAt) * 1000).toISOString()
+    }))
+  };
+}
+
+// Gateway decryption requests with their refund deadlines and outcome
+async function requests({ contract, signer, fromBlock }, { options }) {
+  const artworkId = options.artwork === undefined ? null : parseId(options.artwork, "artwork");
+  const [all, latest] = await Promise.all([
+    fetchDecryptionRequests(contract, { artworkId, fromBlock }),
+    signer.provider.getBlock("latest")
+  ]);
+
+  return {
+    requests: all.map((request) => {
+      const available = refundOptions(request, latest.timestamp);
+      return {
+        requestId: request.requestId,
+        artworkId: request.artworkId,
+        kind: request.kind,
+        status: request.status,
+        amountEth: eth(request.amount),
+        timeoutAt: new Date(Number(request.timeoutAt) * 1000).toISOString(),
+        refundWindowEndsAt: new Date(Number(request.refundWindowEndsAt) * 1000).toISOString(),
+        refundable: available.refund,
+        emergencyRefundable: available.emergencyRefund,
+        failureReason: request.failureReason,
+        refunds: request.refunds.map((refund) => ({ investor: refund.investor, amountEth: eth(refund.amount) }))
+      };
+    })
+  };
+}
+
+async function register(ctx, { options }) {
+  const { contract, signer } = ctx;
+  const investor = await signer.getAddress();
+  if (await contract.isInvestorRegistered(investor)) {
+    return { investor, alreadyRegistered: true };
+  }
+
+  const jurisdictions = requireOption(options, "jurisdictions")
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+  const { chainId } = await signer.provider.getNetwork();
+  const { attestation, signature } = await requestAttestation({
+    investor,
+    contractAddress: await contract.getAddress(),
+    chainId,
+    jurisdictions,
+    accredited: Boolean(options.accredited)
+  }, options["kyc-url"] || process.env.KYC_SIGNER_URL || DEFAULT_KYC_SIGNER_URL);
+
+  return {
+    investor,
+    jurisdictions: decodeJurisdictions(attestation.jurisdictions).join(","),
+    accredited: attestation.accredited,
+    expiresAt: new Date(attestation.expiresAt * 1000).toISOString(),
+    ...await send(ctx, "registerInvestor", [attestation, signature])
+  };
+}
+
+async function listArtwork(ctx, { options }) {
+  const name = requireOption(options, "name");
+  const artist = requireOption(options, "artist");
+  const ipfsHash = normalizeCid(requireOption(options, "cid"));
+  if (!isValidCid(ipfsHash)) {
+    throw new Error("--cid must be an IPFS CID");
+  }
+  const totalValue = parseEth(requireOption(options, "value"), "value");
+  const totalShares = parseId(requireOption(options, "shares"), "shares");
+  if (totalShares === 0n) {
+    throw new Error("--shares must be at least 1");
+  }
+
+  const sharePrice = totalValue / totalShares;
+  if (sharePrice * totalShares !== totalValue || !isWholeValueUnit(sharePrice)) {
+    throw new Error("--value must split into a share price of whole gwei");
+  }
+
+  return {
+    name,
+    sharePriceEth: eth(sharePrice),
+    ...await send(ctx, "listArtwork", [name, artist, ipfsHash, totalValue, sharePrice, totalShares], {}, (receipt) => ({
+      artworkId: findEvent(ctx.contract, receipt, "ArtworkListed").artworkId
+    }))
+  };
+}
+
+async function invest(ctx, { options }) {
+  const artworkId = parseId(requireOption(options, "artwork"), "artwork");
+  const shares = parseId(requireOption(options, "shares"), "shares");
+  const info = await ctx.contract.getArtworkInfo(artworkId);
+  const payment = info.sharePrice * shares;
+
+  return {
+    artworkId,
+    shares,
+    paymentEth: eth(payment),
+    ...await send(ctx, "makePrivateInvestment", [artworkId, shares], { value: payment })
+  };
+}
+
+async function status({ contract, signer }, { options }) {
+  const artworkId = parseId(requireOption(options, "artwork"), "artwork");
+  const investor = options.investor ? parseAddress(options.investor, "investor") : await signer.getAddress();
+  const [registered, [hasInvested, timestamp], claimable] = await Promise.all([
+    contract.isInvestorRegistered(investor),
+    contract.getInvestmentStatus(investor, artworkId),
+    contract.claimableBalance(investor)
+  ]);
+
+  return {
+    investor,
+    artworkId,
+    registered,
+    hasInvested,
+    investedAt: hasInvested ? new Date(Number(timestamp) * 1000).toISOString() : null,
+    claimableEth: eth(claimable)
+  };
+}
+
+async function distribute(ctx, { options }) {
+  const artworkId = parseId(requireOption(options, "artwork"), "artwork");
+  const amount = parseEth(requireOption(options, "amount"), "amount");
+
+  return {
+    artworkId,
+    ...await send(ctx, "requestReturnsDistribution", [artworkId], { value: amount }, (receipt) => {
+      const opened = findEvent(ctx.contract, receipt, "DistributionRoundOpened");
+      const credited = findEvent(ctx.contract, receipt, "DistributionBatchCredited");
+      // requestId is 0 while holders are left for continue-round
+      return { roundId: opened.roundId, requestId: opened.requestId, creditedHolders: credited.creditedHolders };
+    })
+  };
+}
+
+// Credit the next batch of a round's holders; the last batch requests the round's decryption
+async function continueRound(ctx, { options }) {
+  const roundId = parseId(requireOption(options, "round"), "round");
+  return {
+    roundId,
+    ...await send(ctx, "continueReturnsDistribution", [roundId], {}, (receipt) => {
+      const credited = findEvent(ctx.contract, receipt, "DistributionBatchCredited");
+      return { creditedHolders: credited.creditedHolders, totalHolders: credited.totalHolders };
+    })
+  };
+}
+
+/**
+ * Refund a stuck sale settlement or expire a stuck returns round. Past CALLBACK_TIMEOUT
+ * anyone may do it; before that only a guardian can, through emergencyRefund.
+ */
+async function refund(ctx, { options }) {
+  const { contract, signer } = ctx;
+  const requestId = parseId(requireOption(options, "request"), "request");
+  const [request, timeout, latest] = await Promise.all([
+    contract.decryptionRequests(requestId),
+    contract.CALLBACK_TIMEOUT(),
+    signer.provider.getBlock("latest")
+  ]);
+  if (request.requestedAt === 0n) {
+    throw new Error(`Request ${requestId} not found`);
+  }
+  if (request.isProcessed) {
+    throw new Error(`Request ${requestId} is already processed`);
+  }
+
+  const timedOut = BigInt(latest.timestamp) >= request.requestedAt + timeout;
+  return {
+    requestId,
+    artworkId: request.artworkId,
+    totalReturnsEth: eth(request.totalReturns),
+    ...await send(ctx, timedOut ? "requestRefundForFailedDecryption" : "emergencyRefund", [requestId])
+  };
+}
+
+async function sell(ctx, { options }) {
+  const artworkId = parseId(requireOption(options, "artwork"), "artwork");
+  const salePrice = parseEth(requireOption(options, "price"), "price");
+
+  return {
+    artworkId,
+    salePriceEth: eth(salePrice),
+    awaitingBuyerDeposit: !options.deposit,
+    ...await send(ctx, "sellArtwork", [artworkId, salePrice], { value: options.deposit ? salePrice : 0n })
+  };
+}
+
+// Call off a sale whose proceeds never arrived: treasurers at any time, anyone after the deposit window
+async function cancelSale(ctx, { options }) {
+  const artworkId = parseId(requireOption(options, "artwork"), "artwork");
+  return {
+    artworkId,
+    ...await send(ctx, "cancelSale", [artworkId])
+  };
+}
+
+// Credit the caller's pro-rata refund of a failed sale settlement to their encrypted balance
+async function saleRefund(ctx, { options }) {
+  const artworkId = parseId(requireOption(options, "artwork"), "artwork");
+  return {
+    artworkId,
+    ...await send(ctx, "claimSaleRefund", [artworkId])
+  };
+}
+
+const WITHDRAW_ACTIONS = ["queue", "execute", "cancel"];
+
+async function withdraw(ctx, { positionals, options }) {
+  const [action] = positionals;
+  if (!WITHDRAW_ACTIONS.includes(action)) {
+    throw new Error(`withdraw needs an action: ${WITHDRAW_ACTIONS.join(", ")}`);
+  }
+
+  if (action === "queue") {
+    const amount = parseEth(requireOption(options, "amount"), "amount");
+    return send(ctx, "queueWithdrawal", [amount], {}, (receipt) => {
+      const queued = findEvent(ctx.contract, receipt, "WithdrawalQueued");
+      return {
+        withdrawalId: queued.withdrawalId,
+        executableAt: new Date(Number(queued.executableAt) * 1000).toISOString()
+      };
+    });
+  }
+
+  const withdrawalId = parseId(requireOption(options, "id"), "id");
+  return {
+    withdrawalId,
+    ...await send(ctx, action === "execute" ? "executeWithdrawal" : "cancelWithdrawal", [withdrawalId])
+  };
+}
+
+// Withdraw from the encrypted returns balance; the Gateway callback pays it
+async function claimReturns(ctx, { options }) {
+  const amount = parseEth(requireOption(options, "amount"), "amount");
+  if (amount === 0n || !isWholeValueUnit(amount)) {
+    throw new Error("--amount must be a positive whole number of gwei");
+  }
+
+  return send(ctx, "requestConfidentialClaim", [amount], {}, (receipt) => ({
+    requestId: findEvent(ctx.contract, receipt, "ConfidentialClaimRequested").requestId
+  }));
+}
+
+async function claim(ctx) {
+  const claimable = await ctx.contract.claimableBalance(await ctx.signer.getAddress());
+  if (claimable === 0n) {
+    throw new Error("Nothing to claim");
+  }
+  return {
+    claimedEth: eth(claimable),
+    ...await send(ctx, "claim", [])
+  };
+}
+
+const COMMANDS = {
+  stats: {
+    title: "📊 Contract Statistics",
+    usage: "stats",
+    options: [],
+    run: stats
+  },
+  artworks: {
+    title: "🎨 Artworks",
+    usage: "artworks [--id <artworkId>]",
+    options: ["id"],
+    run: artworks
+  },
+  rounds: {
+    title: "📜 Distribution History",
+    usage: "rounds --artwork <artworkId>",
+    options: ["artwork"],
+    run: rounds
+  },
+  requests: {
+    title: "🔓 Decryption Requests",
+    usage: "requests [--artwork <artworkId>]",
+    options: ["artwork"],
+    run: requests
+  },
+  register: {
+    title: "📝 Register as Investor",
+    usage: "register --jurisdictions <US,EU,...> [--accredited] [--kyc-url <url>]",
+    options: ["jurisdictions", "accredited", "kyc-url"],
+    sends: true,
+    run: register
+  },
+  "list-artwork": {
+    title: "🎨 List New Artwork",
+    usage: "list-artwork --name <name> --artist <artist> --cid <cid> --value <eth> --shares <count>",
+    options: ["name", "artist", "cid", "value", "shares"],
+    sends: true,
+    run: listArtwork
+  },
+  invest: {
+    title: "💰 Make Private Investment",
+    usage: "invest --artwork <artworkId> --shares <count>",
+    options: ["artwork", "shares"],
+    sends: true,
+    run: invest
+  },
+  status: {
+    title: "📊 Investment Status",
+    usage: "status --artwork <artworkId> [--investor <address>]",
+    options: ["artwork", "investor"],
+    run: status
+  },
+  distribute: {
+    title: "💸 Distribute Returns",
+    usage: "distribute --artwork <artworkId> --amount <eth>",
+    options: ["artwork", "amount"],
+    sends: true,
+    run: distribute
+  },
+  "continue-round": {
+    title: "💸 Continue Returns Distribution",
+    usage: "continue-round --round <roundId>",
+    options: ["round"],
+    sends: true,
+    run: continueRound
+  },
+  refund: {
+    title: "↩️  Refund Decryption Request",
+    usage: "refund --request <requestId>",
+    options: ["request"],
+    sends: true,
+    run: refund
+  },
+  sell: {
+    title: "🏷️  Sell Artwork",
+    usage: "sell --artwork <artworkId> --price <eth> [--deposit]",
+    options: ["artwork", "price", "deposit"],
+    sends: true,
+    run: sell
+  },
+  "cancel-sale": {
+    title: "🚫 Cancel Artwork Sale",
+    usage: "cancel-sale --artwork <artworkId>",
+    options: ["artwork"],
+    sends: true,
+    run: cancelSale
+  },
+  "sale-refund": {
+    title: "↩️  Claim Sale Refund",
+    usage: "sale-refund --artwork <artworkId>",
+    options: ["artwork"],
+    sends: true,
+    run: saleRefund
+  },
+  withdraw: {
+    title: "🏦 Timelocked Withdrawal",
+    usage: "withdraw queue --amount <eth> | withdraw execute --id <withdrawalId> | withdraw cancel --id <withdrawalId>",
+    options: ["amount", "id"],
+    sends: true,
+    run: withdraw
+  },
+  "claim-returns": {
+    title: "🔐 Claim Confidential Returns",
+    usage: "claim-returns --amount <eth>",
+    options: ["amount"],
+    sends: true,
+    run: claimReturns
+  },
+  claim: {
+    title: "💰 Claim Sale Payouts and Refunds",
+    usage: "claim",
+    options: [],
+    sends: true,
+    run: claim
+  }
+};
+
+module.exports = {
+  COMMANDS,
+  send
+};
@@ -0,0 +1,179 @@
+const { parseArgs } = require("./args");
+const { COMMANDS } = require("./commands");
+const { listDeployments } = require("../deployments");
+
+/**
+ * Non-interactive command-line tool for CI jobs, cron tasks and runbooks.
+ *
+ * Usage:
+ *   node scripts/cli/index.js <command> [options] [--network <name>] [--json] [--dry-run]
+ *   npm run cli -- <command> [options]
+ *
+ *   --network   Deployment to use, from deployments/<network>.json (default: the
+ *               only deployment when there is just one)
+ *   --json      Print the result as a single JSON object
+ *   --dry-run   Estimate gas for a command that sends a transaction instead of sending it
+ *
+ * `interactive` opens the scripts/interact.js menu and `help` lists the commands.
+ * The first account of the Hardhat network config signs transactions.
+ *
+ * Environment:
+ *   KYC_SIGNER_URL   KYC signer API used by `register` (default http://127.0.0.1:4100)
+ */
+
+const GLOBAL_OPTIONS = ["network", "json", "dry-run", "help"];
+
+function printUsage() {
+  console.log("Usage: node scripts/cli/index.js <command> [options] [--network <name>] [--json] [--dry-run]");
+  console.log("\nCommands:");
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  ${command.usage}`);
+  }
+  console.log("  interactive");
+}
+
+/**
+ * Pick the deployment the command runs against.
+ *
+ * @param {string|undefined} network Value of --network
+ * @param {object[]} deployments Records from deployments/*.json
+ */
+function resolveDeployment(network, deployments) {
+  const names = deployments.map((deployment) => deployment.network);
+  if (names.length === 0) {
+    throw new Error("No deployments found. Deploy first with: npx hardhat run scripts/deploy.js --network <name>");
+  }
+
+  if (network === undefined) {
+    if (names.length > 1) {
+      throw new Error(`--network is required (deployed: ${names.join(", ")})`);
+    }
+    return deployments[0];
+  }
+
+  const deployment = deployments.find((candidate) => candidate.network === network);
+  if (!deployment) {
+    throw new Error(`No deployment for network "${network}" (deployed: ${names.join(", ")})`);
+  }
+  return deployment;
+}
+
+function validateOptions(name, command, options) {
+  const allowed = [...GLOBAL_OPTIONS, ...command.options];
+  for (const option of Object.keys(options)) {
+    if (!allowed.includes(option)) {
+      throw new Error(`Unknown option --${option} for ${name}`);
+    }
+  }
+  if (options["dry-run"] && !command.sends) {
+    throw new Error(`${name} does not send a transaction, so --dry-run does not apply`);
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, field) => (typeof field === "bigint" ? field.toString() : field), 2);
+}
+
+const UNIT_SUFFIXES = { Eth: "ETH", Gwei: "gwei" };
+
+// "sharePriceEth" -> "Share Price (ETH)"
+function label(key) {
+  const suffix = Object.keys(UNIT_SUFFIXES).find((candidate) => key.endsWith(candidate));
+  const words = (suffix ? key.slice(0, -suffix.length) : key).replace(/([A-Z])/g, " $1");
+  return `${words[0].toUpperCase()}${words.slice(1)}${suffix ? ` (${UNIT_SUFFIXES[suffix]})` : ""}`;
+}
+
+// Nested lists print inline, e.g. payouts=0xabc...:0.5,0xdef...:1.0
+function formatField(value) {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+  return value.map((item) => (typeof item === "object" ? Object.values(item).join(":") : item)).join(",");
+}
+
+function printResult(title, result) {
+  console.log(`\n${title}`);
+  console.log("-".repeat(60));
+
+  for (const [key, value] of Object.entries(result)) {
+    if (!Array.isArray(value)) {
+      console.log(`${`${label(key)}:`.padEnd(22)}${value}`);
+      continue;
+    }
+
+    if (value.length === 0) {
+      console.log("None");
+    }
+    for (const row of value) {
+      console.log(Object.entries(row).map(([field, fieldValue]) => `${field}=${formatField(fieldValue)}`).join("  "));
+    }
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { command: name, positionals, options } = parseArgs(argv);
+
+  if (!name || name === "help" || options.help) {
+    printUsage();
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command && name !== "interactive") {
+    throw new Error(`Unknown command "${name}". Run with help to list the commands.`);
+  }
+  if (command) {
+    validateOptions(name, command, options);
+  }
+
+  // Hardhat reads the network from the environment when it loads, so select it first
+  const deployment = resolveDeployment(options.network, listDeployments());
+  process.env.HARDHAT_NETWORK = deployment.network;
+  const { ethers } = require("hardhat");
+
+  if (name === "interactive") {
+    await require("../interact")();
+    return;
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  if (chainId !== BigInt(deployment.chainId)) {
+    throw new Error(`Connected to chain ${chainId}, but the ${deployment.network} deployment is on chain ${deployment.chainId}`);
+  }
+
+  const [signer] = await ethers.getSigners();
+  const contract = await ethers.getContractAt(deployment.contractName, deployment.contractAddress, signer);
+  const result = await command.run(
+    { contract, signer, dryRun: Boolean(options["dry-run"]), fromBlock: deployment.deploymentBlock },
+    { positionals, options }
+  );
+
+  if (options.json) {
+    console.log(toJson({ command: name, network: deployment.network, ...result }));
+  } else {
+    console.log(`Network:  ${deployment.network}  (${deployment.contractAddress})`);
+    printResult(command.title, result);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      const message = error.reason || error.shortMessage || error.message;
+      if (process.argv.includes("--json")) {
+        console.log(toJson({ error: message }));
+      } else {
+        console.error("\n❌ Command Failed");
+        console.error("-".repeat(60));
+        console.error(message);
+      }
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+  resolveDeployment,
+  toJson
+};
@@ -0,0 +1,148 @@
+const { ethers } = require("hardhat");
+const { requireDeployment } = require("./deployments");
+const { fetchDecryptionRequests, formatDuration, refundOptions } = require("../shared/decryption-requests.cjs");
+
+/**
+ * Gateway decryption requests, their deadlines and how they ended.
+ *
+ * Usage (contract resolved from deployments/<network>.json):
+ *   npx hardhat run scripts/decryptions.js --network localhost
+ *
+ * Environment (without DECRYPTION_ACTION the script only reports):
+ *   DECRYPTION_ARTWORK  Only list requests for this artwork
+ *   DECRYPTION_ACTION   refund (anyone, after CALLBACK_TIMEOUT) or emergency
+ *                       (guardian, within MAX_REFUND_WINDOW)
+ *   DECRYPTION_REQUEST  Request to refund
+ *   DECRYPTION_WATCH    Print the report again every N seconds until interrupted
+ */
+
+const ACTIONS = ["refund", "emergency"];
+
+const KIND_LABELS = {
+  sale: "Sale settlement",
+  returns: "Returns round total"
+};
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// "in 3h 5m (2025-...)" while the deadline is ahead, "passed 2025-..." after it
+function deadline(timestamp, now) {
+  return timestamp > now
+    ? `in ${formatDuration(timestamp - now)} (${formatTime(timestamp)})`
+    : `passed ${formatTime(timestamp)}`;
+}
+
+function printOutcome(request, now) {
+  if (request.status === "processed") {
+    console.log("     ✅ Processed by the Gateway callback");
+    return;
+  }
+
+  if (request.status === "refunded") {
+    console.log(`     ↩️  Refunded: ${request.failureReason}`);
+    for (const refund of request.refunds) {
+      console.log(`        ${refund.investor}  ${ethers.formatEther(refund.amount)} ETH`);
+    }
+    return;
+  }
+
+  console.log(`     ⏳ Callback timeout ${deadline(request.timeoutAt, now)}`);
+  if (request.kind === "returns") {
+    console.log("     ℹ️  A refund expires the round: holders keep their payouts");
+  }
+
+  console.log(`     🛡️  Emergency refund window closes ${deadline(request.refundWindowEndsAt, now)}`);
+  const options = refundOptions(request, now);
+  const available = [options.refund && "refund (anyone)", options.emergencyRefund && "emergency (guardian)"].filter(Boolean);
+  console.log(`     Refund now: ${available.length > 0 ? available.join(", ") : "not yet"}`);
+}
+
+async function report(contract, fromBlock) {
+  const artworkId = process.env.DECRYPTION_ARTWORK;
+  const [requests, { timestamp }] = await Promise.all([
+    fetchDecryptionRequests(contract, { artworkId: artworkId === undefined ? null : artworkId, fromBlock }),
+    ethers.provider.getBlock("latest")
+  ]);
+  const now = BigInt(timestamp);
+
+  console.log(`\n🔓 Decryption Requests (chain time ${formatTime(now)})`);
+  console.log("-".repeat(60));
+  if (requests.length === 0) {
+    console.log("None");
+  }
+
+  for (const request of requests) {
+    console.log(`#${request.requestId}: ${KIND_LABELS[request.kind]} for artwork ${request.artworkId}, ${ethers.formatEther(request.amount)} ETH`);
+    console.log(`     Requested ${formatTime(request.requestedAt)}`);
+    printOutcome(request, now);
+  }
+
+  const pending = requests.filter((request) => request.status === "pending");
+  const refundable = pending.filter((request) => refundOptions(request, now).refund);
+  console.log(`\nPending: ${pending.length}, refundable by anyone now: ${refundable.length}`);
+}
+
+async function runAction(contract, action) {
+  if (!/^\d+$/.test(process.env.DECRYPTION_REQUEST || "")) {
+    throw new Error(`DECRYPTION_REQUEST is required for the ${action} action`);
+  }
+  const requestId = process.env.DECRYPTION_REQUEST;
+
+  console.log(`\n🚀 ${action === "refund" ? "Timeout refund" : "Emergency refund"} of request ${requestId}...`);
+  console.log("-".repeat(60));
+
+  const tx = action === "refund"
+    ? await contract.requestRefundForFailedDecryption(requestId)
+    : await contract.emergencyRefund(requestId);
+
+  console.log(`Transaction:  ${tx.hash}`);
+  await tx.wait();
+  console.log("✅ Done");
+}
+
+async function main() {
+  const deployment = requireDeployment(hre.network.name);
+  const action = process.env.DECRYPTION_ACTION;
+  if (action && !ACTIONS.includes(action)) {
+    throw new Error(`DECRYPTION_ACTION must be one of ${ACTIONS.join(", ")}`);
+  }
+  const watch = process.env.DECRYPTION_WATCH;
+  if (watch !== undefined && !/^[1-9]\d*$/.test(watch)) {
+    throw new Error("DECRYPTION_WATCH must be a number of seconds");
+  }
+  if (process.env.DECRYPTION_ARTWORK !== undefined && !/^\d+$/.test(process.env.DECRYPTION_ARTWORK)) {
+    throw new Error("DECRYPTION_ARTWORK must be an artwork id");
+  }
+
+  const contract = await ethers.getContractAt(deployment.contractName, deployment.contractAddress);
+
+  console.log("=".repeat(60));
+  console.log("Decryption Operations");
+  console.log("=".repeat(60));
+  console.log(`Network:   ${hre.network.name}`);
+  console.log(`Contract:  ${deployment.contractAddress}`);
+
+  if (action) {
+    await runAction(contract, action);
+  }
+  await report(contract, deployment.deploymentBlock);
+
+  while (watch) {
+    await new Promise((resolve) => setTimeout(resolve, Number(watch) * 1000));
+    await report(contract, deployment.deploymentBlock);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Decryption Operations Failed");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
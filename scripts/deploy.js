@@ -1,44 +1,115 @@
 const { ethers } = require("hardhat");
+const { computeAbiHash, getDeploymentPath, saveDeployment } = require("./deployments");
+const { LOCAL_KYC_SIGNER_ADDRESS } = require("./kyc/attestation");
+const { deployModules } = require("./modules");
+
+const CONTRACT_NAME = "PrivateArtInvestment";
 
 async function main() {
+  console.log("=".repeat(60));
+  console.log("Starting Contract Deployment Process");
+  console.log("=".repeat(60));
+
   const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const balance = await ethers.provider.getBalance(deployer.address);
+
+  console.log("\n📋 Deployment Configuration");
+  console.log("-".repeat(60));
+  console.log(`Network:         ${hre.network.name}`);
+  console.log(`Deployer:        ${deployer.address}`);
+  console.log(`Balance:         ${ethers.formatEther(balance)} ETH`);
+  console.log(`Chain ID:        ${chainId}`);
+
+  const startTime = Date.now();
 
-  console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("\n🧩 Deploying Modules...");
+  console.log("-".repeat(60));
 
-  const PrivateArtInvestment = await ethers.getContractFactory("PrivateArtInvestment");
-  const contract = await PrivateArtInvestment.deploy();
+  const modules = await deployModules();
+  for (const { name, address } of modules) {
+    console.log(`${(name + ":").padEnd(21)}${address}`);
+  }
+  const constructorArguments = modules.map((module) => module.address);
 
+  console.log(`\n🚀 Deploying ${CONTRACT_NAME} Contract...`);
+  console.log("-".repeat(60));
+
+  const PrivateArtInvestment = await ethers.getContractFactory(CONTRACT_NAME);
+  const contract = await PrivateArtInvestment.deploy(...constructorArguments);
   await contract.waitForDeployment();
 
   const contractAddress = await contract.getAddress();
-  console.log("PrivateArtInvestment deployed to:", contractAddress);
-
-  // 验证合约部署
-  console.log("\nContract deployment verification:");
-  console.log("Owner:", await contract.owner());
-  console.log("Total artworks:", await contract.totalArtworks());
-  console.log("Total investors:", await contract.totalInvestors());
-
-  // 保存合约地址到文件
-  const fs = require("fs");
-  const contractData = {
-    address: contractAddress,
+  const receipt = await contract.deploymentTransaction().wait();
+  const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+  console.log("✅ Contract deployed successfully!");
+  console.log(`📍 Address:      ${contractAddress}`);
+  console.log(`⏱️  Deploy Time:  ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+
+  console.log("\n🔍 Verifying Deployment...");
+  console.log("-".repeat(60));
+  console.log(`Owner:           ${await contract.owner()}`);
+  console.log(`Total Artworks:  ${await contract.totalArtworks()}`);
+  console.log(`Total Investors: ${await contract.totalInvestors()}`);
+
+  // Local networks trust the development KYC signer (scripts/kyc); elsewhere the deployer
+  // stays the verifier until KYC_VERIFIER names the provider's signing address
+  const isLocal = ["hardhat", "localhost"].includes(hre.network.name);
+  const kycVerifier = process.env.KYC_VERIFIER || (isLocal ? LOCAL_KYC_SIGNER_ADDRESS : null);
+  if (kycVerifier) {
+    await (await contract.setKycVerifier(kycVerifier)).wait();
+  }
+  console.log(`KYC Verifier:    ${await contract.kycVerifier()}`);
+  if (!kycVerifier) {
+    console.log("⚠️  Set KYC_VERIFIER to your KYC provider's signer before onboarding investors");
+  }
+
+  // The in-process network disappears with this script; use --network localhost to keep a record
+  if (hre.network.name === "hardhat") {
+    console.log("\nIn-process hardhat network: deployment not saved to the registry");
+    return;
+  }
+
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const solidityConfig = hre.config.solidity.compilers[0];
+
+  saveDeployment(hre.network.name, {
     network: hre.network.name,
-    deploymentTime: new Date().toISOString()
-  };
+    contractName: CONTRACT_NAME,
+    contractAddress,
+    constructorArguments,
+    modules: Object.fromEntries(modules.map(({ name, address }) => [name, address])),
+    deployer: deployer.address,
+    deploymentBlock: receipt.blockNumber,
+    deploymentTime: new Date(block.timestamp * 1000).toISOString(),
+    deploymentTimestamp: block.timestamp,
+    chainId: Number(chainId),
+    compiler: {
+      version: solidityConfig.version,
+      optimizer: solidityConfig.settings.optimizer.enabled,
+      runs: solidityConfig.settings.optimizer.runs
+    },
+    transactionHash: receipt.hash,
+    abiHash: computeAbiHash(artifact.abi),
+    verified: false
+  });
+
+  console.log(`\nDeployment saved to ${getDeploymentPath(hre.network.name)}`);
+  console.log("Frontend registry updated (public/deployments.json)");
 
-  fs.writeFileSync(
-    "./contract-address.json",
-    JSON.stringify(contractData, null, 2)
-  );
+  if (hre.network.name === "sepolia") {
+    console.log(`Etherscan:       https://sepolia.etherscan.io/address/${contractAddress}`);
+  }
+}
 
-  console.log("\nContract address saved to contract-address.json");
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = main;
@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Per-network deployment registry.
+ *
+ * deployments/<network>.json is the source of truth for scripts. Every save
+ * also rebuilds a chainId-keyed summary and publishes it as deployments.json
+ * to the static page and the React app, which resolve the contract from it.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+const FRONTEND_REGISTRY_PATHS = [
+  path.join(__dirname, "..", "public", "deployments.json"),
+  path.join(__dirname, "..", "PrivateArtInvestment", "public", "deployments.json")
+];
+
+function getDeploymentPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function computeAbiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+function loadDeployment(networkName) {
+  const deploymentFile = getDeploymentPath(networkName);
+  if (!fs.existsSync(deploymentFile)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+}
+
+/**
+ * Load a deployment or exit with the standard "deploy first" message.
+ */
+function requireDeployment(networkName) {
+  const deployment = loadDeployment(networkName);
+
+  if (!deployment) {
+    console.error("\n❌ Deployment file not found!");
+    console.error("Please deploy the contract first using:");
+    console.error(`npx hardhat run scripts/deploy.js --network ${networkName}`);
+    process.exit(1);
+  }
+
+  return deployment;
+}
+
+function listDeployments() {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(DEPLOYMENTS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), "utf8")));
+}
+
+function buildFrontendRegistry(deployments) {
+  const registry = {};
+
+  for (const deployment of deployments) {
+    registry[deployment.chainId] = {
+      network: deployment.network,
+      contractName: deployment.contractName,
+      contractAddress: deployment.contractAddress,
+      abiHash: deployment.abiHash,
+      deploymentBlock: deployment.deploymentBlock
+    };
+  }
+
+  return registry;
+}
+
+function publishFrontendRegistry() {
+  const registry = buildFrontendRegistry(listDeployments());
+  const content = JSON.stringify(registry, null, 2);
+
+  for (const registryPath of FRONTEND_REGISTRY_PATHS) {
+    fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+    fs.writeFileSync(registryPath, content);
+  }
+
+  return registry;
+}
+
+function saveDeployment(networkName, deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(getDeploymentPath(networkName), JSON.stringify(deployment, null, 2));
+  publishFrontendRegistry();
+}
+
+/**
+ * Merge fields into an existing deployment record (e.g. verification status).
+ */
+function updateDeployment(networkName, fields) {
+  const deployment = { ...requireDeployment(networkName), ...fields };
+  saveDeployment(networkName, deployment);
+  return deployment;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  getDeploymentPath,
+  computeAbiHash,
+  loadDeployment,
+  requireDeployment,
+  listDeployments,
+  buildFrontendRegistry,
+  publishFrontendRegistry,
+  saveDeployment,
+  updateDeployment
+};
@@ -0,0 +1,27 @@
+const { ethers } = require("hardhat");
+const { LOCAL_INPUT_SIGNER_PRIVATE_KEY, encryptUint32: encryptUint32On } = require("../shared/local-fhe.cjs");
+
+/**
+ * Client-side encrypted inputs for contracts built on contracts/LocalFHE.sol,
+ * on the network Hardhat is connected to. See shared/local-fhe.mjs.
+ */
+
+/**
+ * Encrypt a uint32 for one user and one contract.
+ *
+ * @param {string} contractAddress Contract that will call FHE.fromExternal
+ * @param {string} userAddress Account that will submit the transaction
+ * @param {number|bigint} value Cleartext, 0 .. 2^32 - 1
+ * @param {object} [options]
+ * @param {string} [options.inputSignerPrivateKey] Key used to sign the input proof
+ * @returns {Promise<{handle: string, inputProof: string}>}
+ */
+async function encryptUint32(contractAddress, userAddress, value, options = {}) {
+  const { chainId } = await ethers.provider.getNetwork();
+  return encryptUint32On(contractAddress, userAddress, chainId, value, options);
+}
+
+module.exports = {
+  LOCAL_INPUT_SIGNER_PRIVATE_KEY,
+  encryptUint32
+};
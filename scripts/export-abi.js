@@ -0,0 +1,32 @@
+const fs = require("fs");
+const path = require("path");
+const { computeAbiHash } = require("./deployments");
+
+/**
+ * Export contract ABIs from Hardhat artifacts for the static page.
+ *
+ * Runs after every `hardhat compile` (see hardhat.config.js). The React app
+ * uses the TypeChain bindings generated into PrivateArtInvestment/src/typechain-types.
+ */
+
+const EXPORTED_CONTRACTS = ["PrivateArtInvestment"];
+
+const ABI_DIR = path.join(__dirname, "..", "public", "abi");
+
+async function exportAbis(hre) {
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+
+  for (const contractName of EXPORTED_CONTRACTS) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const content = {
+      contractName,
+      sourceName: artifact.sourceName,
+      abiHash: computeAbiHash(artifact.abi),
+      abi: artifact.abi
+    };
+
+    fs.writeFileSync(path.join(ABI_DIR, `${contractName}.json`), JSON.stringify(content, null, 2) + "\n");
+  }
+}
+
+module.exports = { ABI_DIR, EXPORTED_CONTRACTS, exportAbis };
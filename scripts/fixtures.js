@@ -0,0 +1,148 @@
+const { ethers } = require("hardhat");
+const { deployModules } = require("./modules");
+const { LOCAL_KYC_SIGNER_PRIVATE_KEY, LOCAL_KYC_SIGNER_ADDRESS, signAttestation } = require("./kyc/attestation");
+
+/**
+ * Shared sample data for scripts/simulate.js and the test suite, so the
+ * simulation and the tests tell the same story.
+ */
+
+const SAMPLE_ARTWORKS = [
+  {
+    name: "The Starry Night Redux",
+    artist: "Vincent Van Gogh Estate",
+    ipfsHash: "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+    totalValue: ethers.parseEther("10.0"),
+    totalShares: 100
+  },
+  {
+    name: "Digital Dreams #42",
+    artist: "Anonymous Digital Artist",
+    ipfsHash: "QmPZ9gcCEpqKTo6aq61g2nXGUhM4iCL3ewB6LDXZCtWRnd",
+    totalValue: ethers.parseEther("5.0"),
+    totalShares: 50
+  },
+  {
+    name: "Abstract Reality",
+    artist: "Contemporary Collective",
+    ipfsHash: "QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4",
+    totalValue: ethers.parseEther("15.0"),
+    totalShares: 150
+  }
+];
+
+// investorIndex refers to the investor signers (signers[1..3])
+const SAMPLE_INVESTMENTS = [
+  { investorIndex: 0, artworkId: 0, shares: 10 },
+  { investorIndex: 1, artworkId: 0, shares: 20 },
+  { investorIndex: 2, artworkId: 1, shares: 5 },
+  { investorIndex: 0, artworkId: 2, shares: 15 },
+  { investorIndex: 1, artworkId: 2, shares: 25 }
+];
+
+// Returns paid out to artwork 0 holders (investors 1 and 2, 10 and 20 shares)
+const SAMPLE_DISTRIBUTION = {
+  artworkId: 0,
+  amount: ethers.parseEther("3.0")
+};
+
+function sharePriceOf(artwork) {
+  return artwork.totalValue / BigInt(artwork.totalShares);
+}
+
+// Sample investors are accredited US residents unless a test says otherwise
+const SAMPLE_KYC = {
+  jurisdictions: ["US"],
+  accredited: true
+};
+
+async function deployContract() {
+  const PrivateArtInvestment = await ethers.getContractFactory("PrivateArtInvestment");
+  const modules = await deployModules();
+  const contract = await PrivateArtInvestment.deploy(...modules.map((module) => module.address));
+  await contract.waitForDeployment();
+  await (await contract.setKycVerifier(LOCAL_KYC_SIGNER_ADDRESS)).wait();
+  return contract;
+}
+
+/**
+ * KYC attestation from the development signer, timed by the chain's clock.
+ *
+ * @param {ethers.Contract} contract
+ * @param {string} investorAddress
+ * @param {object} [kyc] jurisdictions, accredited, issuedAt, validFor (see scripts/kyc/attestation.js)
+ */
+async function attestInvestor(contract, investorAddress, kyc = {}) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const { timestamp } = await ethers.provider.getBlock("latest");
+
+  return signAttestation(new ethers.Wallet(LOCAL_KYC_SIGNER_PRIVATE_KEY), {
+    contractAddress: await contract.getAddress(),
+    chainId,
+    investor: investorAddress,
+    issuedAt: timestamp,
+    ...SAMPLE_KYC,
+    ...kyc
+  });
+}
+
+async function registerInvestors(contract, investors, kyc) {
+  for (const investor of investors) {
+    const { attestation, signature } = await attestInvestor(contract, investor.address, kyc);
+    await (await contract.connect(investor).registerInvestor(attestation, signature)).wait();
+  }
+}
+
+async function listArtworks(contract, artworks = SAMPLE_ARTWORKS) {
+  for (const artwork of artworks) {
+    const tx = await contract.listArtwork(
+      artwork.name,
+      artwork.artist,
+      artwork.ipfsHash,
+      artwork.totalValue,
+      sharePriceOf(artwork),
+      artwork.totalShares
+    );
+    await tx.wait();
+  }
+}
+
+async function makeInvestments(contract, investors, investments = SAMPLE_INVESTMENTS) {
+  for (const investment of investments) {
+    const payment = sharePriceOf(SAMPLE_ARTWORKS[investment.artworkId]) * BigInt(investment.shares);
+    const tx = await contract
+      .connect(investors[investment.investorIndex])
+      .makePrivateInvestment(investment.artworkId, investment.shares, { value: payment });
+    await tx.wait();
+  }
+}
+
+/**
+ * Deploy, register three investors, list the sample artworks and make the
+ * sample investments.
+ */
+async function deployPlatformFixture() {
+  const [owner, investor1, investor2, investor3, outsider] = await ethers.getSigners();
+  const investors = [investor1, investor2, investor3];
+
+  const contract = await deployContract();
+  await registerInvestors(contract, investors);
+  await listArtworks(contract);
+  await makeInvestments(contract, investors);
+
+  return { contract, owner, investors, outsider };
+}
+
+module.exports = {
+  SAMPLE_ARTWORKS,
+  SAMPLE_INVESTMENTS,
+  SAMPLE_DISTRIBUTION,
+  SAMPLE_KYC,
+  sharePriceOf,
+  deployContract,
+  attestInvestor,
+  registerInvestors,
+  listArtworks,
+  makeInvestments,
+  deployPlatformFixture
+};
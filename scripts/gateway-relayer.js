@@ -0,0 +1,214 @@
+const { ethers } = require("hardhat");
+const { loadDeployment } = require("./deployments");
+const { decryptHandle } = require("../shared/local-fhe.cjs");
+
+/**
+ * Local Gateway relayer for contracts built on contracts/LocalFHE.sol.
+ *
+ * Watches DecryptionOracleRequest, which FHE.requestDecryption emits for every
+ * request (returns rounds, sale settlements and confidential claims), decrypts
+ * the requested handles, signs the cleartexts with the development KMS key and
+ * delivers them to the recorded callback selector.
+ *
+ * Usage (contract resolved from deployments/<network>.json, or CONTRACT_ADDRESS):
+ *   npx hardhat run scripts/gateway-relayer.js --network localhost
+ */
+
+// Development-only key, public by design. Its address is LOCAL_KMS_SIGNER in LocalFHE.sol.
+const LOCAL_KMS_PRIVATE_KEY = "0x5892e2eb49e1084ede0050a7b177282088602b56ddc0fefc2b66059b12d4cd7d";
+
+const oracleInterface = new ethers.Interface([
+  "event DecryptionOracleRequest(uint256 indexed requestId, bytes32[] handles, bytes4 callbackSelector)"
+]);
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Callbacks decode a single array of the requested type, e.g. abi.decode(cleartexts, (uint32[]))
+function encodeCleartexts(handles) {
+  const decrypted = handles.map(decryptHandle);
+  const types = new Set(decrypted.map((d) => d.type));
+
+  if (types.size > 1) {
+    throw new Error("Mixed FHE types in one decryption request are not supported");
+  }
+
+  const [type = "uint32"] = types;
+  return abiCoder.encode([`${type}[]`], [decrypted.map((d) => d.value)]);
+}
+
+async function signDecryption(kmsSigner, { contractAddress, chainId, requestId, handles, cleartexts }) {
+  const handlesHash = ethers.keccak256(ethers.concat(handles));
+  const digest = ethers.keccak256(
+    abiCoder.encode(
+      ["address", "uint256", "uint256", "bytes32", "bytes32"],
+      [contractAddress, chainId, requestId, handlesHash, ethers.keccak256(cleartexts)]
+    )
+  );
+
+  return kmsSigner.signMessage(ethers.getBytes(digest));
+}
+
+/**
+ * Create a relayer bound to one contract.
+ *
+ * @param {ethers.Contract} contract Contract that requests decryptions through LocalFHE
+ * @param {object} [options]
+ * @param {ethers.Signer} [options.signer] Account paying for callback transactions
+ * @param {string} [options.kmsPrivateKey] Key used to sign cleartexts
+ * @param {boolean} [options.verbose] Log each fulfilled request
+ */
+function createGatewayRelayer(contract, options = {}) {
+  const kmsSigner = new ethers.Wallet(options.kmsPrivateKey || LOCAL_KMS_PRIVATE_KEY);
+  const inFlight = new Set();
+  let listener = null;
+  let oracleFilter = null;
+
+  async function getSigner() {
+    return options.signer || (await ethers.getSigners())[0];
+  }
+
+  async function findOracleRequest(requestId) {
+    const contractAddress = await contract.getAddress();
+    const event = oracleInterface.getEvent("DecryptionOracleRequest");
+    const logs = await ethers.provider.getLogs({
+      address: contractAddress,
+      topics: [event.topicHash, ethers.toBeHex(requestId, 32)],
+      fromBlock: 0
+    });
+
+    if (logs.length === 0) {
+      throw new Error(`No oracle request found for request ${requestId}`);
+    }
+
+    const parsed = oracleInterface.parseLog(logs[logs.length - 1]);
+    return { handles: [...parsed.args.handles], callbackSelector: parsed.args.callbackSelector };
+  }
+
+  /**
+   * Decrypt and deliver one request. Resolves to the callback transaction receipt.
+   */
+  async function fulfill(requestId) {
+    const { handles, callbackSelector } = await findOracleRequest(requestId);
+    const contractAddress = await contract.getAddress();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const cleartexts = encodeCleartexts(handles);
+    const decryptionProof = await signDecryption(kmsSigner, {
+      contractAddress,
+      chainId,
+      requestId,
+      handles,
+      cleartexts
+    });
+
+    const signer = await getSigner();
+    const tx = await signer.sendTransaction({
+      to: contractAddress,
+      data: ethers.concat([
+        callbackSelector,
+        abiCoder.encode(["uint256", "bytes", "bytes"], [requestId, cleartexts, decryptionProof])
+      ])
+    });
+    const receipt = await tx.wait();
+
+    if (options.verbose) {
+      console.log(`🔓 Request ${requestId}: ${handles.length} handle(s) decrypted, callback ${tx.hash}`);
+    }
+
+    return receipt;
+  }
+
+  async function handleRequested(requestId) {
+    const key = requestId.toString();
+    if (inFlight.has(key)) return;
+
+    inFlight.add(key);
+    try {
+      await fulfill(requestId);
+    } catch (error) {
+      console.error(`❌ Failed to fulfill request ${key}: ${error.message}`);
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Fulfill every decryption requested in a transaction receipt.
+   */
+  async function fulfillFromReceipt(receipt) {
+    const results = [];
+    for (const log of receipt.logs) {
+      const parsed = oracleInterface.parseLog(log);
+      if (parsed && parsed.name === "DecryptionOracleRequest") {
+        results.push(await fulfill(parsed.args.requestId));
+      }
+    }
+    return results;
+  }
+
+  // The event is emitted from module code run by delegatecall (contracts/modules), so it is
+  // in the contract's logs but not its ABI: listen for the topic at the contract's address
+  async function start() {
+    if (listener) return;
+    oracleFilter = {
+      address: await contract.getAddress(),
+      topics: [oracleInterface.getEvent("DecryptionOracleRequest").topicHash]
+    };
+    listener = (log) => handleRequested(oracleInterface.parseLog(log).args.requestId);
+    await ethers.provider.on(oracleFilter, listener);
+  }
+
+  async function stop() {
+    if (!listener) return;
+    await ethers.provider.off(oracleFilter, listener);
+    listener = null;
+    oracleFilter = null;
+  }
+
+  return { fulfill, fulfillFromReceipt, start, stop };
+}
+
+async function main() {
+  const deployment = loadDeployment(hre.network.name);
+  const contractAddress = process.env.CONTRACT_ADDRESS || (deployment && deployment.contractAddress);
+  if (!contractAddress) {
+    console.error(`❌ No deployment found for ${hre.network.name} and CONTRACT_ADDRESS is not set`);
+    process.exit(1);
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  if (chainId !== 31337n) {
+    console.warn(`⚠️  Chain ${chainId} is not the local Hardhat network; LocalFHE keys are public.`);
+  }
+
+  const contract = await ethers.getContractAt("PrivateArtInvestment", contractAddress);
+  const relayer = createGatewayRelayer(contract, { verbose: true });
+  await relayer.start();
+
+  console.log("=".repeat(60));
+  console.log("Local Gateway Relayer");
+  console.log("=".repeat(60));
+  console.log(`Network:   ${hre.network.name}`);
+  console.log(`Contract:  ${contractAddress}`);
+  console.log("Watching decryption requests... (Ctrl+C to stop)");
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await relayer.stop();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Relayer Failed");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  LOCAL_KMS_PRIVATE_KEY,
+  createGatewayRelayer,
+  decryptHandle,
+  encodeCleartexts
+};
@@ -0,0 +1,127 @@
+const http = require("http");
+
+/**
+ * Read-only HTTP/JSON API over the indexer database.
+ *
+ *   GET /health                        Checkpoint and indexed contract
+ *   GET /stats                         { totalArtworks, totalInvestors }
+ *   GET /artworks                      Every listed artwork with its latest state and sale, if sold
+ *   GET /artworks/:id                  One artwork
+ *   GET /investors/:address            Registration, investments and claims of one account
+ *   GET /distributions[?artworkId=N]   Returns distribution requests and their outcome
+ *   GET /orders[?artworkId=N&status=S] Secondary market orders (status: open, filled, cancelled)
+ *
+ * Amounts are decimal strings in wei. Responses allow any origin so the
+ * frontend dev server can call the API directly.
+ */
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ORDER_STATUSES = ["open", "filled", "cancelled"];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseArtworkId(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid artwork id: ${value}`);
+  }
+  return Number(value);
+}
+
+function createRoutes(db) {
+  return [
+    [/^\/health$/, () => ({
+      status: "ok",
+      contractAddress: db.getMeta("contractAddress"),
+      chainId: db.getMeta("chainId"),
+      lastBlock: db.getCheckpoint()
+    })],
+    [/^\/stats$/, () => db.getStats()],
+    [/^\/artworks$/, () => db.getArtworks()],
+    [/^\/artworks\/([^/]+)$/, ([id]) => {
+      const artwork = db.getArtwork(parseArtworkId(id));
+      if (!artwork) throw new HttpError(404, `Artwork ${id} not found`);
+      return artwork;
+    }],
+    [/^\/investors\/([^/]+)$/, ([address]) => {
+      if (!ADDRESS_PATTERN.test(address)) throw new HttpError(400, `Invalid address: ${address}`);
+      return db.getInvestor(address);
+    }],
+    [/^\/distributions$/, (params, query) => {
+      const artworkId = query.get("artworkId");
+      return db.getDistributions(artworkId === null ? null : parseArtworkId(artworkId));
+    }],
+    [/^\/rounds$/, (params, query) => {
+      const artworkId = query.get("artworkId");
+      return db.getRounds(artworkId === null ? null : parseArtworkId(artworkId));
+    }],
+    [/^\/orders$/, (params, query) => {
+      const artworkId = query.get("artworkId");
+      const status = query.get("status");
+      if (status !== null && !ORDER_STATUSES.includes(status)) {
+        throw new HttpError(400, `Invalid order status: ${status}`);
+      }
+      return db.getOrders({ artworkId: artworkId === null ? null : parseArtworkId(artworkId), status });
+    }]
+  ];
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create (but do not start) the API server.
+ *
+ * @param {object} db Database from ./db.js
+ * @returns {http.Server}
+ */
+function createApiServer(db) {
+  const routes = createRoutes(db);
+
+  return http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS"
+      });
+      res.end();
+      return;
+    }
+
+    if (req.method !== "GET") {
+      send(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      for (const [pattern, handler] of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+          send(res, 200, handler(match.slice(1), url.searchParams));
+          return;
+        }
+      }
+      send(res, 404, { error: `Unknown route: ${url.pathname}` });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        send(res, error.status, { error: error.message });
+      } else {
+        console.error(`❌ API error on ${url.pathname}: ${error.message}`);
+        send(res, 500, { error: "Internal error" });
+      }
+    }
+  });
+}
+
+module.exports = { createApiServer };
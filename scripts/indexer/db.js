@@ -0,0 +1,445 @@
+const Database = require("better-sqlite3");
+
+/**
+ * Embedded SQLite store for the event indexer.
+ *
+ * `events` is the source of truth: one row per indexed log. Artwork state that
+ * events do not carry (artist, shares left, ...) is read from the contract at
+ * the event's block and kept as per-block snapshots. Everything the API serves
+ * is derived from these two tables, so undoing a reorg is a delete of every
+ * row above the common ancestor.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash   TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index    INTEGER NOT NULL,
+    tx_hash      TEXT NOT NULL,
+    name         TEXT NOT NULL,
+    artwork_id   INTEGER,
+    account      TEXT,
+    request_id   TEXT,
+    timestamp    INTEGER,
+    args         TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (name, artwork_id);
+  CREATE INDEX IF NOT EXISTS events_by_account ON events (account);
+  CREATE INDEX IF NOT EXISTS events_by_request ON events (request_id);
+
+  CREATE TABLE IF NOT EXISTS artwork_snapshots (
+    artwork_id       INTEGER NOT NULL,
+    block_number     INTEGER NOT NULL,
+    name             TEXT NOT NULL,
+    artist           TEXT NOT NULL,
+    ipfs_hash        TEXT NOT NULL,
+    total_value      TEXT NOT NULL,
+    share_price      TEXT NOT NULL,
+    total_shares     TEXT NOT NULL,
+    available_shares TEXT NOT NULL,
+    is_active        INTEGER NOT NULL,
+    creator          TEXT NOT NULL,
+    created_at       INTEGER NOT NULL,
+    is_paused        INTEGER NOT NULL DEFAULT 0,
+    funding_closed   INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (artwork_id, block_number)
+  );
+`;
+
+// Latest snapshot per artwork plus the investor count from the event log.
+// Share recipients join the investor list just like direct investors.
+const ARTWORKS_QUERY = `
+  SELECT s.*,
+    (SELECT COUNT(DISTINCT e.account) FROM events e
+      WHERE e.name IN ('PrivateInvestmentMade', 'SharesTransferred') AND e.artwork_id = s.artwork_id) AS investor_count
+  FROM artwork_snapshots s
+  WHERE s.block_number = (
+    SELECT MAX(block_number) FROM artwork_snapshots WHERE artwork_id = s.artwork_id
+  )
+`;
+
+function toArtwork(row) {
+  return {
+    id: row.artwork_id,
+    name: row.name,
+    artist: row.artist,
+    ipfsHash: row.ipfs_hash,
+    totalValue: row.total_value,
+    sharePrice: row.share_price,
+    totalShares: row.total_shares,
+    availableShares: row.available_shares,
+    investorCount: row.investor_count,
+    isActive: row.is_active === 1,
+    isPaused: row.is_paused === 1,
+    fundingClosed: row.funding_closed === 1,
+    creator: row.creator,
+    createdAt: row.created_at,
+    updatedBlock: row.block_number
+  };
+}
+
+/**
+ * Open (or create) the indexer database.
+ *
+ * @param {string} filename Path to the SQLite file, or ":memory:"
+ */
+function openDatabase(filename) {
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const statements = {
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+    insertBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"),
+    recentBlocks: db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?"),
+    insertEvent: db.prepare(`
+      INSERT OR REPLACE INTO events
+        (block_number, log_index, tx_hash, name, artwork_id, account, request_id, timestamp, args)
+      VALUES
+        (@blockNumber, @logIndex, @txHash, @name, @artworkId, @account, @requestId, @timestamp, @args)
+    `),
+    insertSnapshot: db.prepare(`
+      INSERT OR REPLACE INTO artwork_snapshots
+        (artwork_id, block_number, name, artist, ipfs_hash, total_value, share_price,
+         total_shares, available_shares, is_active, creator, created_at, is_paused, funding_closed)
+      VALUES
+        (@artworkId, @blockNumber, @name, @artist, @ipfsHash, @totalValue, @sharePrice,
+         @totalShares, @availableShares, @isActive, @creator, @createdAt, @isPaused, @fundingClosed)
+    `),
+    deleteBlocksAbove: db.prepare("DELETE FROM blocks WHERE number > ?"),
+    deleteEventsAbove: db.prepare("DELETE FROM events WHERE block_number > ?"),
+    deleteSnapshotsAbove: db.prepare("DELETE FROM artwork_snapshots WHERE block_number > ?"),
+    artworks: db.prepare(`${ARTWORKS_QUERY} ORDER BY s.artwork_id`),
+    artwork: db.prepare(`${ARTWORKS_QUERY} AND s.artwork_id = ?`),
+    countEvents: db.prepare("SELECT COUNT(*) AS count FROM events WHERE name = ?"),
+    countArtworks: db.prepare("SELECT COUNT(DISTINCT artwork_id) AS count FROM artwork_snapshots"),
+    eventsByAccount: db.prepare("SELECT * FROM events WHERE account = ? AND name = ? ORDER BY block_number, log_index"),
+    // Credits not yet withdrawn: claim() pays out everything credited before it
+    pendingClaims: db.prepare(`
+      SELECT * FROM events c
+      WHERE c.account = ? AND c.name = 'ReturnsCredited'
+        AND NOT EXISTS (SELECT 1 FROM events w
+          WHERE w.account = c.account AND w.name = 'ReturnsClaimed'
+            AND (w.block_number, w.log_index) > (c.block_number, c.log_index))
+      ORDER BY c.block_number, c.log_index
+    `),
+    distributions: db.prepare(`
+      SELECT r.request_id, r.artwork_id, r.timestamp, r.block_number, r.tx_hash,
+        (SELECT json_extract(c.args, '$.success') FROM events c
+          WHERE c.name = 'CallbackProcessed' AND c.request_id = r.request_id) AS success,
+        (SELECT f.tx_hash FROM events f
+          WHERE f.name = 'DecryptionFailed' AND f.request_id = r.request_id) AS failed_tx
+      FROM events r
+      WHERE r.name = 'DecryptionRequested' AND (? IS NULL OR r.artwork_id = ?)
+      ORDER BY r.block_number, r.log_index
+    `),
+    orders: db.prepare(`
+      SELECT o.block_number, o.tx_hash, o.artwork_id, o.account, o.timestamp,
+        json_extract(o.args, '$.orderId') AS order_id,
+        json_extract(o.args, '$.price') AS price,
+        (SELECT f.account FROM events f
+          WHERE f.name = 'ShareOrderFilled' AND json_extract(f.args, '$.orderId') = json_extract(o.args, '$.orderId')) AS buyer,
+        (SELECT group_concat(r.account) FROM events r
+          WHERE r.name = 'ShareOrderRevealed' AND json_extract(r.args, '$.orderId') = json_extract(o.args, '$.orderId')) AS revealed_to,
+        EXISTS (SELECT 1 FROM events c
+          WHERE c.name = 'ShareOrderCancelled' AND json_extract(c.args, '$.orderId') = json_extract(o.args, '$.orderId')) AS cancelled
+      FROM events o
+      WHERE o.name = 'ShareOrderCreated' AND (? IS NULL OR o.artwork_id = ?)
+      ORDER BY o.block_number, o.log_index
+    `),
+    // Only the latest sale counts, as a cancelled sale can be followed by another. A sold
+    // artwork can no longer take returns distributions, so the requests after the sale are
+    // its settlement batches, the latest being the one in progress or refunded
+    sale: db.prepare(`
+      SELECT s.block_number, s.timestamp, json_extract(s.args, '$.salePrice') AS sale_price,
+        (SELECT r.request_id FROM events r
+          WHERE r.name = 'DecryptionRequested' AND r.artwork_id = s.artwork_id
+            AND (r.block_number, r.log_index) > (s.block_number, s.log_index)
+          ORDER BY r.block_number DESC, r.log_index DESC LIMIT 1) AS request_id,
+        (SELECT json_extract(b.args, '$.settledHolders') FROM events b
+          WHERE b.name = 'SaleBatchSettled' AND b.artwork_id = s.artwork_id
+            AND (b.block_number, b.log_index) > (s.block_number, s.log_index)
+          ORDER BY b.block_number DESC, b.log_index DESC LIMIT 1) AS settled_holders,
+        EXISTS (SELECT 1 FROM events d
+          WHERE d.name = 'SaleSettled' AND d.artwork_id = s.artwork_id
+            AND (d.block_number, d.log_index) > (s.block_number, s.log_index)) AS settled,
+        EXISTS (SELECT 1 FROM events c
+          WHERE c.name = 'SaleCancelled' AND c.artwork_id = s.artwork_id
+            AND (c.block_number, c.log_index) > (s.block_number, s.log_index)) AS cancelled
+      FROM events s
+      WHERE s.name = 'ArtworkSold' AND s.artwork_id = ?
+      ORDER BY s.block_number DESC, s.log_index DESC LIMIT 1
+    `),
+    salePayouts: db.prepare(`
+      SELECT account, json_extract(args, '$.amount') AS amount FROM events
+      WHERE name = 'SalePayout' AND artwork_id = ?
+      ORDER BY block_number, log_index
+    `),
+    saleRefundClaims: db.prepare(`
+      SELECT account FROM events
+      WHERE name = 'SaleRefundClaimed' AND artwork_id = ? AND block_number >= ?
+      ORDER BY block_number, log_index
+    `),
+    // A round's holders are credited in batches before its total goes to the Gateway
+    rounds: db.prepare(`
+      SELECT o.artwork_id, o.block_number, o.timestamp, o.tx_hash,
+        json_extract(o.args, '$.roundId') AS round_id,
+        json_extract(o.args, '$.amount') AS amount,
+        (SELECT b.args FROM events b
+          WHERE b.name = 'DistributionBatchCredited' AND json_extract(b.args, '$.roundId') = json_extract(o.args, '$.roundId')
+          ORDER BY b.block_number DESC, b.log_index DESC LIMIT 1) AS last_batch,
+        (SELECT json_extract(d.args, '$.distributed') FROM events d
+          WHERE d.name = 'DistributionRoundSettled' AND json_extract(d.args, '$.roundId') = json_extract(o.args, '$.roundId')) AS distributed,
+        (SELECT json_extract(x.args, '$.released') FROM events x
+          WHERE x.name = 'DistributionRoundExpired' AND json_extract(x.args, '$.roundId') = json_extract(o.args, '$.roundId')) AS released
+      FROM events o
+      WHERE o.name = 'DistributionRoundOpened' AND (? IS NULL OR o.artwork_id = ?)
+      ORDER BY o.block_number, o.log_index
+    `),
+    latestKyc: db.prepare(`
+      SELECT * FROM events
+      WHERE account = ? AND name IN ('KycAttested', 'KycRevoked')
+      ORDER BY block_number DESC, log_index DESC LIMIT 1
+    `),
+    confidentialClaims: db.prepare(`
+      SELECT r.request_id, r.timestamp, r.tx_hash, json_extract(r.args, '$.amount') AS amount,
+        (SELECT json_extract(p.args, '$.amount') FROM events p
+          WHERE p.name = 'ConfidentialClaimProcessed' AND p.request_id = r.request_id) AS paid
+      FROM events r
+      WHERE r.account = ? AND r.name = 'ConfidentialClaimRequested'
+      ORDER BY r.block_number, r.log_index
+    `),
+    failedTxByRequest: db.prepare("SELECT tx_hash FROM events WHERE name = 'DecryptionFailed' AND request_id = ?"),
+    // RefundIssued carries no request id; refunds share the DecryptionFailed transaction
+    refundsByTx: db.prepare(`
+      SELECT account, json_extract(args, '$.amount') AS amount FROM events
+      WHERE name = 'RefundIssued' AND tx_hash = ?
+      ORDER BY log_index
+    `)
+  };
+
+  return {
+    close: () => db.close(),
+
+    // Runs fn in a single SQLite transaction
+    transaction: (fn) => db.transaction(fn)(),
+
+    getMeta(key) {
+      const row = statements.getMeta.get(key);
+      return row ? row.value : null;
+    },
+
+    setMeta(key, value) {
+      statements.setMeta.run(key, String(value));
+    },
+
+    getCheckpoint() {
+      const value = this.getMeta("lastBlock");
+      return value === null ? null : Number(value);
+    },
+
+    setCheckpoint(blockNumber, blockHash) {
+      statements.insertBlock.run(blockNumber, blockHash);
+      this.setMeta("lastBlock", blockNumber);
+    },
+
+    recordBlock(blockNumber, blockHash) {
+      statements.insertBlock.run(blockNumber, blockHash);
+    },
+
+    recentBlocks(fromBlock, limit) {
+      return statements.recentBlocks.all(fromBlock, limit);
+    },
+
+    insertEvent(event) {
+      statements.insertEvent.run(event);
+    },
+
+    insertSnapshot(snapshot) {
+      statements.insertSnapshot.run(snapshot);
+    },
+
+    /**
+     * Drop everything indexed above blockNumber and move the checkpoint back to it.
+     */
+    rollbackTo(blockNumber) {
+      db.transaction(() => {
+        statements.deleteBlocksAbove.run(blockNumber);
+        statements.deleteEventsAbove.run(blockNumber);
+        statements.deleteSnapshotsAbove.run(blockNumber);
+        statements.setMeta.run("lastBlock", String(blockNumber));
+      })();
+    },
+
+    // ============ Queries ============
+
+    getArtworks() {
+      return statements.artworks.all().map((row) => ({ ...toArtwork(row), sale: this.getSale(row.artwork_id) }));
+    },
+
+    getArtwork(artworkId) {
+      const row = statements.artwork.get(artworkId);
+      return row ? { ...toArtwork(row), sale: this.getSale(artworkId) } : null;
+    },
+
+    /**
+     * Sale of an artwork and how its proceeds were paid out, or null while unsold.
+     * Status is "awaiting_proceeds", "settling", "settled", "refunded" or "cancelled".
+     * Holders are paid in batches; settledHolders counts those paid so far. A refunded
+     * settlement lists the batches paid before it failed and the owner's refund for unsold
+     * shares, as the other holders claim theirs under encryption, and who has claimed.
+     */
+    getSale(artworkId) {
+      const row = statements.sale.get(artworkId);
+      if (!row) return null;
+
+      const failed = row.request_id ? statements.failedTxByRequest.get(row.request_id) : null;
+      let status = "awaiting_proceeds";
+      if (row.settled) status = "settled";
+      else if (row.cancelled) status = "cancelled";
+      else if (failed) status = "refunded";
+      else if (row.request_id) status = "settling";
+
+      return {
+        salePrice: row.sale_price,
+        soldAt: row.timestamp,
+        blockNumber: row.block_number,
+        requestId: row.request_id,
+        status,
+        settledHolders: Number(row.settled_holders || 0),
+        payouts: failed
+          ? [...statements.salePayouts.all(artworkId), ...statements.refundsByTx.all(failed.tx_hash)]
+          : statements.salePayouts.all(artworkId),
+        refundClaims: failed ? statements.saleRefundClaims.all(artworkId, row.block_number).map((claim) => claim.account) : []
+      };
+    },
+
+    getStats() {
+      return {
+        totalArtworks: statements.countArtworks.get().count,
+        totalInvestors: statements.countEvents.get("InvestorRegistered").count
+      };
+    },
+
+    getInvestor(address) {
+      const account = address.toLowerCase();
+      const [registration] = statements.eventsByAccount.all(account, "InvestorRegistered");
+      const investments = statements.eventsByAccount.all(account, "PrivateInvestmentMade");
+      const claims = statements.eventsByAccount.all(account, "ReturnsClaimed");
+      const kyc = statements.latestKyc.get(account);
+      const attestation = kyc && kyc.name === "KycAttested" ? JSON.parse(kyc.args) : null;
+
+      return {
+        address: account,
+        isRegistered: Boolean(registration),
+        registeredAt: registration ? registration.timestamp : null,
+        investments: investments.map((row) => ({
+          artworkId: row.artwork_id,
+          timestamp: row.timestamp,
+          blockNumber: row.block_number,
+          txHash: row.tx_hash
+        })),
+        pendingClaims: statements.pendingClaims.all(account).map((row) => ({
+          artworkId: row.artwork_id,
+          requestId: row.request_id,
+          amount: JSON.parse(row.args).amount,
+          creditedAt: row.timestamp
+        })),
+        claims: claims.map((row) => ({
+          amount: JSON.parse(row.args).amount,
+          timestamp: row.timestamp,
+          txHash: row.tx_hash
+        })),
+        // Latest attestation, or null when none was made or it was revoked
+        kyc: attestation && {
+          jurisdictions: Number(attestation.jurisdictions),
+          accredited: attestation.accredited,
+          expiresAt: Number(attestation.expiresAt),
+          attestedAt: kyc.timestamp
+        },
+        // Status is "pending", "paid" or "returned" (back to the encrypted balance)
+        confidentialClaims: statements.confidentialClaims.all(account).map((row) => ({
+          requestId: row.request_id,
+          amount: row.amount,
+          requestedAt: row.timestamp,
+          txHash: row.tx_hash,
+          status: row.paid === null ? "pending" : row.paid === "0" ? "returned" : "paid",
+          paid: row.paid
+        }))
+      };
+    },
+
+    getDistributions(artworkId = null) {
+      return statements.distributions.all(artworkId, artworkId).map((row) => ({
+        requestId: row.request_id,
+        artworkId: row.artwork_id,
+        requestedAt: row.timestamp,
+        blockNumber: row.block_number,
+        txHash: row.tx_hash,
+        status: row.failed_tx ? "failed" : row.success ? "processed" : "pending",
+        refunds: row.failed_tx ? statements.refundsByTx.all(row.failed_tx) : []
+      }));
+    },
+
+    /**
+     * Returns distribution rounds. Status is "crediting" while holders are credited in
+     * batches, "pending" while the Gateway decrypts the total, then "distributed" or "expired".
+     */
+    getRounds(artworkId = null) {
+      return statements.rounds.all(artworkId, artworkId).map((row) => {
+        const batch = row.last_batch ? JSON.parse(row.last_batch) : null;
+        let status = "crediting";
+        if (row.distributed !== null) status = "distributed";
+        else if (row.released !== null) status = "expired";
+        else if (batch && batch.creditedHolders === batch.totalHolders) status = "pending";
+
+        return {
+          roundId: row.round_id,
+          artworkId: row.artwork_id,
+          amount: row.amount,
+          openedAt: row.timestamp,
+          blockNumber: row.block_number,
+          txHash: row.tx_hash,
+          creditedHolders: batch ? Number(batch.creditedHolders) : 0,
+          totalHolders: batch ? Number(batch.totalHolders) : 0,
+          status,
+          distributed: row.distributed,
+          released: row.released
+        };
+      });
+    },
+
+    /**
+     * Secondary market orders, optionally filtered by artwork and by status
+     * ("open", "filled" or "cancelled").
+     */
+    getOrders({ artworkId = null, status = null } = {}) {
+      return statements.orders.all(artworkId, artworkId)
+        .map((row) => ({
+          orderId: row.order_id,
+          artworkId: row.artwork_id,
+          seller: row.account,
+          price: row.price,
+          createdAt: row.timestamp,
+          txHash: row.tx_hash,
+          buyer: row.buyer,
+          revealedTo: row.revealed_to ? row.revealed_to.split(",") : [],
+          status: row.buyer ? "filled" : row.cancelled ? "cancelled" : "open"
+        }))
+        .filter((order) => status === null || order.status === status);
+    }
+  };
+}
+
+module.exports = { openDatabase };
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { requireDeployment } = require("../deployments");
+const { openDatabase } = require("./db");
+const { createIndexer } = require("./indexer");
+const { createApiServer } = require("./api");
+
+/**
+ * Event indexer with an HTTP/JSON query API.
+ *
+ * Usage (contract resolved from deployments/<network>.json):
+ *   npx hardhat run scripts/indexer/index.js --network localhost
+ *
+ * Environment:
+ *   INDEXER_DB             SQLite file (default indexer-data/<network>.sqlite)
+ *   INDEXER_PORT           API port (default 4000)
+ *   INDEXER_CONFIRMATIONS  Blocks to stay behind the head (default 0)
+ */
+
+const DATA_DIR = path.join(__dirname, "..", "..", "indexer-data");
+
+async function main() {
+  const deployment = requireDeployment(hre.network.name);
+  const dbPath = process.env.INDEXER_DB || path.join(DATA_DIR, `${hre.network.name}.sqlite`);
+  const port = Number(process.env.INDEXER_PORT || 4000);
+  const confirmations = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = openDatabase(dbPath);
+
+  const contract = await ethers.getContractAt(deployment.contractName, deployment.contractAddress);
+  const indexer = createIndexer(contract, db, {
+    startBlock: deployment.deploymentBlock,
+    confirmations,
+    verbose: true
+  });
+
+  console.log("=".repeat(60));
+  console.log("Event Indexer");
+  console.log("=".repeat(60));
+  console.log(`Network:       ${hre.network.name}`);
+  console.log(`Contract:      ${deployment.contractAddress}`);
+  console.log(`Database:      ${dbPath}`);
+  console.log(`Resuming from: ${db.getCheckpoint() ?? deployment.deploymentBlock}`);
+
+  await indexer.sync();
+  await indexer.start();
+
+  const server = createApiServer(db);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`API:           http://localhost:${port} (Ctrl+C to stop)`);
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await indexer.stop();
+  await new Promise((resolve) => server.close(resolve));
+  db.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Indexer Failed");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,278 @@
+/**
+ * Follows PrivateArtInvestment events into the indexer database.
+ *
+ * Each sync first checks the stored block hashes against the chain. On a
+ * mismatch it walks back to the newest block both agree on, drops everything
+ * above it and re-indexes from there. The checkpoint is written in the same
+ * transaction as each batch, so a restart resumes where the last batch ended.
+ */
+
+const INDEXED_EVENTS = [
+  "ArtworkListed",
+  "PrivateInvestmentMade",
+  "InvestorRegistered",
+  "DecryptionRequested",
+  "DecryptionFailed",
+  "CallbackProcessed",
+  "RefundIssued",
+  "ArtworkSold",
+  "SaleSettled",
+  "SalePayout",
+  "SaleBatchSettled",
+  "SaleCancelled",
+  "ReturnsCredited",
+  "ReturnsClaimed",
+  "ArtworkPaused",
+  "ArtworkResumed",
+  "ArtworkMetadataUpdated",
+  "FundingClosed",
+  "SharePriceUpdated",
+  "ShareOrderCreated",
+  "ShareOrderCancelled",
+  "ShareOrderRevealed",
+  "ShareOrderFilled",
+  "SharesTransferred",
+  "ShareReleaseRequested",
+  "SharesReleased",
+  "SaleRefundClaimed",
+  "DistributionRoundOpened",
+  "DistributionBatchCredited",
+  "DistributionRoundSettled",
+  "DistributionRoundExpired",
+  "ConfidentialClaimRequested",
+  "ConfidentialClaimProcessed",
+  "KycVerifierUpdated",
+  "KycAttested",
+  "KycRevoked",
+  "EligibilityRuleUpdated",
+  "OwnershipCapUpdated"
+];
+
+// Events after which the artwork's on-chain record is re-read at that block
+const SNAPSHOT_EVENTS = new Set([
+  "ArtworkListed",
+  "PrivateInvestmentMade",
+  "ArtworkSold",
+  "SaleCancelled",
+  "ArtworkPaused",
+  "ArtworkResumed",
+  "ArtworkMetadataUpdated",
+  "FundingClosed",
+  "SharePriceUpdated",
+  "SharesReleased"
+]);
+
+// The account an event is about, for per-account queries
+function accountOf(args) {
+  const account = args.investor || args.seller || args.buyer || args.to;
+  return account ? account.toLowerCase() : null;
+}
+
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return JSON.stringify(result);
+}
+
+/**
+ * Create an indexer bound to one contract and one database.
+ *
+ * @param {ethers.Contract} contract Contract to follow (needs a provider)
+ * @param {object} db Database from ./db.js
+ * @param {object} [options]
+ * @param {number} [options.startBlock] First block to index, usually the deployment block
+ * @param {number} [options.confirmations] Blocks to stay behind the head
+ * @param {number} [options.batchSize] Blocks per eth_getLogs call
+ * @param {number} [options.reorgDepth] Stored blocks compared when looking for a common ancestor
+ * @param {number} [options.pollInterval] Milliseconds between syncs in start()
+ * @param {boolean} [options.verbose] Log each batch and reorg
+ */
+function createIndexer(contract, db, options = {}) {
+  const provider = options.provider || contract.runner.provider;
+  const startBlock = options.startBlock || 0;
+  const confirmations = options.confirmations || 0;
+  const batchSize = options.batchSize || 2000;
+  const reorgDepth = options.reorgDepth || 64;
+  const pollInterval = options.pollInterval || 4000;
+
+  const topics = [INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash)];
+  let timer = null;
+  let syncing = null;
+
+  function log(message) {
+    if (options.verbose) console.log(message);
+  }
+
+  async function init() {
+    const contractAddress = (await contract.getAddress()).toLowerCase();
+    const { chainId } = await provider.getNetwork();
+    const stored = db.getMeta("contractAddress");
+
+    if (stored && stored !== contractAddress) {
+      throw new Error(`Database indexes ${stored}, not ${contractAddress}; use a fresh database file`);
+    }
+    if (!stored) {
+      db.setMeta("contractAddress", contractAddress);
+      db.setMeta("chainId", chainId);
+    }
+    return contractAddress;
+  }
+
+  /**
+   * Roll back to the newest stored block the chain still agrees with.
+   * Returns the block rolled back to, or null when no reorg was found.
+   */
+  async function handleReorg() {
+    const checkpoint = db.getCheckpoint();
+    if (checkpoint === null) return null;
+
+    for (const stored of db.recentBlocks(checkpoint, reorgDepth)) {
+      const block = await provider.getBlock(stored.number);
+      if (block && block.hash === stored.hash) {
+        if (stored.number === checkpoint) return null;
+        db.rollbackTo(stored.number);
+        log(`⚠️  Reorg detected, rolled back from ${checkpoint} to ${stored.number}`);
+        return stored.number;
+      }
+    }
+
+    // Deeper than reorgDepth: start over from the deployment block
+    db.rollbackTo(startBlock - 1);
+    log(`⚠️  Reorg deeper than ${reorgDepth} blocks, re-indexing from ${startBlock}`);
+    return startBlock - 1;
+  }
+
+  async function readSnapshot(artworkId, blockNumber) {
+    const artwork = await contract.artworks(artworkId, { blockTag: blockNumber });
+    return {
+      artworkId,
+      blockNumber,
+      name: artwork.name,
+      artist: artwork.artist,
+      ipfsHash: artwork.ipfsHash,
+      totalValue: artwork.totalValue.toString(),
+      sharePrice: artwork.sharePrice.toString(),
+      totalShares: artwork.totalShares.toString(),
+      availableShares: artwork.availableShares.toString(),
+      isActive: artwork.isActive ? 1 : 0,
+      creator: artwork.creator.toLowerCase(),
+      createdAt: Number(artwork.createdAt),
+      isPaused: artwork.isPaused ? 1 : 0,
+      fundingClosed: artwork.fundingClosed ? 1 : 0
+    };
+  }
+
+  async function indexRange(contractAddress, fromBlock, toBlock) {
+    const logs = await provider.getLogs({ address: contractAddress, topics, fromBlock, toBlock });
+    const blocks = new Map();
+    const events = [];
+    const snapshotKeys = new Map();
+
+    for (const entry of logs) {
+      const parsed = contract.interface.parseLog(entry);
+      if (!parsed) continue;
+
+      if (!blocks.has(entry.blockNumber)) {
+        blocks.set(entry.blockNumber, await provider.getBlock(entry.blockNumber));
+      }
+
+      const { args } = parsed;
+      const artworkId = args.artworkId === undefined ? null : Number(args.artworkId);
+      events.push({
+        blockNumber: entry.blockNumber,
+        logIndex: entry.index,
+        txHash: entry.transactionHash,
+        name: parsed.name,
+        artworkId,
+        account: accountOf(args),
+        requestId: args.requestId === undefined ? null : args.requestId.toString(),
+        timestamp: blocks.get(entry.blockNumber).timestamp,
+        args: serializeArgs(parsed.fragment, args)
+      });
+
+      if (SNAPSHOT_EVENTS.has(parsed.name)) {
+        snapshotKeys.set(`${artworkId}:${entry.blockNumber}`, [artworkId, entry.blockNumber]);
+      }
+    }
+
+    const snapshots = [];
+    for (const [artworkId, blockNumber] of snapshotKeys.values()) {
+      snapshots.push(await readSnapshot(artworkId, blockNumber));
+    }
+
+    const lastBlock = await provider.getBlock(toBlock);
+
+    db.transaction(() => {
+      events.forEach((event) => db.insertEvent(event));
+      snapshots.forEach((snapshot) => db.insertSnapshot(snapshot));
+      blocks.forEach((block) => db.recordBlock(block.number, block.hash));
+      db.setCheckpoint(toBlock, lastBlock.hash);
+    });
+
+    return events.length;
+  }
+
+  async function runSync() {
+    const contractAddress = await init();
+    await handleReorg();
+
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+    const checkpoint = db.getCheckpoint();
+    let fromBlock = checkpoint === null ? startBlock : checkpoint + 1;
+
+    while (fromBlock <= target) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, target);
+      const count = await indexRange(contractAddress, fromBlock, toBlock);
+      log(`📥 Blocks ${fromBlock}-${toBlock}: ${count} event(s)`);
+      fromBlock = toBlock + 1;
+    }
+
+    return db.getCheckpoint();
+  }
+
+  /**
+   * Index up to head - confirmations. Resolves to the new checkpoint.
+   * Concurrent calls share one run.
+   */
+  function sync() {
+    if (!syncing) {
+      syncing = runSync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  async function start() {
+    if (timer) return;
+
+    const tick = async () => {
+      try {
+        await sync();
+      } catch (error) {
+        console.error(`❌ Indexer sync failed: ${error.message}`);
+      }
+      if (timer) timer = setTimeout(tick, pollInterval);
+    };
+
+    timer = setTimeout(tick, 0);
+  }
+
+  async function stop() {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = null;
+    if (syncing) await syncing.catch(() => {});
+  }
+
+  return { sync, start, stop };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  createIndexer
+};
@@ -1,34 +1,49 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
 const readline = require("readline");
-
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-function askQuestion(query) {
-  return new Promise(resolve => rl.question(query, resolve));
+const { requireDeployment } = require("./deployments");
+const { encryptUint32 } = require("./encrypted-input");
+const { fetchAllArtworks, fetchDistributionRounds } = require("./artworks");
+const { isValidCid, normalizeCid } = require("../shared/cid.cjs");
+const { JURISDICTIONS, decodeJurisdictions } = require("./kyc/attestation");
+const { DEFAULT_KYC_SIGNER_URL, requestAttestation } = require("./kyc/client");
+const { formatValueUnits, isWholeValueUnit, sharesToValueUnits } = require("../shared/units.cjs");
+
+/**
+ * Interactive menu. For scripted use (CI, cron, runbooks) see scripts/cli/index.js,
+ * which also opens this menu as its `interactive` command.
+ *
+ * Usage:
+ *   npx hardhat run scripts/interact.js --network localhost
+ */
+
+// Readline interface for user input, opened by main() so requiring this module does not hold stdin.
+// Reading through the line iterator buffers input, so answers piped in ahead of the prompts are kept.
+let rl;
+let lines;
+
+async function askQuestion(query) {
+  process.stdout.write(query);
+  const { value, done } = await lines.next();
+  if (done) {
+    throw new Error("Input ended before all questions were answered");
+  }
+  return value;
 }
 
 async function main() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  lines = rl[Symbol.asyncIterator]();
+
   console.log("=".repeat(60));
   console.log("Contract Interaction Script");
   console.log("=".repeat(60));
 
   // Load deployment data
-  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}.json`);
-
-  if (!fs.existsSync(deploymentFile)) {
-    console.error("\n❌ Deployment file not found!");
-    console.error(`Please deploy the contract first using:`);
-    console.error(`npx hardhat run scripts/deploy.js --network ${hre.network.name}`);
-    process.exit(1);
-  }
-
-  const deploymentData = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const deploymentData = requireDeployment(hre.network.name);
   const contractAddress = deploymentData.contractAddress;
 
   console.log("\n📋 Contract Information");
@@ -43,7 +58,7 @@ async function main() {
   console.log(`Your Address:    ${signerAddress}`);
 
   // Connect to contract
-  const contract = await ethers.getContractAt("PrivateArtInvestment", contractAddress);
+  const contract = await ethers.getContractAt(deploymentData.contractName, contractAddress);
 
   // Display menu
   console.log("\n📝 Available Actions");
@@ -55,11 +70,22 @@ async function main() {
   console.log("5. Make Private Investment");
   console.log("6. Check Investment Status");
   console.log("7. Check if Registered");
-  console.log("8. Get Owner Address");
+  console.log("8. View Owner and Roles");
+  console.log("9. List Shares For Sale");
+  console.log("10. Buy Share Order");
+  console.log("11. Cancel Share Order");
+  console.log("12. Transfer Shares");
+  console.log("13. View Open Share Orders");
+  console.log("14. Claim Sale Payouts and Refunds");
+  console.log("15. Grant or Revoke Role");
+  console.log("16. Transfer or Accept Ownership");
+  console.log("17. Set Holding Limits");
+  console.log("18. View Distribution History");
+  console.log("19. Claim Confidential Returns");
   console.log("0. Exit");
   console.log("=".repeat(60));
 
-  const choice = await askQuestion("\nSelect an option (0-8): ");
+  const choice = await askQuestion("\nSelect an option (0-19): ");
 
   try {
     switch(choice.trim()) {
@@ -92,7 +118,50 @@ async function main() {
         break;
 
       case "8":
-        await getOwner(contract);
+        await getOwner(contract, signerAddress);
+        break;
+
+      case "9":
+        await createShareOrder(contract, signer);
+        break;
+
+      case "10":
+        await fillShareOrder(contract);
+        break;
+
+      case "11":
+        await cancelShareOrder(contract);
+        break;
+
+      case "12":
+        await transferShares(contract, signer);
+        break;
+
+      case "13":
+        await viewShareOrders(contract);
+        break;
+
+      case "14":
+        await claimReturns(contract, signer);
+        break;
+
+      case "15":
+        await manageRole(contract);
+        break;
+
+      case "16":
+        await transferOwnership(contract, signerAddress);
+        break;
+
+      case "17":
+        await setHoldingLimits(contract);
+        break;
+
+      case "18":
+        await viewDistributionHistory(contract);
+        break;
+      case "19":
+        await claimConfidentialReturns(contract);
         break;
 
       case "0":
@@ -133,8 +202,27 @@ async function registerInvestor(contract, signer) {
     return;
   }
 
+  const jurisdictions = (await askQuestion(`Jurisdictions (comma-separated: ${Object.keys(JURISDICTIONS).join(", ")}): `))
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+  const accredited = (await askQuestion("Accredited investor? (y/n): ")).trim().toLowerCase() === "y";
+
+  const signerUrl = process.env.KYC_SIGNER_URL || DEFAULT_KYC_SIGNER_URL;
+  console.log(`Requesting KYC attestation from ${signerUrl}...`);
+  const { chainId } = await ethers.provider.getNetwork();
+  const { attestation, signature } = await requestAttestation({
+    investor: await signer.getAddress(),
+    contractAddress: await contract.getAddress(),
+    chainId,
+    jurisdictions,
+    accredited
+  }, signerUrl);
+  console.log(`Attested:         ${decodeJurisdictions(attestation.jurisdictions).join(", ")}${attestation.accredited ? ", accredited" : ""}`);
+  console.log(`Expires:          ${new Date(attestation.expiresAt * 1000).toISOString()}`);
+
   console.log("Sending registration transaction...");
-  const tx = await contract.registerInvestor();
+  const tx = await contract.registerInvestor(attestation, signature);
   console.log(`Transaction Hash: ${tx.hash}`);
 
   console.log("Waiting for confirmation...");
@@ -149,12 +237,20 @@ async function listArtwork(contract, signer) {
 
   const name = await askQuestion("Artwork Name: ");
   const artist = await askQuestion("Artist Name: ");
-  const ipfsHash = await askQuestion("IPFS Hash: ");
+  const ipfsHash = normalizeCid(await askQuestion("Metadata CID: "));
+  if (!isValidCid(ipfsHash)) {
+    console.log("❌ Invalid IPFS CID");
+    return;
+  }
   const totalValue = await askQuestion("Total Value (ETH): ");
   const totalShares = await askQuestion("Total Shares: ");
 
   const totalValueWei = ethers.parseEther(totalValue);
   const sharePrice = totalValueWei / BigInt(totalShares);
+  if (sharePrice * BigInt(totalShares) !== totalValueWei || !isWholeValueUnit(sharePrice)) {
+    console.log("❌ Total value must split into a share price of whole gwei");
+    return;
+  }
 
   console.log("\n📋 Artwork Details");
   console.log(`Name:           ${name}`);
@@ -191,21 +287,40 @@ async function getArtworkInfo(contract) {
   console.log("\n🎨 Artwork Information");
   console.log("-".repeat(60));
 
-  const artworkId = await askQuestion("Artwork ID: ");
+  const artworkId = await askQuestion("Artwork ID (blank for all): ");
 
   try {
-    const info = await contract.getArtworkInfo(artworkId);
+    if (artworkId.trim() === "") {
+      const artworks = await fetchAllArtworks(contract);
+      if (artworks.length === 0) {
+        console.log("No artworks listed");
+      }
+      for (const artwork of artworks) {
+        const state = artwork.isActive ? "" : "  (inactive)";
+        console.log(`#${artwork.id}  ${artwork.name} by ${artwork.artist}  ${artwork.availableShares}/${artwork.totalShares} shares left${state}`);
+      }
+      return;
+    }
+
+    const [[info]] = await contract.getArtworks(artworkId, 1);
+    if (!info) {
+      throw new Error(`Artwork ${artworkId} does not exist`);
+    }
 
     console.log("\n📋 Artwork Details");
     console.log("-".repeat(60));
-    console.log(`Name:              ${info[0]}`);
-    console.log(`Artist:            ${info[1]}`);
-    console.log(`IPFS Hash:         ${info[2]}`);
-    console.log(`Total Value:       ${ethers.formatEther(info[3])} ETH`);
-    console.log(`Share Price:       ${ethers.formatEther(info[4])} ETH`);
-    console.log(`Total Shares:      ${info[5]}`);
-    console.log(`Available Shares:  ${info[6]}`);
-    console.log(`Investor Count:    ${info[7]}`);
+    console.log(`Name:              ${info.name}`);
+    console.log(`Artist:            ${info.artist}`);
+    console.log(`IPFS Hash:         ${info.ipfsHash}`);
+    console.log(`Total Value:       ${ethers.formatEther(info.totalValue)} ETH`);
+    console.log(`Share Price:       ${ethers.formatEther(info.sharePrice)} ETH`);
+    console.log(`Total Shares:      ${info.totalShares}`);
+    console.log(`Available Shares:  ${info.availableShares}`);
+    console.log(`Investor Count:    ${info.investorCount}`);
+    console.log(`Ownership Cap:     ${await describeOwnershipCap(contract, artworkId)}`);
+    console.log(`Status:            ${info.isActive ? "Active" : "Inactive"}`);
+    console.log(`Creator:           ${info.creator}`);
+    console.log(`Listed:            ${new Date(Number(info.createdAt) * 1000).toLocaleString()}`);
   } catch (error) {
     console.error("❌ Failed to get artwork info");
     console.error(error.message);
@@ -230,6 +345,14 @@ async function makeInvestment(contract, signer) {
   console.log(`Shares:          ${shares}`);
   console.log(`Share Price:     ${ethers.formatEther(sharePrice)} ETH`);
   console.log(`Total Payment:   ${ethers.formatEther(requiredPayment)} ETH`);
+  console.log(`Recorded Value:  ${formatValueUnits(sharesToValueUnits(shares, sharePrice))} (encrypted)`);
+  console.log(`Ownership Cap:   ${await describeOwnershipCap(contract, artworkId)}`);
+
+  const maxExposure = await contract.maxInvestorExposure();
+  if (maxExposure > 0n) {
+    console.log(`Exposure Limit:  ${ethers.formatEther(maxExposure)} ETH across all artworks`);
+  }
+  console.log("⚠️  Shares past a holding limit are not credited; their payment is refunded to your encrypted balance");
 
   const confirm = await askQuestion("\nProceed with investment? (yes/no): ");
 
@@ -249,6 +372,48 @@ async function makeInvestment(contract, signer) {
   }
 }
 
+async function describeOwnershipCap(contract, artworkId) {
+  const bps = await contract.maxOwnershipBps(artworkId);
+  if (bps === 0n) {
+    return "None";
+  }
+  return `${Number(bps) / 100}% (${await contract.maxSharesPerInvestor(artworkId)} shares per investor)`;
+}
+
+async function setHoldingLimits(contract) {
+  console.log("\n🚧 Set Holding Limits");
+  console.log("-".repeat(60));
+  console.log(`Current Exposure Limit: ${ethers.formatEther(await contract.maxInvestorExposure())} ETH (0 = none)`);
+
+  const kind = (await askQuestion("Ownership cap for an artwork (curator) or exposure limit (admin)? (cap/exposure): ")).trim().toLowerCase();
+
+  let tx;
+  if (kind === "cap") {
+    const artworkId = await askQuestion("Artwork ID: ");
+    console.log(`Current Cap: ${await describeOwnershipCap(contract, artworkId)}`);
+    const percent = Number(await askQuestion("Max ownership per investor in % (0 removes the cap): "));
+    if (!(percent >= 0 && percent <= 100)) {
+      console.log("❌ Cap must be between 0 and 100%");
+      return;
+    }
+    console.log("Sending transaction...");
+    tx = await contract.setOwnershipCap(artworkId, Math.round(percent * 100));
+  } else if (kind === "exposure") {
+    const limit = await askQuestion("Max total investment per investor in ETH (0 removes the limit): ");
+    console.log("Sending transaction...");
+    tx = await contract.setExposureLimit(ethers.parseEther(limit.trim()));
+  } else {
+    console.log("❌ Invalid choice");
+    return;
+  }
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  await tx.wait();
+
+  console.log("✅ Holding limit updated");
+}
+
 async function checkInvestmentStatus(contract, address) {
   console.log("\n📊 Investment Status");
   console.log("-".repeat(60));
@@ -275,12 +440,289 @@ async function checkIfRegistered(contract, address) {
   console.log(`Status: ${isRegistered ? "✅ Registered" : "❌ Not Registered"}`);
 }
 
-async function getOwner(contract) {
+const ROLES = ["ADMIN_ROLE", "CURATOR_ROLE", "TREASURER_ROLE", "GUARDIAN_ROLE"];
+
+async function getOwner(contract, signerAddress) {
   console.log("\n👤 Contract Owner");
   console.log("-".repeat(60));
 
   const owner = await contract.owner();
+  const pendingOwner = await contract.pendingOwner();
   console.log(`Owner Address: ${owner}`);
+  if (pendingOwner !== ethers.ZeroAddress) {
+    console.log(`Pending Owner: ${pendingOwner}`);
+  }
+
+  console.log("\nYour Roles");
+  for (const role of ROLES) {
+    const held = await contract.hasRole(ethers.id(role), signerAddress);
+    console.log(`${role.padEnd(15)} ${held ? "✅" : "❌"}`);
+  }
+}
+
+async function manageRole(contract) {
+  console.log("\n🔑 Grant or Revoke Role");
+  console.log("-".repeat(60));
+
+  const role = (await askQuestion(`Role (${ROLES.join(", ")}): `)).trim().toUpperCase();
+  if (!ROLES.includes(role)) {
+    console.log("❌ Unknown role");
+    return;
+  }
+
+  const account = await askQuestion("Account Address: ");
+  if (!ethers.isAddress(account)) {
+    console.log("❌ Invalid account address");
+    return;
+  }
+
+  const action = (await askQuestion("Grant or revoke? (grant/revoke): ")).trim().toLowerCase();
+  if (action !== "grant" && action !== "revoke") {
+    console.log("❌ Invalid action");
+    return;
+  }
+
+  console.log("Sending transaction...");
+  const tx = action === "grant"
+    ? await contract.grantRole(ethers.id(role), account)
+    : await contract.revokeRole(ethers.id(role), account);
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  await tx.wait();
+
+  console.log(`✅ ${role} ${action === "grant" ? "granted to" : "revoked from"} ${account}`);
+}
+
+async function transferOwnership(contract, signerAddress) {
+  console.log("\n👑 Transfer or Accept Ownership");
+  console.log("-".repeat(60));
+
+  let tx;
+  let done;
+  if ((await contract.pendingOwner()) === signerAddress) {
+    console.log("You are the pending owner. Accepting ownership...");
+    tx = await contract.acceptOwnership();
+    done = "✅ You are now the owner";
+  } else {
+    const newOwner = await askQuestion("New Owner Address: ");
+    if (!ethers.isAddress(newOwner)) {
+      console.log("❌ Invalid owner address");
+      return;
+    }
+    tx = await contract.transferOwnership(newOwner);
+    done = `✅ Transfer started; ${newOwner} becomes owner once they accept`;
+  }
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  await tx.wait();
+
+  console.log(done);
+}
+
+async function createShareOrder(contract, signer) {
+  console.log("\n🏷️  List Shares For Sale");
+  console.log("-".repeat(60));
+
+  const artworkId = await askQuestion("Artwork ID: ");
+  const shares = await askQuestion("Number of Shares (encrypted): ");
+  const price = await askQuestion("Price for the whole lot (ETH): ");
+
+  console.log("\nEncrypting share amount...");
+  const { handle, inputProof } = await encryptUint32(
+    await contract.getAddress(),
+    await signer.getAddress(),
+    BigInt(shares)
+  );
+
+  console.log("Sending transaction...");
+  const tx = await contract.createShareOrder(artworkId, handle, inputProof, ethers.parseEther(price));
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "ShareOrderCreated");
+
+  console.log(`✅ Order #${event.args.orderId} created! Shares are held in escrow until it is filled or cancelled.`);
+  console.log("   If you hold fewer shares than requested, the order escrows none and a buyer's payment is refunded.");
+  console.log("   Payment for a filled order is credited to your encrypted balance (option 19).");
+}
+
+async function fillShareOrder(contract) {
+  console.log("\n🛒 Buy Share Order");
+  console.log("-".repeat(60));
+
+  const orderId = await askQuestion("Order ID: ");
+  const order = await contract.shareOrders(orderId);
+
+  if (!order.isActive) {
+    console.log("❌ Order is not active");
+    return;
+  }
+
+  console.log("\n📋 Order Summary");
+  console.log("-".repeat(60));
+  console.log(`Artwork ID:      ${order.artworkId}`);
+  console.log(`Seller:          ${order.seller}`);
+  console.log(`Price:           ${ethers.formatEther(order.price)} ETH`);
+  console.log("Shares:          🔐 Encrypted (revealShareOrder lets you decrypt the lot before buying)");
+  console.log("If the lot is empty or your holding limits refuse it, the price is refunded to your encrypted balance.");
+
+  const confirm = await askQuestion("\nProceed with purchase? (yes/no): ");
+
+  if (confirm.toLowerCase() === "yes" || confirm.toLowerCase() === "y") {
+    console.log("\nSending transaction...");
+    const tx = await contract.fillShareOrder(orderId, { value: order.price });
+    console.log(`Transaction Hash: ${tx.hash}`);
+
+    console.log("Waiting for confirmation...");
+    await tx.wait();
+
+    console.log("✅ Order filled! The shares are now in your encrypted holding.");
+  } else {
+    console.log("❌ Purchase cancelled");
+  }
+}
+
+async function cancelShareOrder(contract) {
+  console.log("\n🚫 Cancel Share Order");
+  console.log("-".repeat(60));
+
+  const orderId = await askQuestion("Order ID: ");
+
+  console.log("Sending transaction...");
+  const tx = await contract.cancelShareOrder(orderId);
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  await tx.wait();
+
+  console.log("✅ Order cancelled, escrowed shares returned");
+}
+
+async function transferShares(contract, signer) {
+  console.log("\n🔁 Transfer Shares");
+  console.log("-".repeat(60));
+
+  const artworkId = await askQuestion("Artwork ID: ");
+  const recipient = await askQuestion("Recipient Address: ");
+  const shares = await askQuestion("Number of Shares (encrypted): ");
+
+  if (!ethers.isAddress(recipient)) {
+    console.log("❌ Invalid recipient address");
+    return;
+  }
+
+  console.log("\nEncrypting share amount...");
+  const { handle, inputProof } = await encryptUint32(
+    await contract.getAddress(),
+    await signer.getAddress(),
+    BigInt(shares)
+  );
+
+  console.log("Sending transaction...");
+  const tx = await contract.transferShares(artworkId, recipient, handle, inputProof);
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  await tx.wait();
+
+  console.log("✅ Transfer submitted! If you hold fewer shares than requested, nothing moves.");
+}
+
+async function viewShareOrders(contract) {
+  console.log("\n📖 Open Share Orders");
+  console.log("-".repeat(60));
+
+  const totalOrders = await contract.totalShareOrders();
+  let openOrders = 0;
+
+  for (let i = 0n; i < totalOrders; i++) {
+    const order = await contract.shareOrders(i);
+    if (!order.isActive) continue;
+
+    openOrders++;
+    console.log(`#${i}  Artwork ${order.artworkId}  ${ethers.formatEther(order.price)} ETH  seller ${order.seller}`);
+  }
+
+  if (openOrders === 0) {
+    console.log("No open orders");
+  }
+}
+
+async function viewDistributionHistory(contract) {
+  console.log("\n📜 Distribution History");
+  console.log("-".repeat(60));
+
+  const artworkId = await askQuestion("Artwork ID: ");
+  const rounds = await fetchDistributionRounds(contract, artworkId);
+  if (rounds.length === 0) {
+    console.log("No distribution rounds");
+    return;
+  }
+
+  for (const round of rounds) {
+    const date = new Date(Number(round.createdAt) * 1000).toLocaleString();
+    console.log(`\nRound #${round.id}  ${ethers.formatEther(round.amount)} ETH  ${round.status}  (${date}, request ${round.requestId})`);
+    console.log(`   Per share:   ${ethers.formatEther(round.perShare)} ETH`);
+    if (round.status === "crediting") {
+      console.log(`   Credited:    ${round.creditedHolders} holders so far; continue with the CLI's continue-round`);
+    } else if (round.status === "pending") {
+      console.log("   Credited:    waiting for the Gateway to decrypt the round's total");
+    } else if (round.status === "expired") {
+      console.log(`   Credited:    at most ${ethers.formatEther(round.distributed)} ETH; the Gateway never decrypted the total`);
+    } else {
+      console.log(`   Credited:    ${ethers.formatEther(round.distributed)} ETH in total`);
+    }
+  }
+  console.log("\nEach holder's payout is encrypted and only readable by that holder.");
+}
+
+async function claimReturns(contract, signer) {
+  console.log("\n💰 Claim Sale Payouts and Refunds");
+  console.log("-".repeat(60));
+
+  const credits = await contract.getPendingClaims(await signer.getAddress());
+  if (credits.length === 0) {
+    console.log("Nothing to claim");
+    return;
+  }
+
+  let total = 0n;
+  for (const credit of credits) {
+    total += credit.amount;
+    console.log(`Artwork ${credit.artworkId}  request ${credit.requestId}  ${ethers.formatEther(credit.amount)} ETH`);
+  }
+  console.log(`Total:           ${ethers.formatEther(total)} ETH`);
+
+  console.log("\nSending transaction...");
+  const tx = await contract.claim();
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  await tx.wait();
+
+  console.log("✅ Payouts claimed!");
+}
+
+async function claimConfidentialReturns(contract) {
+  console.log("\n🔐 Claim Confidential Returns");
+  console.log("-".repeat(60));
+  console.log("⚠️  Decrypt your balance in the web app first: an amount above it pays nothing");
+
+  const amount = ethers.parseEther(await askQuestion("Amount (in ETH, whole gwei): "));
+
+  console.log("\nSending transaction...");
+  const tx = await contract.requestConfidentialClaim(amount);
+  console.log(`Transaction Hash: ${tx.hash}`);
+
+  console.log("Waiting for confirmation...");
+  await tx.wait();
+
+  console.log("✅ Claim requested! The Gateway callback sends the ETH once it decrypts the debit.");
 }
 
 if (require.main === module) {
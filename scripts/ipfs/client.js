@@ -0,0 +1,56 @@
+const { isValidCid, verifyCid } = require("../../shared/cid.cjs");
+
+/**
+ * Pinning clients are interchangeable objects with two methods:
+ *
+ *   add(bytes, filename) -> Promise<string>  Pin content, resolve to its CID
+ *   cat(cid)             -> Promise<Buffer>  Fetch pinned content
+ *
+ * createKuboClient talks to anything that serves the Kubo RPC API
+ * (/api/v0/add, /api/v0/cat): a local IPFS node, the stand-in in ./server.js
+ * or a hosted pinning service that exposes the same API.
+ */
+
+/**
+ * @param {object} options
+ * @param {string} options.apiUrl Base URL of the RPC API, e.g. http://127.0.0.1:5001
+ * @param {object} [options.headers] Extra headers, e.g. an Authorization header for a hosted service
+ */
+function createKuboClient({ apiUrl, headers = {} }) {
+  const baseUrl = apiUrl.replace(/\/$/, "");
+
+  async function request(path, body) {
+    const response = await fetch(`${baseUrl}${path}`, { method: "POST", headers, body });
+    if (!response.ok) {
+      throw new Error(`IPFS ${path.split("?")[0]} failed: ${response.status} ${await response.text()}`);
+    }
+    return response;
+  }
+
+  async function add(bytes, filename = "file") {
+    const form = new FormData();
+    form.append("file", new Blob([bytes]), filename);
+
+    const response = await request("/api/v0/add?cid-version=1&raw-leaves=true&pin=true", form);
+    // One JSON object per line; the last one describes the root
+    const lines = (await response.text()).trim().split("\n");
+    return JSON.parse(lines[lines.length - 1]).Hash;
+  }
+
+  async function cat(cid) {
+    if (!isValidCid(cid)) {
+      throw new Error(`Invalid CID: ${cid}`);
+    }
+
+    const response = await request(`/api/v0/cat?arg=${cid}`);
+    const bytes = Buffer.from(await response.arrayBuffer());
+    if (verifyCid(cid, bytes) === false) {
+      throw new Error(`Content returned for ${cid} does not match its hash`);
+    }
+    return bytes;
+  }
+
+  return { add, cat };
+}
+
+module.exports = { createKuboClient };
@@ -0,0 +1,44 @@
+const path = require("path");
+const { createLocalIpfsServer } = require("./server");
+
+/**
+ * Local IPFS stand-in for artwork metadata.
+ *
+ * Usage:
+ *   node scripts/ipfs/index.js
+ *
+ * Environment:
+ *   IPFS_PORT      API and gateway port (default 5001)
+ *   IPFS_DATA_DIR  Where pinned content is kept (default ipfs-data/)
+ */
+
+async function main() {
+  const port = Number(process.env.IPFS_PORT || 5001);
+  const dataDir = process.env.IPFS_DATA_DIR || path.join(__dirname, "..", "..", "ipfs-data");
+
+  const server = createLocalIpfsServer({ dataDir });
+  await new Promise((resolve) => server.listen(port, resolve));
+
+  console.log("=".repeat(60));
+  console.log("Local IPFS Stand-in");
+  console.log("=".repeat(60));
+  console.log(`API:           http://127.0.0.1:${port}/api/v0`);
+  console.log(`Gateway:       http://127.0.0.1:${port}/ipfs/<cid>`);
+  console.log(`Data:          ${dataDir}`);
+  console.log("(Ctrl+C to stop)");
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await new Promise((resolve) => server.close(resolve));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ IPFS Stand-in Failed");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,36 @@
+const { normalizeCid } = require("../../shared/cid.cjs");
+const { METADATA_SCHEMA_VERSION, validateMetadata } = require("../../shared/metadata.cjs");
+
+// Pinning and fetching artwork metadata; the schema is in shared/metadata.mjs
+
+/**
+ * Validate and pin a metadata document. Resolves to the CID for listArtwork.
+ *
+ * @param {object} client Pinning client from ./client.js
+ */
+async function pinMetadata(client, metadata) {
+  const errors = validateMetadata(metadata);
+  if (errors.length > 0) {
+    throw new Error(`Invalid artwork metadata: ${errors.join("; ")}`);
+  }
+  return client.add(Buffer.from(JSON.stringify(metadata)), "metadata.json");
+}
+
+/**
+ * Fetch and validate the metadata document an artwork's ipfsHash points to.
+ */
+async function fetchMetadata(client, cid) {
+  const metadata = JSON.parse((await client.cat(normalizeCid(cid))).toString("utf8"));
+  const errors = validateMetadata(metadata);
+  if (errors.length > 0) {
+    throw new Error(`Metadata ${cid} does not match the schema: ${errors.join("; ")}`);
+  }
+  return metadata;
+}
+
+module.exports = {
+  METADATA_SCHEMA_VERSION,
+  validateMetadata,
+  pinMetadata,
+  fetchMetadata
+};
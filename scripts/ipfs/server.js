@@ -0,0 +1,169 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { computeCid, isValidCid } = require("../../shared/cid.cjs");
+
+/**
+ * Local IPFS stand-in for development and tests.
+ *
+ * Serves the two Kubo RPC calls the pinning client uses and a read-only
+ * gateway, all on one port:
+ *
+ *   POST /api/v0/add      multipart upload, responds { Name, Hash, Size }
+ *   POST /api/v0/cat      ?arg=<cid>, responds with the content
+ *   GET  /ipfs/:cid       gateway read, used by the React app for images
+ *
+ * Content is addressed as CIDv1 raw/sha2-256, matching a real node for files
+ * up to 256 KiB. Nothing is chunked or announced to the network.
+ */
+
+const SIGNATURES = [
+  [[0x89, 0x50, 0x4e, 0x47], "image/png"],
+  [[0xff, 0xd8, 0xff], "image/jpeg"],
+  [[0x47, 0x49, 0x46, 0x38], "image/gif"],
+  [[0x25, 0x50, 0x44, 0x46], "application/pdf"],
+  [[0x7b], "application/json"]
+];
+
+function contentTypeOf(bytes) {
+  const match = SIGNATURES.find(([magic]) => magic.every((byte, i) => bytes[i] === byte));
+  if (match) return match[1];
+  if (bytes.subarray(0, 4).toString() === "RIFF" && bytes.subarray(8, 12).toString() === "WEBP") return "image/webp";
+  return "application/octet-stream";
+}
+
+// In-memory by default; with a directory, content survives restarts
+function createStore(dataDir) {
+  if (!dataDir) {
+    const blocks = new Map();
+    return {
+      put: (cid, bytes) => blocks.set(cid, bytes),
+      get: (cid) => blocks.get(cid) || null
+    };
+  }
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  return {
+    put: (cid, bytes) => fs.writeFileSync(path.join(dataDir, cid), bytes),
+    get: (cid) => {
+      const file = path.join(dataDir, cid);
+      return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }
+  };
+}
+
+// Files from a multipart/form-data body as [{ filename, bytes }]
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+  if (!match) return [];
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const files = [];
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString();
+      const filename = /filename="([^"]*)"/.exec(headers);
+      if (filename) {
+        files.push({ filename: filename[1], bytes: part.subarray(headerEnd + 4) });
+      }
+    }
+    start = next;
+  }
+
+  return files;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Create (but do not start) the stand-in server.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dataDir] Directory to keep content in; memory when omitted
+ * @returns {http.Server}
+ */
+function createLocalIpfsServer(options = {}) {
+  const store = createStore(options.dataDir);
+
+  function send(res, status, body, contentType = "application/json") {
+    res.writeHead(status, {
+      "Content-Type": contentType,
+      "Access-Control-Allow-Origin": "*"
+    });
+    res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+  }
+
+  function sendError(res, status, message) {
+    send(res, status, { Message: message, Code: 0, Type: "error" });
+  }
+
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Authorization, Content-Type"
+      });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (req.method === "POST" && url.pathname === "/api/v0/add") {
+        const files = parseMultipart(await readBody(req), req.headers["content-type"]);
+        if (files.length === 0) {
+          sendError(res, 400, "No file in request");
+          return;
+        }
+
+        const lines = files.map(({ filename, bytes }) => {
+          const cid = computeCid(bytes);
+          store.put(cid, bytes);
+          return JSON.stringify({ Name: filename, Hash: cid, Size: String(bytes.length) });
+        });
+        send(res, 200, Buffer.from(lines.join("\n") + "\n"));
+        return;
+      }
+
+      const catCid = req.method === "POST" && url.pathname === "/api/v0/cat" ? url.searchParams.get("arg") : null;
+      const gatewayCid = req.method === "GET" ? (/^\/ipfs\/([^/]+)$/.exec(url.pathname) || [])[1] : null;
+      const cid = catCid || gatewayCid;
+
+      if (cid) {
+        if (!isValidCid(cid)) {
+          sendError(res, 400, `invalid CID: ${cid}`);
+          return;
+        }
+        const bytes = store.get(cid);
+        if (!bytes) {
+          sendError(res, 404, `${cid} is not pinned on this node`);
+          return;
+        }
+        send(res, 200, bytes, gatewayCid ? contentTypeOf(bytes) : "application/octet-stream");
+        return;
+      }
+
+      sendError(res, 404, `Unknown route: ${req.method} ${url.pathname}`);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  });
+}
+
+module.exports = { createLocalIpfsServer };
@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+
+/**
+ * EIP-712 KYC attestations accepted by PrivateArtInvestment.registerInvestor.
+ *
+ * An attestation says that `investor` passed KYC, may invest from the
+ * jurisdictions in the `jurisdictions` bit set, and whether they are
+ * accredited. It is signed by the contract's kycVerifier and stops being
+ * accepted at `expiresAt`.
+ */
+
+// Development-only key, public by design. deploy.js and the test fixtures make its address the
+// kycVerifier on local networks; set KYC_VERIFIER for anything else.
+const LOCAL_KYC_SIGNER_PRIVATE_KEY = "0x6c6ca3c2f42ddf999672521e3ba231f02c2607f3556218e5da35d0ea4b4686a4";
+const LOCAL_KYC_SIGNER_ADDRESS = new ethers.Wallet(LOCAL_KYC_SIGNER_PRIVATE_KEY).address;
+
+// One bit per jurisdiction; artworks list the bits they accept in their eligibility rule
+const JURISDICTIONS = {
+  US: 1 << 0,
+  EU: 1 << 1,
+  UK: 1 << 2,
+  CH: 1 << 3,
+  SG: 1 << 4
+};
+
+const DEFAULT_VALIDITY_SECONDS = 365 * 24 * 60 * 60;
+
+// Must match KYC_ATTESTATION_TYPEHASH in the contract
+const KYC_ATTESTATION_TYPES = {
+  KycAttestation: [
+    { name: "investor", type: "address" },
+    { name: "jurisdictions", type: "uint32" },
+    { name: "accredited", type: "bool" },
+    { name: "issuedAt", type: "uint64" },
+    { name: "expiresAt", type: "uint64" }
+  ]
+};
+
+function kycDomain(contractAddress, chainId) {
+  return {
+    name: "PrivateArtInvestment",
+    version: "1",
+    chainId,
+    verifyingContract: contractAddress
+  };
+}
+
+/**
+ * Jurisdiction codes to the on-chain bit set.
+ *
+ * @param {string[]} codes e.g. ["US", "EU"]
+ * @returns {number}
+ */
+function encodeJurisdictions(codes) {
+  return codes.reduce((flags, code) => {
+    const bit = JURISDICTIONS[String(code).toUpperCase()];
+    if (!bit) throw new Error(`Unknown jurisdiction: ${code}`);
+    return flags | bit;
+  }, 0);
+}
+
+function decodeJurisdictions(flags) {
+  return Object.keys(JURISDICTIONS).filter((code) => (Number(flags) & JURISDICTIONS[code]) !== 0);
+}
+
+/**
+ * Sign an attestation for one investor and one deployment.
+ *
+ * @param {ethers.Signer} signer The contract's kycVerifier
+ * @param {object} request
+ * @param {string} request.contractAddress
+ * @param {number|bigint} request.chainId
+ * @param {string} request.investor
+ * @param {string[]} request.jurisdictions Jurisdiction codes
+ * @param {boolean} [request.accredited]
+ * @param {number} [request.issuedAt] Unix seconds, defaults to now
+ * @param {number} [request.validFor] Seconds until expiry, defaults to one year
+ * @returns {Promise<{attestation: object, signature: string}>}
+ */
+async function signAttestation(signer, request) {
+  const issuedAt = request.issuedAt ?? Math.floor(Date.now() / 1000);
+  const attestation = {
+    investor: ethers.getAddress(request.investor),
+    jurisdictions: encodeJurisdictions(request.jurisdictions),
+    accredited: Boolean(request.accredited),
+    issuedAt,
+    expiresAt: issuedAt + (request.validFor ?? DEFAULT_VALIDITY_SECONDS)
+  };
+
+  const signature = await signer.signTypedData(
+    kycDomain(request.contractAddress, request.chainId),
+    KYC_ATTESTATION_TYPES,
+    attestation
+  );
+
+  return { attestation, signature };
+}
+
+module.exports = {
+  LOCAL_KYC_SIGNER_PRIVATE_KEY,
+  LOCAL_KYC_SIGNER_ADDRESS,
+  JURISDICTIONS,
+  DEFAULT_VALIDITY_SECONDS,
+  KYC_ATTESTATION_TYPES,
+  kycDomain,
+  encodeJurisdictions,
+  decodeJurisdictions,
+  signAttestation
+};
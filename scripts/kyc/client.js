@@ -0,0 +1,32 @@
+/**
+ * Client for the KYC signer API served by ./server.js (or a provider that
+ * exposes the same POST /attestations route).
+ */
+
+const DEFAULT_KYC_SIGNER_URL = "http://127.0.0.1:4100";
+
+/**
+ * Ask the signer for an attestation.
+ *
+ * @param {object} request investor, contractAddress, chainId, jurisdictions, accredited
+ * @param {string} [signerUrl] Base URL of the signer API
+ * @returns {Promise<{attestation: object, signature: string, verifier: string}>}
+ */
+async function requestAttestation(request, signerUrl = DEFAULT_KYC_SIGNER_URL) {
+  const response = await fetch(`${signerUrl.replace(/\/$/, "")}/attestations`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...request, chainId: Number(request.chainId) })
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`KYC signer refused the request: ${body.error || response.status}`);
+  }
+  return body;
+}
+
+module.exports = {
+  DEFAULT_KYC_SIGNER_URL,
+  requestAttestation
+};
@@ -0,0 +1,50 @@
+const { ethers } = require("ethers");
+const { LOCAL_KYC_SIGNER_PRIVATE_KEY, DEFAULT_VALIDITY_SECONDS } = require("./attestation");
+const { createKycSignerServer } = require("./server");
+
+/**
+ * Development KYC signer service.
+ *
+ * Usage:
+ *   node scripts/kyc/index.js
+ *
+ * Environment:
+ *   KYC_PORT                 Port (default 4100)
+ *   KYC_SIGNER_PRIVATE_KEY   Signing key (default: the public development key)
+ *   KYC_VALIDITY_DAYS        Days an attestation stays valid (default 365)
+ */
+
+async function main() {
+  const port = Number(process.env.KYC_PORT || 4100);
+  const signer = new ethers.Wallet(process.env.KYC_SIGNER_PRIVATE_KEY || LOCAL_KYC_SIGNER_PRIVATE_KEY);
+  const validFor = process.env.KYC_VALIDITY_DAYS
+    ? Number(process.env.KYC_VALIDITY_DAYS) * 24 * 60 * 60
+    : DEFAULT_VALIDITY_SECONDS;
+
+  const server = createKycSignerServer({ signer, validFor });
+  await new Promise((resolve) => server.listen(port, resolve));
+
+  console.log("=".repeat(60));
+  console.log("Development KYC Signer");
+  console.log("=".repeat(60));
+  console.log(`API:           http://127.0.0.1:${port}/attestations`);
+  console.log(`Verifier:      ${signer.address}`);
+  console.log(`Validity:      ${validFor / 86400} days`);
+  console.log("⚠️  Signs every request without identity checks; development only.");
+  console.log("(Ctrl+C to stop)");
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await new Promise((resolve) => server.close(resolve));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ KYC Signer Failed");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,105 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { JURISDICTIONS, signAttestation } = require("./attestation");
+
+/**
+ * Development KYC signer.
+ *
+ *   GET  /health        { status, verifier }
+ *   POST /attestations  { investor, contractAddress, chainId, jurisdictions: ["US"], accredited }
+ *                       responds { attestation, signature, verifier }
+ *
+ * It signs whatever the caller declares: there are no identity checks. A
+ * production verifier runs the same signing step after its own KYC review.
+ */
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString() || "{}"));
+      } catch (error) {
+        reject(new RequestError(400, "Body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function parseRequest(body) {
+  const { investor, contractAddress, chainId, jurisdictions, accredited } = body;
+
+  if (!ethers.isAddress(investor)) throw new RequestError(400, `Invalid investor address: ${investor}`);
+  if (!ethers.isAddress(contractAddress)) throw new RequestError(400, `Invalid contract address: ${contractAddress}`);
+  if (!Number.isInteger(Number(chainId)) || Number(chainId) <= 0) throw new RequestError(400, `Invalid chainId: ${chainId}`);
+  if (!Array.isArray(jurisdictions) || jurisdictions.length === 0) {
+    throw new RequestError(400, "jurisdictions must list at least one jurisdiction code");
+  }
+  const unknown = jurisdictions.filter((code) => !JURISDICTIONS[String(code).toUpperCase()]);
+  if (unknown.length > 0) {
+    throw new RequestError(400, `Unknown jurisdiction: ${unknown.join(", ")} (known: ${Object.keys(JURISDICTIONS).join(", ")})`);
+  }
+
+  return { investor, contractAddress, chainId: Number(chainId), jurisdictions, accredited: accredited === true };
+}
+
+/**
+ * Create (but do not start) the signer server.
+ *
+ * @param {object} options
+ * @param {ethers.Signer} options.signer Key the contract's kycVerifier points at
+ * @param {number} [options.validFor] Seconds an attestation stays valid
+ * @returns {http.Server}
+ */
+function createKycSignerServer({ signer, validFor }) {
+  function send(res, status, body) {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*"
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type"
+      });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (req.method === "GET" && url.pathname === "/health") {
+        send(res, 200, { status: "ok", verifier: await signer.getAddress() });
+        return;
+      }
+
+      if (req.method === "POST" && url.pathname === "/attestations") {
+        const request = parseRequest(await readJson(req));
+        const { attestation, signature } = await signAttestation(signer, { ...request, validFor });
+        send(res, 200, { attestation, signature, verifier: await signer.getAddress() });
+        return;
+      }
+
+      send(res, 404, { error: `Unknown route: ${req.method} ${url.pathname}` });
+    } catch (error) {
+      send(res, error.status || 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createKycSignerServer };
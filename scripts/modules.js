@@ -0,0 +1,35 @@
+const { ethers } = require("hardhat");
+
+/**
+ * The contracts PrivateArtInvestment delegates part of its functions to
+ * (contracts/modules), in the order its constructor takes their addresses.
+ */
+const MODULE_NAMES = [
+  "PrimaryOffering",
+  "ShareMarket",
+  "ReturnsDistribution",
+  "SaleSettlement",
+  "WithdrawalQueue"
+];
+
+/**
+ * Deploy one instance of every module.
+ *
+ * @returns {Promise<Array<{ name: string, contract: ethers.Contract, address: string }>>}
+ *   in constructor order, so `modules.map((m) => m.address)` are the constructor arguments
+ */
+async function deployModules() {
+  const modules = [];
+  for (const name of MODULE_NAMES) {
+    const factory = await ethers.getContractFactory(name);
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    modules.push({ name, contract, address: await contract.getAddress() });
+  }
+  return modules;
+}
+
+module.exports = {
+  MODULE_NAMES,
+  deployModules
+};
@@ -1,4 +1,15 @@
 const { ethers } = require("hardhat");
+const { createGatewayRelayer, decryptHandle } = require("./gateway-relayer");
+const { fetchAllArtworks } = require("./artworks");
+const { fromValueUnits } = require("../shared/units.cjs");
+const {
+  SAMPLE_ARTWORKS,
+  SAMPLE_INVESTMENTS,
+  SAMPLE_DISTRIBUTION,
+  sharePriceOf,
+  deployContract,
+  attestInvestor
+} = require("./fixtures");
 
 async function main() {
   console.log("=".repeat(60));
@@ -10,9 +21,7 @@ async function main() {
 
   // Deploy contract
   const [owner, investor1, investor2, investor3] = await ethers.getSigners();
-  const PrivateArtInvestment = await ethers.getContractFactory("PrivateArtInvestment");
-  const contract = await PrivateArtInvestment.deploy();
-  await contract.waitForDeployment();
+  const contract = await deployContract();
 
   const contractAddress = await contract.getAddress();
   console.log(`✅ Contract deployed at: ${contractAddress}`);
@@ -23,20 +32,16 @@ async function main() {
   console.log("Step 1: Registering Investors");
   console.log("=".repeat(60));
 
-  console.log("\nRegistering Investor 1...");
-  let tx = await contract.connect(investor1).registerInvestor();
-  await tx.wait();
-  console.log(`✅ Investor 1 registered: ${await investor1.getAddress()}`);
-
-  console.log("\nRegistering Investor 2...");
-  tx = await contract.connect(investor2).registerInvestor();
-  await tx.wait();
-  console.log(`✅ Investor 2 registered: ${await investor2.getAddress()}`);
-
-  console.log("\nRegistering Investor 3...");
-  tx = await contract.connect(investor3).registerInvestor();
-  await tx.wait();
-  console.log(`✅ Investor 3 registered: ${await investor3.getAddress()}`);
+  // Each registration carries a KYC attestation from the development signer
+  const newInvestors = [investor1, investor2, investor3];
+  let tx;
+  for (let i = 0; i < newInvestors.length; i++) {
+    console.log(`\nRegistering Investor ${i + 1}...`);
+    const { attestation, signature } = await attestInvestor(contract, newInvestors[i].address);
+    tx = await contract.connect(newInvestors[i]).registerInvestor(attestation, signature);
+    await tx.wait();
+    console.log(`✅ Investor ${i + 1} registered: ${await newInvestors[i].getAddress()}`);
+  }
 
   // Verification
   const stats1 = await contract.getTotalStats();
@@ -47,33 +52,11 @@ async function main() {
   console.log("Step 2: Listing Artworks");
   console.log("=".repeat(60));
 
-  const artworks = [
-    {
-      name: "The Starry Night Redux",
-      artist: "Vincent Van Gogh Estate",
-      ipfsHash: "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
-      totalValue: ethers.parseEther("10.0"),
-      totalShares: 100
-    },
-    {
-      name: "Digital Dreams #42",
-      artist: "Anonymous Digital Artist",
-      ipfsHash: "QmPZ9gcCEpqKTo6aq61g2nXGUhM4iCL3ewB6LDXZCtWRnd",
-      totalValue: ethers.parseEther("5.0"),
-      totalShares: 50
-    },
-    {
-      name: "Abstract Reality",
-      artist: "Contemporary Collective",
-      ipfsHash: "QmRAQB6YaCyidP37UdDnjFY5vQuiBrcqdyoW1CuDgwxkD4",
-      totalValue: ethers.parseEther("15.0"),
-      totalShares: 150
-    }
-  ];
+  const artworks = SAMPLE_ARTWORKS;
 
   for (let i = 0; i < artworks.length; i++) {
     const artwork = artworks[i];
-    const sharePrice = artwork.totalValue / BigInt(artwork.totalShares);
+    const sharePrice = sharePriceOf(artwork);
 
     console.log(`\nListing Artwork ${i}: ${artwork.name}`);
     console.log(`  Artist:       ${artwork.artist}`);
@@ -101,13 +84,13 @@ async function main() {
   console.log("Step 3: Making Private Investments");
   console.log("=".repeat(60));
 
-  const investments = [
-    { investor: investor1, artworkId: 0, shares: 10, name: "Investor 1" },
-    { investor: investor2, artworkId: 0, shares: 20, name: "Investor 2" },
-    { investor: investor3, artworkId: 1, shares: 5, name: "Investor 3" },
-    { investor: investor1, artworkId: 2, shares: 15, name: "Investor 1" },
-    { investor: investor2, artworkId: 2, shares: 25, name: "Investor 2" }
-  ];
+  const investors = [investor1, investor2, investor3];
+  const investorNames = ["Investor 1", "Investor 2", "Investor 3"];
+  const investments = SAMPLE_INVESTMENTS.map((investment) => ({
+    ...investment,
+    investor: investors[investment.investorIndex],
+    name: investorNames[investment.investorIndex]
+  }));
 
   for (const investment of investments) {
     const artworkInfo = await contract.getArtworkInfo(investment.artworkId);
@@ -138,22 +121,16 @@ async function main() {
   console.log(`  Total Investors: ${finalStats[1]}`);
 
   console.log(`\n🎨 Artwork Details:`);
-  for (let i = 0; i < Number(finalStats[0]); i++) {
-    const info = await contract.getArtworkInfo(i);
-    const investorCount = await contract.getArtworkInvestors(i);
-
-    console.log(`\nArtwork ${i}: ${info[0]}`);
-    console.log(`  Artist:            ${info[1]}`);
-    console.log(`  Total Value:       ${ethers.formatEther(info[3])} ETH`);
-    console.log(`  Share Price:       ${ethers.formatEther(info[4])} ETH`);
-    console.log(`  Available Shares:  ${info[6]} / ${info[5]}`);
-    console.log(`  Investors:         ${investorCount}`);
+  for (const artwork of await fetchAllArtworks(contract)) {
+    console.log(`\nArtwork ${artwork.id}: ${artwork.name}`);
+    console.log(`  Artist:            ${artwork.artist}`);
+    console.log(`  Total Value:       ${ethers.formatEther(artwork.totalValue)} ETH`);
+    console.log(`  Share Price:       ${ethers.formatEther(artwork.sharePrice)} ETH`);
+    console.log(`  Available Shares:  ${artwork.availableShares} / ${artwork.totalShares}`);
+    console.log(`  Investors:         ${artwork.investorCount}`);
   }
 
   console.log(`\n💼 Investment Status (Sample Check):`);
-  const investors = [investor1, investor2, investor3];
-  const investorNames = ["Investor 1", "Investor 2", "Investor 3"];
-
   for (let i = 0; i < investors.length; i++) {
     const address = await investors[i].getAddress();
     const isRegistered = await contract.isInvestorRegistered(address);
@@ -161,21 +138,47 @@ async function main() {
     console.log(`\n${investorNames[i]} (${address}):`);
     console.log(`  Registered: ${isRegistered ? "✅" : "❌"}`);
 
-    // Check investments in each artwork
-    let investmentCount = 0;
-    for (let artId = 0; artId < Number(finalStats[0]); artId++) {
+    // Check investments in each artwork the investor holds
+    const artworkIds = await contract.getInvestorArtworks(address);
+    for (const artId of artworkIds) {
       const status = await contract.getInvestmentStatus(address, artId);
-      if (status[0]) {
-        investmentCount++;
-        const date = new Date(Number(status[1]) * 1000);
-        console.log(`  Artwork ${artId}: ✅ Invested at ${date.toLocaleString()}`);
-      }
+      const date = new Date(Number(status[1]) * 1000);
+      console.log(`  Artwork ${artId}: ✅ Invested at ${date.toLocaleString()}`);
     }
-    if (investmentCount === 0) {
+    if (artworkIds.length === 0) {
       console.log(`  No investments yet`);
     }
   }
 
+  // Simulation Step 5: Returns Distribution through the local Gateway
+  console.log("\n" + "=".repeat(60));
+  console.log("Step 5: Returns Distribution via Gateway Callback");
+  console.log("=".repeat(60));
+
+  const relayer = createGatewayRelayer(contract);
+  const distributionArtworkId = SAMPLE_DISTRIBUTION.artworkId;
+  const returnsAmount = SAMPLE_DISTRIBUTION.amount;
+
+  console.log(`\nDistributing ${ethers.formatEther(returnsAmount)} ETH to Artwork ${distributionArtworkId} investors`);
+  tx = await contract.requestReturnsDistribution(distributionArtworkId, { value: returnsAmount });
+  const requestReceipt = await tx.wait();
+  console.log(`  ✅ Payouts credited under encryption`);
+
+  await relayer.fulfillFromReceipt(requestReceipt);
+  const round = await contract.distributionRounds((await contract.totalDistributionRounds()) - 1n);
+  console.log(`  ✅ Gateway revealed the round total: ${ethers.formatEther(round.distributed)} ETH`);
+
+  // Each investor decrypts their own balance and claims it through the Gateway
+  const distributionNames = ["Investor 1", "Investor 2"];
+  const distributionInvestors = [investor1, investor2];
+  for (let i = 0; i < distributionInvestors.length; i++) {
+    const encrypted = await contract.getEncryptedClaimable(distributionInvestors[i].address);
+    const claimable = fromValueUnits(decryptHandle(encrypted.handle).value);
+    tx = await contract.connect(distributionInvestors[i]).requestConfidentialClaim(claimable);
+    await relayer.fulfillFromReceipt(await tx.wait());
+    console.log(`  ${distributionNames[i]} claimed: ${ethers.formatEther(claimable)} ETH`);
+  }
+
   // Display privacy features
   console.log("\n" + "=".repeat(60));
   console.log("Privacy Features Demonstration");
@@ -183,6 +186,7 @@ async function main() {
   console.log("\n🔒 All investment amounts are encrypted using FHE");
   console.log("🔒 Individual share quantities are private");
   console.log("🔒 Portfolio values are encrypted");
+  console.log("🔒 Returns are computed and credited under encryption; only round totals are decrypted");
   console.log("✅ Only the investor can decrypt their own data");
   console.log("✅ Contract owner cannot see individual investment details");
 
@@ -1,6 +1,16 @@
 const { run } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { requireDeployment, updateDeployment } = require("./deployments");
+
+// Verify one contract, treating one Etherscan already knows as done
+async function verifyContract(args) {
+  try {
+    await run("verify:verify", args);
+  } catch (error) {
+    if (!error.message.includes("Already Verified")) {
+      throw error;
+    }
+  }
+}
 
 async function main() {
   console.log("=".repeat(60));
@@ -8,16 +18,7 @@ async function main() {
   console.log("=".repeat(60));
 
   // Load deployment data
-  const deploymentFile = path.join(__dirname, "..", "deployments", `${hre.network.name}.json`);
-
-  if (!fs.existsSync(deploymentFile)) {
-    console.error("\n❌ Deployment file not found!");
-    console.error(`Please deploy the contract first using:`);
-    console.error(`npx hardhat run scripts/deploy.js --network ${hre.network.name}`);
-    process.exit(1);
-  }
-
-  const deploymentData = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const deploymentData = requireDeployment(hre.network.name);
   const contractAddress = deploymentData.contractAddress;
 
   console.log("\n📋 Verification Details");
@@ -42,10 +43,20 @@ async function main() {
     console.log("Waiting for Etherscan to index the contract...");
     await new Promise(resolve => setTimeout(resolve, 10000));
 
+    // The modules PrivateArtInvestment delegates to (contracts/modules), then the contract itself
+    for (const [name, address] of Object.entries(deploymentData.modules || {})) {
+      console.log(`Verifying module ${name} at ${address}...`);
+      await verifyContract({
+        address,
+        constructorArguments: [],
+        contract: `contracts/modules/${name}.sol:${name}`
+      });
+    }
+
     await run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [],
-      contract: "contracts/PrivateArtInvestment.sol:PrivateArtInvestment"
+      constructorArguments: deploymentData.constructorArguments || [],
+      contract: `contracts/${deploymentData.contractName}.sol:${deploymentData.contractName}`
     });
 
     console.log("\n✅ Contract Verified Successfully!");
@@ -60,9 +71,10 @@ async function main() {
     }
 
     // Update deployment data with verification status
-    deploymentData.verified = true;
-    deploymentData.verifiedAt = new Date().toISOString();
-    fs.writeFileSync(deploymentFile, JSON.stringify(deploymentData, null, 2));
+    updateDeployment(hre.network.name, {
+      verified: true,
+      verifiedAt: new Date().toISOString()
+    });
 
     console.log("\n✅ Verification status saved to deployment file");
 
@@ -0,0 +1,114 @@
+const { ethers } = require("hardhat");
+const { requireDeployment } = require("./deployments");
+
+/**
+ * Reserved and free balance, and the timelocked withdrawal queue.
+ *
+ * Usage (contract resolved from deployments/<network>.json):
+ *   npx hardhat run scripts/withdrawals.js --network localhost
+ *
+ * Environment (guardian actions; without WITHDRAWAL_ACTION the script only reports):
+ *   WITHDRAWAL_ACTION  queue, execute or cancel
+ *   WITHDRAWAL_AMOUNT  ETH to queue, e.g. 0.5
+ *   WITHDRAWAL_ID      Withdrawal to execute or cancel
+ */
+
+const ACTIONS = ["queue", "execute", "cancel"];
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+async function report(contract) {
+  const contractAddress = await contract.getAddress();
+  const [balance, reserved, free, pendingDecryption, claimable, delay] = await Promise.all([
+    ethers.provider.getBalance(contractAddress),
+    contract.reservedBalance(),
+    contract.freeBalance(),
+    contract.totalPendingDecryption(),
+    contract.totalClaimable(),
+    contract.WITHDRAWAL_DELAY()
+  ]);
+
+  console.log("\n💰 Balance");
+  console.log("-".repeat(60));
+  console.log(`Contract balance:     ${ethers.formatEther(balance)} ETH`);
+  console.log(`Reserved:             ${ethers.formatEther(reserved)} ETH`);
+  console.log(`  In-flight requests: ${ethers.formatEther(pendingDecryption)} ETH`);
+  console.log(`  Unclaimed credits:  ${ethers.formatEther(claimable)} ETH`);
+  console.log(`Free to queue:        ${ethers.formatEther(free)} ETH`);
+  console.log(`Timelock:             ${Number(delay) / 3600} hours`);
+
+  const [ids, pending] = await contract.getPendingWithdrawals();
+  const { timestamp: now } = await ethers.provider.getBlock("latest");
+
+  console.log("\n⏳ Pending Withdrawals");
+  console.log("-".repeat(60));
+  if (ids.length === 0) {
+    console.log("None");
+  }
+  ids.forEach((id, i) => {
+    const withdrawal = pending[i];
+    const ready = BigInt(now) >= withdrawal.executableAt;
+    console.log(`#${id}: ${ethers.formatEther(withdrawal.amount)} ETH by ${withdrawal.requestedBy}`);
+    console.log(`     ${ready ? "✅ Executable since" : "🔒 Executable at"} ${formatTime(withdrawal.executableAt)}`);
+  });
+}
+
+async function runAction(contract, action) {
+  console.log(`\n🚀 ${action[0].toUpperCase()}${action.slice(1)} withdrawal...`);
+  console.log("-".repeat(60));
+
+  let tx;
+  if (action === "queue") {
+    if (!process.env.WITHDRAWAL_AMOUNT) {
+      throw new Error("WITHDRAWAL_AMOUNT is required to queue a withdrawal");
+    }
+    tx = await contract.queueWithdrawal(ethers.parseEther(process.env.WITHDRAWAL_AMOUNT));
+  } else {
+    if (!/^\d+$/.test(process.env.WITHDRAWAL_ID || "")) {
+      throw new Error(`WITHDRAWAL_ID is required to ${action} a withdrawal`);
+    }
+    const withdrawalId = process.env.WITHDRAWAL_ID;
+    tx = action === "execute"
+      ? await contract.executeWithdrawal(withdrawalId)
+      : await contract.cancelWithdrawal(withdrawalId);
+  }
+
+  console.log(`Transaction:  ${tx.hash}`);
+  await tx.wait();
+  console.log("✅ Done");
+}
+
+async function main() {
+  const deployment = requireDeployment(hre.network.name);
+  const action = process.env.WITHDRAWAL_ACTION;
+  if (action && !ACTIONS.includes(action)) {
+    throw new Error(`WITHDRAWAL_ACTION must be one of ${ACTIONS.join(", ")}`);
+  }
+
+  const contract = await ethers.getContractAt(deployment.contractName, deployment.contractAddress);
+
+  console.log("=".repeat(60));
+  console.log("Timelocked Withdrawals");
+  console.log("=".repeat(60));
+  console.log(`Network:   ${hre.network.name}`);
+  console.log(`Contract:  ${deployment.contractAddress}`);
+
+  if (action) {
+    await runAction(contract, action);
+  }
+  await report(contract);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Withdrawals Failed");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
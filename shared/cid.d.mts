@@ -0,0 +1,14 @@
+// Types of cid.mjs for the React app
+
+export interface ParsedCid {
+  version: 0 | 1;
+  codec: number;
+  hashCode: number;
+  digest: Uint8Array;
+}
+
+export declare function parseCid(cid: string): ParsedCid | null;
+export declare function isValidCid(cid: string): boolean;
+export declare function normalizeCid(value: string): string;
+export declare function computeCid(bytes: Uint8Array): string;
+export declare function verifyCid(cid: string, bytes: Uint8Array): boolean | null;
@@ -0,0 +1,121 @@
+import { decodeBase58, getBytes, sha256, toBeHex } from "ethers";
+
+/**
+ * Minimal CID support for artwork metadata.
+ *
+ * Accepts CIDv0 ("Qm...", base58btc) and CIDv1 in base32 ("b..."), the two
+ * forms IPFS tooling prints. New content is addressed as CIDv1 with the raw
+ * codec and sha2-256, which is what `ipfs add --cid-version=1 --raw-leaves`
+ * produces for files up to one block (256 KiB), so the local stand-in and a
+ * real node agree on the CID of small files.
+ *
+ * Shared by the scripts and the React app, like units.mjs.
+ */
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+const CODEC_RAW = 0x55;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+
+function base32Encode(bytes) {
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    buffer = ((buffer << 5) | value) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  // Leftover bits are padding and must be zero, so every CID has one spelling
+  if ((buffer & ((1 << bits) - 1)) !== 0) return null;
+  return Uint8Array.from(bytes);
+}
+
+// Unsigned LEB128 as used by multiformats; returns [value, nextOffset] or null
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let shift = 0, i = offset; i < bytes.length && shift < 28; shift += 7, i++) {
+    value |= (bytes[i] & 0x7f) << shift;
+    if ((bytes[i] & 0x80) === 0) return [value, i + 1];
+  }
+  return null;
+}
+
+/**
+ * Parse a CID string. Returns { version, codec, hashCode, digest } or null
+ * when the string is not a well-formed CIDv0 or base32 CIDv1.
+ */
+export function parseCid(cid) {
+  if (typeof cid !== "string") return null;
+
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+    const value = decodeBase58(cid);
+    if (value >= 1n << 272n) return null;
+    const bytes = getBytes(toBeHex(value, 34));
+    if (bytes[0] !== SHA2_256 || bytes[1] !== SHA2_256_LENGTH) return null;
+    return { version: 0, codec: 0x70, hashCode: SHA2_256, digest: bytes.slice(2) };
+  }
+
+  if (!/^b[a-z2-7]{10,}$/.test(cid)) return null;
+  const bytes = base32Decode(cid.slice(1));
+  if (!bytes || bytes[0] !== 1) return null;
+
+  const codec = readVarint(bytes, 1);
+  const hashCode = codec && readVarint(bytes, codec[1]);
+  const length = hashCode && readVarint(bytes, hashCode[1]);
+  if (!length || length[1] + length[0] !== bytes.length || length[0] === 0) return null;
+
+  return { version: 1, codec: codec[0], hashCode: hashCode[0], digest: bytes.slice(length[1]) };
+}
+
+export function isValidCid(cid) {
+  return parseCid(cid) !== null;
+}
+
+// Accept "ipfs://<cid>", "/ipfs/<cid>" or a bare CID; returns the bare CID
+export function normalizeCid(value) {
+  return String(value).trim().replace(/^ipfs:\/\//, "").replace(/^\/ipfs\//, "").replace(/\/$/, "");
+}
+
+/**
+ * CIDv1 (raw codec, sha2-256) of the given bytes.
+ */
+export function computeCid(bytes) {
+  const digest = getBytes(sha256(bytes));
+  return "b" + base32Encode(Uint8Array.from([1, CODEC_RAW, SHA2_256, SHA2_256_LENGTH, ...digest]));
+}
+
+/**
+ * Whether `bytes` are the content `cid` addresses. Only raw-codec sha2-256
+ * CIDs can be checked without a UnixFS decoder; others return null.
+ */
+export function verifyCid(cid, bytes) {
+  const parsed = parseCid(cid);
+  if (!parsed || parsed.codec !== CODEC_RAW || parsed.hashCode !== SHA2_256) return null;
+  return computeCid(bytes) === cid;
+}
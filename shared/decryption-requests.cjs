@@ -0,0 +1,90 @@
+// Generated from decryption-requests.mjs by scripts/build-shared.js. Do not edit.
+"use strict";
+/**
+ * Gateway decryption requests as the operations console sees them: what each one
+ * is for, when its callback times out, when the guardian's emergency refund window
+ * closes and how it ended. Shared by scripts/decryptions.js, the CLI and the
+ * React app's DecryptionRequests panel.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.fetchDecryptionRequests = fetchDecryptionRequests;
+exports.refundOptions = refundOptions;
+exports.formatDuration = formatDuration;
+// Largest first; formatDuration drops the units that are zero
+const DURATION_UNITS = [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]];
+/**
+ * Every request announced by a DecryptionRequested event, oldest first.
+ *
+ * A refunded sale settlement lists the owner's refund for unsold shares; holders
+ * claim theirs under encryption with claimSaleRefund. A refunded returns round has
+ * expired: its holders keep their payouts and the rest went to the free balance.
+ *
+ * @param {ethers.Contract} contract PrivateArtInvestment instance
+ * @param {object} [options]
+ * @param {number|bigint} [options.artworkId] Only requests for this artwork
+ * @param {number} [options.fromBlock] First block to search, e.g. the deployment block
+ */
+async function fetchDecryptionRequests(contract, { artworkId = null, fromBlock = 0 } = {}) {
+    const [announced, failures, callbackTimeout, refundWindow] = await Promise.all([
+        contract.queryFilter(contract.filters.DecryptionRequested(null, artworkId), fromBlock),
+        contract.queryFilter(contract.filters.DecryptionFailed(null, artworkId), fromBlock),
+        contract.CALLBACK_TIMEOUT(),
+        contract.MAX_REFUND_WINDOW()
+    ]);
+    const failuresByRequest = new Map(failures.map((event) => [event.args.requestId, event]));
+    const requests = [];
+    for (const event of announced) {
+        const { requestId } = event.args;
+        const request = await contract.decryptionRequests(requestId);
+        const failure = failuresByRequest.get(requestId);
+        let status = "pending";
+        if (request.hasFailed)
+            status = "refunded";
+        else if (request.isProcessed)
+            status = "processed";
+        requests.push({
+            requestId,
+            artworkId: Number(request.artworkId),
+            kind: request.isSaleSettlement ? "sale" : "returns",
+            amount: request.totalReturns,
+            requestedAt: request.requestedAt,
+            timeoutAt: request.requestedAt + callbackTimeout,
+            refundWindowEndsAt: request.requestedAt + refundWindow,
+            status,
+            failureReason: failure ? failure.args.reason : null,
+            refunds: failure ? await fetchRefunds(contract, failure) : [],
+            transactionHash: event.transactionHash
+        });
+    }
+    return requests;
+}
+// RefundIssued carries no request id; a request's refunds share its DecryptionFailed transaction
+async function fetchRefunds(contract, failure) {
+    const issued = await contract.queryFilter(contract.filters.RefundIssued(), failure.blockNumber, failure.blockNumber);
+    return issued
+        .filter((event) => event.transactionHash === failure.transactionHash)
+        .map((event) => ({ investor: event.args.investor, amount: event.args.amount }));
+}
+/**
+ * Which refunds a request accepts at `now` (chain time, in seconds): anyone's timeout
+ * refund from timeoutAt on, and a guardian's emergency refund until refundWindowEndsAt.
+ */
+function refundOptions(request, now) {
+    const open = request.status === "pending";
+    return {
+        refund: open && BigInt(now) >= request.timeoutAt,
+        emergencyRefund: open && BigInt(now) <= request.refundWindowEndsAt
+    };
+}
+// 90061 -> "1d 1h 1m 1s"
+function formatDuration(seconds) {
+    let remaining = Math.max(0, Math.floor(Number(seconds)));
+    const parts = [];
+    for (const [unit, size] of DURATION_UNITS) {
+        if (remaining >= size || (size === 1 && parts.length === 0)) {
+            parts.push(`${Math.floor(remaining / size)}${unit}`);
+            remaining %= size;
+        }
+    }
+    return parts.join(" ");
+}
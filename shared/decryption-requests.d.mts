@@ -0,0 +1,39 @@
+// Types of decryption-requests.mjs for the React app
+
+export type DecryptionRequestKind = 'sale' | 'returns';
+export type DecryptionRequestStatus = 'pending' | 'processed' | 'refunded';
+
+export interface DecryptionRequestRecord {
+  requestId: bigint;
+  artworkId: number;
+  kind: DecryptionRequestKind;
+  amount: bigint;
+  requestedAt: bigint;
+  timeoutAt: bigint;
+  refundWindowEndsAt: bigint;
+  status: DecryptionRequestStatus;
+  failureReason: string | null;
+  refunds: Array<{ investor: string; amount: bigint }>;
+  transactionHash: string;
+}
+
+// The parts of a PrivateArtInvestment contract (ethers or TypeChain) that are read
+export interface DecryptionRequestsContract {
+  filters: any;
+  queryFilter(event: any, fromBlock?: number, toBlock?: number): Promise<any[]>;
+  decryptionRequests(requestId: bigint): Promise<any>;
+  CALLBACK_TIMEOUT(): Promise<bigint>;
+  MAX_REFUND_WINDOW(): Promise<bigint>;
+}
+
+export declare function fetchDecryptionRequests(
+  contract: DecryptionRequestsContract,
+  options?: { artworkId?: number | bigint | null; fromBlock?: number }
+): Promise<DecryptionRequestRecord[]>;
+
+export declare function refundOptions(
+  request: DecryptionRequestRecord,
+  now: bigint | number
+): { refund: boolean; emergencyRefund: boolean };
+
+export declare function formatDuration(seconds: bigint | number): string;
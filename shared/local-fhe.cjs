@@ -0,0 +1,66 @@
+// Generated from local-fhe.mjs by scripts/build-shared.js. Do not edit.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FHE_TYPES = exports.LOCAL_INPUT_SIGNER_PRIVATE_KEY = void 0;
+exports.encryptUint32 = encryptUint32;
+exports.decryptHandle = decryptHandle;
+const ethers_1 = require("ethers");
+/**
+ * Client side of contracts/LocalFHE.sol, the FHE backend PrivateArtInvestment is
+ * deployed with on every network it supports.
+ *
+ * encryptUint32 plays the role of the FHEVM client's createEncryptedInput(): it
+ * builds an euint32 input handle and signs the input proof with the development
+ * input signer, bound to one user, one contract and one chain. decryptHandle reads
+ * the cleartext every LocalFHE handle carries, which is all "decryption" is here.
+ *
+ * Shared by the scripts, the tests and the React app, like units.mjs.
+ */
+// Development-only key, public by design. Its address is LOCAL_INPUT_SIGNER in LocalFHE.sol.
+exports.LOCAL_INPUT_SIGNER_PRIVATE_KEY = "0xf37797d4336bbf5133420574423d5e72d1ac08873777b12d002417285f4a7292";
+// FHE type ids as encoded in byte 23 of a LocalFHE handle
+exports.FHE_TYPES = {
+    4: "uint32",
+    5: "uint64"
+};
+const TYPE_EUINT32 = 4n;
+function buildHandle(typeId, value) {
+    // 23 random tag bytes, then the type id and the 8-byte cleartext
+    const tag = BigInt((0, ethers_1.hexlify)((0, ethers_1.randomBytes)(23)));
+    return (0, ethers_1.toBeHex)((tag << 72n) | (typeId << 64n) | BigInt(value), 32);
+}
+/**
+ * Encrypt a uint32 for one user and one contract.
+ *
+ * @param {string} contractAddress Contract that will call FHE.fromExternal
+ * @param {string} userAddress Account that will submit the transaction
+ * @param {number|bigint} chainId Chain the transaction is sent on
+ * @param {number|bigint} value Cleartext, 0 .. 2^32 - 1
+ * @param {object} [options]
+ * @param {string} [options.inputSignerPrivateKey] Key used to sign the input proof
+ * @returns {Promise<{handle: string, inputProof: string}>}
+ */
+async function encryptUint32(contractAddress, userAddress, chainId, value, options = {}) {
+    if (BigInt(value) < 0n || BigInt(value) > 0xffffffffn) {
+        throw new Error(`Value ${value} does not fit in euint32`);
+    }
+    const inputSigner = new ethers_1.Wallet(options.inputSignerPrivateKey || exports.LOCAL_INPUT_SIGNER_PRIVATE_KEY);
+    const handle = buildHandle(TYPE_EUINT32, value);
+    const digest = (0, ethers_1.keccak256)(ethers_1.AbiCoder.defaultAbiCoder().encode(["bytes32", "address", "address", "uint256"], [handle, userAddress, contractAddress, chainId]));
+    const inputProof = await inputSigner.signMessage((0, ethers_1.getBytes)(digest));
+    return { handle, inputProof };
+}
+/**
+ * The type and cleartext of a LocalFHE handle.
+ *
+ * @param {string} handle 32-byte handle
+ * @returns {{type: string, value: bigint}}
+ */
+function decryptHandle(handle) {
+    const raw = BigInt(handle);
+    const typeId = Number((raw >> 64n) & 0xffn);
+    if (!exports.FHE_TYPES[typeId]) {
+        throw new Error(`Unsupported FHE type ${typeId} in handle ${handle}`);
+    }
+    return { type: exports.FHE_TYPES[typeId], value: raw & 0xffffffffffffffffn };
+}
@@ -0,0 +1,14 @@
+// Types of local-fhe.mjs for the React app
+
+export declare const LOCAL_INPUT_SIGNER_PRIVATE_KEY: string;
+export declare const FHE_TYPES: Record<number, string>;
+
+export declare function encryptUint32(
+  contractAddress: string,
+  userAddress: string,
+  chainId: number | bigint,
+  value: number | bigint,
+  options?: { inputSignerPrivateKey?: string }
+): Promise<{ handle: string; inputProof: string }>;
+
+export declare function decryptHandle(handle: string): { type: string; value: bigint };
@@ -0,0 +1,77 @@
+import { AbiCoder, Wallet, getBytes, hexlify, keccak256, randomBytes, toBeHex } from "ethers";
+
+/**
+ * Client side of contracts/LocalFHE.sol, the FHE backend PrivateArtInvestment is
+ * deployed with on every network it supports.
+ *
+ * encryptUint32 plays the role of the FHEVM client's createEncryptedInput(): it
+ * builds an euint32 input handle and signs the input proof with the development
+ * input signer, bound to one user, one contract and one chain. decryptHandle reads
+ * the cleartext every LocalFHE handle carries, which is all "decryption" is here.
+ *
+ * Shared by the scripts, the tests and the React app, like units.mjs.
+ */
+
+// Development-only key, public by design. Its address is LOCAL_INPUT_SIGNER in LocalFHE.sol.
+export const LOCAL_INPUT_SIGNER_PRIVATE_KEY = "0xf37797d4336bbf5133420574423d5e72d1ac08873777b12d002417285f4a7292";
+
+// FHE type ids as encoded in byte 23 of a LocalFHE handle
+export const FHE_TYPES = {
+  4: "uint32",
+  5: "uint64"
+};
+
+const TYPE_EUINT32 = 4n;
+
+function buildHandle(typeId, value) {
+  // 23 random tag bytes, then the type id and the 8-byte cleartext
+  const tag = BigInt(hexlify(randomBytes(23)));
+  return toBeHex((tag << 72n) | (typeId << 64n) | BigInt(value), 32);
+}
+
+/**
+ * Encrypt a uint32 for one user and one contract.
+ *
+ * @param {string} contractAddress Contract that will call FHE.fromExternal
+ * @param {string} userAddress Account that will submit the transaction
+ * @param {number|bigint} chainId Chain the transaction is sent on
+ * @param {number|bigint} value Cleartext, 0 .. 2^32 - 1
+ * @param {object} [options]
+ * @param {string} [options.inputSignerPrivateKey] Key used to sign the input proof
+ * @returns {Promise<{handle: string, inputProof: string}>}
+ */
+export async function encryptUint32(contractAddress, userAddress, chainId, value, options = {}) {
+  if (BigInt(value) < 0n || BigInt(value) > 0xffffffffn) {
+    throw new Error(`Value ${value} does not fit in euint32`);
+  }
+
+  const inputSigner = new Wallet(options.inputSignerPrivateKey || LOCAL_INPUT_SIGNER_PRIVATE_KEY);
+  const handle = buildHandle(TYPE_EUINT32, value);
+
+  const digest = keccak256(
+    AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "address", "address", "uint256"],
+      [handle, userAddress, contractAddress, chainId]
+    )
+  );
+  const inputProof = await inputSigner.signMessage(getBytes(digest));
+
+  return { handle, inputProof };
+}
+
+/**
+ * The type and cleartext of a LocalFHE handle.
+ *
+ * @param {string} handle 32-byte handle
+ * @returns {{type: string, value: bigint}}
+ */
+export function decryptHandle(handle) {
+  const raw = BigInt(handle);
+  const typeId = Number((raw >> 64n) & 0xffn);
+
+  if (!FHE_TYPES[typeId]) {
+    throw new Error(`Unsupported FHE type ${typeId} in handle ${handle}`);
+  }
+
+  return { type: FHE_TYPES[typeId], value: raw & 0xffffffffffffffffn };
+}
@@ -0,0 +1,87 @@
+// Generated from metadata.mjs by scripts/build-shared.js. Do not edit.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.METADATA_SCHEMA_VERSION = void 0;
+exports.validateMetadata = validateMetadata;
+const cid_mjs_1 = require("./cid.cjs");
+/**
+ * Artwork metadata schema (version 1), pinned to IPFS as JSON. The CID of
+ * the JSON document is what listArtwork stores as `ipfsHash`. Shared by the
+ * scripts and the React app, like units.mjs.
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "name": "The Starry Night Redux",            required
+ *     "artist": "Vincent Van Gogh Estate",         required
+ *     "description": "...",                        required
+ *     "image": "ipfs://<cid>",                     required
+ *     "year": 1889,
+ *     "medium": "Oil on canvas",
+ *     "dimensions": "73.7 × 92.1 cm",
+ *     "provenance": [{ "owner": "...", "from": "1889", "to": "1941", "note": "..." }],
+ *     "appraisals": [{ "appraiser": "...", "value": "1200000", "currency": "USD",
+ *                      "date": "2024-05-01", "document": "ipfs://<cid>" }]
+ *   }
+ */
+exports.METADATA_SCHEMA_VERSION = 1;
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+function isIpfsUri(value) {
+    return typeof value === "string" && value.startsWith("ipfs://") && (0, cid_mjs_1.isValidCid)((0, cid_mjs_1.normalizeCid)(value));
+}
+/**
+ * Check a metadata document against the schema.
+ *
+ * @returns {string[]} Problems found; empty when the document is valid
+ */
+function validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+        return ["Metadata must be a JSON object"];
+    }
+    const errors = [];
+    if (metadata.schemaVersion !== exports.METADATA_SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be ${exports.METADATA_SCHEMA_VERSION}`);
+    }
+    for (const field of ["name", "artist", "description"]) {
+        if (!isNonEmptyString(metadata[field]))
+            errors.push(`${field} is required`);
+    }
+    if (!isIpfsUri(metadata.image)) {
+        errors.push("image must be an ipfs:// URI with a valid CID");
+    }
+    if (metadata.year !== undefined && !Number.isInteger(metadata.year)) {
+        errors.push("year must be an integer");
+    }
+    for (const field of ["medium", "dimensions"]) {
+        if (metadata[field] !== undefined && typeof metadata[field] !== "string") {
+            errors.push(`${field} must be a string`);
+        }
+    }
+    if (metadata.provenance !== undefined) {
+        if (!Array.isArray(metadata.provenance)) {
+            errors.push("provenance must be an array");
+        }
+        else {
+            metadata.provenance.forEach((entry, i) => {
+                if (!entry || !isNonEmptyString(entry.owner))
+                    errors.push(`provenance[${i}].owner is required`);
+            });
+        }
+    }
+    if (metadata.appraisals !== undefined) {
+        if (!Array.isArray(metadata.appraisals)) {
+            errors.push("appraisals must be an array");
+        }
+        else {
+            metadata.appraisals.forEach((entry, i) => {
+                if (!entry || !isNonEmptyString(entry.appraiser))
+                    errors.push(`appraisals[${i}].appraiser is required`);
+                if (entry && entry.document !== undefined && !isIpfsUri(entry.document)) {
+                    errors.push(`appraisals[${i}].document must be an ipfs:// URI with a valid CID`);
+                }
+            });
+        }
+    }
+    return errors;
+}
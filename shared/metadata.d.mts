@@ -0,0 +1,33 @@
+// Types of metadata.mjs for the React app
+
+export declare const METADATA_SCHEMA_VERSION: number;
+
+export interface ProvenanceEntry {
+  owner: string;
+  from?: string;
+  to?: string;
+  note?: string;
+}
+
+export interface Appraisal {
+  appraiser: string;
+  value?: string;
+  currency?: string;
+  date?: string;
+  document?: string;
+}
+
+export interface ArtworkMetadata {
+  schemaVersion: number;
+  name: string;
+  artist: string;
+  description: string;
+  image: string;
+  year?: number;
+  medium?: string;
+  dimensions?: string;
+  provenance?: ProvenanceEntry[];
+  appraisals?: Appraisal[];
+}
+
+export declare function validateMetadata(metadata: unknown): string[];
@@ -0,0 +1,60 @@
+// Generated from units.mjs by scripts/build-shared.js. Do not edit.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MAX_VALUE_UNITS = exports.VALUE_UNIT = void 0;
+exports.isWholeValueUnit = isWholeValueUnit;
+exports.toValueUnits = toValueUnits;
+exports.fromValueUnits = fromValueUnits;
+exports.formatValueUnits = formatValueUnits;
+exports.sharesToValueUnits = sharesToValueUnits;
+const ethers_1 = require("ethers");
+/**
+ * Units of the encrypted amounts kept by PrivateArtInvestment.
+ *
+ * encryptedValue, encryptedTotalInvestment, encrypted claimable balances and
+ * round payouts are euint64 counts of VALUE_UNIT wei (1 gwei). Share prices
+ * must be whole units, so the value recorded for a purchase is exactly what
+ * was paid for its shares.
+ *
+ * Shared by the React app (as `@shared/units.mjs`) and by the scripts and
+ * tests (as the generated units.cjs), so the conversions cannot drift apart.
+ */
+// Must match VALUE_UNIT in the contract
+exports.VALUE_UNIT = 10n ** 9n;
+exports.MAX_VALUE_UNITS = 2n ** 64n - 1n;
+function isWholeValueUnit(wei) {
+    return BigInt(wei) % exports.VALUE_UNIT === 0n;
+}
+/**
+ * Wei to encrypted value units.
+ *
+ * @param {bigint|number|string} wei
+ * @returns {bigint}
+ */
+function toValueUnits(wei) {
+    if (!isWholeValueUnit(wei)) {
+        throw new Error(`${(0, ethers_1.formatEther)(wei)} ETH is not a whole number of gwei`);
+    }
+    const units = BigInt(wei) / exports.VALUE_UNIT;
+    if (units > exports.MAX_VALUE_UNITS) {
+        throw new Error(`${(0, ethers_1.formatEther)(wei)} ETH does not fit in an encrypted amount`);
+    }
+    return units;
+}
+function fromValueUnits(units) {
+    return BigInt(units) * exports.VALUE_UNIT;
+}
+// Encrypted value units as an ETH string, e.g. "1.5 ETH"
+function formatValueUnits(units) {
+    return `${(0, ethers_1.formatEther)(fromValueUnits(units))} ETH`;
+}
+/**
+ * The encrypted value the contract records for `shares` at `sharePrice` wei.
+ *
+ * @param {bigint|number} shares
+ * @param {bigint} sharePrice
+ * @returns {bigint}
+ */
+function sharesToValueUnits(shares, sharePrice) {
+    return BigInt(shares) * toValueUnits(sharePrice);
+}
@@ -0,0 +1,10 @@
+// Types of units.mjs for the React app
+
+export declare const VALUE_UNIT: bigint;
+export declare const MAX_VALUE_UNITS: bigint;
+
+export declare function isWholeValueUnit(wei: bigint | number | string): boolean;
+export declare function toValueUnits(wei: bigint | number | string): bigint;
+export declare function fromValueUnits(units: bigint | number): bigint;
+export declare function formatValueUnits(units: bigint | number): string;
+export declare function sharesToValueUnits(shares: bigint | number, sharePrice: bigint): bigint;
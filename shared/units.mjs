@@ -0,0 +1,58 @@
+import { formatEther } from "ethers";
+
+/**
+ * Units of the encrypted amounts kept by PrivateArtInvestment.
+ *
+ * encryptedValue, encryptedTotalInvestment, encrypted claimable balances and
+ * round payouts are euint64 counts of VALUE_UNIT wei (1 gwei). Share prices
+ * must be whole units, so the value recorded for a purchase is exactly what
+ * was paid for its shares.
+ *
+ * Shared by the React app (as `@shared/units.mjs`) and by the scripts and
+ * tests (as the generated units.cjs), so the conversions cannot drift apart.
+ */
+
+// Must match VALUE_UNIT in the contract
+export const VALUE_UNIT = 10n ** 9n;
+export const MAX_VALUE_UNITS = 2n ** 64n - 1n;
+
+export function isWholeValueUnit(wei) {
+  return BigInt(wei) % VALUE_UNIT === 0n;
+}
+
+/**
+ * Wei to encrypted value units.
+ *
+ * @param {bigint|number|string} wei
+ * @returns {bigint}
+ */
+export function toValueUnits(wei) {
+  if (!isWholeValueUnit(wei)) {
+    throw new Error(`${formatEther(wei)} ETH is not a whole number of gwei`);
+  }
+  const units = BigInt(wei) / VALUE_UNIT;
+  if (units > MAX_VALUE_UNITS) {
+    throw new Error(`${formatEther(wei)} ETH does not fit in an encrypted amount`);
+  }
+  return units;
+}
+
+export function fromValueUnits(units) {
+  return BigInt(units) * VALUE_UNIT;
+}
+
+// Encrypted value units as an ETH string, e.g. "1.5 ETH"
+export function formatValueUnits(units) {
+  return `${formatEther(fromValueUnits(units))} ETH`;
+}
+
+/**
+ * The encrypted value the contract records for `shares` at `sharePrice` wei.
+ *
+ * @param {bigint|number} shares
+ * @param {bigint} sharePrice
+ * @returns {bigint}
+ */
+export function sharesToValueUnits(shares, sharePrice) {
+  return BigInt(shares) * toValueUnits(sharePrice);
+}
@@ -0,0 +1,1742 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createGatewayRelayer, decryptHandle } = require("../scripts/gateway-relayer");
+const { encryptUint32 } = require("../scripts/encrypted-input");
+const {
+  SAMPLE_ARTWORKS,
+  SAMPLE_DISTRIBUTION,
+  sharePriceOf,
+  deployContract,
+  attestInvestor,
+  registerInvestors,
+  deployPlatformFixture
+} = require("../scripts/fixtures");
+const { deployModules } = require("../scripts/modules");
+const { JURISDICTIONS, LOCAL_KYC_SIGNER_ADDRESS, signAttestation } = require("../scripts/kyc/attestation");
+const { MAX_VALUE_UNITS, toValueUnits } = require("../shared/units.cjs");
+
+describe("PrivateArtInvestment", function () {
+  const SALE_PRICE = ethers.parseEther("20");
+
+  async function deployEmptyFixture() {
+    const [owner, investor1, investor2, outsider] = await ethers.getSigners();
+    const contract = await deployContract();
+    return { contract, owner, investors: [investor1, investor2], outsider };
+  }
+
+  async function requestDistributionFixture() {
+    const fixture = await deployPlatformFixture();
+    const tx = await fixture.contract.requestReturnsDistribution(SAMPLE_DISTRIBUTION.artworkId, {
+      value: SAMPLE_DISTRIBUTION.amount
+    });
+    const receipt = await tx.wait();
+    const requestId = receipt.logs
+      .map((log) => fixture.contract.interface.parseLog(log))
+      .find((event) => event && event.name === "DecryptionRequested").args.requestId;
+
+    return { ...fixture, receipt, requestId };
+  }
+
+  // Artwork 0 sold with the proceeds paid in; the settlement decryption is pending
+  async function saleRequestFixture() {
+    const fixture = await deployPlatformFixture();
+    const tx = await fixture.contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE });
+    const receipt = await tx.wait();
+    const requestId = receipt.logs
+      .map((log) => fixture.contract.interface.parseLog(log))
+      .find((event) => event && event.name === "DecryptionRequested").args.requestId;
+
+    return { ...fixture, receipt, requestId };
+  }
+
+  async function encryptShares(contract, investor, shares, options) {
+    return encryptUint32(await contract.getAddress(), investor.address, shares, options);
+  }
+
+  async function sharesOf(contract, investor, artworkId) {
+    const encryptedShares = await contract.getEncryptedShares(investor.address, artworkId);
+    return decryptHandle(encryptedShares.handle).value;
+  }
+
+  async function claimableOf(contract, account) {
+    const { handle } = await contract.getEncryptedClaimable(account);
+    return handle === ethers.ZeroHash ? 0n : decryptHandle(handle).value;
+  }
+
+  describe("Deployment", function () {
+    it("sets the deployer as owner with empty state", async function () {
+      const { contract, owner } = await loadFixture(deployEmptyFixture);
+
+      expect(await contract.owner()).to.equal(owner.address);
+      const [totalArtworks, totalInvestors] = await contract.getTotalStats();
+      expect(totalArtworks).to.equal(0n);
+      expect(totalInvestors).to.equal(0n);
+    });
+
+    it("runs its modules only through the platform", async function () {
+      const { contract, investors } = await loadFixture(deployEmptyFixture);
+      const shareMarket = await ethers.getContractAt("ShareMarket", await contract.shareMarket());
+
+      await expect(shareMarket.connect(investors[0]).cancelShareOrder(0))
+        .to.be.revertedWith("Call through PrivateArtInvestment");
+    });
+
+    it("rejects module addresses without code", async function () {
+      const [owner] = await ethers.getSigners();
+      const PrivateArtInvestment = await ethers.getContractFactory("PrivateArtInvestment");
+      const { address } = (await deployModules())[0];
+
+      await expect(PrivateArtInvestment.deploy(address, address, address, address, owner.address))
+        .to.be.revertedWith("Invalid module");
+    });
+  });
+
+  describe("registerInvestor", function () {
+    it("registers an attested investor and emits InvestorRegistered", async function () {
+      const { contract, investors } = await loadFixture(deployEmptyFixture);
+      const { attestation, signature } = await attestInvestor(contract, investors[0].address);
+
+      await expect(contract.connect(investors[0]).registerInvestor(attestation, signature))
+        .to.emit(contract, "InvestorRegistered")
+        .withArgs(investors[0].address, (timestamp) => timestamp > 0n)
+        .and.to.emit(contract, "KycAttested")
+        .withArgs(investors[0].address, JURISDICTIONS.US, true, attestation.expiresAt);
+
+      expect(await contract.isInvestorRegistered(investors[0].address)).to.equal(true);
+      expect(await contract.totalInvestors()).to.equal(1n);
+      expect((await contract.kycAttestations(investors[0].address)).jurisdictions).to.equal(BigInt(JURISDICTIONS.US));
+    });
+
+    it("rejects a second registration", async function () {
+      const { contract, investors } = await loadFixture(deployEmptyFixture);
+      await registerInvestors(contract, [investors[0]]);
+      const { attestation, signature } = await attestInvestor(contract, investors[0].address);
+
+      await expect(contract.connect(investors[0]).registerInvestor(attestation, signature)).to.be.revertedWith("Already registered");
+    });
+
+    it("requires a current attestation signed by the verifier for the caller", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployEmptyFixture);
+      const [investor] = investors;
+      const asInvestor = contract.connect(investor);
+
+      const forSomeoneElse = await attestInvestor(contract, outsider.address);
+      await expect(asInvestor.registerInvestor(forSomeoneElse.attestation, forSomeoneElse.signature))
+        .to.be.revertedWith("Attestation not for sender");
+
+      const expired = await attestInvestor(contract, investor.address, { issuedAt: 1, validFor: 1 });
+      await expect(asInvestor.registerInvestor(expired.attestation, expired.signature)).to.be.revertedWith("Attestation expired");
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const selfSigned = await signAttestation(investor, {
+        contractAddress: await contract.getAddress(),
+        chainId,
+        investor: investor.address,
+        jurisdictions: ["US"],
+        accredited: true
+      });
+      await expect(asInvestor.registerInvestor(selfSigned.attestation, selfSigned.signature))
+        .to.be.revertedWith("Invalid attestation signature");
+
+      const { attestation, signature } = await attestInvestor(contract, investor.address);
+      await expect(asInvestor.registerInvestor({ ...attestation, accredited: false }, signature))
+        .to.be.revertedWith("Invalid attestation signature");
+    });
+  });
+
+  describe("KYC eligibility", function () {
+    const EU_ONLY = JURISDICTIONS.EU;
+
+    it("enforces per-artwork jurisdiction and accreditation rules", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      await registerInvestors(contract, [outsider], { jurisdictions: ["EU"], accredited: false });
+
+      await expect(contract.setEligibilityRule(0, EU_ONLY, true))
+        .to.emit(contract, "EligibilityRuleUpdated")
+        .withArgs(0n, EU_ONLY, true);
+
+      await expect(contract.connect(investors[0]).makePrivateInvestment(0, 1, { value: sharePrice }))
+        .to.be.revertedWith("Jurisdiction not eligible");
+      await expect(contract.connect(outsider).makePrivateInvestment(0, 1, { value: sharePrice }))
+        .to.be.revertedWith("Accreditation required");
+      expect(await contract.isEligible(outsider.address, 0)).to.equal(false);
+
+      await (await contract.setEligibilityRule(0, EU_ONLY, false)).wait();
+      expect(await contract.isEligible(outsider.address, 0)).to.equal(true);
+      await expect(contract.connect(outsider).makePrivateInvestment(0, 1, { value: sharePrice }))
+        .to.emit(contract, "PrivateInvestmentMade");
+
+      // Artworks without a rule stay open to every attested investor
+      expect(await contract.isEligible(outsider.address, 1)).to.equal(true);
+    });
+
+    it("applies the rules to share transfers and order fills", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      await registerInvestors(contract, [outsider], { jurisdictions: ["UK"] });
+      await (await contract.setEligibilityRule(0, JURISDICTIONS.US, false)).wait();
+
+      const transfer = await encryptShares(contract, investors[0], 1);
+      await expect(
+        contract.connect(investors[0]).transferShares(0, outsider.address, transfer.handle, transfer.inputProof)
+      ).to.be.revertedWith("Jurisdiction not eligible");
+
+      const price = ethers.parseUnits("1", "gwei");
+      const order = await encryptShares(contract, investors[0], 1);
+      await (await contract.connect(investors[0]).createShareOrder(0, order.handle, order.inputProof, price)).wait();
+      await expect(contract.connect(outsider).fillShareOrder(0, { value: price })).to.be.revertedWith("Jurisdiction not eligible");
+      await expect(contract.connect(investors[1]).fillShareOrder(0, { value: price })).to.emit(contract, "ShareOrderFilled");
+    });
+
+    it("blocks expired and revoked investors until they renew", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const [investor] = investors;
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      const current = await contract.kycAttestations(investor.address);
+
+      await time.increaseTo(current.expiresAt);
+      await expect(contract.connect(investor).makePrivateInvestment(0, 1, { value: sharePrice }))
+        .to.be.revertedWith("KYC expired");
+
+      const renewal = await attestInvestor(contract, investor.address);
+      await (await contract.connect(investor).renewAttestation(renewal.attestation, renewal.signature)).wait();
+      expect(await contract.isEligible(investor.address, 0)).to.equal(true);
+
+      await expect(contract.connect(outsider).revokeAttestation(investor.address)).to.be.revertedWith("Not authorized");
+      await expect(contract.revokeAttestation(investor.address)).to.emit(contract, "KycRevoked").withArgs(investor.address);
+      await expect(contract.connect(investor).makePrivateInvestment(0, 1, { value: sharePrice }))
+        .to.be.revertedWith("KYC expired");
+
+      // The revoked attestation cannot simply be submitted again
+      await expect(contract.connect(investor).renewAttestation(renewal.attestation, renewal.signature))
+        .to.be.revertedWith("Attestation not newer");
+    });
+
+    it("lets admins change the verifier", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployEmptyFixture);
+
+      expect(await contract.kycVerifier()).to.equal(LOCAL_KYC_SIGNER_ADDRESS);
+      await expect(contract.connect(outsider).setKycVerifier(outsider.address)).to.be.revertedWith("Not authorized");
+      await expect(contract.setKycVerifier(outsider.address))
+        .to.emit(contract, "KycVerifierUpdated")
+        .withArgs(LOCAL_KYC_SIGNER_ADDRESS, outsider.address);
+
+      // Attestations from the old verifier no longer register anyone
+      const { attestation, signature } = await attestInvestor(contract, investors[0].address);
+      await expect(contract.connect(investors[0]).registerInvestor(attestation, signature))
+        .to.be.revertedWith("Invalid attestation signature");
+    });
+  });
+
+  describe("Holding limits", function () {
+    const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+
+    async function totalInvestedOf(contract, investor) {
+      const summary = await contract.getEncryptedInvestmentSummary(investor.address);
+      return decryptHandle(summary.encryptedTotalInvested.handle).value;
+    }
+
+    it("credits nothing for a purchase above the ownership cap", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const [investor] = investors;
+
+      await expect(contract.setOwnershipCap(0, 2500)).to.emit(contract, "OwnershipCapUpdated").withArgs(0n, 2500n);
+      expect(await contract.maxSharesPerInvestor(0)).to.equal(25n);
+
+      // 10 held + 15 reaches the cap exactly
+      await (await contract.connect(investor).makePrivateInvestment(0, 15, { value: sharePrice * 15n })).wait();
+      expect(await sharesOf(contract, investor, 0)).to.equal(25n);
+
+      // One more does not revert, it just adds an encrypted zero
+      const encrypted = await encryptShares(contract, investor, 1);
+      await expect(
+        contract.connect(investor).makeConfidentialInvestment(0, encrypted.handle, encrypted.inputProof, { value: sharePrice })
+      ).to.emit(contract, "PrivateInvestmentMade");
+      expect(await sharesOf(contract, investor, 0)).to.equal(25n);
+    });
+
+    it("refunds a capped purchase under encryption and puts its shares back on sale", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const [investor] = investors;
+      await (await contract.setOwnershipCap(0, 1000)).wait();
+
+      // investors[0] already holds the 10 shares the cap allows
+      await (await contract.connect(investor).makePrivateInvestment(0, 5, { value: sharePrice * 5n })).wait();
+      expect(await sharesOf(contract, investor, 0)).to.equal(10n);
+      expect(await claimableOf(contract, investor.address)).to.equal(toValueUnits(sharePrice * 5n));
+      expect(await contract.unreleasedPayments(0)).to.equal(sharePrice * 5n);
+      expect(await contract.totalConfidentialReserved()).to.equal(sharePrice * 5n);
+
+      const release = await (await contract.connect(outsider).releaseUnallocatedShares(0)).wait();
+      await createGatewayRelayer(contract, { signer: outsider }).fulfillFromReceipt(release);
+      expect((await contract.getArtworkInfo(0)).availableShares).to.equal(70n);
+      expect(await contract.totalConfidentialReserved()).to.equal(sharePrice * 5n);
+    });
+
+    it("applies the exposure limit across artworks", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const [investor] = investors;
+      const limit = ethers.parseEther("3.0");
+
+      // 10 shares of artwork 0 and 15 of artwork 2, all at 0.1 ETH
+      expect(await totalInvestedOf(contract, investor)).to.equal(toValueUnits(ethers.parseEther("2.5")));
+      await expect(contract.setExposureLimit(limit)).to.emit(contract, "ExposureLimitUpdated").withArgs(limit);
+
+      await (await contract.connect(investor).makePrivateInvestment(1, 6, { value: sharePrice * 6n })).wait();
+      expect(await sharesOf(contract, investor, 1)).to.equal(0n);
+      expect(await claimableOf(contract, investor.address)).to.equal(toValueUnits(sharePrice * 6n));
+
+      await (await contract.connect(investor).makePrivateInvestment(1, 5, { value: sharePrice * 5n })).wait();
+      expect(await sharesOf(contract, investor, 1)).to.equal(5n);
+      expect(await totalInvestedOf(contract, investor)).to.equal(toValueUnits(limit));
+    });
+
+    it("leaves refused transfers and order lots with the seller", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const [seller, capped, uncapped] = investors;
+      const price = ethers.parseEther("0.2");
+
+      // investors[1] already holds 20 of the 15 shares the new cap allows
+      await (await contract.setOwnershipCap(0, 1500)).wait();
+
+      const refused = await encryptShares(contract, seller, 1);
+      await (await contract.connect(seller).transferShares(0, capped.address, refused.handle, refused.inputProof)).wait();
+      expect(await sharesOf(contract, seller, 0)).to.equal(10n);
+      expect(await sharesOf(contract, capped, 0)).to.equal(20n);
+
+      const accepted = await encryptShares(contract, seller, 4);
+      await (await contract.connect(seller).transferShares(0, uncapped.address, accepted.handle, accepted.inputProof)).wait();
+      expect(await sharesOf(contract, uncapped, 0)).to.equal(4n);
+
+      const order = await encryptShares(contract, seller, 3);
+      await (await contract.connect(seller).createShareOrder(0, order.handle, order.inputProof, price)).wait();
+      await expect(contract.connect(capped).fillShareOrder(0, { value: price }))
+        .to.changeEtherBalances([capped, seller], [-price, 0n]);
+      expect(await sharesOf(contract, seller, 0)).to.equal(6n);
+      expect(await sharesOf(contract, capped, 0)).to.equal(20n);
+      expect(await claimableOf(contract, capped.address)).to.equal(toValueUnits(price));
+      expect(await claimableOf(contract, seller.address)).to.equal(0n);
+    });
+
+    it("validates and restricts limit settings", async function () {
+      const { contract, outsider } = await loadFixture(deployPlatformFixture);
+
+      await expect(contract.setOwnershipCap(0, 10001)).to.be.revertedWith("Invalid ownership cap");
+      await expect(contract.connect(outsider).setOwnershipCap(0, 1000)).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(outsider).setExposureLimit(1n)).to.be.revertedWith("Not authorized");
+
+      // Uncapped artworks allow the whole supply
+      expect(await contract.maxSharesPerInvestor(2)).to.equal(150n);
+    });
+  });
+
+  describe("listArtwork", function () {
+    it("lists an artwork and emits ArtworkListed", async function () {
+      const { contract } = await loadFixture(deployEmptyFixture);
+      const artwork = SAMPLE_ARTWORKS[0];
+
+      await expect(
+        contract.listArtwork(
+          artwork.name,
+          artwork.artist,
+          artwork.ipfsHash,
+          artwork.totalValue,
+          sharePriceOf(artwork),
+          artwork.totalShares
+        )
+      )
+        .to.emit(contract, "ArtworkListed")
+        .withArgs(0n, artwork.name, artwork.totalValue, sharePriceOf(artwork));
+
+      const info = await contract.getArtworkInfo(0);
+      expect(info.availableShares).to.equal(BigInt(artwork.totalShares));
+    });
+
+    it("reverts when totalValue != sharePrice * totalShares", async function () {
+      const { contract } = await loadFixture(deployEmptyFixture);
+
+      await expect(
+        contract.listArtwork("Mismatch", "Artist", "QmHash", ethers.parseEther("10"), ethers.parseEther("1"), 5)
+      ).to.be.revertedWith("Value calculation mismatch");
+    });
+
+    it("requires whole-gwei prices and a supply value that fits in euint64", async function () {
+      const { contract } = await loadFixture(deployEmptyFixture);
+      const sharePrice = ethers.parseEther("0.1") + 1n;
+
+      await expect(
+        contract.listArtwork("Dust", "Artist", "QmHash", sharePrice * 10n, sharePrice, 10)
+      ).to.be.revertedWith("Share price not whole gwei");
+
+      const hugePrice = (MAX_VALUE_UNITS / 2n + 1n) * 10n ** 9n;
+      await expect(
+        contract.listArtwork("Huge", "Artist", "QmHash", hugePrice * 2n, hugePrice, 2)
+      ).to.be.revertedWith("Total value too large");
+    });
+
+    it("rejects more shares than an encrypted holding can count", async function () {
+      const { contract } = await loadFixture(deployEmptyFixture);
+      const sharePrice = ethers.parseUnits("1", "gwei");
+      const totalShares = 2n ** 32n;
+
+      await expect(
+        contract.listArtwork("Fractions", "Artist", "QmHash", sharePrice * totalShares, sharePrice, totalShares)
+      ).to.be.revertedWith("Too many shares");
+    });
+  });
+
+  describe("makePrivateInvestment", function () {
+    it("records the investment and reduces available shares", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+
+      const [hasInvested, timestamp] = await contract.getInvestmentStatus(investors[0].address, 0);
+      expect(hasInvested).to.equal(true);
+      expect(timestamp).to.be.greaterThan(0n);
+
+      const info = await contract.getArtworkInfo(0);
+      expect(info.availableShares).to.equal(70n);
+      expect(info.investorCount).to.equal(2n);
+    });
+
+    it("refunds overpayment to the investor", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[2];
+      const required = sharePriceOf(SAMPLE_ARTWORKS[0]) * 4n;
+
+      await expect(
+        contract.connect(investor).makePrivateInvestment(0, 4, { value: required + ethers.parseEther("1") })
+      ).to.changeEtherBalances([investor, contract], [-required, required]);
+    });
+
+    it("rejects insufficient payment", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const required = sharePriceOf(SAMPLE_ARTWORKS[0]) * 4n;
+
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 4, { value: required - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("rejects more shares than available", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const payment = sharePriceOf(SAMPLE_ARTWORKS[0]) * 71n;
+
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 71, { value: payment })
+      ).to.be.revertedWith("Insufficient shares available");
+    });
+
+    it("rejects unregistered investors", async function () {
+      const { contract, outsider } = await loadFixture(deployPlatformFixture);
+
+      await expect(
+        contract.connect(outsider).makePrivateInvestment(0, 1, { value: sharePriceOf(SAMPLE_ARTWORKS[0]) })
+      ).to.be.revertedWith("Not registered investor");
+    });
+
+    it("tops up an existing position without adding a duplicate investor", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[0];
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+
+      await (await contract.connect(investor).makePrivateInvestment(0, 5, { value: sharePrice * 5n })).wait();
+
+      expect(await sharesOf(contract, investor, 0)).to.equal(15n);
+      const info = await contract.getArtworkInfo(0);
+      expect(info.availableShares).to.equal(65n);
+      expect(info.investorCount).to.equal(2n);
+
+      // investors[0] holds artworks 0 and 2; the top-up does not add a third position
+      const summary = await contract.getEncryptedInvestmentSummary(investor.address);
+      expect(decryptHandle(summary.encryptedPortfolioCount.handle).value).to.equal(2n);
+    });
+
+    it("adds the top-up value to the encrypted investment totals", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[0];
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      const before = await contract.getEncryptedInvestmentSummary(investor.address);
+
+      await (await contract.connect(investor).makePrivateInvestment(0, 5, { value: sharePrice * 5n })).wait();
+
+      const added = toValueUnits(sharePrice * 5n);
+      const after = await contract.getEncryptedInvestmentSummary(investor.address);
+      expect(decryptHandle(after.encryptedTotalInvested.handle).value).to.equal(
+        decryptHandle(before.encryptedTotalInvested.handle).value + added
+      );
+      const position = await contract.artworkInvestments(0, investor.address);
+      expect(decryptHandle(position.encryptedValue.handle).value).to.equal(toValueUnits(sharePrice * 15n));
+    });
+
+    it("records values above the old 32-bit range exactly", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[2];
+      const sharePrice = ethers.parseEther("500");
+
+      await (await contract.listArtwork("Major Work", "Artist", "QmMajor", sharePrice * 20n, sharePrice, 20)).wait();
+      const artworkId = (await contract.totalArtworks()) - 1n;
+      await (await contract.connect(investor).makePrivateInvestment(artworkId, 3, { value: sharePrice * 3n })).wait();
+
+      const position = await contract.artworkInvestments(artworkId, investor.address);
+      expect(decryptHandle(position.encryptedValue.handle).value).to.equal(toValueUnits(ethers.parseEther("1500")));
+    });
+
+    it("saturates encrypted totals instead of wrapping", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const [seller, buyer] = investors;
+      const gwei = 10n ** 9n;
+
+      await (await contract.listArtwork("Tiny", "Artist", "QmTiny", 2n * gwei, gwei, 2)).wait();
+      const artworkId = (await contract.totalArtworks()) - 1n;
+      await (await contract.connect(seller).makePrivateInvestment(artworkId, 2, { value: 2n * gwei })).wait();
+
+      // Repricing makes the two shares worth almost the whole euint64 range on arrival
+      await (await contract.updateSharePrice(artworkId, (MAX_VALUE_UNITS / 2n) * gwei)).wait();
+      const { handle, inputProof } = await encryptShares(contract, seller, 2);
+      await (await contract.connect(seller).transferShares(artworkId, buyer.address, handle, inputProof)).wait();
+
+      const summary = await contract.getEncryptedInvestmentSummary(buyer.address);
+      expect(decryptHandle(summary.encryptedTotalInvested.handle).value).to.equal(MAX_VALUE_UNITS);
+    });
+  });
+
+  describe("makeConfidentialInvestment", function () {
+    it("stores the encrypted share amount and reserves the paid shares", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[2];
+      const { handle, inputProof } = await encryptShares(contract, investor, 4);
+
+      await expect(
+        contract.connect(investor).makeConfidentialInvestment(0, handle, inputProof, {
+          value: sharePriceOf(SAMPLE_ARTWORKS[0]) * 4n
+        })
+      ).to.emit(contract, "PrivateInvestmentMade");
+
+      expect(await sharesOf(contract, investor, 0)).to.equal(4n);
+      expect((await contract.getArtworkInfo(0)).availableShares).to.equal(66n);
+    });
+
+    it("caps the encrypted amount at the shares covered by the payment", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[2];
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      const { handle, inputProof } = await encryptShares(contract, investor, 9);
+
+      await expect(
+        contract.connect(investor).makeConfidentialInvestment(0, handle, inputProof, {
+          value: sharePrice * 3n + sharePrice / 2n
+        })
+      ).to.changeEtherBalances([investor, contract], [-sharePrice * 3n, sharePrice * 3n]);
+
+      expect(await sharesOf(contract, investor, 0)).to.equal(3n);
+    });
+
+    it("refunds paid shares above the encrypted amount to the encrypted balance", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[2];
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      const { handle, inputProof } = await encryptShares(contract, investor, 2);
+
+      // Pays for 5 to hide that it buys 2; the whole payment is held until the pool is released
+      await expect(
+        contract.connect(investor).makeConfidentialInvestment(0, handle, inputProof, { value: sharePrice * 5n })
+      ).to.changeEtherBalances([investor, contract], [-sharePrice * 5n, sharePrice * 5n]);
+
+      expect(await sharesOf(contract, investor, 0)).to.equal(2n);
+      expect(await claimableOf(contract, investor.address)).to.equal(toValueUnits(sharePrice * 3n));
+      expect((await contract.getArtworkInfo(0)).availableShares).to.equal(65n);
+      expect(await contract.unreleasedPayments(0)).to.equal(sharePrice * 5n);
+      expect(await contract.totalConfidentialReserved()).to.equal(sharePrice * 5n);
+    });
+
+    it("releases unallocated shares and frees the payments for credited ones", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      const [first, second] = [investors[0], investors[2]];
+
+      const padded = await encryptShares(contract, first, 1);
+      await (await contract.connect(first).makeConfidentialInvestment(0, padded.handle, padded.inputProof, { value: sharePrice * 4n })).wait();
+      const exact = await encryptShares(contract, second, 2);
+      await (await contract.connect(second).makeConfidentialInvestment(0, exact.handle, exact.inputProof, { value: sharePrice * 2n })).wait();
+      expect((await contract.getArtworkInfo(0)).availableShares).to.equal(64n);
+
+      const receipt = await (await contract.connect(outsider).releaseUnallocatedShares(0)).wait();
+      const { requestId } = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "ShareReleaseRequested").args;
+      expect(await contract.unreleasedPayments(0)).to.equal(0n);
+      await expect(contract.releaseUnallocatedShares(0)).to.be.revertedWith("Nothing to release");
+
+      await expect(createGatewayRelayer(contract, { signer: outsider }).fulfill(requestId))
+        .to.emit(contract, "SharesReleased")
+        .withArgs(requestId, 0n, 3n, sharePrice * 3n);
+
+      // Only the refund for the 3 padded shares stays reserved
+      expect((await contract.getArtworkInfo(0)).availableShares).to.equal(67n);
+      expect(await contract.totalConfidentialReserved()).to.equal(sharePrice * 3n);
+      expect(await claimableOf(contract, first.address)).to.equal(toValueUnits(sharePrice * 3n));
+      expect(await claimableOf(contract, second.address)).to.equal(0n);
+    });
+
+    it("returns an unanswered release to the pool after CALLBACK_TIMEOUT", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      const investor = investors[2];
+
+      const { handle, inputProof } = await encryptShares(contract, investor, 1);
+      await (await contract.connect(investor).makeConfidentialInvestment(0, handle, inputProof, { value: sharePrice * 3n })).wait();
+      const receipt = await (await contract.releaseUnallocatedShares(0)).wait();
+      const { requestId } = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "ShareReleaseRequested").args;
+
+      await expect(contract.connect(outsider).cancelShareRelease(requestId)).to.be.revertedWith("Callback timeout not reached");
+      await time.increase(await contract.CALLBACK_TIMEOUT());
+      await (await contract.connect(outsider).cancelShareRelease(requestId)).wait();
+      expect(await contract.unreleasedPayments(0)).to.equal(sharePrice * 3n);
+      await expect(
+        createGatewayRelayer(contract, { signer: outsider }).fulfill(requestId)
+      ).to.be.revertedWith("Release already processed");
+
+      const retry = await (await contract.releaseUnallocatedShares(0)).wait();
+      await createGatewayRelayer(contract, { signer: outsider }).fulfillFromReceipt(retry);
+      expect((await contract.getArtworkInfo(0)).availableShares).to.equal(69n);
+      expect(await contract.totalConfidentialReserved()).to.equal(sharePrice * 2n);
+    });
+
+    it("rejects an input proof issued for another user", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 4);
+
+      await expect(
+        contract.connect(investors[2]).makeConfidentialInvestment(0, handle, inputProof, {
+          value: sharePriceOf(SAMPLE_ARTWORKS[0]) * 4n
+        })
+      ).to.be.revertedWith("FHE: invalid input proof");
+    });
+
+    it("rejects an input proof not signed by the input signer", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const investor = investors[2];
+      const { handle, inputProof } = await encryptShares(contract, investor, 4, {
+        inputSignerPrivateKey: ethers.Wallet.createRandom().privateKey
+      });
+
+      await expect(
+        contract.connect(investor).makeConfidentialInvestment(0, handle, inputProof, {
+          value: sharePriceOf(SAMPLE_ARTWORKS[0]) * 4n
+        })
+      ).to.be.revertedWith("FHE: invalid input proof");
+    });
+  });
+
+  describe("Secondary market", function () {
+    // investors[0] holds 10 shares of artwork 0; investors[2] holds none
+    async function transfer(contract, from, to, shares) {
+      const { handle, inputProof } = await encryptShares(contract, from, shares);
+      return contract.connect(from).transferShares(0, to.address, handle, inputProof);
+    }
+
+    async function createOrder(contract, seller, shares, price) {
+      const { handle, inputProof } = await encryptShares(contract, seller, shares);
+      const tx = await contract.connect(seller).createShareOrder(0, handle, inputProof, price);
+      await tx.wait();
+      return (await contract.totalShareOrders()) - 1n;
+    }
+
+    it("transfers encrypted shares and adds the recipient as an investor", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+
+      await expect(transfer(contract, investors[0], investors[2], 4))
+        .to.emit(contract, "SharesTransferred")
+        .withArgs(investors[0].address, investors[2].address, 0);
+
+      expect(await sharesOf(contract, investors[0], 0)).to.equal(6n);
+      expect(await sharesOf(contract, investors[2], 0)).to.equal(4n);
+      expect((await contract.getArtworkInfo(0)).investorCount).to.equal(3n);
+    });
+
+    it("moves nothing when the amount exceeds the sender's shares", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+
+      await (await transfer(contract, investors[0], investors[2], 11)).wait();
+
+      expect(await sharesOf(contract, investors[0], 0)).to.equal(10n);
+      expect(await sharesOf(contract, investors[2], 0)).to.equal(0n);
+    });
+
+    it("rejects transfers to unregistered accounts", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+
+      await expect(transfer(contract, investors[0], outsider, 1)).to.be.revertedWith("Recipient not registered");
+    });
+
+    it("escrows order shares and settles them to the buyer for the lot price", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const [seller, , buyer] = investors;
+      const price = ethers.parseEther("0.5");
+
+      const orderId = await createOrder(contract, seller, 3, price);
+      expect(await sharesOf(contract, seller, 0)).to.equal(7n);
+
+      // The seller is paid into their encrypted balance
+      await expect(contract.connect(buyer).fillShareOrder(orderId, { value: price }))
+        .to.changeEtherBalances([buyer, seller, contract], [-price, 0n, price]);
+
+      expect(await sharesOf(contract, buyer, 0)).to.equal(3n);
+      expect(await claimableOf(contract, seller.address)).to.equal(toValueUnits(price));
+      expect(await claimableOf(contract, buyer.address)).to.equal(0n);
+      expect(await contract.totalConfidentialReserved()).to.equal(price);
+      expect((await contract.shareOrders(orderId)).isActive).to.equal(false);
+    });
+
+    it("lets a buyer check the lot and refunds the price of an empty one", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const [seller, , buyer] = investors;
+      const price = ethers.parseEther("0.5");
+
+      // The seller holds 10 shares, so an order for 11 escrows none
+      const orderId = await createOrder(contract, seller, 11, price);
+      expect(await sharesOf(contract, seller, 0)).to.equal(10n);
+
+      await expect(contract.connect(buyer).revealShareOrder(orderId))
+        .to.emit(contract, "ShareOrderRevealed")
+        .withArgs(orderId, buyer.address);
+      expect(decryptHandle((await contract.shareOrders(orderId)).encryptedShares.handle).value).to.equal(0n);
+
+      // A buyer who pays anyway gets the price back in their encrypted balance
+      await (await contract.connect(buyer).fillShareOrder(orderId, { value: price })).wait();
+      expect(await sharesOf(contract, buyer, 0)).to.equal(0n);
+      expect(await claimableOf(contract, buyer.address)).to.equal(toValueUnits(price));
+      expect(await claimableOf(contract, seller.address)).to.equal(0n);
+    });
+
+    it("rejects order prices that cannot be credited under encryption", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 1);
+
+      await expect(
+        contract.connect(investors[0]).createShareOrder(0, handle, inputProof, ethers.parseEther("0.5") + 1n)
+      ).to.be.revertedWith("Price not whole gwei");
+
+      const orderId = await createOrder(contract, investors[0], 1, ethers.parseEther("0.5"));
+      await expect(contract.connect(outsider).revealShareOrder(orderId)).to.be.revertedWith("Not registered investor");
+    });
+
+    it("returns escrowed shares when the seller cancels", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const orderId = await createOrder(contract, investors[0], 3, ethers.parseEther("0.5"));
+
+      await expect(contract.connect(investors[1]).cancelShareOrder(orderId)).to.be.revertedWith("Not order seller");
+      await expect(contract.connect(investors[0]).cancelShareOrder(orderId))
+        .to.emit(contract, "ShareOrderCancelled")
+        .withArgs(orderId);
+
+      expect(await sharesOf(contract, investors[0], 0)).to.equal(10n);
+      await expect(
+        contract.connect(investors[2]).fillShareOrder(orderId, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Order not active");
+    });
+
+    it("rejects a payment different from the lot price", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const orderId = await createOrder(contract, investors[0], 3, ethers.parseEther("0.5"));
+
+      await expect(
+        contract.connect(investors[2]).fillShareOrder(orderId, { value: ethers.parseEther("0.4") })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+
+    it("keeps transfers open while a round settles", async function () {
+      const { contract, investors } = await loadFixture(requestDistributionFixture);
+
+      // The round's payouts were fixed when it opened
+      await (await transfer(contract, investors[0], investors[2], 1)).wait();
+      expect(await sharesOf(contract, investors[2], 0)).to.equal(1n);
+      expect(await claimableOf(contract, investors[2].address)).to.equal(0n);
+    });
+
+    it("pays returns to the new holder after a transfer", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      await (await transfer(contract, investors[0], investors[2], 5)).wait();
+
+      await (await contract.requestReturnsDistribution(SAMPLE_DISTRIBUTION.artworkId, {
+        value: SAMPLE_DISTRIBUTION.amount
+      })).wait();
+
+      // 5 of the 30 shares in artwork 0
+      expect(await claimableOf(contract, investors[2].address)).to.equal(toValueUnits(SAMPLE_DISTRIBUTION.amount / 6n));
+    });
+  });
+
+  describe("requestReturnsDistribution", function () {
+    it("credits encrypted payouts without decrypting any holding", async function () {
+      const { contract, investors, receipt } = await loadFixture(requestDistributionFixture);
+
+      // Artwork 0: investor 1 holds 10 shares, investor 2 holds 20, at 0.1 ETH per share
+      expect(await claimableOf(contract, investors[0].address)).to.equal(toValueUnits(ethers.parseEther("1")));
+      expect(await claimableOf(contract, investors[1].address)).to.equal(toValueUnits(ethers.parseEther("2")));
+      expect(decryptHandle((await contract.getRoundPayout(0, investors[0].address)).handle).value)
+        .to.equal(toValueUnits(ethers.parseEther("1")));
+      expect(await contract.claimableBalance(investors[0].address)).to.equal(0n);
+
+      const round = await contract.distributionRounds(0);
+      expect(round.perShare).to.equal(ethers.parseEther("0.1"));
+      expect(round.status).to.equal(0n);
+
+      // Only the round's total goes to the Gateway; the module's ABI has LocalFHE's event
+      const module = await ethers.getContractAt("ReturnsDistribution", await contract.getAddress());
+      const [request] = await module.queryFilter(module.filters.DecryptionOracleRequest(), receipt.blockNumber);
+      expect(request.args.handles).to.have.length(1);
+      expect(decryptHandle(request.args.handles[0]).value).to.equal(toValueUnits(SAMPLE_DISTRIBUTION.amount));
+    });
+
+    it("rejects returns once every sold share has been pooled back", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const artwork = SAMPLE_ARTWORKS[0];
+      const sharePrice = sharePriceOf(artwork);
+      await (await contract.listArtwork(
+        artwork.name, artwork.artist, artwork.ipfsHash, artwork.totalValue, sharePrice, artwork.totalShares
+      )).wait();
+      await (await contract.setOwnershipCap(3, 1000)).wait();
+
+      // Past the cap, so none of the shares are credited and the release puts them all back
+      await (await contract.connect(investors[0]).makePrivateInvestment(3, 11, { value: sharePrice * 11n })).wait();
+      const release = await (await contract.connect(outsider).releaseUnallocatedShares(3)).wait();
+      await createGatewayRelayer(contract, { signer: outsider }).fulfillFromReceipt(release);
+      expect((await contract.getArtworkInfo(3)).availableShares).to.equal(BigInt(artwork.totalShares));
+
+      await expect(contract.requestReturnsDistribution(3, { value: SAMPLE_DISTRIBUTION.amount }))
+        .to.be.revertedWith("No shares sold");
+    });
+
+    it("rejects returns below one gwei per share", async function () {
+      const { contract } = await loadFixture(deployPlatformFixture);
+
+      // 30 shares of artwork 0 are sold
+      await expect(contract.requestReturnsDistribution(0, { value: ethers.parseUnits("29", "gwei") }))
+        .to.be.revertedWith("Returns below 1 gwei per share");
+    });
+  });
+
+  describe("processReturnsDistribution", function () {
+    it("settles the round with its decrypted total", async function () {
+      const { contract, investors, requestId } = await loadFixture(requestDistributionFixture);
+      const relayer = createGatewayRelayer(contract, { signer: investors[2] });
+
+      await expect(relayer.fulfill(requestId))
+        .to.emit(contract, "DistributionRoundSettled")
+        .withArgs(0n, 0n, SAMPLE_DISTRIBUTION.amount)
+        .and.to.emit(contract, "CallbackProcessed")
+        .withArgs(requestId, 0n, true);
+
+      const request = await contract.decryptionRequests(requestId);
+      expect(request.isProcessed).to.equal(true);
+      expect(request.hasFailed).to.equal(false);
+
+      const round = await contract.distributionRounds(0);
+      expect(round.status).to.equal(1n);
+      expect(round.distributed).to.equal(SAMPLE_DISTRIBUTION.amount);
+      expect(await contract.totalConfidentialReserved()).to.equal(SAMPLE_DISTRIBUTION.amount);
+    });
+
+    it("frees the part of shares nobody was credited for", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 3);
+      await (await contract.connect(investors[0]).createShareOrder(0, handle, inputProof, ethers.parseEther("1"))).wait();
+
+      // 3 of the 30 sold shares sit in escrow, so holders are owed 2.7 of the 3 ETH
+      const receipt = await (await contract.requestReturnsDistribution(0, { value: SAMPLE_DISTRIBUTION.amount })).wait();
+      const free = await contract.freeBalance();
+      await createGatewayRelayer(contract).fulfillFromReceipt(receipt);
+
+      expect((await contract.distributionRounds(0)).distributed).to.equal(ethers.parseEther("2.7"));
+      expect(await contract.totalConfidentialReserved()).to.equal(ethers.parseEther("2.7"));
+      expect(await contract.freeBalance()).to.equal(free + ethers.parseEther("0.3"));
+    });
+
+    it("rejects cleartexts not signed by the KMS key", async function () {
+      const { contract, investors, requestId } = await loadFixture(requestDistributionFixture);
+      const relayer = createGatewayRelayer(contract, {
+        signer: investors[2],
+        kmsPrivateKey: ethers.Wallet.createRandom().privateKey
+      });
+
+      await expect(relayer.fulfill(requestId)).to.be.revertedWith("FHE: invalid KMS signature");
+    });
+
+    it("rejects a second callback for the same request", async function () {
+      const { contract, investors, requestId } = await loadFixture(requestDistributionFixture);
+      const relayer = createGatewayRelayer(contract, { signer: investors[2] });
+
+      await relayer.fulfill(requestId);
+      await expect(relayer.fulfill(requestId)).to.be.revertedWith("Request already processed");
+    });
+
+    it("expires a round the Gateway never settles and frees what holders cannot be owed", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      // 30 shares are sold, so 7 gwei of the round is rounding dust
+      const amount = SAMPLE_DISTRIBUTION.amount + ethers.parseUnits("7", "gwei");
+      const receipt = await (await contract.requestReturnsDistribution(0, { value: amount })).wait();
+      const { requestId } = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "DistributionRoundOpened").args;
+      const free = await contract.freeBalance();
+
+      await expect(contract.connect(outsider).requestRefundForFailedDecryption(requestId))
+        .to.be.revertedWith("Callback timeout not reached");
+      await time.increase(await contract.CALLBACK_TIMEOUT());
+
+      await expect(contract.connect(outsider).requestRefundForFailedDecryption(requestId))
+        .to.emit(contract, "DistributionRoundExpired")
+        .withArgs(0n, 0n, ethers.parseUnits("7", "gwei"))
+        .and.to.emit(contract, "DecryptionFailed")
+        .withArgs(requestId, 0n, "Callback timeout exceeded");
+
+      const round = await contract.distributionRounds(0);
+      expect(round.status).to.equal(3n);
+      expect(round.distributed).to.equal(SAMPLE_DISTRIBUTION.amount);
+      expect(await contract.freeBalance()).to.equal(free + ethers.parseUnits("7", "gwei"));
+
+      // Holders keep their payouts, and what stays reserved covers them
+      const owed = (await claimableOf(contract, investors[0].address)) + (await claimableOf(contract, investors[1].address));
+      expect(owed).to.equal(toValueUnits(SAMPLE_DISTRIBUTION.amount));
+      expect(await contract.totalConfidentialReserved()).to.equal(SAMPLE_DISTRIBUTION.amount);
+
+      await expect(createGatewayRelayer(contract).fulfill(requestId)).to.be.revertedWith("Request already processed");
+    });
+
+    it("lets a guardian expire a round within the refund window", async function () {
+      const { contract, requestId } = await loadFixture(requestDistributionFixture);
+
+      await expect(contract.emergencyRefund(requestId))
+        .to.emit(contract, "DistributionRoundExpired")
+        .withArgs(0n, 0n, 0n)
+        .and.to.emit(contract, "DecryptionFailed")
+        .withArgs(requestId, 0n, "Emergency refund by guardian");
+      expect((await contract.decryptionRequests(requestId)).hasFailed).to.equal(true);
+    });
+  });
+
+  describe("Distribution rounds", function () {
+    async function distribute(contract, amount) {
+      const receipt = await (await contract.requestReturnsDistribution(0, { value: amount })).wait();
+      const opened = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "DistributionRoundOpened");
+      return opened.args;
+    }
+
+    it("pays holders again in every later round", async function () {
+      const { contract, investors, requestId } = await loadFixture(requestDistributionFixture);
+      const relayer = createGatewayRelayer(contract, { signer: investors[2] });
+      await relayer.fulfill(requestId);
+
+      const second = await distribute(contract, ethers.parseEther("0.6"));
+      expect(second.roundId).to.equal(1n);
+      await relayer.fulfill(second.requestId);
+
+      expect(decryptHandle((await contract.getRoundPayout(1, investors[0].address)).handle).value)
+        .to.equal(toValueUnits(ethers.parseEther("0.2")));
+      expect(await claimableOf(contract, investors[0].address)).to.equal(toValueUnits(ethers.parseEther("1.2")));
+      expect(await contract.getArtworkRounds(0)).to.deep.equal([0n, 1n]);
+
+      const round = await contract.distributionRounds(1);
+      expect(round.requestId).to.equal(second.requestId);
+      expect(round.amount).to.equal(ethers.parseEther("0.6"));
+      expect(round.status).to.equal(1n);
+    });
+
+    it("leaves unsettled rounds open without blocking later ones", async function () {
+      const { contract, investors } = await loadFixture(requestDistributionFixture);
+
+      const second = await distribute(contract, ethers.parseEther("0.3"));
+      await createGatewayRelayer(contract, { signer: investors[2] }).fulfill(second.requestId);
+
+      expect((await contract.distributionRounds(0)).status).to.equal(0n);
+      expect((await contract.distributionRounds(1)).distributed).to.equal(ethers.parseEther("0.3"));
+      expect(await claimableOf(contract, investors[1].address)).to.equal(toValueUnits(ethers.parseEther("2.2")));
+      await expect(contract.getRoundPayout(2, investors[0].address)).to.be.revertedWith("Round not found");
+    });
+
+    it("credits holders in batches and freezes trading until the last one", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      // 10 more holders of one share each, 12 in all
+      const holders = (await ethers.getSigners()).slice(5, 15);
+      await registerInvestors(contract, holders);
+      for (const holder of holders) {
+        await (await contract.connect(holder).makePrivateInvestment(0, 1, { value: sharePriceOf(SAMPLE_ARTWORKS[0]) })).wait();
+      }
+
+      // 40 shares sold: 0.1 ETH per share
+      const opened = await distribute(contract, ethers.parseEther("4"));
+      expect(opened.requestId).to.equal(0n);
+      const round = await contract.distributionRounds(opened.roundId);
+      expect(round.status).to.equal(2n);
+      expect(round.creditedHolders).to.equal(await contract.DISTRIBUTION_BATCH_SIZE());
+      expect(await claimableOf(contract, holders[7].address)).to.equal(toValueUnits(ethers.parseEther("0.1")));
+      expect(await claimableOf(contract, holders[8].address)).to.equal(0n);
+
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 1);
+      await expect(
+        contract.connect(investors[0]).transferShares(0, investors[1].address, handle, inputProof)
+      ).to.be.revertedWith("Distribution in progress");
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 1, { value: sharePriceOf(SAMPLE_ARTWORKS[0]) })
+      ).to.be.revertedWith("Distribution in progress");
+
+      const receipt = await (await contract.connect(outsider).continueReturnsDistribution(opened.roundId)).wait();
+      expect(await claimableOf(contract, holders[9].address)).to.equal(toValueUnits(ethers.parseEther("0.1")));
+      expect((await contract.distributionRounds(opened.roundId)).status).to.equal(0n);
+      expect(await contract.pendingDistributions(0)).to.equal(0n);
+      await expect(contract.continueReturnsDistribution(opened.roundId)).to.be.revertedWith("Round already credited");
+
+      await createGatewayRelayer(contract, { signer: outsider }).fulfillFromReceipt(receipt);
+      expect((await contract.distributionRounds(opened.roundId)).distributed).to.equal(ethers.parseEther("4"));
+      await (await contract.connect(investors[0]).transferShares(0, investors[1].address, handle, inputProof)).wait();
+    });
+  });
+
+  describe("Confidential claims", function () {
+    async function settledRoundFixture() {
+      const fixture = await requestDistributionFixture();
+      await createGatewayRelayer(fixture.contract, { signer: fixture.investors[2] }).fulfill(fixture.requestId);
+      return fixture;
+    }
+
+    async function requestClaim(contract, investor, amount) {
+      const receipt = await (await contract.connect(investor).requestConfidentialClaim(amount)).wait();
+      return receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "ConfidentialClaimRequested").args.requestId;
+    }
+
+    it("pays the requested amount once the Gateway decrypts the debit", async function () {
+      const { contract, investors } = await loadFixture(settledRoundFixture);
+      const amount = ethers.parseEther("0.4");
+
+      const requestId = await requestClaim(contract, investors[0], amount);
+      expect(await claimableOf(contract, investors[0].address)).to.equal(toValueUnits(ethers.parseEther("0.6")));
+
+      const relayer = createGatewayRelayer(contract, { signer: investors[2] });
+      const before = await ethers.provider.getBalance(investors[0].address);
+      await relayer.fulfill(requestId);
+      expect(await ethers.provider.getBalance(investors[0].address)).to.equal(before + amount);
+
+      const [processed] = await contract.queryFilter(contract.filters.ConfidentialClaimProcessed(requestId));
+      expect(processed.args.amount).to.equal(amount);
+      expect(await contract.totalConfidentialReserved()).to.equal(SAMPLE_DISTRIBUTION.amount - amount);
+      await expect(relayer.fulfill(requestId)).to.be.revertedWith("Claim already processed");
+    });
+
+    it("pays nothing when the balance does not cover the amount", async function () {
+      const { contract, investors } = await loadFixture(settledRoundFixture);
+
+      const requestId = await requestClaim(contract, investors[0], ethers.parseEther("1.5"));
+      await expect(createGatewayRelayer(contract, { signer: investors[2] }).fulfill(requestId))
+        .to.emit(contract, "ConfidentialClaimProcessed")
+        .withArgs(requestId, investors[0].address, 0n);
+
+      expect(await claimableOf(contract, investors[0].address)).to.equal(toValueUnits(ethers.parseEther("1")));
+    });
+
+    it("validates the amount and the balance", async function () {
+      const { contract, investors, outsider } = await loadFixture(settledRoundFixture);
+
+      await expect(contract.connect(investors[0]).requestConfidentialClaim(1n)).to.be.revertedWith("Amount not whole gwei");
+      await expect(contract.connect(investors[0]).requestConfidentialClaim(0n)).to.be.revertedWith("Amount not whole gwei");
+      await expect(contract.connect(outsider).requestConfidentialClaim(ethers.parseEther("1"))).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("gives the debit back to a wallet that rejects ETH", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const Rejecting = await ethers.getContractFactory("RejectingInvestor");
+      const rejecting = await Rejecting.deploy(await contract.getAddress());
+      const rejectingAddress = await rejecting.getAddress();
+      const { attestation, signature } = await attestInvestor(contract, rejectingAddress);
+      await (await rejecting.register(attestation, signature)).wait();
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 5);
+      await (await contract.connect(investors[0]).transferShares(0, rejectingAddress, handle, inputProof)).wait();
+      await (await contract.requestReturnsDistribution(0, { value: SAMPLE_DISTRIBUTION.amount })).wait();
+
+      const relayer = createGatewayRelayer(contract);
+      const [processed] = await relayer.fulfillFromReceipt(
+        await (await rejecting.requestConfidentialClaim(ethers.parseEther("0.5"))).wait()
+      );
+
+      expect(processed.status).to.equal(1);
+      expect(await claimableOf(contract, rejectingAddress)).to.equal(toValueUnits(ethers.parseEther("0.5")));
+    });
+
+    it("lets the investor cancel after CALLBACK_TIMEOUT", async function () {
+      const { contract, investors } = await loadFixture(settledRoundFixture);
+      const requestId = await requestClaim(contract, investors[0], ethers.parseEther("1"));
+
+      await expect(contract.connect(investors[0]).cancelConfidentialClaim(requestId)).to.be.revertedWith("Callback timeout not reached");
+      await time.increase(await contract.CALLBACK_TIMEOUT());
+      await expect(contract.connect(investors[1]).cancelConfidentialClaim(requestId)).to.be.revertedWith("Not claim owner");
+
+      await (await contract.connect(investors[0]).cancelConfidentialClaim(requestId)).wait();
+      expect(await claimableOf(contract, investors[0].address)).to.equal(toValueUnits(ethers.parseEther("1")));
+      await expect(
+        createGatewayRelayer(contract, { signer: investors[2] }).fulfill(requestId)
+      ).to.be.revertedWith("Claim already processed");
+    });
+  });
+
+  describe("requestRefundForFailedDecryption", function () {
+    it("reverts before CALLBACK_TIMEOUT has elapsed", async function () {
+      const { contract, outsider, requestId } = await loadFixture(saleRequestFixture);
+
+      await expect(
+        contract.connect(outsider).requestRefundForFailedDecryption(requestId)
+      ).to.be.revertedWith("Callback timeout not reached");
+    });
+
+    it("refunds the unsold part to the owner after CALLBACK_TIMEOUT", async function () {
+      const { contract, owner, investors, outsider, requestId } = await loadFixture(saleRequestFixture);
+      await time.increase(await contract.CALLBACK_TIMEOUT());
+
+      await (await contract.connect(outsider).requestRefundForFailedDecryption(requestId)).wait();
+
+      // 70 of the 100 shares were never sold; the 30 held are refunded as holders claim them
+      expect(await contract.claimableBalance(owner.address)).to.equal(ethers.parseEther("14"));
+      expect(await contract.claimableBalance(investors[0].address)).to.equal(0n);
+      expect(await contract.totalConfidentialReserved()).to.equal(ethers.parseEther("6"));
+
+      const request = await contract.decryptionRequests(requestId);
+      expect(request.hasFailed).to.equal(true);
+      expect(request.isProcessed).to.equal(true);
+    });
+
+    it("emits RefundIssued and DecryptionFailed", async function () {
+      const { contract, owner, outsider, requestId } = await loadFixture(saleRequestFixture);
+      await time.increase(await contract.CALLBACK_TIMEOUT());
+
+      await expect(contract.connect(outsider).requestRefundForFailedDecryption(requestId))
+        .to.emit(contract, "RefundIssued")
+        .withArgs(owner.address, 0n, ethers.parseEther("14"))
+        .and.to.emit(contract, "DecryptionFailed")
+        .withArgs(requestId, 0n, "Callback timeout exceeded");
+    });
+
+    it("blocks a late Gateway callback after the refund", async function () {
+      const { contract, investors, outsider, requestId } = await loadFixture(saleRequestFixture);
+      await time.increase(await contract.CALLBACK_TIMEOUT());
+      await contract.connect(outsider).requestRefundForFailedDecryption(requestId);
+
+      const relayer = createGatewayRelayer(contract, { signer: investors[2] });
+      await expect(relayer.fulfill(requestId)).to.be.revertedWith("Request already processed");
+    });
+
+    it("reverts for unknown requests", async function () {
+      const { contract } = await loadFixture(saleRequestFixture);
+
+      await expect(contract.requestRefundForFailedDecryption(999)).to.be.revertedWith("Request not found");
+    });
+  });
+
+  describe("emergencyRefund", function () {
+    it("refunds investors within MAX_REFUND_WINDOW", async function () {
+      const { contract, owner, investors, requestId } = await loadFixture(saleRequestFixture);
+
+      await expect(contract.emergencyRefund(requestId))
+        .to.emit(contract, "RefundIssued")
+        .withArgs(owner.address, 0n, ethers.parseEther("14"));
+      await (await contract.connect(investors[0]).claimSaleRefund(0)).wait();
+      expect(await claimableOf(contract, investors[0].address)).to.equal(toValueUnits(ethers.parseEther("2")));
+    });
+
+    it("reverts once MAX_REFUND_WINDOW has passed", async function () {
+      const { contract, requestId } = await loadFixture(saleRequestFixture);
+      await time.increase((await contract.MAX_REFUND_WINDOW()) + 1n);
+
+      await expect(contract.emergencyRefund(requestId)).to.be.revertedWith("Refund window expired");
+    });
+
+    it("reverts for an already processed request", async function () {
+      const { contract, investors, requestId } = await loadFixture(saleRequestFixture);
+      await createGatewayRelayer(contract, { signer: investors[2] }).fulfill(requestId);
+
+      await expect(contract.emergencyRefund(requestId)).to.be.revertedWith("Request already processed");
+    });
+  });
+
+  describe("claim", function () {
+    async function creditedFixture() {
+      const fixture = await saleRequestFixture();
+      await createGatewayRelayer(fixture.contract, { signer: fixture.investors[2] }).fulfill(fixture.requestId);
+      return fixture;
+    }
+
+    it("withdraws the credited balance and clears pending claims", async function () {
+      const { contract, investors, requestId } = await loadFixture(creditedFixture);
+      // 10 of the 100 shares of artwork 0
+      const payout = SALE_PRICE / 10n;
+
+      const [credit] = await contract.getPendingClaims(investors[0].address);
+      expect(credit.artworkId).to.equal(0n);
+      expect(credit.requestId).to.equal(requestId);
+      expect(credit.amount).to.equal(payout);
+
+      const totalClaimable = await contract.totalClaimable();
+      await expect(contract.connect(investors[0]).claim())
+        .to.changeEtherBalances([investors[0], contract], [payout, -payout]);
+
+      expect(await contract.claimableBalance(investors[0].address)).to.equal(0n);
+      expect(await contract.getPendingClaims(investors[0].address)).to.deep.equal([]);
+      expect(await contract.totalClaimable()).to.equal(totalClaimable - payout);
+    });
+
+    it("reverts when nothing is claimable", async function () {
+      const { contract, outsider } = await loadFixture(creditedFixture);
+
+      await expect(contract.connect(outsider).claim()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("settles a sale even when a holder cannot receive ETH", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const Rejecting = await ethers.getContractFactory("RejectingInvestor");
+      const rejecting = await Rejecting.deploy(await contract.getAddress());
+      const { attestation, signature } = await attestInvestor(contract, await rejecting.getAddress());
+      await (await rejecting.register(attestation, signature)).wait();
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 5);
+      await (await contract.connect(investors[0]).transferShares(0, await rejecting.getAddress(), handle, inputProof)).wait();
+
+      const tx = await contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE });
+      await createGatewayRelayer(contract).fulfillFromReceipt(await tx.wait());
+
+      expect(await contract.claimableBalance(await rejecting.getAddress())).to.equal(SALE_PRICE / 20n);
+      expect(await contract.claimableBalance(investors[1].address)).to.equal(SALE_PRICE / 5n);
+      await expect(rejecting.claim()).to.be.revertedWith("Failed to send claim");
+    });
+  });
+
+  describe("Timelocked withdrawals", function () {
+    async function balanceOf(contract) {
+      return ethers.provider.getBalance(await contract.getAddress());
+    }
+
+    async function queuedWithdrawalId(contract, amount) {
+      const receipt = await (await contract.queueWithdrawal(amount)).wait();
+      return receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "WithdrawalQueued").args.withdrawalId;
+    }
+
+    it("reserves in-flight requests and unclaimed credits", async function () {
+      const { contract, receipt } = await loadFixture(saleRequestFixture);
+      const balance = await balanceOf(contract);
+
+      expect(await contract.reservedBalance()).to.equal(SALE_PRICE);
+      expect(await contract.freeBalance()).to.equal(balance - SALE_PRICE);
+      await expect(contract.queueWithdrawal(balance)).to.be.revertedWith("Exceeds free balance");
+
+      // The callback turns the reservation into credits, which stay reserved until claimed
+      await createGatewayRelayer(contract).fulfillFromReceipt(receipt);
+      expect(await contract.totalPendingDecryption()).to.equal(0n);
+      expect(await contract.reservedBalance()).to.equal(await contract.totalClaimable());
+    });
+
+    it("reserves returns rounds until holders claim them", async function () {
+      const { contract } = await loadFixture(requestDistributionFixture);
+
+      expect(await contract.totalConfidentialReserved()).to.equal(SAMPLE_DISTRIBUTION.amount);
+      expect(await contract.reservedBalance()).to.equal(SAMPLE_DISTRIBUTION.amount);
+    });
+
+    it("releases the reservation when a request is refunded", async function () {
+      const { contract, requestId } = await loadFixture(saleRequestFixture);
+
+      await (await contract.emergencyRefund(requestId)).wait();
+      expect(await contract.totalPendingDecryption()).to.equal(0n);
+      expect(await contract.reservedBalance()).to.equal(
+        (await contract.totalClaimable()) + (await contract.totalConfidentialReserved())
+      );
+      expect(await contract.reservedBalance()).to.equal(SALE_PRICE);
+    });
+
+    it("pays the owner only after the delay", async function () {
+      const { contract, owner, investors } = await loadFixture(requestDistributionFixture);
+      const [guardian] = investors;
+      await (await contract.grantRole(await contract.GUARDIAN_ROLE(), guardian.address)).wait();
+      const amount = await contract.freeBalance();
+
+      await expect(contract.connect(guardian).queueWithdrawal(amount))
+        .to.emit(contract, "WithdrawalQueued")
+        .withArgs(0n, guardian.address, amount, (executableAt) => executableAt > 0n);
+      expect(await contract.freeBalance()).to.equal(0n);
+      await expect(contract.connect(guardian).executeWithdrawal(0)).to.be.revertedWith("Withdrawal timelocked");
+
+      const [ids, pending] = await contract.getPendingWithdrawals();
+      expect(ids).to.deep.equal([0n]);
+      expect(pending[0].amount).to.equal(amount);
+
+      await time.increase(await contract.WITHDRAWAL_DELAY());
+      await expect(contract.connect(guardian).executeWithdrawal(0)).to.changeEtherBalances(
+        [owner, contract],
+        [amount, -amount]
+      );
+      expect(await balanceOf(contract)).to.equal(SAMPLE_DISTRIBUTION.amount);
+      expect((await contract.getPendingWithdrawals())[0]).to.deep.equal([]);
+      await expect(contract.connect(guardian).executeWithdrawal(0)).to.be.revertedWith("Withdrawal not pending");
+    });
+
+    it("sets queued amounts aside until they are cancelled", async function () {
+      const { contract } = await loadFixture(deployPlatformFixture);
+      const free = await contract.freeBalance();
+
+      const withdrawalId = await queuedWithdrawalId(contract, free / 2n);
+      await expect(contract.queueWithdrawal(free)).to.be.revertedWith("Exceeds free balance");
+
+      await expect(contract.cancelWithdrawal(withdrawalId))
+        .to.emit(contract, "WithdrawalCancelled")
+        .withArgs(withdrawalId, (await ethers.getSigners())[0].address);
+      expect(await contract.freeBalance()).to.equal(free);
+      await expect(contract.cancelWithdrawal(withdrawalId)).to.be.revertedWith("Withdrawal not pending");
+      await expect(contract.cancelWithdrawal(5)).to.be.revertedWith("Withdrawal not found");
+      await expect(contract.queueWithdrawal(0)).to.be.revertedWith("Exceeds free balance");
+    });
+  });
+
+  describe("Sale settlement", function () {
+    // Artwork 0 has 100 shares: investor 1 holds 10, investor 2 holds 20
+    async function saleRequestId(contract, tx) {
+      const receipt = await tx.wait();
+      return receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "DecryptionRequested").args.requestId;
+    }
+
+    it("pays proceeds pro-rata to holders and the unsold part to the owner", async function () {
+      const { contract, owner, investors } = await loadFixture(deployPlatformFixture);
+      const requestId = await saleRequestId(contract, await contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE }));
+      expect((await contract.artworkSales(0)).status).to.equal(2n);
+
+      await createGatewayRelayer(contract, { signer: investors[2] }).fulfill(requestId);
+
+      const holders = [investors[0], investors[1], owner];
+      const credited = await Promise.all(holders.map((holder) => contract.claimableBalance(holder.address)));
+      expect(credited).to.deep.equal([ethers.parseEther("2"), ethers.parseEther("4"), ethers.parseEther("14")]);
+
+      expect((await contract.artworkSales(0)).status).to.equal(3n);
+      const [accounts, amounts] = await contract.getSalePayouts(0);
+      expect(accounts).to.deep.equal([investors[0].address, investors[1].address]);
+      expect(amounts).to.deep.equal([ethers.parseEther("2"), ethers.parseEther("4")]);
+    });
+
+    it("waits for the buyer to deposit the sale price", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      await (await contract.sellArtwork(0, SALE_PRICE)).wait();
+      expect((await contract.artworkSales(0)).status).to.equal(1n);
+
+      await expect(
+        contract.connect(outsider).depositSaleProceeds(0, { value: SALE_PRICE - 1n })
+      ).to.be.revertedWith("Deposit must equal sale price");
+
+      const requestId = await saleRequestId(contract, await contract.connect(outsider).depositSaleProceeds(0, { value: SALE_PRICE }));
+      await expect(createGatewayRelayer(contract, { signer: investors[2] }).fulfill(requestId))
+        .to.emit(contract, "SaleSettled")
+        .withArgs(0n, SALE_PRICE);
+
+      await expect(
+        contract.connect(outsider).depositSaleProceeds(0, { value: SALE_PRICE })
+      ).to.be.revertedWith("Sale not awaiting proceeds");
+    });
+
+    it("refunds proceeds pro-rata when the settlement callback times out", async function () {
+      const { contract, owner, investors, outsider } = await loadFixture(deployPlatformFixture);
+      // investors[0] gives all 10 shares to investors[2] and keeps none
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 10);
+      await (await contract.connect(investors[0]).transferShares(0, investors[2].address, handle, inputProof)).wait();
+      const requestId = await saleRequestId(contract, await contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE }));
+      await time.increase(await contract.CALLBACK_TIMEOUT());
+
+      await (await contract.connect(outsider).requestRefundForFailedDecryption(requestId)).wait();
+
+      const sale = await contract.artworkSales(0);
+      expect(sale.status).to.equal(4n);
+      expect(sale.refundPerShare).to.equal(ethers.parseEther("0.2"));
+      expect(await contract.salePayouts(0, owner.address)).to.equal(ethers.parseEther("14"));
+      await expect(
+        createGatewayRelayer(contract, { signer: investors[2] }).fulfill(requestId)
+      ).to.be.revertedWith("Request already processed");
+
+      for (const holder of investors) {
+        await expect(contract.connect(holder).claimSaleRefund(0))
+          .to.emit(contract, "SaleRefundClaimed")
+          .withArgs(0n, holder.address);
+      }
+      const refunds = await Promise.all(investors.map((holder) => claimableOf(contract, holder.address)));
+      expect(refunds).to.deep.equal([0n, toValueUnits(ethers.parseEther("4")), toValueUnits(ethers.parseEther("2"))]);
+
+      await expect(contract.connect(investors[1]).claimSaleRefund(0)).to.be.revertedWith("Refund already claimed");
+      await expect(contract.connect(outsider).claimSaleRefund(0)).to.be.revertedWith("No shares in this artwork");
+      await expect(contract.connect(investors[1]).claimSaleRefund(1)).to.be.revertedWith("Sale not refunded");
+    });
+
+    // 10 more holders of one share each on artwork 0, 12 in all; 40 shares sold
+    async function manyHoldersFixture() {
+      const fixture = await deployPlatformFixture();
+      const holders = (await ethers.getSigners()).slice(5, 15);
+      await registerInvestors(fixture.contract, holders);
+      for (const holder of holders) {
+        await (await fixture.contract.connect(holder).makePrivateInvestment(0, 1, { value: sharePriceOf(SAMPLE_ARTWORKS[0]) })).wait();
+      }
+      return { ...fixture, holders };
+    }
+
+    it("settles holders in batches, each callback requesting the next", async function () {
+      const { contract, owner, holders, outsider } = await loadFixture(manyHoldersFixture);
+      const requestId = await saleRequestId(contract, await contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE }));
+      const relayer = createGatewayRelayer(contract, { signer: outsider });
+
+      const first = await relayer.fulfill(requestId);
+      await expect(first).to.emit(contract, "SaleBatchSettled").withArgs(0n, 10n, 12n);
+      const sale = await contract.artworkSales(0);
+      expect(sale.status).to.equal(2n);
+      expect(sale.settledHolders).to.equal(await contract.DISTRIBUTION_BATCH_SIZE());
+      expect(sale.paidToInvestors).to.equal(ethers.parseEther("7.6"));
+      expect(await contract.claimableBalance(holders[7].address)).to.equal(ethers.parseEther("0.2"));
+      expect(await contract.claimableBalance(holders[8].address)).to.equal(0n);
+      expect(await contract.pendingDistributions(0)).to.equal(1n);
+
+      const [second] = await relayer.fulfillFromReceipt(first);
+      await expect(second).to.emit(contract, "SaleSettled").withArgs(0n, SALE_PRICE);
+      expect(await contract.claimableBalance(holders[9].address)).to.equal(ethers.parseEther("0.2"));
+      expect(await contract.claimableBalance(owner.address)).to.equal(ethers.parseEther("12"));
+      expect((await contract.artworkSales(0)).status).to.equal(3n);
+      expect(await contract.pendingDistributions(0)).to.equal(0n);
+      expect(await contract.totalPendingDecryption()).to.equal(0n);
+    });
+
+    it("refunds only the holders a failed batch left unpaid", async function () {
+      const { contract, owner, investors, holders, outsider } = await loadFixture(manyHoldersFixture);
+      const requestId = await saleRequestId(contract, await contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE }));
+      await createGatewayRelayer(contract, { signer: outsider }).fulfill(requestId);
+      const nextRequestId = (await contract.artworkSales(0)).requestId;
+      expect(nextRequestId).to.not.equal(requestId);
+      expect(await contract.totalPendingDecryption()).to.equal(ethers.parseEther("12.4"));
+
+      await (await contract.emergencyRefund(nextRequestId)).wait();
+
+      // The two unpaid holders keep 0.2 ETH a share reserved; the owner gets the rest
+      expect((await contract.artworkSales(0)).status).to.equal(4n);
+      expect(await contract.salePayouts(0, owner.address)).to.equal(ethers.parseEther("12"));
+      expect(await contract.claimableBalance(holders[7].address)).to.equal(ethers.parseEther("0.2"));
+      await (await contract.connect(holders[9]).claimSaleRefund(0)).wait();
+      expect(await claimableOf(contract, holders[9].address)).to.equal(toValueUnits(ethers.parseEther("0.2")));
+      await expect(contract.connect(investors[0]).claimSaleRefund(0)).to.be.revertedWith("Paid by settlement");
+    });
+
+    it("frees the refund of shares still pooled by a refunded sale once they are released", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      const { handle, inputProof } = await encryptShares(contract, investors[2], 1);
+      await (await contract.connect(investors[2]).makeConfidentialInvestment(0, handle, inputProof, { value: sharePrice * 3n })).wait();
+
+      const requestId = await saleRequestId(contract, await contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE }));
+      await (await contract.emergencyRefund(requestId)).wait();
+      // 33 shares are held or pooled: 6.6 ETH of refunds plus the 0.3 ETH payment
+      expect(await contract.totalConfidentialReserved()).to.equal(ethers.parseEther("6.9"));
+
+      const release = await (await contract.connect(outsider).releaseUnallocatedShares(0)).wait();
+      await createGatewayRelayer(contract, { signer: outsider }).fulfillFromReceipt(release);
+
+      // Left: 31 held shares at 0.2 ETH and the encrypted refund of the 2 pooled shares
+      expect(await contract.totalConfidentialReserved()).to.equal(ethers.parseEther("6.2") + sharePrice * 2n);
+    });
+
+    it("lets a treasurer cancel a sale and anyone once the deposit window closes", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      await (await contract.sellArtwork(0, SALE_PRICE)).wait();
+
+      await expect(contract.connect(outsider).cancelSale(0)).to.be.revertedWith("Deposit window still open");
+      await expect(contract.cancelSale(0))
+        .to.emit(contract, "SaleCancelled")
+        .withArgs(0n, (await ethers.getSigners())[0].address);
+      expect((await contract.artworkSales(0)).status).to.equal(5n);
+      expect((await contract.getArtworkInfo(0)).availableShares).to.equal(70n);
+      await expect(
+        contract.connect(outsider).depositSaleProceeds(0, { value: SALE_PRICE })
+      ).to.be.revertedWith("Sale not awaiting proceeds");
+
+      // The artwork trades again and can be sold anew
+      await (await contract.sellArtwork(0, SALE_PRICE)).wait();
+      await time.increase(await contract.SALE_DEPOSIT_WINDOW());
+      await expect(
+        contract.connect(investors[2]).depositSaleProceeds(0, { value: SALE_PRICE })
+      ).to.be.revertedWith("Deposit window closed");
+      await expect(contract.connect(outsider).cancelSale(0))
+        .to.emit(contract, "SaleCancelled")
+        .withArgs(0n, outsider.address);
+      await expect(contract.cancelSale(0)).to.be.revertedWith("Sale not awaiting proceeds");
+    });
+
+    it("does not accept a returns callback for a sale request", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const requestId = await saleRequestId(contract, await contract.sellArtwork(0, SALE_PRICE, { value: SALE_PRICE }));
+
+      await expect(
+        contract.connect(investors[2]).processReturnsDistribution(requestId, "0x", "0x")
+      ).to.be.revertedWith("Wrong callback for request");
+    });
+
+    it("requires the order book to be cleared first", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 5);
+      await (await contract.connect(investors[0]).createShareOrder(0, handle, inputProof, ethers.parseEther("1"))).wait();
+
+      await expect(contract.sellArtwork(0, SALE_PRICE)).to.be.revertedWith("Open share orders");
+
+      await (await contract.cancelShareOrder(0)).wait();
+      expect(await sharesOf(contract, investors[0], 0)).to.equal(10n);
+      await expect(contract.sellArtwork(0, SALE_PRICE)).to.emit(contract, "ArtworkSold");
+    });
+  });
+
+  describe("Artwork administration", function () {
+    // Artwork 0: 100 shares at 0.1 ETH, 70 unsold; investor 1 holds 10
+    const SHARE_PRICE = sharePriceOf(SAMPLE_ARTWORKS[0]);
+
+    it("pauses and resumes new investments", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      await expect(contract.pauseArtwork(0)).to.emit(contract, "ArtworkPaused").withArgs(0n);
+
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 1, { value: SHARE_PRICE })
+      ).to.be.revertedWith("Artwork paused");
+      const { handle, inputProof } = await encryptShares(contract, investors[2], 1);
+      await expect(
+        contract.connect(investors[2]).makeConfidentialInvestment(0, handle, inputProof, { value: SHARE_PRICE })
+      ).to.be.revertedWith("Artwork paused");
+
+      await expect(contract.resumeArtwork(0)).to.emit(contract, "ArtworkResumed").withArgs(0n);
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 1, { value: SHARE_PRICE })
+      ).to.emit(contract, "PrivateInvestmentMade");
+      await expect(contract.resumeArtwork(0)).to.be.revertedWith("Artwork not paused");
+    });
+
+    it("updates the name, artist and IPFS hash", async function () {
+      const { contract } = await loadFixture(deployPlatformFixture);
+      const ipfsHash = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+
+      await expect(contract.updateArtworkMetadata(0, "The Starry Night", "Estate", ipfsHash))
+        .to.emit(contract, "ArtworkMetadataUpdated")
+        .withArgs(0n, "The Starry Night", "Estate", ipfsHash);
+
+      const artwork = await contract.artworks(0);
+      expect([artwork.name, artwork.artist, artwork.ipfsHash]).to.deep.equal(["The Starry Night", "Estate", ipfsHash]);
+      expect(artwork.sharePrice).to.equal(SHARE_PRICE);
+    });
+
+    it("closes funding for good while holdings keep earning returns", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      await expect(contract.closeFunding(0)).to.emit(contract, "FundingClosed").withArgs(0n, 70n);
+
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 1, { value: SHARE_PRICE })
+      ).to.be.revertedWith("Funding closed");
+      await expect(contract.updateSharePrice(0, SHARE_PRICE * 2n)).to.be.revertedWith("Funding closed");
+      await expect(contract.closeFunding(0)).to.be.revertedWith("Funding closed");
+
+      const [[artwork]] = await contract.getArtworks(0, 1);
+      expect(artwork.fundingClosed).to.equal(true);
+      expect(artwork.isActive).to.equal(true);
+      await expect(
+        contract.requestReturnsDistribution(0, { value: SAMPLE_DISTRIBUTION.amount })
+      ).to.emit(contract, "DecryptionRequested");
+    });
+
+    it("reprices unsold shares only", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const newPrice = SHARE_PRICE * 2n;
+
+      await expect(contract.updateSharePrice(0, newPrice))
+        .to.emit(contract, "SharePriceUpdated")
+        .withArgs(0n, SHARE_PRICE, newPrice);
+      expect((await contract.artworks(0)).totalValue).to.equal(SHARE_PRICE * 30n + newPrice * 70n);
+
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 1, { value: SHARE_PRICE })
+      ).to.be.revertedWith("Insufficient payment");
+      await (await contract.connect(investors[2]).makePrivateInvestment(0, 1, { value: newPrice })).wait();
+
+      // Shares bought at the old price move without underflowing the holder's encrypted value
+      const { handle, inputProof } = await encryptShares(contract, investors[0], 10);
+      await (await contract.connect(investors[0]).transferShares(0, investors[2].address, handle, inputProof)).wait();
+      const position = await contract.artworkInvestments(0, investors[0].address);
+      expect(decryptHandle(position.encryptedValue.handle).value).to.equal(0n);
+    });
+
+    it("rejects investments in sold artworks", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      await (await contract.sellArtwork(0, ethers.parseEther("20"))).wait();
+
+      await expect(
+        contract.connect(investors[2]).makePrivateInvestment(0, 1, { value: SHARE_PRICE })
+      ).to.be.revertedWith("Artwork not active");
+      await expect(contract.pauseArtwork(0)).to.be.revertedWith("Artwork not active");
+    });
+  });
+
+  describe("Batch reads", function () {
+    it("pages artworks with their status, creator and listing time", async function () {
+      const { contract, owner } = await loadFixture(deployPlatformFixture);
+      await (await contract.sellArtwork(1, ethers.parseEther("1"))).wait();
+
+      const [page, total] = await contract.getArtworks(1, 5);
+      expect(total).to.equal(3n);
+      expect(page.map((artwork) => artwork.id)).to.deep.equal([1n, 2n]);
+      expect(page.map((artwork) => artwork.isActive)).to.deep.equal([false, true]);
+      expect(page[1].name).to.equal(SAMPLE_ARTWORKS[2].name);
+      expect(page[1].investorCount).to.equal(2n);
+      expect(page[1].creator).to.equal(owner.address);
+      expect(page[1].createdAt).to.be.greaterThan(0n);
+
+      const [empty] = await contract.getArtworks(3, 5);
+      expect(empty).to.have.length(0);
+    });
+
+    it("lists each artwork an investor holds once", async function () {
+      const { contract, investors } = await loadFixture(deployPlatformFixture);
+      const sharePrice = sharePriceOf(SAMPLE_ARTWORKS[0]);
+      await (await contract.connect(investors[0]).makePrivateInvestment(0, 1, { value: sharePrice })).wait();
+
+      expect(await contract.getInvestorArtworks(investors[0].address)).to.deep.equal([0n, 2n]);
+      expect(await contract.getInvestorArtworks(investors[2].address)).to.deep.equal([1n]);
+    });
+
+    it("pages artwork holders and registered investors", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+
+      const [holders, holderCount] = await contract.getArtworkInvestorsPage(2, 1, 10);
+      expect(holders).to.deep.equal([investors[1].address]);
+      expect(holderCount).to.equal(2n);
+
+      const [registered, registeredCount] = await contract.getRegisteredInvestors(0, 2);
+      expect(registered).to.deep.equal([investors[0].address, investors[1].address]);
+      expect(registeredCount).to.equal(3n);
+      expect(registered).to.not.include(outsider.address);
+    });
+
+    it("rejects pages above MAX_PAGE_SIZE", async function () {
+      const { contract } = await loadFixture(deployPlatformFixture);
+      const maxPageSize = await contract.MAX_PAGE_SIZE();
+
+      await expect(contract.getArtworks(0, maxPageSize + 1n)).to.be.revertedWith("Page size too large");
+      await expect(contract.getArtworkInvestorsPage(9, 0, 1)).to.be.revertedWith("Invalid artwork ID");
+    });
+  });
+
+  describe("Access control", function () {
+    async function roles(contract) {
+      const [admin, curator, treasurer, guardian] = await Promise.all([
+        contract.ADMIN_ROLE(),
+        contract.CURATOR_ROLE(),
+        contract.TREASURER_ROLE(),
+        contract.GUARDIAN_ROLE()
+      ]);
+      return { admin, curator, treasurer, guardian };
+    }
+
+    it("gives the owner every role and nobody else any", async function () {
+      const { contract, owner, outsider } = await loadFixture(deployPlatformFixture);
+
+      for (const role of Object.values(await roles(contract))) {
+        expect(await contract.hasRole(role, owner.address)).to.equal(true);
+        expect(await contract.hasRole(role, outsider.address)).to.equal(false);
+      }
+    });
+
+    it("limits each role to its own operations", async function () {
+      const { contract, outsider, requestId } = await loadFixture(saleRequestFixture);
+      const { curator, treasurer, guardian } = await roles(contract);
+      const [, , , , , curatorAccount, treasurerAccount, guardianAccount] = await ethers.getSigners();
+      await (await contract.grantRole(curator, curatorAccount.address)).wait();
+      await (await contract.grantRole(treasurer, treasurerAccount.address)).wait();
+      await (await contract.grantRole(guardian, guardianAccount.address)).wait();
+
+      const artwork = SAMPLE_ARTWORKS[0];
+      const listing = [artwork.name, artwork.artist, artwork.ipfsHash, artwork.totalValue, sharePriceOf(artwork), 100];
+      await expect(contract.connect(curatorAccount).listArtwork(...listing)).to.emit(contract, "ArtworkListed");
+      await expect(contract.connect(curatorAccount).pauseArtwork(1)).to.emit(contract, "ArtworkPaused");
+      await expect(contract.connect(treasurerAccount).listArtwork(...listing)).to.be.revertedWith("Not authorized");
+
+      await expect(
+        contract.connect(treasurerAccount).requestReturnsDistribution(2, { value: SAMPLE_DISTRIBUTION.amount })
+      ).to.emit(contract, "DecryptionRequested");
+      await expect(contract.connect(treasurerAccount).sellArtwork(1, 1n)).to.emit(contract, "ArtworkSold");
+      await expect(contract.connect(guardianAccount).sellArtwork(2, 1n)).to.be.revertedWith("Not authorized");
+
+      await expect(contract.connect(guardianAccount).emergencyRefund(requestId)).to.emit(contract, "DecryptionFailed");
+      await expect(contract.connect(curatorAccount).queueWithdrawal(1n)).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(outsider).grantRole(curator, outsider.address)).to.be.revertedWith("Not authorized");
+    });
+
+    it("keeps outsiders out of every restricted operation", async function () {
+      const { contract, outsider, requestId } = await loadFixture(saleRequestFixture);
+      const asOutsider = contract.connect(outsider);
+      const artwork = SAMPLE_ARTWORKS[0];
+
+      await expect(
+        asOutsider.listArtwork(artwork.name, artwork.artist, artwork.ipfsHash, artwork.totalValue, sharePriceOf(artwork), 100)
+      ).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.pauseArtwork(0)).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.updateArtworkMetadata(0, "", "", "")).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.closeFunding(0)).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.updateSharePrice(0, 1n)).to.be.revertedWith("Not authorized");
+
+      await expect(asOutsider.requestReturnsDistribution(0, { value: 1n })).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.sellArtwork(1, 1n)).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.emergencyRefund(requestId)).to.be.revertedWith("Not authorized");
+
+      await expect(asOutsider.queueWithdrawal(1n)).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.executeWithdrawal(0)).to.be.revertedWith("Not authorized");
+      await expect(asOutsider.cancelWithdrawal(0)).to.be.revertedWith("Not authorized");
+    });
+
+    it("lets admins grant and revoke roles", async function () {
+      const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const { admin, curator } = await roles(contract);
+      const [adminAccount] = investors;
+
+      await (await contract.grantRole(admin, adminAccount.address)).wait();
+      await expect(contract.connect(adminAccount).grantRole(curator, outsider.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(curator, outsider.address, adminAccount.address);
+      expect(await contract.hasRole(curator, outsider.address)).to.equal(true);
+
+      await expect(contract.connect(adminAccount).revokeRole(curator, outsider.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(curator, outsider.address, adminAccount.address);
+      expect(await contract.hasRole(curator, outsider.address)).to.equal(false);
+
+      await expect(contract.grantRole(ethers.id("MINTER_ROLE"), outsider.address)).to.be.revertedWith("Unknown role");
+      await (await contract.connect(adminAccount).renounceRole(admin)).wait();
+      await expect(contract.connect(adminAccount).grantRole(curator, outsider.address)).to.be.revertedWith("Not authorized");
+    });
+
+    it("transfers ownership in two steps", async function () {
+      const { contract, owner, investors, outsider } = await loadFixture(deployPlatformFixture);
+      const { guardian } = await roles(contract);
+      const [newOwner] = investors;
+
+      await expect(contract.transferOwnership(newOwner.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, newOwner.address);
+      expect(await contract.owner()).to.equal(owner.address);
+      await expect(contract.connect(outsider).acceptOwnership()).to.be.revertedWith("Not pending owner");
+
+      await expect(contract.connect(newOwner).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, newOwner.address);
+      expect(await contract.owner()).to.equal(newOwner.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await contract.hasRole(guardian, owner.address)).to.equal(false);
+      await expect(contract.transferOwnership(owner.address)).to.be.revertedWith("Not authorized");
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseArgs } = require("../scripts/cli/args");
+const { COMMANDS } = require("../scripts/cli/commands");
+const { resolveDeployment, toJson } = require("../scripts/cli/index");
+const { SAMPLE_DISTRIBUTION, deployPlatformFixture } = require("../scripts/fixtures");
+
+describe("CLI", function () {
+  function run(name, ctx, argv = []) {
+    const { positionals, options } = parseArgs([name, ...argv]);
+    return COMMANDS[name].run(ctx, { positionals, options });
+  }
+
+  describe("arguments", function () {
+    it("parses commands, positionals, valued options and flags", function () {
+      expect(parseArgs(["withdraw", "queue", "--amount", "0.5", "--network=localhost", "--json", "--dry-run"])).to.deep.equal({
+        command: "withdraw",
+        positionals: ["queue"],
+        options: { amount: "0.5", network: "localhost", json: true, "dry-run": true }
+      });
+
+      expect(() => parseArgs(["invest", "--shares"])).to.throw("--shares needs a value");
+      expect(() => parseArgs(["stats", "--json=yes"])).to.throw("--json does not take a value");
+    });
+
+    it("resolves the network from the deployment registry", function () {
+      const localhost = { network: "localhost", chainId: 31337 };
+      const sepolia = { network: "sepolia", chainId: 11155111 };
+
+      expect(resolveDeployment(undefined, [localhost])).to.equal(localhost);
+      expect(resolveDeployment("sepolia", [localhost, sepolia])).to.equal(sepolia);
+      expect(() => resolveDeployment(undefined, [localhost, sepolia])).to.throw("--network is required (deployed: localhost, sepolia)");
+      expect(() => resolveDeployment("zama", [localhost])).to.throw("No deployment for network \"zama\"");
+      expect(() => resolveDeployment("localhost", [])).to.throw("No deployments found");
+    });
+  });
+
+  describe("commands", function () {
+    it("reports stats and artworks as JSON-safe results", async function () {
+      const { contract, owner } = await loadFixture(deployPlatformFixture);
+      const ctx = { contract, signer: owner, dryRun: false };
+
+      const stats = await run("stats", ctx);
+      expect(stats).to.include({ totalArtworks: 3n, totalInvestors: 3n, balanceEth: "7.5", freeEth: "7.5" });
+      expect(JSON.parse(toJson(stats)).totalArtworks).to.equal("3");
+
+      const artwork = await run("artworks", ctx, ["--id", "1"]);
+      expect(artwork).to.include({ id: 1, sharePriceEth: "0.1", availableShares: 45n });
+      await expect(run("artworks", ctx, ["--id", "7"])).to.be.rejectedWith("Artwork 7 does not exist");
+    });
+
+    it("lists, invests and reports the investor's status", async function () {
+      const { contract, owner, investors } = await loadFixture(deployPlatformFixture);
+
+      const listed = await run("list-artwork", { contract, signer: owner, dryRun: false }, [
+        "--name", "Night Study", "--artist", "Artist", "--cid", "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+        "--value", "2", "--shares", "20"
+      ]);
+      expect(listed).to.include({ artworkId: 3n, sharePriceEth: "0.1" });
+
+      const ctx = { contract, signer: investors[2], dryRun: false };
+      const invested = await run("invest", ctx, ["--artwork", "3", "--shares", "4"]);
+      expect(invested).to.include({ paymentEth: "0.4", method: "makePrivateInvestment" });
+      expect(invested.transaction).to.match(/^0x[0-9a-f]{64}$/);
+
+      const status = await run("status", ctx, ["--artwork", "3"]);
+      expect(status).to.include({ investor: investors[2].address, registered: true, hasInvested: true });
+    });
+
+    it("only estimates gas in dry-run mode", async function () {
+      const { contract, owner, investors } = await loadFixture(deployPlatformFixture);
+      const amount = ethers.formatEther(SAMPLE_DISTRIBUTION.amount);
+
+      const estimate = await run("distribute", { contract, signer: owner, dryRun: true }, ["--artwork", "0", "--amount", amount]);
+      expect(estimate).to.include({ dryRun: true, method: "requestReturnsDistribution", valueEth: amount });
+      expect(estimate.gasEstimate > 0n).to.equal(true);
+      expect(await contract.totalDistributionRounds()).to.equal(0n);
+
+      const sent = await run("distribute", { contract, signer: owner, dryRun: false }, ["--artwork", "0", "--amount", amount]);
+      expect((await contract.decryptionRequests(sent.requestId)).totalReturns).to.equal(SAMPLE_DISTRIBUTION.amount);
+      expect(await contract.totalDistributionRounds()).to.equal(1n);
+
+      const { rounds } = await run("rounds", { contract, signer: owner, dryRun: false }, ["--artwork", "0"]);
+      expect(rounds).to.have.length(1);
+      expect(rounds[0]).to.include({ id: 0, status: "pending", amountEth: amount, perShareEth: "0.1", distributedEth: null });
+
+      const claimed = await run("claim-returns", { contract, signer: investors[0], dryRun: false }, ["--amount", "0.5"]);
+      expect(claimed).to.include({ method: "requestConfidentialClaim" });
+      expect((await contract.confidentialClaims(claimed.requestId)).investor).to.equal(investors[0].address);
+    });
+
+    it("lists decryption requests, refunds sale settlements and expires returns rounds", async function () {
+      const { contract, owner } = await loadFixture(deployPlatformFixture);
+      const ctx = { contract, signer: owner, dryRun: false };
+      const amount = ethers.formatEther(SAMPLE_DISTRIBUTION.amount);
+
+      const { requestId } = await run("distribute", ctx, ["--artwork", "0", "--amount", amount]);
+      await run("sell", ctx, ["--artwork", "2", "--price", "20", "--deposit"]);
+
+      const { requests } = await run("requests", ctx);
+      expect(requests).to.have.length(2);
+      expect(requests[0]).to.include({ requestId, kind: "returns", status: "pending", refundable: false, emergencyRefundable: true });
+      expect(requests[1]).to.include({ artworkId: 2, kind: "sale", amountEth: "20.0", refundable: false, emergencyRefundable: true });
+
+      await run("refund", ctx, ["--request", requestId.toString()]);
+      expect((await run("rounds", ctx, ["--artwork", "0"])).rounds[0].status).to.equal("expired");
+      await run("refund", ctx, ["--request", requests[1].requestId.toString()]);
+
+      const [sale] = (await run("requests", ctx, ["--artwork", "2"])).requests;
+      expect(sale).to.include({ status: "refunded", failureReason: "Emergency refund by guardian" });
+      expect(sale.refunds.map((refund) => refund.investor)).to.deep.equal([owner.address]);
+    });
+
+    it("rejects invalid arguments before sending anything", async function () {
+      const { contract, owner } = await loadFixture(deployPlatformFixture);
+      const ctx = { contract, signer: owner, dryRun: false };
+
+      await expect(run("invest", ctx, ["--artwork", "0"])).to.be.rejectedWith("--shares is required");
+      await expect(run("invest", ctx, ["--artwork", "-1", "--shares", "1"])).to.be.rejectedWith("--artwork must be a non-negative integer");
+      await expect(run("list-artwork", ctx, [
+        "--name", "Odd", "--artist", "Artist", "--cid", "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG",
+        "--value", "1", "--shares", "3"
+      ])).to.be.rejectedWith("--value must split into a share price of whole gwei");
+      await expect(run("withdraw", ctx, ["--amount", "1"])).to.be.rejectedWith("withdraw needs an action");
+      await expect(run("claim-returns", ctx, ["--amount", "0.0000000001"])).to.be.rejectedWith("--amount must be a positive whole number of gwei");
+      await expect(run("refund", ctx, ["--request", "5"])).to.be.rejectedWith("Request 5 not found");
+    });
+  });
+});
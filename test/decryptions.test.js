@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createGatewayRelayer } = require("../scripts/gateway-relayer");
+const { fetchDecryptionRequests, formatDuration, refundOptions } = require("../shared/decryption-requests.cjs");
+const { SAMPLE_DISTRIBUTION, deployPlatformFixture } = require("../scripts/fixtures");
+
+describe("Decryption requests", function () {
+  const SALE_PRICE = ethers.parseEther("20");
+
+  // A returns round on artwork 0 and a sale settlement of artwork 2, both awaiting the Gateway
+  async function pendingRequestsFixture() {
+    const fixture = await deployPlatformFixture();
+    const { contract } = fixture;
+    const returnsTx = await contract.requestReturnsDistribution(SAMPLE_DISTRIBUTION.artworkId, { value: SAMPLE_DISTRIBUTION.amount });
+    await (await contract.sellArtwork(2, SALE_PRICE, { value: SALE_PRICE })).wait();
+
+    return { ...fixture, returnsReceipt: await returnsTx.wait() };
+  }
+
+  async function chainTime() {
+    return BigInt(await time.latest());
+  }
+
+  it("lists every request with its kind, amount and deadlines", async function () {
+    const { contract } = await loadFixture(pendingRequestsFixture);
+    const [timeout, window] = await Promise.all([contract.CALLBACK_TIMEOUT(), contract.MAX_REFUND_WINDOW()]);
+
+    const [returns, sale] = await fetchDecryptionRequests(contract);
+    expect(returns).to.include({ artworkId: 0, kind: "returns", amount: SAMPLE_DISTRIBUTION.amount, status: "pending" });
+    expect(sale).to.include({ artworkId: 2, kind: "sale", amount: SALE_PRICE, status: "pending", failureReason: null });
+    expect(sale.timeoutAt).to.equal(sale.requestedAt + timeout);
+    expect(sale.refundWindowEndsAt).to.equal(sale.requestedAt + window);
+    expect(sale.refunds).to.deep.equal([]);
+
+    const filtered = await fetchDecryptionRequests(contract, { artworkId: 2 });
+    expect(filtered.map((request) => request.requestId)).to.deep.equal([sale.requestId]);
+  });
+
+  it("opens the timeout refund and closes the emergency window on schedule", async function () {
+    const { contract } = await loadFixture(pendingRequestsFixture);
+    const [returns, sale] = await fetchDecryptionRequests(contract);
+
+    expect(refundOptions(sale, await chainTime())).to.deep.equal({ refund: false, emergencyRefund: true });
+
+    await time.increaseTo(sale.timeoutAt);
+    expect(refundOptions(sale, await chainTime())).to.deep.equal({ refund: true, emergencyRefund: true });
+
+    await time.increaseTo(sale.refundWindowEndsAt + 1n);
+    expect(refundOptions(sale, await chainTime())).to.deep.equal({ refund: true, emergencyRefund: false });
+
+    // Returns rounds expire on the same schedule
+    expect(refundOptions(returns, sale.timeoutAt)).to.deep.equal({ refund: true, emergencyRefund: true });
+  });
+
+  it("reports processed requests and the owner's refund of unsold shares", async function () {
+    const { contract, owner, returnsReceipt } = await loadFixture(pendingRequestsFixture);
+    await createGatewayRelayer(contract).fulfillFromReceipt(returnsReceipt);
+
+    const [, pendingSale] = await fetchDecryptionRequests(contract);
+    await (await contract.connect(owner).emergencyRefund(pendingSale.requestId)).wait();
+
+    const [returns, sale] = await fetchDecryptionRequests(contract);
+    expect(returns.status).to.equal("processed");
+    expect(sale).to.include({ status: "refunded", failureReason: "Emergency refund by guardian" });
+    // 40 of the 150 shares are held; their holders claim their refunds under encryption
+    const refundPerShare = (SALE_PRICE / 10n ** 9n / 150n) * 10n ** 9n;
+    expect(sale.refunds).to.deep.equal([{ investor: owner.address, amount: SALE_PRICE - refundPerShare * 40n }]);
+    expect(refundOptions(sale, await chainTime())).to.deep.equal({ refund: false, emergencyRefund: false });
+  });
+
+  it("formats countdowns", function () {
+    expect(formatDuration(90061n)).to.equal("1d 1h 1m 1s");
+    expect(formatDuration(86400)).to.equal("1d");
+    expect(formatDuration(0)).to.equal("0s");
+    expect(formatDuration(-5)).to.equal("0s");
+  });
+});
@@ -0,0 +1,294 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { createGatewayRelayer } = require("../scripts/gateway-relayer");
+const { encryptUint32 } = require("../scripts/encrypted-input");
+const { openDatabase } = require("../scripts/indexer/db");
+const { createIndexer } = require("../scripts/indexer/indexer");
+const { createApiServer } = require("../scripts/indexer/api");
+const {
+  SAMPLE_ARTWORKS,
+  SAMPLE_DISTRIBUTION,
+  sharePriceOf,
+  deployPlatformFixture
+} = require("../scripts/fixtures");
+
+describe("Event indexer", function () {
+  let db;
+
+  beforeEach(function () {
+    db = openDatabase(":memory:");
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  async function invest(contract, investor, artworkId, shares) {
+    const value = sharePriceOf(SAMPLE_ARTWORKS[artworkId]) * BigInt(shares);
+    await (await contract.connect(investor).makePrivateInvestment(artworkId, shares, { value })).wait();
+  }
+
+  it("indexes artworks, investors and investments", async function () {
+    const { contract, investors } = await loadFixture(deployPlatformFixture);
+    await createIndexer(contract, db).sync();
+
+    expect(db.getStats()).to.deep.equal({ totalArtworks: 3, totalInvestors: 3 });
+
+    const artwork = db.getArtwork(0);
+    expect(artwork.name).to.equal(SAMPLE_ARTWORKS[0].name);
+    expect(artwork.artist).to.equal(SAMPLE_ARTWORKS[0].artist);
+    expect(artwork.availableShares).to.equal("70");
+    expect(artwork.investorCount).to.equal(2);
+
+    const investor = db.getInvestor(investors[0].address);
+    expect(investor.isRegistered).to.equal(true);
+    expect(investor.investments.map((i) => i.artworkId)).to.deep.equal([0, 2]);
+  });
+
+  it("resumes from the stored checkpoint", async function () {
+    const { contract, investors } = await loadFixture(deployPlatformFixture);
+    const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "test.sqlite");
+
+    const first = openDatabase(dbPath);
+    const checkpoint = await createIndexer(contract, first).sync();
+    first.close();
+
+    await invest(contract, investors[2], 0, 5);
+
+    const reopened = openDatabase(dbPath);
+    expect(reopened.getCheckpoint()).to.equal(checkpoint);
+    await createIndexer(contract, reopened).sync();
+
+    expect(reopened.getArtwork(0).availableShares).to.equal("65");
+    expect(reopened.getArtwork(0).investorCount).to.equal(3);
+    reopened.close();
+  });
+
+  it("rolls back events from blocks that were reorganized away", async function () {
+    const { contract, investors } = await loadFixture(deployPlatformFixture);
+    const indexer = createIndexer(contract, db);
+    await indexer.sync();
+
+    const snapshotId = await ethers.provider.send("evm_snapshot", []);
+    await invest(contract, investors[2], 0, 5);
+    await indexer.sync();
+    expect(db.getArtwork(0).availableShares).to.equal("65");
+
+    // Replace the investment block with empty blocks
+    await ethers.provider.send("evm_revert", [snapshotId]);
+    await mine(3);
+    await indexer.sync();
+
+    expect(db.getArtwork(0).availableShares).to.equal("70");
+    expect(db.getArtwork(0).investorCount).to.equal(2);
+    expect(db.getCheckpoint()).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("tracks distribution outcomes and refunds", async function () {
+    const { contract, owner, investors } = await loadFixture(deployPlatformFixture);
+    const relayer = createGatewayRelayer(contract);
+
+    const tx = await contract.requestReturnsDistribution(SAMPLE_DISTRIBUTION.artworkId, {
+      value: SAMPLE_DISTRIBUTION.amount
+    });
+    await relayer.fulfillFromReceipt(await tx.wait());
+
+    // Refund a sale settlement, whose owner refund is public
+    const sale = await (await contract.sellArtwork(2, ethers.parseEther("1"), { value: ethers.parseEther("1") })).wait();
+    const { requestId } = sale.logs
+      .map((log) => contract.interface.parseLog(log))
+      .find((event) => event && event.name === "DecryptionRequested").args;
+    await (await contract.emergencyRefund(requestId)).wait();
+    await (await contract.connect(investors[0]).claimSaleRefund(2)).wait();
+
+    await createIndexer(contract, db).sync();
+
+    const [processed, refunded] = db.getDistributions();
+    expect(processed.status).to.equal("processed");
+    expect(refunded.status).to.equal("failed");
+    // Only the owner's refund of unsold shares is public; holders claim theirs under encryption
+    expect(refunded.refunds.map((r) => r.account)).to.deep.equal([owner.address.toLowerCase()]);
+    expect(db.getDistributions(2)).to.have.length(1);
+    expect(db.getArtwork(2).sale.refundClaims).to.deep.equal([investors[0].address.toLowerCase()]);
+  });
+
+  it("lists credited sale payouts until they are claimed", async function () {
+    const { contract, investors } = await loadFixture(deployPlatformFixture);
+    const salePrice = ethers.parseEther("20");
+    const tx = await contract.sellArtwork(0, salePrice, { value: salePrice });
+    await createGatewayRelayer(contract).fulfillFromReceipt(await tx.wait());
+    const indexer = createIndexer(contract, db);
+    await indexer.sync();
+
+    // 10 of the 100 shares of artwork 0
+    const [credit] = db.getInvestor(investors[0].address).pendingClaims;
+    expect(credit.artworkId).to.equal(0);
+    expect(credit.amount).to.equal((salePrice / 10n).toString());
+
+    await (await contract.connect(investors[0]).claim()).wait();
+    await indexer.sync();
+
+    const investor = db.getInvestor(investors[0].address);
+    expect(investor.pendingClaims).to.deep.equal([]);
+    expect(investor.claims.map((c) => c.amount)).to.deep.equal([credit.amount]);
+  });
+
+  it("tracks secondary market orders and share recipients", async function () {
+    const { contract, investors } = await loadFixture(deployPlatformFixture);
+    const [seller, , buyer] = investors;
+    const contractAddress = await contract.getAddress();
+
+    for (const price of [ethers.parseEther("0.5"), ethers.parseEther("0.7")]) {
+      const { handle, inputProof } = await encryptUint32(contractAddress, seller.address, 2);
+      await (await contract.connect(seller).createShareOrder(0, handle, inputProof, price)).wait();
+    }
+    await (await contract.connect(buyer).fillShareOrder(0, { value: ethers.parseEther("0.5") })).wait();
+    await (await contract.connect(buyer).revealShareOrder(1)).wait();
+
+    await createIndexer(contract, db).sync();
+
+    const orders = db.getOrders({ artworkId: 0 });
+    expect(orders.map((o) => o.status)).to.deep.equal(["filled", "open"]);
+    expect(orders[0].buyer).to.equal(buyer.address.toLowerCase());
+    expect(orders[1].revealedTo).to.deep.equal([buyer.address.toLowerCase()]);
+    expect(db.getOrders({ status: "open" }).map((o) => o.price)).to.deep.equal([ethers.parseEther("0.7").toString()]);
+    expect(db.getArtwork(0).investorCount).to.equal(3);
+  });
+
+  it("tracks sales through settlement with each payout", async function () {
+    const { contract, investors } = await loadFixture(deployPlatformFixture);
+    const salePrice = ethers.parseEther("20");
+    const indexer = createIndexer(contract, db);
+
+    await (await contract.sellArtwork(0, salePrice)).wait();
+    await indexer.sync();
+    expect(db.getArtwork(0).sale.status).to.equal("awaiting_proceeds");
+    expect(db.getArtwork(1).sale).to.equal(null);
+
+    const tx = await contract.connect(investors[2]).depositSaleProceeds(0, { value: salePrice });
+    await createGatewayRelayer(contract).fulfillFromReceipt(await tx.wait());
+    await indexer.sync();
+
+    const { sale, isActive } = db.getArtwork(0);
+    expect(isActive).to.equal(false);
+    expect(sale.status).to.equal("settled");
+    expect(sale.settledHolders).to.equal(2);
+    expect(sale.salePrice).to.equal(salePrice.toString());
+    expect(sale.payouts.slice(0, 2)).to.deep.equal([
+      { account: investors[0].address.toLowerCase(), amount: ethers.parseEther("2").toString() },
+      { account: investors[1].address.toLowerCase(), amount: ethers.parseEther("4").toString() }
+    ]);
+  });
+
+  it("reports the latest sale of an artwork once an earlier one is cancelled", async function () {
+    const { contract } = await loadFixture(deployPlatformFixture);
+    const indexer = createIndexer(contract, db);
+
+    await (await contract.sellArtwork(0, ethers.parseEther("20"))).wait();
+    await (await contract.cancelSale(0)).wait();
+    await indexer.sync();
+    expect(db.getArtwork(0).sale.status).to.equal("cancelled");
+    expect(db.getArtwork(0).isActive).to.equal(true);
+
+    await (await contract.sellArtwork(0, ethers.parseEther("25"))).wait();
+    await indexer.sync();
+    expect(db.getArtwork(0).sale).to.include({ status: "awaiting_proceeds", salePrice: ethers.parseEther("25").toString() });
+  });
+
+  it("follows pauses, edits, repricing and closed funding", async function () {
+    const { contract } = await loadFixture(deployPlatformFixture);
+    const indexer = createIndexer(contract, db);
+
+    await (await contract.pauseArtwork(1)).wait();
+    await (await contract.updateArtworkMetadata(1, "Digital Dreams #43", SAMPLE_ARTWORKS[1].artist, SAMPLE_ARTWORKS[1].ipfsHash)).wait();
+    await (await contract.updateSharePrice(2, 10n ** 9n)).wait();
+    await (await contract.closeFunding(2)).wait();
+    await indexer.sync();
+
+    const [, paused, closed] = db.getArtworks();
+    expect(paused).to.include({ name: "Digital Dreams #43", isPaused: true, fundingClosed: false });
+    expect(closed).to.include({ sharePrice: "1000000000", isPaused: false, fundingClosed: true });
+
+    await (await contract.resumeArtwork(1)).wait();
+    await indexer.sync();
+    expect(db.getArtwork(1).isPaused).to.equal(false);
+  });
+
+  it("follows returns rounds, confidential claims and KYC", async function () {
+    const { contract, investors } = await loadFixture(deployPlatformFixture);
+    const relayer = createGatewayRelayer(contract);
+
+    const tx = await contract.requestReturnsDistribution(SAMPLE_DISTRIBUTION.artworkId, {
+      value: SAMPLE_DISTRIBUTION.amount
+    });
+    await relayer.fulfillFromReceipt(await tx.wait());
+    const claim = await contract.connect(investors[0]).requestConfidentialClaim(ethers.parseEther("0.4"));
+    await relayer.fulfillFromReceipt(await claim.wait());
+    await (await contract.revokeAttestation(investors[1].address)).wait();
+
+    await createIndexer(contract, db).sync();
+
+    const [round] = db.getRounds(SAMPLE_DISTRIBUTION.artworkId);
+    expect(round).to.include({ roundId: "0", status: "distributed", creditedHolders: 2, totalHolders: 2 });
+    expect(round.amount).to.equal(SAMPLE_DISTRIBUTION.amount.toString());
+    expect(db.getRounds(1)).to.deep.equal([]);
+
+    const investor = db.getInvestor(investors[0].address);
+    expect(investor.confidentialClaims.map((c) => [c.status, c.paid])).to.deep.equal([["paid", ethers.parseEther("0.4").toString()]]);
+    expect(investor.kyc).to.include({ accredited: true });
+    expect(db.getInvestor(investors[1].address).kyc).to.equal(null);
+  });
+
+  it("re-snapshots an artwork when unallocated shares are released", async function () {
+    const { contract, investors, outsider } = await loadFixture(deployPlatformFixture);
+    const indexer = createIndexer(contract, db);
+
+    // investors[0] already holds 10%, so these shares are paid for but never credited
+    await (await contract.setOwnershipCap(0, 1000)).wait();
+    await invest(contract, investors[0], 0, 2);
+    await indexer.sync();
+    expect(db.getArtwork(0).availableShares).to.equal("68");
+
+    const release = await (await contract.connect(outsider).releaseUnallocatedShares(0)).wait();
+    await createGatewayRelayer(contract, { signer: outsider }).fulfillFromReceipt(release);
+    await indexer.sync();
+    expect(db.getArtwork(0).availableShares).to.equal("70");
+  });
+
+  describe("HTTP API", function () {
+    let server;
+    let baseUrl;
+
+    beforeEach(async function () {
+      const { contract } = await loadFixture(deployPlatformFixture);
+      await createIndexer(contract, db).sync();
+
+      server = createApiServer(db);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("serves stats and artworks as JSON", async function () {
+      const stats = await (await fetch(`${baseUrl}/stats`)).json();
+      expect(stats).to.deep.equal({ totalArtworks: 3, totalInvestors: 3 });
+
+      const artworks = await (await fetch(`${baseUrl}/artworks`)).json();
+      expect(artworks).to.have.length(3);
+      expect(artworks[1].sharePrice).to.equal(sharePriceOf(SAMPLE_ARTWORKS[1]).toString());
+    });
+
+    it("returns 404 for unknown artworks and 400 for malformed ids", async function () {
+      expect((await fetch(`${baseUrl}/artworks/9`)).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/artworks/abc`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/investors/0x1234`)).status).to.equal(400);
+    });
+  });
+});
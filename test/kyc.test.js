@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { LOCAL_KYC_SIGNER_PRIVATE_KEY, JURISDICTIONS } = require("../scripts/kyc/attestation");
+const { createKycSignerServer } = require("../scripts/kyc/server");
+const { requestAttestation } = require("../scripts/kyc/client");
+const { deployPlatformFixture } = require("../scripts/fixtures");
+
+describe("KYC signer", function () {
+  let server;
+  let baseUrl;
+
+  beforeEach(async function () {
+    server = createKycSignerServer({ signer: new ethers.Wallet(LOCAL_KYC_SIGNER_PRIVATE_KEY) });
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  async function post(body) {
+    return fetch(`${baseUrl}/attestations`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+  }
+
+  it("issues attestations the contract accepts for registration", async function () {
+    const { contract, outsider } = await loadFixture(deployPlatformFixture);
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const { attestation, signature, verifier } = await requestAttestation({
+      investor: outsider.address,
+      contractAddress: await contract.getAddress(),
+      chainId,
+      jurisdictions: ["eu", "CH"],
+      accredited: true
+    }, baseUrl);
+
+    expect(verifier).to.equal(await contract.kycVerifier());
+    expect(attestation.jurisdictions).to.equal(JURISDICTIONS.EU | JURISDICTIONS.CH);
+
+    await expect(contract.connect(outsider).registerInvestor(attestation, signature))
+      .to.emit(contract, "KycAttested")
+      .withArgs(outsider.address, attestation.jurisdictions, true, attestation.expiresAt);
+    expect(await contract.isEligible(outsider.address, 0)).to.equal(true);
+  });
+
+  it("rejects malformed requests with 400", async function () {
+    const valid = {
+      investor: ethers.Wallet.createRandom().address,
+      contractAddress: ethers.Wallet.createRandom().address,
+      chainId: 31337,
+      jurisdictions: ["US"]
+    };
+
+    expect((await post("not json")).status).to.equal(400);
+    expect((await post({ ...valid, investor: "0x1234" })).status).to.equal(400);
+    expect((await post({ ...valid, chainId: 0 })).status).to.equal(400);
+    expect((await post({ ...valid, jurisdictions: [] })).status).to.equal(400);
+
+    const unknown = await post({ ...valid, jurisdictions: ["US", "XX"] });
+    expect(unknown.status).to.equal(400);
+    expect((await unknown.json()).error).to.contain("XX");
+  });
+
+  it("reports its verifier address", async function () {
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    expect(health).to.deep.equal({
+      status: "ok",
+      verifier: new ethers.Wallet(LOCAL_KYC_SIGNER_PRIVATE_KEY).address
+    });
+    expect((await fetch(`${baseUrl}/unknown`)).status).to.equal(404);
+  });
+});
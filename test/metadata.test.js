@@ -0,0 +1,117 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { computeCid, isValidCid, normalizeCid } = require("../shared/cid.cjs");
+const { createKuboClient } = require("../scripts/ipfs/client");
+const { createLocalIpfsServer } = require("../scripts/ipfs/server");
+const { METADATA_SCHEMA_VERSION, validateMetadata, pinMetadata, fetchMetadata } = require("../scripts/ipfs/metadata");
+const { SAMPLE_ARTWORKS } = require("../scripts/fixtures");
+
+describe("Artwork metadata", function () {
+  // 1x1 transparent PNG
+  const PNG = Buffer.from(
+    "89504e470d0a1a0a0000000d4948445200000001000000010806000000" +
+      "1f15c4890000000d49444154789c6360000002000001e221bc330000000049454e44ae426082",
+    "hex"
+  );
+
+  function sampleMetadata(imageCid) {
+    return {
+      schemaVersion: METADATA_SCHEMA_VERSION,
+      name: SAMPLE_ARTWORKS[0].name,
+      artist: SAMPLE_ARTWORKS[0].artist,
+      description: "A reinterpretation of the 1889 original.",
+      image: `ipfs://${imageCid}`,
+      year: 2024,
+      medium: "Oil on canvas",
+      dimensions: "73.7 × 92.1 cm",
+      provenance: [{ owner: "Private collection", from: "2024" }],
+      appraisals: [{ appraiser: "Example Appraisers", value: "1200000", currency: "USD", date: "2024-05-01" }]
+    };
+  }
+
+  describe("CIDs", function () {
+    it("computes the CID ipfs add --cid-version=1 --raw-leaves gives small files", function () {
+      expect(computeCid(Buffer.from("hello world"))).to.equal(
+        "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e"
+      );
+    });
+
+    it("accepts CIDv0 and base32 CIDv1 and rejects malformed hashes", function () {
+      for (const artwork of SAMPLE_ARTWORKS) {
+        expect(isValidCid(artwork.ipfsHash)).to.equal(true);
+      }
+      expect(isValidCid(normalizeCid("ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e"))).to.equal(true);
+
+      for (const malformed of ["", "Qm123", "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbd0", "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5f", "not-a-cid"]) {
+        expect(isValidCid(malformed), malformed).to.equal(false);
+      }
+    });
+  });
+
+  describe("schema", function () {
+    it("accepts a complete document", function () {
+      expect(validateMetadata(sampleMetadata(computeCid(PNG)))).to.deep.equal([]);
+    });
+
+    it("reports missing fields and malformed references", function () {
+      const metadata = { ...sampleMetadata("Qm123"), description: "", year: "1889" };
+      metadata.appraisals[0].document = "ipfs://nope";
+
+      expect(validateMetadata(metadata)).to.deep.equal([
+        "description is required",
+        "image must be an ipfs:// URI with a valid CID",
+        "year must be an integer",
+        "appraisals[0].document must be an ipfs:// URI with a valid CID"
+      ]);
+    });
+  });
+
+  describe("local pinning stand-in", function () {
+    let server;
+    let baseUrl;
+    let client;
+
+    async function start(options) {
+      server = createLocalIpfsServer(options);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      client = createKuboClient({ apiUrl: baseUrl });
+    }
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("pins an image and metadata and resolves them again", async function () {
+      await start();
+      const imageCid = await client.add(PNG, "starry-night.png");
+      expect(imageCid).to.equal(computeCid(PNG));
+
+      const metadataCid = await pinMetadata(client, sampleMetadata(imageCid));
+      expect(await fetchMetadata(client, `ipfs://${metadataCid}`)).to.deep.equal(sampleMetadata(imageCid));
+
+      const image = await fetch(`${baseUrl}/ipfs/${imageCid}`);
+      expect(image.headers.get("content-type")).to.equal("image/png");
+      expect(Buffer.from(await image.arrayBuffer())).to.deep.equal(PNG);
+    });
+
+    it("refuses to pin metadata that does not match the schema", async function () {
+      await start();
+
+      await expect(pinMetadata(client, { schemaVersion: METADATA_SCHEMA_VERSION, name: "Untitled" }))
+        .to.be.rejectedWith("Invalid artwork metadata");
+    });
+
+    it("rejects content that does not match its CID", async function () {
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ipfs-"));
+      const cid = computeCid(Buffer.from("original"));
+      fs.writeFileSync(path.join(dataDir, cid), "tampered");
+      await start({ dataDir });
+
+      await expect(client.cat(cid)).to.be.rejectedWith("does not match its hash");
+      await expect(client.cat("Qm123")).to.be.rejectedWith("Invalid CID");
+    });
+  });
+});
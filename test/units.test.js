@@ -0,0 +1,52 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployContract } = require("../scripts/fixtures");
+const { sharedModules, transpileShared, commonJsPath } = require("../scripts/build-shared");
+const {
+  VALUE_UNIT,
+  MAX_VALUE_UNITS,
+  isWholeValueUnit,
+  toValueUnits,
+  fromValueUnits,
+  formatValueUnits,
+  sharesToValueUnits
+} = require("../shared/units.cjs");
+
+describe("Encrypted value units", function () {
+  it("matches VALUE_UNIT in the contract", async function () {
+    const contract = await deployContract();
+    expect(await contract.VALUE_UNIT()).to.equal(VALUE_UNIT);
+  });
+
+  it("converts whole gwei both ways", function () {
+    const wei = ethers.parseEther("1.5");
+    expect(isWholeValueUnit(wei)).to.equal(true);
+    expect(toValueUnits(wei)).to.equal(1_500_000_000n);
+    expect(fromValueUnits(toValueUnits(wei))).to.equal(wei);
+    expect(formatValueUnits(1_500_000_000n)).to.equal("1.5 ETH");
+  });
+
+  it("accepts numbers and decimal strings", function () {
+    expect(toValueUnits("2000000000")).to.equal(2n);
+    expect(fromValueUnits(3)).to.equal(3n * VALUE_UNIT);
+    expect(sharesToValueUnits(4, ethers.parseEther("0.1"))).to.equal(400_000_000n);
+  });
+
+  it("rejects amounts that are not whole gwei", function () {
+    expect(isWholeValueUnit(VALUE_UNIT + 1n)).to.equal(false);
+    expect(() => toValueUnits(VALUE_UNIT + 1n)).to.throw("is not a whole number of gwei");
+  });
+
+  it("rejects amounts past the euint64 maximum", function () {
+    expect(toValueUnits(MAX_VALUE_UNITS * VALUE_UNIT)).to.equal(MAX_VALUE_UNITS);
+    expect(() => toValueUnits((MAX_VALUE_UNITS + 1n) * VALUE_UNIT)).to.throw("does not fit in an encrypted amount");
+  });
+
+  it("ships CommonJS copies built from the current shared modules", function () {
+    for (const file of sharedModules()) {
+      const built = fs.readFileSync(commonJsPath(file), "utf8").replace(/\r\n/g, "\n");
+      expect(built, `${file} changed; run npm run build:shared`).to.equal(transpileShared(file));
+    }
+  });
+});